@@ -1,10 +1,23 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { getActiveSession } = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+
+// Routes available to any signed-in user
+const ACCOUNT_ROUTES = [
+  'GET /api/auth/me',
+  'POST /api/auth/logout',
+  'POST /api/auth/logout-all'
+];
+
+// Routes available to users who must change their password
+const PASSWORD_CHANGE_ROUTES = [...ACCOUNT_ROUTES, 'PUT /api/auth/change-password'];
+
+// Routes available to users who must set up two-factor authentication
+const TWO_FACTOR_SETUP_ROUTES = [...ACCOUNT_ROUTES, 'POST /api/auth/2fa/setup', 'POST /api/auth/2fa/confirm'];
 
 // Middleware to authenticate JWT token
 module.exports = async function(req, res, next) {
-  console.warn('Authentication is currently bypassed in auth.js middleware!');
-return next();
   // Get token from header
   const token = req.header('x-auth-token');
 
@@ -19,6 +32,13 @@ return next();
     
     // Add user from payload to request
     req.user = decoded.user;
+
+    // The session may have been revoked (logout, deactivation, password change)
+    const session = await getActiveSession(decoded.sid);
+    if (!session) {
+      return res.status(401).json({ message: 'Økten er avsluttet, logg inn på nytt' });
+    }
+    req.user.sessionId = decoded.sid;
     
     // Check if user still exists and is active
     const user = await User.findById(req.user.id).select('-password');
@@ -30,6 +50,31 @@ return next();
       return res.status(401).json({ message: 'Brukerkonto er deaktivert' });
     }
     
+    // Department is needed for department-level permission grants
+    req.user.department = user.department;
+    req.user.email = user.email;
+
+    // Until a required password change or two-factor setup is done, only allow
+    // what is needed to do it. Single sign-on logins are exempt, as the identity
+    // provider handles passwords and MFA.
+    const route = `${req.method} ${req.baseUrl}${req.path}`;
+    const localLogin = session.method === 'password';
+
+    if (localLogin && user.mustChangePassword) {
+      if (!PASSWORD_CHANGE_ROUTES.includes(route)) {
+        return res.status(403).json({
+          message: 'Du må endre passordet ditt før du kan fortsette',
+          code: 'PASSWORD_CHANGE_REQUIRED'
+        });
+      }
+    } else if (localLogin && !user.twoFactor.enabled &&
+      !TWO_FACTOR_SETUP_ROUTES.includes(route) && await twoFactor.isRequiredFor(user)) {
+      return res.status(403).json({
+        message: 'Du må aktivere tofaktorautentisering før du kan fortsette',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+    
     next();
   } catch (err) {
     console.error('Auth middleware error:', err);
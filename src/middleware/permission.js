@@ -0,0 +1,166 @@
+const Category = require('../models/Category');
+const Document = require('../models/Document');
+const { hasPermission } = require('../utils/permissions');
+const { UNPUBLISHED_STATUSES } = require('../services/approval');
+const audit = require('../services/audit');
+const fileStorage = require('../services/storage');
+
+// Scope resolvers: return { category, subcategory } for the request, or null when
+// the target does not exist (the route handler reports the 404)
+
+// Target is a document given by :id
+const fromDocument = async (req) => {
+  const document = await Document.findById(req.params.id).select('category subcategory');
+  if (!document) {
+    return null;
+  }
+  const category = await Category.findById(document.category);
+  return { category, subcategory: document.subcategory, document: document._id };
+};
+
+// Target is the category and subcategory named in the request body
+const fromBody = async (req) => {
+  const { category, subcategory } = req.body;
+  const categoryObj = category ? await Category.findById(category) : null;
+  if (!categoryObj) {
+    return null;
+  }
+  return { category: categoryObj, subcategory };
+};
+
+// Target is a category given by :id (and optionally a subcategory given by :name)
+const fromCategory = async (req) => {
+  const category = await Category.findById(req.params.id);
+  if (!category) {
+    return null;
+  }
+  return { category, subcategory: req.params.name };
+};
+
+// No category: only the role defaults apply
+const global = async () => ({ category: null });
+
+// Middleware factory to require a permission on the resolved category
+const requirePermission = (permission, resolveScope = fromDocument, message = 'Ikke tilgang') => {
+  return async (req, res, next) => {
+    const removeUpload = () => {
+      if (req.file) {
+        fileStorage.discard(req.file.storageKey, req.file.storageDriver);
+      }
+    };
+
+    if (!req.user) {
+      removeUpload();
+      return res.status(401).json({ message: 'Ingen token, tilgang nektet' });
+    }
+
+    try {
+      const scope = await resolveScope(req);
+      if (!scope) {
+        return next();
+      }
+
+      if (!hasPermission(req.user, scope.category, scope.subcategory, permission)) {
+        removeUpload();
+        audit.record(req, 'access.denied', {
+          outcome: 'denied',
+          document: scope.document,
+          targetType: scope.document ? 'document' : 'category',
+          targetId: scope.document || (scope.category && scope.category._id),
+          details: { permission, method: req.method, path: req.originalUrl }
+        });
+        return res.status(403).json({ message });
+      }
+
+      // Handlers reuse the resolved category for finer-grained checks
+      req.permissionScope = scope;
+      next();
+    } catch (err) {
+      console.error('Permission middleware error:', err);
+      removeUpload();
+      res.status(500).json({ message: 'Serverfeil ved tilgangskontroll' });
+    }
+  };
+};
+
+// Middleware factory to restrict a route to the given roles
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Ingen token, tilgang nektet' });
+    }
+
+    if (!roles.includes(req.user.role)) {
+      audit.record(req, 'access.denied', {
+        outcome: 'denied',
+        details: { roles, method: req.method, path: req.originalUrl }
+      });
+      return res.status(403).json({ message: 'Ikke tilgang' });
+    }
+
+    next();
+  };
+};
+
+// Build a Document query condition limited to the categories and subcategories
+// the user may read
+const readableDocumentsFilter = async (user) => {
+  const categories = await Category.find();
+  const conditions = [];
+
+  categories.forEach(category => {
+    if (category.subcategories.length === 0) {
+      if (hasPermission(user, category, null, 'read')) {
+        conditions.push({ category: category._id });
+      }
+      return;
+    }
+
+    const readable = category.subcategories
+      .filter(sub => hasPermission(user, category, sub.name, 'read'))
+      .map(sub => sub.name);
+
+    if (readable.length === category.subcategories.length) {
+      conditions.push({ category: category._id });
+    } else if (readable.length > 0) {
+      conditions.push({ category: category._id, subcategory: { $in: readable } });
+    }
+  });
+
+  // Match nothing when the user cannot read any category
+  return conditions.length > 0 ? { $or: conditions } : { _id: { $exists: false } };
+};
+
+// As readableDocumentsFilter, but unpublished documents only match for their
+// authors and approvers, as in the document list. Used where other records
+// link to documents.
+const visibleDocumentsFilter = async (user) => {
+  const readable = await readableDocumentsFilter(user);
+  if (user.role === 'admin') {
+    return readable;
+  }
+
+  return {
+    $and: [readable, {
+      $or: [
+        { status: { $nin: UNPUBLISHED_STATUSES } },
+        { uploadedBy: user.id },
+        { 'review.approvers': user.id },
+        { 'review.approverRoles': user.role }
+      ]
+    }]
+  };
+};
+
+module.exports = {
+  requirePermission,
+  requireRole,
+  readableDocumentsFilter,
+  visibleDocumentsFilter,
+  scopes: {
+    fromDocument,
+    fromBody,
+    fromCategory,
+    global
+  }
+};
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Append-only audit trail. Each event stores the hash of the previous one, so
+// altering or removing an event breaks the chain (see services/audit.js).
+const AuditEventSchema = new Schema({
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure', 'denied'],
+    default: 'success'
+  },
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorEmail: {
+    type: String,
+    default: ''
+  },
+  targetType: {
+    type: String,
+    default: ''
+  },
+  targetId: {
+    type: String,
+    default: ''
+  },
+  document: {
+    type: Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  details: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+AuditEventSchema.index({ actor: 1, createdAt: -1 });
+AuditEventSchema.index({ document: 1, createdAt: -1 });
+AuditEventSchema.index({ action: 1, createdAt: -1 });
+AuditEventSchema.index({ createdAt: -1 });
+
+// Refuse any change to existing events
+const appendOnly = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+AuditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return appendOnly(next);
+  }
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+].forEach(operation => AuditEventSchema.pre(operation, appendOnly));
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
@@ -1,5 +1,24 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { PERMISSIONS, PRINCIPAL_TYPES } = require('../utils/permissions');
+const { invalidateOnChange } = require('../services/dashboardCache');
+
+// A grant of permissions to a role, a user or a department
+const AccessEntrySchema = new Schema({
+  principalType: {
+    type: String,
+    enum: PRINCIPAL_TYPES,
+    required: true
+  },
+  principal: {
+    type: String,
+    required: true
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }]
+}, { _id: false });
 
 const CategorySchema = new Schema({
   name: {
@@ -19,8 +38,11 @@ const CategorySchema = new Schema({
     description: {
       type: String,
       default: ''
-    }
+    },
+    // Added to the grants inherited from the category
+    permissions: [AccessEntrySchema]
   }],
+  permissions: [AccessEntrySchema],
   createdAt: {
     type: Date,
     default: Date.now
@@ -37,4 +59,7 @@ CategorySchema.pre('save', function(next) {
   next();
 });
 
+// Keep dashboard statistics current
+CategorySchema.plugin(invalidateOnChange);
+
 module.exports = mongoose.model('Category', CategorySchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// An ISO/IEC 27001:2022 Annex A control and our Statement of Applicability entry
+// for it. The catalog fields (controlId, title, theme) come from
+// data/iso27001-annex-a-2022.json.
+const ControlSchema = new Schema({
+  controlId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  theme: {
+    type: String,
+    enum: ['organizational', 'people', 'physical', 'technological'],
+    required: true
+  },
+  // null until the control has been assessed
+  applicable: {
+    type: Boolean,
+    default: null
+  },
+  // Reason for including or excluding the control
+  justification: {
+    type: String,
+    default: ''
+  },
+  implementationStatus: {
+    type: String,
+    enum: ['not_implemented', 'planned', 'partially_implemented', 'implemented'],
+    default: 'not_implemented'
+  },
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Documents that implement or evidence the control
+  documents: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Document'
+  }],
+  notes: {
+    type: String,
+    default: ''
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ControlSchema.index({ documents: 1 });
+
+module.exports = mongoose.model('Control', ControlSchema);
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const TRANSFER_MECHANISMS = [
+  'none',
+  'adequacy_decision',
+  'standard_contractual_clauses',
+  'binding_corporate_rules',
+  'derogation',
+  'other'
+];
+
+// A subprocessor engaged by the processor (GDPR Article 28(2) and (4))
+const SubprocessorSchema = new Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  country: {
+    type: String,
+    default: ''
+  },
+  service: {
+    type: String,
+    default: ''
+  },
+  transferMechanism: {
+    type: String,
+    enum: TRANSFER_MECHANISMS,
+    default: 'none'
+  }
+}, { _id: false });
+
+// A vendor processing personal data on our behalf, and the data processor
+// agreement (databehandleravtale) with it
+const DataProcessorSchema = new Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  organizationNumber: {
+    type: String,
+    default: ''
+  },
+  country: {
+    type: String,
+    default: ''
+  },
+  contact: {
+    name: {
+      type: String,
+      default: ''
+    },
+    email: {
+      type: String,
+      default: ''
+    }
+  },
+  services: [{
+    type: String
+  }],
+  dataCategories: [{
+    type: String
+  }],
+  subprocessors: [SubprocessorSchema],
+  // How transfers outside the EU/EEA are legitimized ('none' when there are none)
+  transferMechanism: {
+    type: String,
+    enum: TRANSFER_MECHANISMS,
+    default: 'none'
+  },
+  agreement: {
+    // The signed agreement
+    document: {
+      type: Schema.Types.ObjectId,
+      ref: 'Document'
+    },
+    signedAt: {
+      type: Date
+    },
+    // Unset for agreements that run until terminated
+    expiresAt: {
+      type: Date
+    },
+    terminationNoticeDays: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    // Last day to give notice before expiry; computed when saved
+    noticeDeadline: {
+      type: Date
+    }
+  },
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'terminated'],
+    default: 'active'
+  },
+  terminatedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DataProcessorSchema.index({ status: 1, name: 1 });
+DataProcessorSchema.index({ 'agreement.noticeDeadline': 1 });
+DataProcessorSchema.index({ 'agreement.document': 1 });
+
+// Update the updatedAt field and the notice deadline before saving
+DataProcessorSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+
+  const { expiresAt, terminationNoticeDays } = this.agreement;
+  this.agreement.noticeDeadline = expiresAt
+    ? new Date(expiresAt.getTime() - (terminationNoticeDays || 0) * DAY)
+    : undefined;
+
+  next();
+});
+
+module.exports = mongoose.model('DataProcessor', DataProcessorSchema);
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A corrective action taken to resolve a deviation or keep it from recurring
+const CorrectiveActionSchema = new Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'done'],
+    default: 'open'
+  },
+  completedAt: {
+    type: Date
+  },
+  completedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One status change in the lifecycle of a deviation
+const StatusEventSchema = new Schema({
+  from: {
+    type: String
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  comment: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A deviation (avvik): a security incident, personal data breach or other
+// non-conformity, from when it is reported until it is closed
+const DeviationSchema = new Schema({
+  // Reference number, e.g. AVV-2026-0012
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical'],
+    default: 'medium'
+  },
+  // Systems, services, equipment or information affected
+  affectedAssets: [{
+    type: String
+  }],
+  personalDataInvolved: {
+    type: Boolean,
+    default: false
+  },
+  // When the organization became aware of the deviation; the 72-hour deadline
+  // for notifying Datatilsynet (GDPR Article 33) runs from here
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  authorityNotification: {
+    // null until the data protection officer has assessed it
+    required: {
+      type: Boolean,
+      default: null
+    },
+    deadline: {
+      type: Date
+    },
+    notifiedAt: {
+      type: Date
+    },
+    // Case number at Datatilsynet
+    reference: {
+      type: String,
+      default: ''
+    },
+    // Why Datatilsynet was not notified, or why notification was late
+    justification: {
+      type: String,
+      default: ''
+    }
+  },
+  rootCause: {
+    type: String,
+    default: ''
+  },
+  correctiveActions: [CorrectiveActionSchema],
+  status: {
+    type: String,
+    enum: ['reported', 'under_assessment', 'in_progress', 'resolved', 'closed'],
+    default: 'reported'
+  },
+  statusHistory: [StatusEventSchema],
+  // Handles the deviation until it is closed
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Documents that describe or evidence the deviation and its handling
+  documents: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Document'
+  }],
+  reportedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  closedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+DeviationSchema.index({ status: 1, createdAt: -1 });
+DeviationSchema.index({ 'correctiveActions.status': 1, 'correctiveActions.dueDate': 1 });
+DeviationSchema.index({ documents: 1 });
+
+// Update the updatedAt field before saving
+DeviationSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Breaches involving personal data must be reported to Datatilsynet within 72 hours
+DeviationSchema.pre('save', function(next) {
+  if (this.isModified('personalDataInvolved') || this.isModified('detectedAt')) {
+    this.authorityNotification.deadline = this.personalDataInvolved
+      ? new Date(this.detectedAt.getTime() + 72 * 60 * 60 * 1000)
+      : undefined;
+  }
+  next();
+});
+
+module.exports = mongoose.model('Deviation', DeviationSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { ReviewSchema, ApprovalEventSchema } = require('./schemas/approval');
+const { invalidateOnChange } = require('../services/dashboardCache');
 
 const DocumentSchema = new Schema({
   title: {
@@ -22,9 +24,21 @@ const DocumentSchema = new Schema({
   tags: [{
     type: String
   }],
-  filePath: {
+  // Key of the file in the storage backend named by storageDriver
+  storageKey: {
     type: String,
-    required: true
+    required: function() {
+      return !this.filePath;
+    }
+  },
+  storageDriver: {
+    type: String,
+    enum: ['local', 's3'],
+    default: 'local'
+  },
+  // Absolute local path from before storage keys; cleared by the storage migration
+  filePath: {
+    type: String
   },
   fileName: {
     type: String,
@@ -38,11 +52,40 @@ const DocumentSchema = new Schema({
     type: String,
     required: true
   },
+  // SHA-256 digest (hex) of the stored file, verified whenever it is read
+  sha256: {
+    type: String
+  },
+  // Text extracted from the file for full-text search
+  contentText: {
+    type: String,
+    default: '',
+    select: false
+  },
+  contentExtraction: {
+    status: {
+      type: String,
+      enum: ['pending', 'success', 'unsupported', 'failed'],
+      default: 'pending'
+    },
+    error: {
+      type: String,
+      default: ''
+    },
+    extractedAt: {
+      type: Date
+    }
+  },
   uploadedBy: {
     type: Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Responsible for keeping the document up to date; falls back to the uploader
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
   lastModifiedBy: {
     type: Schema.Types.ObjectId,
     ref: 'User',
@@ -52,11 +95,17 @@ const DocumentSchema = new Schema({
     type: Date,
     default: () => new Date(+new Date() + 365*24*60*60*1000) // Default to 1 year from now
   },
+  // New documents start as drafts and become active once approved
   status: {
     type: String,
-    enum: ['active', 'archived', 'deleted'],
-    default: 'active'
+    enum: ['draft', 'in_review', 'rejected', 'active', 'archived', 'deleted'],
+    default: 'draft'
+  },
+  review: {
+    type: ReviewSchema,
+    default: () => ({})
   },
+  approvalHistory: [ApprovalEventSchema],
   version: {
     type: Number,
     default: 1
@@ -82,7 +131,28 @@ DocumentSchema.index({
   title: 'text', 
   description: 'text', 
   tags: 'text',
-  subcategory: 'text'
+  subcategory: 'text',
+  contentText: 'text'
+}, {
+  name: 'DocumentTextIndex',
+  weights: {
+    title: 10,
+    tags: 5,
+    subcategory: 3,
+    description: 2,
+    contentText: 1
+  }
 });
 
+// Extracted text can be large, so it is never sent to clients
+DocumentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.contentText;
+    return ret;
+  }
+});
+
+// Keep dashboard statistics current
+DocumentSchema.plugin(invalidateOnChange);
+
 module.exports = mongoose.model('Document', DocumentSchema);
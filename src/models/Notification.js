@@ -17,21 +17,60 @@ const NotificationSchema = new Schema({
   },
   type: {
     type: String,
-    enum: ['document_review', 'document_update', 'system', 'user'],
+    enum: ['document_review', 'document_update', 'system', 'user', 'deviation'],
     default: 'system'
   },
   relatedDocument: {
     type: Schema.Types.ObjectId,
     ref: 'Document'
   },
+  relatedDeviation: {
+    type: Schema.Types.ObjectId,
+    ref: 'Deviation'
+  },
+  // Identifies generated reminders so the same one is never created twice
+  key: {
+    type: String
+  },
   isRead: {
     type: Boolean,
     default: false
   },
+  // E-mail delivery, decided by the user's preference for the type
+  delivery: {
+    mode: {
+      type: String,
+      enum: ['in_app', 'immediate', 'daily', 'weekly'],
+      default: 'in_app'
+    },
+    status: {
+      type: String,
+      enum: ['not_required', 'pending', 'sent', 'failed', 'skipped'],
+      default: 'not_required'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    // When the e-mail (or the digest it belongs to) is due
+    nextAttemptAt: {
+      type: Date
+    },
+    lastError: {
+      type: String
+    },
+    sentAt: {
+      type: Date
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+NotificationSchema.index({ key: 1 }, { unique: true, sparse: true });
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ 'delivery.status': 1, 'delivery.nextAttemptAt': 1 });
+
 module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A pending OpenID Connect login, from the redirect to the identity provider
+// until its callback
+const OidcStateSchema = new Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Frontend path to return to after login
+  returnTo: {
+    type: String,
+    default: '/'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    // Unfinished logins expire after 10 minutes
+    expires: 10 * 60
+  }
+});
+
+module.exports = mongoose.model('OidcState', OidcStateSchema);
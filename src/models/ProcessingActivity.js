@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Transfer of personal data to a country outside the EU/EEA (GDPR chapter V)
+const TransferSchema = new Schema({
+  country: {
+    type: String,
+    required: true
+  },
+  recipient: {
+    type: String,
+    default: ''
+  },
+  safeguard: {
+    type: String,
+    enum: ['adequacy_decision', 'standard_contractual_clauses', 'binding_corporate_rules', 'derogation', 'other'],
+    required: true
+  },
+  details: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+// An entry in the record of processing activities (GDPR Article 30). Earlier
+// versions are kept as ProcessingActivityVersion records.
+const ProcessingActivitySchema = new Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  purposes: [{
+    type: String
+  }],
+  // Article 6(1) a-f
+  legalBasis: {
+    type: String,
+    enum: ['consent', 'contract', 'legal_obligation', 'vital_interests', 'public_task', 'legitimate_interests'],
+    required: true
+  },
+  legalBasisDetails: {
+    type: String,
+    default: ''
+  },
+  dataCategories: [{
+    type: String
+  }],
+  // Special categories of personal data (Article 9) are processed
+  specialCategories: {
+    type: Boolean,
+    default: false
+  },
+  dataSubjects: [{
+    type: String
+  }],
+  recipients: [{
+    type: String
+  }],
+  thirdCountryTransfers: [TransferSchema],
+  retention: {
+    type: String,
+    default: ''
+  },
+  securityMeasures: [{
+    type: String
+  }],
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  department: {
+    type: String,
+    default: ''
+  },
+  // Supporting documents, e.g. data processor agreements and DPIAs
+  documents: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Document'
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'archived'],
+    default: 'active'
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ProcessingActivitySchema.index({ status: 1, name: 1 });
+ProcessingActivitySchema.index({ documents: 1 });
+
+// Update the updatedAt field before saving
+ProcessingActivitySchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('ProcessingActivity', ProcessingActivitySchema);
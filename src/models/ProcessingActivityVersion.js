@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A version of a processing activity, written when it is created and on every change
+const ProcessingActivityVersionSchema = new Schema({
+  activity: {
+    type: Schema.Types.ObjectId,
+    ref: 'ProcessingActivity',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // The recorded fields (see services/processingActivities.js)
+  snapshot: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  // Fields changed from the previous version
+  changedFields: [{
+    type: String
+  }],
+  // Description of the change given by the editor
+  changes: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ProcessingActivityVersionSchema.index({ activity: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ProcessingActivityVersion', ProcessingActivityVersionSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { ReviewSchema, ApprovalEventSchema } = require('./schemas/approval');
+const { invalidateOnChange } = require('../services/dashboardCache');
 
 const RevisionSchema = new Schema({
   document: {
@@ -11,9 +13,21 @@ const RevisionSchema = new Schema({
     type: Number,
     required: true
   },
-  filePath: {
+  // Key of the file in the storage backend named by storageDriver
+  storageKey: {
     type: String,
-    required: true
+    required: function() {
+      return !this.filePath;
+    }
+  },
+  storageDriver: {
+    type: String,
+    enum: ['local', 's3'],
+    default: 'local'
+  },
+  // Absolute local path from before storage keys; cleared by the storage migration
+  filePath: {
+    type: String
   },
   fileName: {
     type: String,
@@ -27,10 +41,71 @@ const RevisionSchema = new Schema({
     type: String,
     required: true
   },
+  // SHA-256 digest (hex) of the stored file, verified whenever it is read
+  sha256: {
+    type: String
+  },
+  // Text extracted from the file for full-text search
+  contentText: {
+    type: String,
+    default: '',
+    select: false
+  },
+  contentExtraction: {
+    status: {
+      type: String,
+      enum: ['pending', 'success', 'unsupported', 'failed'],
+      default: 'pending'
+    },
+    error: {
+      type: String,
+      default: ''
+    },
+    extractedAt: {
+      type: Date
+    }
+  },
+  // Document metadata as it was for this version
+  metadata: {
+    title: {
+      type: String
+    },
+    description: {
+      type: String
+    },
+    tags: [{
+      type: String
+    }],
+    category: {
+      type: Schema.Types.ObjectId,
+      ref: 'Category'
+    },
+    subcategory: {
+      type: String
+    }
+  },
   changes: {
     type: String,
     default: ''
   },
+  // New revisions wait for approval before they replace the current file
+  status: {
+    type: String,
+    enum: ['draft', 'in_review', 'rejected', 'published'],
+    default: 'published'
+  },
+  review: {
+    type: ReviewSchema,
+    default: () => ({})
+  },
+  approvalHistory: [ApprovalEventSchema],
+  // Set when this version was created by restoring an earlier one
+  restoredFrom: {
+    type: Number
+  },
+  restoreReason: {
+    type: String
+  },
   createdBy: {
     type: Schema.Types.ObjectId,
     ref: 'User',
@@ -42,4 +117,15 @@ const RevisionSchema = new Schema({
   }
 });
 
+// Extracted text can be large, so it is never sent to clients
+RevisionSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.contentText;
+    return ret;
+  }
+});
+
+// Keep dashboard statistics current
+RevisionSchema.plugin(invalidateOnChange);
+
 module.exports = mongoose.model('Revision', RevisionSchema);
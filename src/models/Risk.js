@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Likelihood and consequence are scored 1-5; the risk score is their product
+const SCORE = {
+  type: Number,
+  min: 1,
+  max: 5
+};
+
+// Lowest score of each risk level
+const LEVEL_THRESHOLDS = [
+  ['critical', 17],
+  ['high', 10],
+  ['medium', 5],
+  ['low', 1]
+];
+
+const levelFor = (score) => {
+  if (!score) {
+    return undefined;
+  }
+  return LEVEL_THRESHOLDS.find(([, min]) => score >= min)[0];
+};
+
+// An entry in the risk register: a threat exploiting a vulnerability of an asset
+const RiskSchema = new Schema({
+  // Reference number, e.g. R-0042
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  asset: {
+    type: String,
+    required: true
+  },
+  threat: {
+    type: String,
+    required: true
+  },
+  vulnerability: {
+    type: String,
+    default: ''
+  },
+  // Before treatment
+  likelihood: {
+    ...SCORE,
+    required: true
+  },
+  consequence: {
+    ...SCORE,
+    required: true
+  },
+  // After the planned treatment; unset until assessed
+  residualLikelihood: SCORE,
+  residualConsequence: SCORE,
+  // Computed from the scores when saved
+  inherentScore: {
+    type: Number
+  },
+  inherentLevel: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical']
+  },
+  residualScore: {
+    type: Number
+  },
+  residualLevel: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'critical']
+  },
+  treatment: {
+    decision: {
+      type: String,
+      enum: ['reduce', 'accept', 'transfer', 'avoid']
+    },
+    plan: {
+      type: String,
+      default: ''
+    },
+    dueDate: {
+      type: Date
+    },
+    // Accepted risks record who accepted them
+    acceptedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    acceptedAt: {
+      type: Date
+    }
+  },
+  // Annex A controls that treat the risk
+  controls: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Control'
+  }],
+  // Risk assessments and other supporting documents
+  documents: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Document'
+  }],
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewDate: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RiskSchema.index({ status: 1, residualScore: -1, inherentScore: -1 });
+RiskSchema.index({ controls: 1 });
+RiskSchema.index({ documents: 1 });
+
+// Update the updatedAt field and the computed scores before saving
+RiskSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+
+  this.inherentScore = this.likelihood * this.consequence;
+  this.inherentLevel = levelFor(this.inherentScore);
+
+  const residualAssessed = this.residualLikelihood && this.residualConsequence;
+  this.residualScore = residualAssessed ? this.residualLikelihood * this.residualConsequence : undefined;
+  this.residualLevel = levelFor(this.residualScore);
+
+  next();
+});
+
+RiskSchema.statics.levelFor = levelFor;
+
+module.exports = mongoose.model('Risk', RiskSchema);
@@ -5,15 +5,20 @@ const UserSchema = new Schema({
   email: {
     type: String,
     required: true,
-    unique: true
+    unique: true,
+    lowercase: true,
+    trim: true
   },
   name: {
     type: String,
     required: true
   },
+  // Users who sign in through OpenID Connect may have no password
   password: {
     type: String,
-    required: true
+    required: function() {
+      return this.authProvider === 'local';
+    }
   },
   role: {
     type: String,
@@ -24,19 +29,122 @@ const UserSchema = new Schema({
     type: String,
     default: ''
   },
+  // How the user gets each type of notification: in the app only, by e-mail
+  // at once, or in a daily or weekly e-mail digest
+  notificationPreferences: {
+    document_review: {
+      type: String,
+      enum: ['in_app', 'immediate', 'daily', 'weekly'],
+      default: 'immediate'
+    },
+    document_update: {
+      type: String,
+      enum: ['in_app', 'immediate', 'daily', 'weekly'],
+      default: 'daily'
+    },
+    system: {
+      type: String,
+      enum: ['in_app', 'immediate', 'daily', 'weekly'],
+      default: 'in_app'
+    },
+    user: {
+      type: String,
+      enum: ['in_app', 'immediate', 'daily', 'weekly'],
+      default: 'immediate'
+    },
+    deviation: {
+      type: String,
+      enum: ['in_app', 'immediate', 'daily', 'weekly'],
+      default: 'immediate'
+    }
+  },
+  // Language of e-mails to the user
+  language: {
+    type: String,
+    enum: ['no', 'en'],
+    default: 'no'
+  },
   isActive: {
     type: Boolean,
     default: true
   },
   authProvider: {
     type: String,
-    enum: ['local'],
+    enum: ['local', 'oidc'],
     default: 'local'
   },
+  // Subject (sub claim) of the user at the OpenID Connect provider
+  oidcSubject: {
+    type: String
+  },
+  // Only single sign-on is allowed when set
+  localLoginDisabled: {
+    type: Boolean,
+    default: false
+  },
   lastLogin: {
     type: Date,
     default: Date.now
   },
+  // Hashes of previous passwords, newest first
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  mustChangePassword: {
+    type: Boolean,
+    default: false
+  },
+  // E-mailed invitation, see POST /api/users
+  invitedAt: {
+    type: Date
+  },
+  invitationAcceptedAt: {
+    type: Date
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  // No login attempts are accepted before this time
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication (see services/twoFactor.js)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Encrypted TOTP secrets
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -47,10 +155,28 @@ const UserSchema = new Schema({
   }
 });
 
+UserSchema.index({ oidcSubject: 1 }, { unique: true, sparse: true });
+
 // Update the updatedAt field before saving
 UserSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+// Remember whether this save deactivates the user
+UserSchema.pre('save', function(next) {
+  this.$locals.deactivated = !this.isNew && this.isModified('isActive') && !this.isActive;
+  next();
+});
+
+// Revoke all sessions of a deactivated user
+UserSchema.post('save', async function(user) {
+  if (user.$locals.deactivated) {
+    await mongoose.model('Session').updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'deactivated' }
+    );
+  }
+});
+
 module.exports = mongoose.model('User', UserSchema);
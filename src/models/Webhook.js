@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Events a webhook can subscribe to (see services/webhooks.js)
+const WEBHOOK_EVENTS = [
+  'document.created',
+  'document.updated',
+  'document.published',
+  'document.revised',
+  'document.archived',
+  'document.deleted',
+  'category.changed'
+];
+
+const WebhookSchema = new Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Key for the HMAC signature of every payload
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WebhookSchema.index({ isActive: 1, events: 1 });
+
+// Update the updatedAt field before saving
+WebhookSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One event sent (or to be sent) to one webhook
+const WebhookDeliverySchema = new Schema({
+  webhook: {
+    type: Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  deliveredAt: {
+    type: Date
+  },
+  // Result of the last attempt
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  },
+  // Set when an admin sent a delivery again
+  redeliveryOf: {
+    type: Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { minimize: false });
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Who a document or revision has been submitted to for approval
+const ReviewSchema = new Schema({
+  approvers: [{
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  approverRoles: [{
+    type: String
+  }],
+  submittedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+// One step in the approval history
+const ApprovalEventSchema = new Schema({
+  action: {
+    type: String,
+    enum: ['submitted', 'approved', 'rejected'],
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  comment: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = {
+  ReviewSchema,
+  ApprovalEventSchema
+};
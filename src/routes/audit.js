@@ -0,0 +1,105 @@
+const express = require('express');
+const router = express.Router();
+const AuditEvent = require('../models/AuditEvent');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/permission');
+const audit = require('../services/audit');
+const { escapeRegex, queryValue } = require('../utils/text');
+
+// @route   GET api/audit
+// @desc    Query audit events with optional filtering
+// @access  Private (admin only)
+router.get('/', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { actor, document, outcome, targetType, targetId, from, to, page = 1, limit = 50 } = req.query;
+    const action = queryValue(req.query.action);
+
+    // Build query
+    const query = {};
+
+    if (actor) {
+      query.actor = actor;
+    }
+
+    if (document) {
+      query.document = document;
+    }
+
+    // Filter by action; a trailing * matches a prefix (e.g. document.*)
+    if (action) {
+      query.action = action.endsWith('*')
+        ? { $regex: `^${escapeRegex(action.slice(0, -1))}` }
+        : action;
+    }
+
+    if (outcome) {
+      query.outcome = outcome;
+    }
+
+    if (targetType) {
+      query.targetType = targetType;
+    }
+
+    if (targetId) {
+      query.targetId = targetId;
+    }
+
+    // Filter by time range
+    if (from || to) {
+      query.createdAt = {};
+      if (from) {
+        query.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        query.createdAt.$lte = new Date(to);
+      }
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const events = await AuditEvent.find(query)
+      .populate('actor', 'name email')
+      .populate('document', 'title')
+      .sort({ seq: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Get total count for pagination
+    const total = await AuditEvent.countDocuments(query);
+
+    res.json({
+      events,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Get audit events error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av revisjonsspor' });
+  }
+});
+
+// @route   GET api/audit/verify
+// @desc    Verify the hash chain of the audit log
+// @access  Private (admin only)
+router.get('/verify', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await audit.verifyChain();
+
+    audit.record(req, 'audit.verify', {
+      outcome: result.valid ? 'success' : 'failure',
+      details: result
+    });
+
+    res.json(result);
+  } catch (err) {
+    console.error('Verify audit chain error:', err);
+    res.status(500).json({ message: 'Serverfeil ved verifisering av revisjonsspor' });
+  }
+});
+
+module.exports = router;
@@ -1,71 +1,169 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const auth = require('../middleware/auth');
+const audit = require('../services/audit');
+const sessions = require('../services/sessions');
+const loginThrottle = require('../services/loginThrottle');
+const twoFactor = require('../services/twoFactor');
+const oidc = require('../services/oidc');
+const mail = require('../services/mail');
+const authTokens = require('../services/authTokens');
+const { validatePassword, hashPassword, setPassword } = require('../utils/passwordPolicy');
+const { normalizeEmail } = require('../utils/email');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Self-registration is off unless enabled, and can be limited to e-mail domains
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION === 'true';
+const REGISTRATION_DOMAINS = (process.env.REGISTRATION_EMAIL_DOMAINS || '')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase())
+  .filter(Boolean);
+
+// Compared against on logins with an unknown e-mail address, so they take as
+// long as logins with a wrong password
+const UNKNOWN_USER_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Refuse a login attempt while the account (or unknown e-mail address) is
+// locked or throttled
+const sendThrottled = (req, res, user, throttle) => {
+  audit.record(req, 'auth.login', {
+    outcome: 'denied',
+    actor: user.id,
+    actorEmail: user.email,
+    details: { reason: throttle.locked ? 'locked' : 'throttled', retryAfter: throttle.retryAfter }
+  });
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    message: throttle.locked
+      ? `Kontoen er midlertidig låst etter for mange mislykkede innlogginger. Prøv igjen om ${Math.ceil(throttle.retryAfter / 60)} minutter`
+      : `For mange mislykkede innlogginger. Vent ${throttle.retryAfter} sekunder før du prøver igjen`,
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// Count a failed password or two-factor code and record it
+const recordFailedLogin = async (req, user, reason) => {
+  const updated = await loginThrottle.registerFailure(user);
+  const locked = updated.failedLoginAttempts >= loginThrottle.MAX_ATTEMPTS;
+
+  audit.record(req, 'auth.login', {
+    outcome: 'failure',
+    actor: user.id,
+    actorEmail: user.email,
+    details: { reason, attempts: updated.failedLoginAttempts, locked }
+  });
+  if (locked) {
+    audit.record(req, 'auth.account_locked', {
+      actor: user.id,
+      actorEmail: user.email,
+      targetType: 'user',
+      targetId: user.id,
+      details: { until: updated.lockUntil }
+    });
+  }
+};
+
+// Finish a successful login: start a session and return its tokens
+const completeLogin = async (req, res, user, details = {}) => {
+  loginThrottle.reset(user);
+  user.lastLogin = Date.now();
+  await user.save();
+
+  audit.record(req, 'auth.login', { actor: user.id, actorEmail: user.email, details });
+
+  const tokens = await sessions.issueTokens(user, req);
+
+  res.json({
+    ...tokens,
+    user: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      mustChangePassword: user.mustChangePassword,
+      twoFactorSetupRequired: !user.twoFactor.enabled && await twoFactor.isRequiredFor(user)
+    }
+  });
+};
 
 // @route   POST api/auth/register
-// @desc    Register a user
+// @desc    Register a user with the default role (only when ALLOW_REGISTRATION=true)
 // @access  Public
 router.post('/register', async (req, res) => {
   try {
-    const { email, name, password, department, role } = req.body;
+    const { name, password, department } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    if (!ALLOW_REGISTRATION) {
+      return res.status(403).json({ message: 'Registrering er ikke tillatt, kontakt en administrator' });
+    }
 
     // Validate input
     if (!email || !name || !password) {
       return res.status(400).json({ message: 'Vennligst fyll ut alle påkrevde felt' });
     }
 
+    const domain = email.split('@').pop();
+    if (REGISTRATION_DOMAINS.length > 0 && !REGISTRATION_DOMAINS.includes(domain)) {
+      audit.record(req, 'auth.register', { outcome: 'failure', actorEmail: email, details: { reason: 'domain_not_allowed' } });
+      return res.status(403).json({ message: 'Registrering er ikke tillatt for denne e-postadressen' });
+    }
+
     // Check if user already exists
     let user = await User.findOne({ email });
     if (user) {
+      audit.record(req, 'auth.register', { outcome: 'failure', actorEmail: email, details: { reason: 'email_taken' } });
       return res.status(400).json({ message: 'Bruker med denne e-postadressen finnes allerede' });
     }
 
+    const passwordError = await validatePassword(password, { email, name });
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
     // Create new user
     user = new User({
       email,
       name,
       password,
       department: department || '',
-      role: role || 'ansatt',
+      // Other roles are only given by administrators
+      role: 'ansatt',
       isActive: true,
       authProvider: 'local'
     });
 
     // Hash password
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(password, salt);
+    user.password = await hashPassword(password);
+    user.passwordChangedAt = Date.now();
 
     // Save user
     await user.save();
 
-    // Create JWT token
-    const payload = {
+    audit.record(req, 'auth.register', {
+      actor: user.id,
+      actorEmail: user.email,
+      targetType: 'user',
+      targetId: user.id,
+      details: { role: user.role, department: user.department }
+    });
+
+    const tokens = await sessions.issueTokens(user, req);
+
+    res.json({
+      ...tokens,
       user: {
         id: user.id,
+        email: user.email,
+        name: user.name,
         role: user.role
       }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET || 'your_jwt_secret_key',
-      { expiresIn: '24h' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({
-          token,
-          user: {
-            id: user.id,
-            email: user.email,
-            name: user.name,
-            role: user.role
-          }
-        });
-      }
-    );
+    });
   } catch (err) {
     console.error('Register error:', err);
     res.status(500).json({ message: 'Serverfeil ved registrering' });
@@ -77,7 +175,8 @@ router.post('/register', async (req, res) => {
 // @access  Public
 router.post('/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
 
     // Validate input
     if (!email || !password) {
@@ -87,55 +186,418 @@ router.post('/login', async (req, res) => {
     // Check if user exists
     const user = await User.findOne({ email });
     if (!user) {
+      // Throttled and locked like an existing account
+      const throttle = loginThrottle.checkUnknownEmail(email);
+      if (throttle) {
+        return sendThrottled(req, res, { email }, throttle);
+      }
+      await bcrypt.compare(password, UNKNOWN_USER_HASH);
+      const attempt = loginThrottle.registerUnknownEmailFailure(email);
+      audit.record(req, 'auth.login', {
+        outcome: 'failure',
+        actorEmail: email,
+        details: { reason: 'unknown_email', attempts: attempt.failedLoginAttempts }
+      });
       return res.status(400).json({ message: 'Ugyldig e-post eller passord' });
     }
 
     // Check if user is active
     if (!user.isActive) {
+      audit.record(req, 'auth.login', { outcome: 'failure', actor: user.id, actorEmail: email, details: { reason: 'inactive' } });
       return res.status(400).json({ message: 'Denne brukerkontoen er deaktivert' });
     }
 
+    // Accounts without a password or with password login turned off use single sign-on
+    if (user.localLoginDisabled || !user.password) {
+      audit.record(req, 'auth.login', { outcome: 'failure', actor: user.id, actorEmail: email, details: { reason: 'local_login_disabled' } });
+      return res.status(400).json({ message: 'Denne kontoen må logge inn med single sign-on' });
+    }
+
+    // Refuse attempts while the account is locked or throttled
+    const throttle = loginThrottle.checkLogin(user);
+    if (throttle) {
+      return sendThrottled(req, res, user, throttle);
+    }
+
     // Check password
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await recordFailedLogin(req, user, 'wrong_password');
       return res.status(400).json({ message: 'Ugyldig e-post eller passord' });
     }
 
-    // Update last login
+    // With two-factor enabled the login continues at /2fa/verify
+    if (user.twoFactor.enabled) {
+      audit.record(req, 'auth.login_challenge', { actor: user.id, actorEmail: user.email });
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: twoFactor.createChallenge(user)
+      });
+    }
+
+    await completeLogin(req, res, user);
+  } catch (err) {
+    console.error('Login error:', err);
+    res.status(500).json({ message: 'Serverfeil ved innlogging' });
+  }
+});
+
+// @route   GET api/auth/providers
+// @desc    Get the available login methods
+// @access  Public
+router.get('/providers', (req, res) => {
+  res.json({ local: true, oidc: oidc.isEnabled(), registration: ALLOW_REGISTRATION });
+});
+
+// @route   GET api/auth/oidc/login
+// @desc    Start single sign-on by redirecting to the identity provider
+// @access  Public
+router.get('/oidc/login', async (req, res) => {
+  try {
+    if (!oidc.isEnabled()) {
+      return res.status(404).json({ message: 'Single sign-on er ikke konfigurert' });
+    }
+
+    res.redirect(await oidc.beginLogin(req.query.returnTo));
+  } catch (err) {
+    console.error('OIDC login error:', err);
+    res.status(500).json({ message: 'Serverfeil ved single sign-on' });
+  }
+});
+
+// @route   GET api/auth/oidc/callback
+// @desc    Finish single sign-on and redirect to the frontend with the tokens
+// @access  Public
+router.get('/oidc/callback', async (req, res) => {
+  // Errors are shown by the frontend's login page
+  const fail = (reason, details = {}) => {
+    audit.record(req, 'auth.login', { outcome: 'failure', details: { method: 'oidc', reason, ...details } });
+    res.redirect(`${FRONTEND_URL}/login?error=${encodeURIComponent(reason)}`);
+  };
+
+  try {
+    if (!oidc.isEnabled()) {
+      return res.status(404).json({ message: 'Single sign-on er ikke konfigurert' });
+    }
+
+    const result = await oidc.completeLogin(req);
+    if (result.error) {
+      return fail(result.error);
+    }
+
+    const { user, created, linked, returnTo } = result;
+    if (!user.isActive) {
+      audit.record(req, 'auth.login', { outcome: 'failure', actor: user.id, actorEmail: user.email, details: { method: 'oidc', reason: 'inactive' } });
+      return res.redirect(`${FRONTEND_URL}/login?error=inactive`);
+    }
+
     user.lastLogin = Date.now();
     await user.save();
 
-    // Create JWT token
-    const payload = {
-      user: {
-        id: user.id,
-        role: user.role
-      }
-    };
-
-    jwt.sign(
-      payload,
-      process.env.JWT_SECRET || 'your_jwt_secret_key',
-      { expiresIn: '24h' },
-      (err, token) => {
-        if (err) throw err;
-        res.json({
-          token,
-          user: {
-            id: user.id,
-            email: user.email,
-            name: user.name,
-            role: user.role
-          }
-        });
-      }
-    );
+    if (created || linked) {
+      audit.record(req, created ? 'auth.register' : 'user.oidc_link', {
+        actor: user.id,
+        actorEmail: user.email,
+        targetType: 'user',
+        targetId: user.id,
+        details: { method: 'oidc', role: user.role, department: user.department }
+      });
+    }
+    audit.record(req, 'auth.login', { actor: user.id, actorEmail: user.email, details: { method: 'oidc' } });
+
+    const tokens = await sessions.issueTokens(user, req, 'oidc');
+
+    // Tokens go in the fragment so they are not sent to servers or kept in logs
+    const fragment = new URLSearchParams({ ...tokens, returnTo });
+    res.redirect(`${FRONTEND_URL}/auth/callback#${fragment}`);
   } catch (err) {
-    console.error('Login error:', err);
+    console.error('OIDC callback error:', err);
+    fail('server_error', { error: err.message });
+  }
+});
+
+// @route   POST api/auth/2fa/verify
+// @desc    Complete a login with a two-factor code or a recovery code
+// @access  Public
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = twoFactor.readChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ message: 'Innloggingen er utløpt, logg inn på nytt' });
+    }
+
+    const user = await User.findById(userId).select(twoFactor.SECRET_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Innloggingen er utløpt, logg inn på nytt' });
+    }
+
+    const throttle = loginThrottle.checkLogin(user);
+    if (throttle) {
+      return sendThrottled(req, res, user, throttle);
+    }
+
+    const method = twoFactor.verify(user, { code, recoveryCode });
+    if (!method) {
+      await recordFailedLogin(req, user, 'wrong_2fa_code');
+      return res.status(400).json({ message: 'Ugyldig kode' });
+    }
+
+    if (method === 'recovery') {
+      audit.record(req, 'auth.2fa_recovery_used', {
+        actor: user.id,
+        actorEmail: user.email,
+        targetType: 'user',
+        targetId: user.id,
+        details: { remaining: user.twoFactor.recoveryCodes.length }
+      });
+    }
+
+    await completeLogin(req, res, user, { twoFactor: method });
+  } catch (err) {
+    console.error('Two-factor verify error:', err);
     res.status(500).json({ message: 'Serverfeil ved innlogging' });
   }
 });
 
+// @route   POST api/auth/2fa/setup
+// @desc    Start two-factor enrollment and get the authenticator QR code
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(twoFactor.SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'Bruker ikke funnet' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Tofaktorautentisering er allerede aktivert' });
+    }
+
+    // Two-factor only protects password login
+    if (user.localLoginDisabled || !user.password) {
+      return res.status(400).json({ message: 'Kontoen bruker single sign-on, tofaktor håndteres av innloggingstjenesten' });
+    }
+
+    const setup = await twoFactor.beginSetup(user);
+    await user.save();
+
+    audit.record(req, 'auth.2fa_setup', { targetType: 'user', targetId: user.id });
+
+    res.json(setup);
+  } catch (err) {
+    console.error('Two-factor setup error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppsett av tofaktorautentisering' });
+  }
+});
+
+// @route   POST api/auth/2fa/confirm
+// @desc    Confirm two-factor enrollment with a code and get recovery codes
+// @access  Private
+router.post('/2fa/confirm', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(twoFactor.SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'Bruker ikke funnet' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Tofaktorautentisering er allerede aktivert' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start oppsett av tofaktorautentisering først' });
+    }
+
+    const recoveryCodes = twoFactor.confirmSetup(user, req.body.code);
+    if (!recoveryCodes) {
+      audit.record(req, 'auth.2fa_enable', { outcome: 'failure', targetType: 'user', targetId: user.id, details: { reason: 'wrong_code' } });
+      return res.status(400).json({ message: 'Ugyldig kode' });
+    }
+
+    await user.save();
+
+    audit.record(req, 'auth.2fa_enable', { targetType: 'user', targetId: user.id });
+
+    // The recovery codes are only shown this once
+    res.json({ message: 'Tofaktorautentisering aktivert', recoveryCodes });
+  } catch (err) {
+    console.error('Two-factor confirm error:', err);
+    res.status(500).json({ message: 'Serverfeil ved aktivering av tofaktorautentisering' });
+  }
+});
+
+// @route   POST api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (requires password and a code)
+// @access  Private
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Vennligst fyll ut alle påkrevde felt' });
+    }
+
+    const user = await User.findById(req.user.id).select(twoFactor.SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'Bruker ikke funnet' });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Tofaktorautentisering er ikke aktivert' });
+    }
+
+    if (await twoFactor.isRequiredFor(user)) {
+      return res.status(403).json({ message: 'Tofaktorautentisering er påkrevd for din rolle' });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch || !twoFactor.verify(user, { code, recoveryCode })) {
+      audit.record(req, 'auth.2fa_disable', { outcome: 'failure', targetType: 'user', targetId: user.id, details: { reason: isMatch ? 'wrong_code' : 'wrong_password' } });
+      return res.status(400).json({ message: 'Feil passord eller kode' });
+    }
+
+    twoFactor.reset(user);
+    await user.save();
+
+    audit.record(req, 'auth.2fa_disable', { targetType: 'user', targetId: user.id });
+
+    res.json({ message: 'Tofaktorautentisering deaktivert' });
+  } catch (err) {
+    console.error('Two-factor disable error:', err);
+    res.status(500).json({ message: 'Serverfeil ved deaktivering av tofaktorautentisering' });
+  }
+});
+
+// @route   POST api/auth/forgot-password
+// @desc    E-mail a password reset link
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  // Same answer whether or not the address exists
+  const response = { message: 'Hvis e-postadressen er registrert, er det sendt en lenke for å tilbakestille passordet' };
+
+  try {
+    const email = normalizeEmail(req.body.email);
+    if (!email) {
+      return res.status(400).json({ message: 'Vennligst fyll ut alle påkrevde felt' });
+    }
+
+    const user = await User.findOne({ email });
+    if (!user || !user.isActive || user.localLoginDisabled || !user.password) {
+      audit.record(req, 'auth.password_reset_request', { outcome: 'failure', actorEmail: email, details: { reason: user ? 'not_allowed' : 'unknown_email' } });
+      return res.json(response);
+    }
+
+    // At most one e-mail a minute per user
+    const lastSent = await authTokens.lastIssuedAt(user, 'password_reset');
+    if (lastSent && Date.now() - lastSent < 60 * 1000) {
+      return res.json(response);
+    }
+
+    // Not awaited, so the response time does not reveal whether an e-mail was sent
+    mail.sendPasswordReset(user).catch(err => console.error('Password reset mail error:', err));
+
+    audit.record(req, 'auth.password_reset_request', { actor: user.id, actorEmail: user.email, targetType: 'user', targetId: user.id });
+
+    res.json(response);
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ message: 'Serverfeil ved tilbakestilling av passord' });
+  }
+});
+
+// @route   POST api/auth/reset-password
+// @desc    Set a new password with a token from a password reset e-mail
+// @access  Public
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Vennligst fyll ut alle påkrevde felt' });
+    }
+
+    const pending = await authTokens.find(token, 'password_reset');
+    if (!pending) {
+      return res.status(400).json({ message: 'Lenken er ugyldig eller utløpt' });
+    }
+
+    const user = await User.findById(pending.user).select('+passwordHistory');
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Lenken er ugyldig eller utløpt' });
+    }
+
+    // Check the password before using up the token, so the user can try another
+    const passwordError = await validatePassword(password, user);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    if (!(await authTokens.consume(token, 'password_reset'))) {
+      return res.status(400).json({ message: 'Lenken er ugyldig eller utløpt' });
+    }
+
+    await setPassword(user, password);
+    loginThrottle.reset(user);
+    await user.save();
+
+    // Whoever knew the old password is logged out
+    await sessions.revokeAllForUser(user.id, 'password_reset');
+
+    audit.record(req, 'auth.password_reset', { actor: user.id, actorEmail: user.email, targetType: 'user', targetId: user.id });
+
+    res.json({ message: 'Passordet er endret, du kan nå logge inn' });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ message: 'Serverfeil ved tilbakestilling av passord' });
+  }
+});
+
+// @route   POST api/auth/accept-invitation
+// @desc    Choose a password with a token from an invitation e-mail and log in
+// @access  Public
+router.post('/accept-invitation', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Vennligst fyll ut alle påkrevde felt' });
+    }
+
+    const pending = await authTokens.find(token, 'invitation');
+    if (!pending) {
+      return res.status(400).json({ message: 'Invitasjonen er ugyldig eller utløpt' });
+    }
+
+    const user = await User.findById(pending.user).select('+passwordHistory');
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Invitasjonen er ugyldig eller utløpt' });
+    }
+
+    const passwordError = await validatePassword(password, user);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    if (!(await authTokens.consume(token, 'invitation'))) {
+      return res.status(400).json({ message: 'Invitasjonen er ugyldig eller utløpt' });
+    }
+
+    await setPassword(user, password);
+    // The random password set at invitation was never known to anyone
+    user.passwordHistory = [];
+    user.invitationAcceptedAt = Date.now();
+
+    audit.record(req, 'auth.accept_invitation', { actor: user.id, actorEmail: user.email, targetType: 'user', targetId: user.id });
+
+    await completeLogin(req, res, user);
+  } catch (err) {
+    console.error('Accept invitation error:', err);
+    res.status(500).json({ message: 'Serverfeil ved aktivering av konto' });
+  }
+});
+
 // @route   GET api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -152,13 +614,105 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
-// @route   POST api/auth/logout
-// @desc    Logout user (client-side only)
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
 // @access  Public
-router.post('/logout', (req, res) => {
-  // JWT is stateless, so logout is handled client-side
-  // This endpoint is just for consistency
-  res.json({ message: 'Logget ut' });
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await sessions.rotate(req.body.refreshToken);
+
+    if (result.error) {
+      const session = result.session;
+      audit.record(req, 'auth.refresh', {
+        outcome: 'failure',
+        actor: session ? session.user : undefined,
+        targetType: 'session',
+        targetId: session ? session.id : undefined,
+        details: { reason: result.error }
+      });
+      return res.status(401).json({ message: 'Ugyldig eller utløpt økt, logg inn på nytt' });
+    }
+
+    audit.record(req, 'auth.refresh', {
+      actor: result.user.id,
+      actorEmail: result.user.email,
+      targetType: 'session',
+      targetId: result.session.id
+    });
+
+    res.json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (err) {
+    console.error('Refresh token error:', err);
+    res.status(500).json({ message: 'Serverfeil ved fornying av økt' });
+  }
+});
+
+// @route   POST api/auth/logout
+// @desc    Logout user by ending the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await sessions.revokeSession(req.user.sessionId, 'logout');
+    audit.record(req, 'auth.logout', { targetType: 'session', targetId: req.user.sessionId });
+    res.json({ message: 'Logget ut' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ message: 'Serverfeil ved utlogging' });
+  }
+});
+
+// @route   POST api/auth/logout-all
+// @desc    Logout user on all devices
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const result = await sessions.revokeAllForUser(req.user.id, 'logout_all');
+    audit.record(req, 'auth.logout_all', {
+      targetType: 'user',
+      targetId: req.user.id,
+      details: { revokedSessions: result.modifiedCount }
+    });
+    res.json({ message: 'Logget ut på alle enheter', revoked: result.modifiedCount });
+  } catch (err) {
+    console.error('Logout all error:', err);
+    res.status(500).json({ message: 'Serverfeil ved utlogging' });
+  }
+});
+
+// @route   GET api/auth/sessions
+// @desc    Get the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const active = await sessions.listActiveSessions(req.user.id);
+    res.json(active.map(session => ({
+      ...session.toJSON(),
+      current: session.id === req.user.sessionId
+    })));
+  } catch (err) {
+    console.error('Get sessions error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av økter' });
+  }
+});
+
+// @route   DELETE api/auth/sessions/:id
+// @desc    End one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ message: 'Økt ikke funnet' });
+    }
+
+    await sessions.revokeSession(session.id, 'revoked_by_user');
+    audit.record(req, 'auth.session_revoke', { targetType: 'session', targetId: session.id });
+
+    res.json({ message: 'Økt avsluttet' });
+  } catch (err) {
+    console.error('Revoke session error:', err);
+    res.status(500).json({ message: 'Serverfeil ved avslutning av økt' });
+  }
 });
 
 // @route   PUT api/auth/change-password
@@ -174,24 +728,43 @@ router.put('/change-password', auth, async (req, res) => {
     }
 
     // Get user
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(req.user.id).select('+passwordHistory');
     if (!user) {
       return res.status(404).json({ message: 'Bruker ikke funnet' });
     }
 
+    if (!user.password) {
+      return res.status(400).json({ message: 'Kontoen bruker single sign-on og har ikke eget passord' });
+    }
+
     // Check current password
     const isMatch = await bcrypt.compare(currentPassword, user.password);
     if (!isMatch) {
+      audit.record(req, 'user.change_password', { outcome: 'failure', targetType: 'user', targetId: user.id, details: { reason: 'wrong_password' } });
       return res.status(400).json({ message: 'Nåværende passord er feil' });
     }
 
+    const passwordError = await validatePassword(newPassword, user);
+    if (passwordError) {
+      audit.record(req, 'user.change_password', { outcome: 'failure', targetType: 'user', targetId: user.id, details: { reason: 'policy' } });
+      return res.status(400).json({ message: passwordError });
+    }
+
     // Hash new password
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(newPassword, salt);
+    await setPassword(user, newPassword);
 
     // Save user
     await user.save();
 
+    // Log out every other device; the session making the change stays active
+    const revoked = await sessions.revokeAllForUser(user.id, 'password_changed', req.user.sessionId);
+
+    audit.record(req, 'user.change_password', {
+      targetType: 'user',
+      targetId: user.id,
+      details: { revokedSessions: revoked.modifiedCount }
+    });
+
     res.json({ message: 'Passord endret' });
   } catch (err) {
     console.error('Change password error:', err);
@@ -3,6 +3,17 @@ const router = express.Router();
 const Category = require('../models/Category');
 const Document = require('../models/Document');
 const auth = require('../middleware/auth');
+const { requirePermission, scopes } = require('../middleware/permission');
+const { validateAccessEntries } = require('../utils/permissions');
+const audit = require('../services/audit');
+const webhooks = require('../services/webhooks');
+
+// Publish a category.changed webhook event
+const emitCategoryChange = (req, category, action, details = {}) => webhooks.emit('category.changed', {
+  action,
+  category: { id: String(category._id), name: category.name },
+  ...details
+}, req.user.id);
 
 // @route   GET api/categories
 // @desc    Get all categories
@@ -10,6 +21,7 @@ const auth = require('../middleware/auth');
 router.get('/', auth, async (req, res) => {
   try {
     const categories = await Category.find().sort({ name: 1 });
+    
     res.json(categories);
   } catch (err) {
     console.error('Get categories error:', err);
@@ -37,14 +49,9 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   POST api/categories
 // @desc    Create a new category
-// @access  Private (admin only)
-router.post('/', auth, async (req, res) => {
+// @access  Private (manage permission)
+router.post('/', auth, requirePermission('manage', scopes.global, 'Ikke tilgang til å opprette kategorier'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin' && req.user.role !== 'it_ansvarlig') {
-      return res.status(403).json({ message: 'Ikke tilgang til å opprette kategorier' });
-    }
-    
     const { name, description, subcategories } = req.body;
     
     // Validate input
@@ -68,6 +75,9 @@ router.post('/', auth, async (req, res) => {
     // Save category
     const savedCategory = await newCategory.save();
     
+    audit.record(req, 'category.create', { targetType: 'category', targetId: savedCategory._id, details: { name } });
+    emitCategoryChange(req, savedCategory, 'created');
+    
     res.status(201).json(savedCategory);
   } catch (err) {
     console.error('Create category error:', err);
@@ -77,14 +87,9 @@ router.post('/', auth, async (req, res) => {
 
 // @route   PUT api/categories/:id
 // @desc    Update a category
-// @access  Private (admin only)
-router.put('/:id', auth, async (req, res) => {
+// @access  Private (manage permission)
+router.put('/:id', auth, requirePermission('manage', scopes.fromCategory, 'Ikke tilgang til å oppdatere kategorier'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin' && req.user.role !== 'it_ansvarlig') {
-      return res.status(403).json({ message: 'Ikke tilgang til å oppdatere kategorier' });
-    }
-    
     const { name, description } = req.body;
     
     // Find category
@@ -109,6 +114,9 @@ router.put('/:id', auth, async (req, res) => {
     // Save category
     const updatedCategory = await category.save();
     
+    audit.record(req, 'category.update', { targetType: 'category', targetId: updatedCategory._id, details: { name, description } });
+    emitCategoryChange(req, updatedCategory, 'updated');
+    
     res.json(updatedCategory);
   } catch (err) {
     console.error('Update category error:', err);
@@ -118,14 +126,9 @@ router.put('/:id', auth, async (req, res) => {
 
 // @route   DELETE api/categories/:id
 // @desc    Delete a category
-// @access  Private (admin only)
-router.delete('/:id', auth, async (req, res) => {
+// @access  Private (manage permission)
+router.delete('/:id', auth, requirePermission('manage', scopes.fromCategory, 'Ikke tilgang til å slette kategorier'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin' && req.user.role !== 'it_ansvarlig') {
-      return res.status(403).json({ message: 'Ikke tilgang til å slette kategorier' });
-    }
-    
     // Check if category has documents
     const documentsCount = await Document.countDocuments({ category: req.params.id });
     if (documentsCount > 0) {
@@ -141,6 +144,9 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Kategori ikke funnet' });
     }
     
+    audit.record(req, 'category.delete', { targetType: 'category', targetId: category._id, details: { name: category.name } });
+    emitCategoryChange(req, category, 'deleted');
+    
     res.json({ message: 'Kategori slettet' });
   } catch (err) {
     console.error('Delete category error:', err);
@@ -150,14 +156,9 @@ router.delete('/:id', auth, async (req, res) => {
 
 // @route   POST api/categories/:id/subcategories
 // @desc    Add a subcategory to a category
-// @access  Private (admin only)
-router.post('/:id/subcategories', auth, async (req, res) => {
+// @access  Private (manage permission)
+router.post('/:id/subcategories', auth, requirePermission('manage', scopes.fromCategory, 'Ikke tilgang til å legge til underkategorier'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin' && req.user.role !== 'it_ansvarlig') {
-      return res.status(403).json({ message: 'Ikke tilgang til å legge til underkategorier' });
-    }
-    
     const { name, description } = req.body;
     
     // Validate input
@@ -187,6 +188,9 @@ router.post('/:id/subcategories', auth, async (req, res) => {
     // Save category
     const updatedCategory = await category.save();
     
+    audit.record(req, 'subcategory.create', { targetType: 'category', targetId: updatedCategory._id, details: { name } });
+    emitCategoryChange(req, updatedCategory, 'subcategory_created', { subcategory: name });
+    
     res.json(updatedCategory);
   } catch (err) {
     console.error('Add subcategory error:', err);
@@ -196,14 +200,9 @@ router.post('/:id/subcategories', auth, async (req, res) => {
 
 // @route   PUT api/categories/:id/subcategories/:name
 // @desc    Update a subcategory
-// @access  Private (admin only)
-router.put('/:id/subcategories/:name', auth, async (req, res) => {
+// @access  Private (manage permission)
+router.put('/:id/subcategories/:name', auth, requirePermission('manage', scopes.fromCategory, 'Ikke tilgang til å oppdatere underkategorier'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin' && req.user.role !== 'it_ansvarlig') {
-      return res.status(403).json({ message: 'Ikke tilgang til å oppdatere underkategorier' });
-    }
-    
     const { newName, description } = req.body;
     const { name } = req.params;
     
@@ -255,6 +254,9 @@ router.put('/:id/subcategories/:name', auth, async (req, res) => {
     // Save category
     const updatedCategory = await category.save();
     
+    audit.record(req, 'subcategory.update', { targetType: 'category', targetId: updatedCategory._id, details: { name, newName, description } });
+    emitCategoryChange(req, updatedCategory, 'subcategory_updated', { subcategory: newName || name, previousName: name });
+    
     res.json(updatedCategory);
   } catch (err) {
     console.error('Update subcategory error:', err);
@@ -264,14 +266,9 @@ router.put('/:id/subcategories/:name', auth, async (req, res) => {
 
 // @route   DELETE api/categories/:id/subcategories/:name
 // @desc    Delete a subcategory
-// @access  Private (admin only)
-router.delete('/:id/subcategories/:name', auth, async (req, res) => {
+// @access  Private (manage permission)
+router.delete('/:id/subcategories/:name', auth, requirePermission('manage', scopes.fromCategory, 'Ikke tilgang til å slette underkategorier'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin' && req.user.role !== 'it_ansvarlig') {
-      return res.status(403).json({ message: 'Ikke tilgang til å slette underkategorier' });
-    }
-    
     const { name } = req.params;
     
     // Check if subcategory has documents
@@ -305,6 +302,9 @@ router.delete('/:id/subcategories/:name', auth, async (req, res) => {
     // Save category
     const updatedCategory = await category.save();
     
+    audit.record(req, 'subcategory.delete', { targetType: 'category', targetId: updatedCategory._id, details: { name } });
+    emitCategoryChange(req, updatedCategory, 'subcategory_deleted', { subcategory: name });
+    
     res.json(updatedCategory);
   } catch (err) {
     console.error('Delete subcategory error:', err);
@@ -312,4 +312,106 @@ router.delete('/:id/subcategories/:name', auth, async (req, res) => {
   }
 });
 
+// @route   GET api/categories/:id/permissions
+// @desc    Get the permission grants of a category and its subcategories
+// @access  Private (manage permission)
+router.get('/:id/permissions', auth, requirePermission('manage', scopes.fromCategory, 'Ikke tilgang til å se tilganger'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Kategori ikke funnet' });
+    }
+    
+    audit.record(req, 'category.permissions_view', { targetType: 'category', targetId: category._id });
+    
+    res.json({
+      permissions: category.permissions,
+      subcategories: category.subcategories.map(sub => ({
+        name: sub.name,
+        permissions: sub.permissions
+      }))
+    });
+  } catch (err) {
+    console.error('Get category permissions error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av tilganger' });
+  }
+});
+
+// @route   PUT api/categories/:id/permissions
+// @desc    Replace the permission grants of a category
+// @access  Private (manage permission)
+router.put('/:id/permissions', auth, requirePermission('manage', scopes.fromCategory, 'Ikke tilgang til å endre tilganger'), async (req, res) => {
+  try {
+    const { permissions } = req.body;
+    
+    // Validate input
+    const validationError = validateAccessEntries(permissions);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    // Find category
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Kategori ikke funnet' });
+    }
+    
+    // Update grants
+    category.permissions = permissions;
+    category.updatedAt = Date.now();
+    
+    // Save category
+    const updatedCategory = await category.save();
+    
+    audit.record(req, 'category.permissions_update', { targetType: 'category', targetId: updatedCategory._id, details: { permissions } });
+    
+    res.json(updatedCategory);
+  } catch (err) {
+    console.error('Update category permissions error:', err);
+    res.status(500).json({ message: 'Serverfeil ved endring av tilganger' });
+  }
+});
+
+// @route   PUT api/categories/:id/subcategories/:name/permissions
+// @desc    Replace the permission grants of a subcategory (added to the inherited grants)
+// @access  Private (manage permission)
+router.put('/:id/subcategories/:name/permissions', auth, requirePermission('manage', scopes.fromCategory, 'Ikke tilgang til å endre tilganger'), async (req, res) => {
+  try {
+    const { permissions } = req.body;
+    const { name } = req.params;
+    
+    // Validate input
+    const validationError = validateAccessEntries(permissions);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    // Find category
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ message: 'Kategori ikke funnet' });
+    }
+    
+    // Find subcategory
+    const subcategory = category.subcategories.find(sub => sub.name === name);
+    if (!subcategory) {
+      return res.status(404).json({ message: 'Underkategori ikke funnet' });
+    }
+    
+    // Update grants
+    subcategory.permissions = permissions;
+    category.updatedAt = Date.now();
+    
+    // Save category
+    const updatedCategory = await category.save();
+    
+    audit.record(req, 'subcategory.permissions_update', { targetType: 'category', targetId: updatedCategory._id, details: { name, permissions } });
+    
+    res.json(updatedCategory);
+  } catch (err) {
+    console.error('Update subcategory permissions error:', err);
+    res.status(500).json({ message: 'Serverfeil ved endring av tilganger' });
+  }
+});
+
 module.exports = router;
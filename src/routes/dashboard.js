@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const dashboard = require('../services/dashboard');
+
+// @route   GET api/dashboard
+// @desc    Get compliance statistics for the documents the user may read:
+//          counts per category, reviews, empty subcategories, recent changes and
+//          storage use, plus user and department activity for managers
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    res.json(await dashboard.getStats(req.user));
+  } catch (err) {
+    console.error('Get dashboard error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av oversikt' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,302 @@
+const express = require('express');
+const router = express.Router();
+const DataProcessor = require('../models/DataProcessor');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/permission');
+const audit = require('../services/audit');
+const dataProcessors = require('../services/dataProcessors');
+const { sendCsv } = require('../utils/csv');
+const { escapeRegex, cleanList, queryValue } = require('../utils/text');
+
+// The register is kept by the data protection officer, with read access for IT
+const canView = requireRole('admin', 'personvernombud', 'it_ansvarlig');
+const canEdit = requireRole('admin', 'personvernombud');
+
+const populateProcessor = (query) => query
+  .populate('owner', 'name email')
+  .populate('agreement.document', 'title status version reviewDate')
+  .populate('createdBy', 'name')
+  .populate('updatedBy', 'name');
+
+// Copy the request fields to a processor. Returns an error message or null.
+const applyFields = async (processor, body) => {
+  ['name', 'organizationNumber', 'country', 'notes'].forEach(field => {
+    if (body[field] !== undefined) {
+      processor[field] = String(body[field]).trim();
+    }
+  });
+
+  ['services', 'dataCategories'].forEach(field => {
+    if (body[field] !== undefined) {
+      processor[field] = cleanList(body[field]);
+    }
+  });
+
+  if (body.contact !== undefined) {
+    processor.contact = {
+      name: (body.contact && body.contact.name) || '',
+      email: (body.contact && body.contact.email) || ''
+    };
+  }
+
+  if (body.subprocessors !== undefined) {
+    processor.subprocessors = body.subprocessors.map(subprocessor => ({
+      name: String(subprocessor.name).trim(),
+      country: subprocessor.country || '',
+      service: subprocessor.service || '',
+      transferMechanism: subprocessor.transferMechanism || 'none'
+    }));
+  }
+
+  if (body.transferMechanism !== undefined) {
+    processor.transferMechanism = body.transferMechanism;
+  }
+
+  if (body.agreement !== undefined) {
+    const { document, signedAt, expiresAt, terminationNoticeDays } = body.agreement || {};
+    if (document !== undefined) {
+      if (document && !(await dataProcessors.agreementDocumentExists(document))) {
+        return 'Avtaledokumentet finnes ikke';
+      }
+      processor.agreement.document = document || undefined;
+    }
+    if (signedAt !== undefined) processor.agreement.signedAt = signedAt || undefined;
+    if (expiresAt !== undefined) processor.agreement.expiresAt = expiresAt || undefined;
+    if (terminationNoticeDays !== undefined) processor.agreement.terminationNoticeDays = terminationNoticeDays;
+  }
+
+  if (body.owner !== undefined) {
+    if (body.owner && !(await User.exists({ _id: body.owner, isActive: true }))) {
+      return 'Ugyldig ansvarlig';
+    }
+    processor.owner = body.owner || undefined;
+  }
+
+  if (body.status !== undefined && body.status !== processor.status) {
+    processor.status = body.status;
+    processor.terminatedAt = body.status === 'terminated' ? new Date() : undefined;
+  }
+
+  return null;
+};
+
+// @route   GET api/data-processors
+// @desc    Get data processors with optional filtering and pagination (search,
+//          status=active|terminated|all, agreementStatus=missing|expired|expiring|valid)
+// @access  Private (admin, personvernombud, it_ansvarlig)
+router.get('/', auth, canView, async (req, res) => {
+  try {
+    const { status = 'active', agreementStatus, page = 1, limit = 20 } = req.query;
+    const search = queryValue(req.query.search);
+
+    const conditions = [];
+
+    if (status !== 'all') {
+      conditions.push({ status });
+    }
+
+    if (agreementStatus) {
+      const filter = dataProcessors.agreementStatusFilter(agreementStatus);
+      if (!filter) {
+        return res.status(400).json({ message: 'Ugyldig avtalestatus' });
+      }
+      conditions.push(filter);
+    }
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      conditions.push({ $or: [{ name: pattern }, { organizationNumber: pattern }, { services: pattern }, { 'subprocessors.name': pattern }] });
+    }
+
+    const query = conditions.length > 0 ? { $and: conditions } : {};
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const processors = await DataProcessor.find(query)
+      .populate('owner', 'name')
+      .populate('agreement.document', 'title')
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Get total count for pagination
+    const total = await DataProcessor.countDocuments(query);
+
+    const now = new Date();
+    res.json({
+      processors: processors.map(processor => dataProcessors.withAgreementStatus(processor, now)),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Get data processors error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av databehandlere' });
+  }
+});
+
+// @route   GET api/data-processors/report
+// @desc    Report of active processors lacking a valid agreement (missing or
+//          expired, and expiring with includeExpiring=true); format=json|csv
+// @access  Private (admin, personvernombud, it_ansvarlig)
+router.get('/report', auth, canView, async (req, res) => {
+  try {
+    const { format = 'json', includeExpiring } = req.query;
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ message: 'Ugyldig format' });
+    }
+
+    const statuses = includeExpiring === 'true' ? ['missing', 'expired', 'expiring'] : ['missing', 'expired'];
+    const processors = await DataProcessor.find({
+      status: 'active',
+      $or: statuses.map(status => dataProcessors.agreementStatusFilter(status))
+    })
+      .populate('owner', 'name')
+      .populate('agreement.document', 'title')
+      .sort({ name: 1 });
+
+    audit.record(req, 'data_processor.report', { details: { format, statuses, processors: processors.length } });
+
+    if (format === 'csv') {
+      const date = new Date().toISOString().slice(0, 10);
+      return sendCsv(res, `databehandlere-uten-gyldig-avtale-${date}.csv`, processors, dataProcessors.REPORT_COLUMNS);
+    }
+
+    const now = new Date();
+    const items = processors.map(processor => dataProcessors.withAgreementStatus(processor, now));
+    const byStatus = Object.fromEntries(statuses.map(status => [
+      status,
+      items.filter(item => item.agreementStatus.status === status).length
+    ]));
+
+    res.json({ total: items.length, byStatus, processors: items });
+  } catch (err) {
+    console.error('Get data processor report error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av rapport' });
+  }
+});
+
+// @route   GET api/data-processors/:id
+// @desc    Get a data processor
+// @access  Private (admin, personvernombud, it_ansvarlig)
+router.get('/:id', auth, canView, async (req, res) => {
+  try {
+    const processor = await populateProcessor(DataProcessor.findById(req.params.id));
+    if (!processor) {
+      return res.status(404).json({ message: 'Databehandler ikke funnet' });
+    }
+
+    res.json(dataProcessors.withAgreementStatus(processor));
+  } catch (err) {
+    console.error('Get data processor error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av databehandler' });
+  }
+});
+
+// @route   POST api/data-processors
+// @desc    Register a data processor and its agreement
+// @access  Private (admin, personvernombud)
+router.post('/', auth, canEdit, async (req, res) => {
+  try {
+    const validationError = dataProcessors.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const processor = new DataProcessor({ createdBy: req.user.id, updatedBy: req.user.id });
+
+    const error = await applyFields(processor, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await processor.save();
+
+    audit.record(req, 'data_processor.create', {
+      targetType: 'data_processor',
+      targetId: processor._id,
+      document: processor.agreement.document,
+      details: { name: processor.name, agreementStatus: dataProcessors.agreementStatus(processor).status }
+    });
+
+    res.status(201).json(dataProcessors.withAgreementStatus(await populateProcessor(DataProcessor.findById(processor._id))));
+  } catch (err) {
+    console.error('Create data processor error:', err);
+    res.status(500).json({ message: 'Serverfeil ved registrering av databehandler' });
+  }
+});
+
+// @route   PUT api/data-processors/:id
+// @desc    Update a data processor or its agreement
+// @access  Private (admin, personvernombud)
+router.put('/:id', auth, canEdit, async (req, res) => {
+  try {
+    const processor = await DataProcessor.findById(req.params.id);
+    if (!processor) {
+      return res.status(404).json({ message: 'Databehandler ikke funnet' });
+    }
+
+    const validationError = dataProcessors.validate(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const error = await applyFields(processor, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { signedAt, expiresAt } = processor.agreement;
+    if (signedAt && expiresAt && expiresAt <= signedAt) {
+      return res.status(400).json({ message: 'Utløpsdato må være etter signeringsdato' });
+    }
+
+    const changedFields = processor.modifiedPaths().filter(path => !path.includes('.'));
+    processor.updatedBy = req.user.id;
+    await processor.save();
+
+    audit.record(req, 'data_processor.update', {
+      targetType: 'data_processor',
+      targetId: processor._id,
+      document: processor.agreement.document,
+      details: { name: processor.name, fields: changedFields, agreementStatus: dataProcessors.agreementStatus(processor).status }
+    });
+
+    res.json(dataProcessors.withAgreementStatus(await populateProcessor(DataProcessor.findById(processor._id))));
+  } catch (err) {
+    console.error('Update data processor error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av databehandler' });
+  }
+});
+
+// @route   DELETE api/data-processors/:id
+// @desc    Delete a data processor registered by mistake (terminate ended relationships)
+// @access  Private (admin only)
+router.delete('/:id', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const processor = await DataProcessor.findById(req.params.id);
+    if (!processor) {
+      return res.status(404).json({ message: 'Databehandler ikke funnet' });
+    }
+
+    await processor.deleteOne();
+
+    audit.record(req, 'data_processor.delete', {
+      targetType: 'data_processor',
+      targetId: processor._id,
+      details: { name: processor.name }
+    });
+
+    res.json({ message: 'Databehandler slettet' });
+  } catch (err) {
+    console.error('Delete data processor error:', err);
+    res.status(500).json({ message: 'Serverfeil ved sletting av databehandler' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,671 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Deviation = require('../models/Deviation');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { visibleDocumentsFilter } = require('../middleware/permission');
+const audit = require('../services/audit');
+const deviations = require('../services/deviations');
+const { notify } = require('../services/notifications');
+const { escapeRegex, cleanList, queryValue, queryList } = require('../utils/text');
+
+// Dates come as strings or timestamps; new Date(null) and new Date(true) would
+// pass as valid dates
+const isValidDate = (value) => (typeof value === 'string' || typeof value === 'number') &&
+  !Number.isNaN(new Date(value).getTime());
+
+// Validate the fields of a deviation. Returns an error message or null.
+const validateDeviation = ({ title, severity, affectedAssets, personalDataInvolved, detectedAt }, partial = false) => {
+  if (!partial && !title) {
+    return 'Tittel er påkrevd';
+  }
+  if (partial && title !== undefined && !title) {
+    return 'Tittel kan ikke være tom';
+  }
+  if (severity !== undefined && !deviations.SEVERITY_LABELS[severity]) {
+    return 'Ugyldig alvorlighetsgrad';
+  }
+  if (affectedAssets !== undefined && !Array.isArray(affectedAssets)) {
+    return 'Berørte verdier må være en liste';
+  }
+  if (personalDataInvolved !== undefined && typeof personalDataInvolved !== 'boolean') {
+    return 'Ugyldig verdi for personopplysninger';
+  }
+  if (detectedAt !== undefined && (!isValidDate(detectedAt) || new Date(detectedAt) > new Date())) {
+    return 'Ugyldig tidspunkt for oppdagelse';
+  }
+  return null;
+};
+
+// Validate the fields of a corrective action. Returns an error message or null.
+const validateAction = async ({ description, owner, dueDate }, partial = false) => {
+  if (!partial && (!description || !owner || !dueDate)) {
+    return 'Beskrivelse, ansvarlig og frist er påkrevd';
+  }
+  if (dueDate !== undefined && !isValidDate(dueDate)) {
+    return 'Ugyldig frist';
+  }
+  if (owner !== undefined &&
+    (!mongoose.Types.ObjectId.isValid(owner) || !(await User.exists({ _id: owner, isActive: true })))) {
+    return 'Ugyldig ansvarlig';
+  }
+  return null;
+};
+
+// Linked documents are only included if the user may see them
+const populateDeviation = async (query, user) => query
+  .populate('owner', 'name email')
+  .populate('reportedBy', 'name email')
+  .populate('correctiveActions.owner', 'name email')
+  .populate('correctiveActions.completedBy', 'name')
+  .populate('statusHistory.user', 'name')
+  .populate({
+    path: 'documents',
+    select: 'title status version category subcategory',
+    match: await visibleDocumentsFilter(user)
+  });
+
+// Load a deviation the user may see. Sends the error response and returns null
+// when it is missing or hidden.
+const findVisible = async (req, res) => {
+  const deviation = await Deviation.findById(req.params.id);
+  if (!deviation || !deviations.canView(req.user, deviation)) {
+    res.status(404).json({ message: 'Avvik ikke funnet' });
+    return null;
+  }
+  return deviation;
+};
+
+// As findVisible, but the user must also be allowed to handle the deviation
+const findEditable = async (req, res) => {
+  const deviation = await findVisible(req, res);
+  if (deviation && !deviations.canEdit(req.user, deviation)) {
+    res.status(403).json({ message: 'Ikke tilgang til å behandle avviket' });
+    return null;
+  }
+  return deviation;
+};
+
+const sendDeviation = async (req, res, deviation) => {
+  res.json(await populateDeviation(Deviation.findById(deviation._id), req.user));
+};
+
+// @route   GET api/deviations
+// @desc    Get deviations with optional filtering and pagination (status, severity,
+//          personalData=true|false, authorityOverdue=true, owner, search)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { status, severity, personalData, authorityOverdue, owner, page = 1, limit = 20 } = req.query;
+    const search = queryValue(req.query.search);
+
+    const conditions = [deviations.visibleFilter(req.user)];
+
+    const statuses = queryList(status);
+    if (statuses.length > 0) {
+      conditions.push({ status: { $in: statuses } });
+    }
+
+    const severities = queryList(severity);
+    if (severities.length > 0) {
+      conditions.push({ severity: { $in: severities } });
+    }
+
+    if (personalData === 'true' || personalData === 'false') {
+      conditions.push({ personalDataInvolved: personalData === 'true' });
+    }
+
+    if (authorityOverdue === 'true') {
+      conditions.push(deviations.overdueAuthorityFilter());
+    }
+
+    if (owner) {
+      conditions.push({ owner });
+    }
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      conditions.push({ $or: [{ reference: pattern }, { title: pattern }, { description: pattern }, { affectedAssets: pattern }] });
+    }
+
+    const query = { $and: conditions };
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const list = await Deviation.find(query)
+      .populate('owner', 'name')
+      .populate('reportedBy', 'name')
+      .select('-statusHistory')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Get total count for pagination
+    const total = await Deviation.countDocuments(query);
+
+    res.json({
+      deviations: list,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Get deviations error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av avvik' });
+  }
+});
+
+// @route   GET api/deviations/:id
+// @desc    Get a deviation
+// @access  Private (managers, reporter, owner and action owners)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const deviation = await findVisible(req, res);
+    if (!deviation) {
+      return;
+    }
+
+    await sendDeviation(req, res, deviation);
+  } catch (err) {
+    console.error('Get deviation error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av avvik' });
+  }
+});
+
+// @route   POST api/deviations
+// @desc    Report a deviation
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const { title, description, severity, affectedAssets, personalDataInvolved, detectedAt, owner } = req.body;
+
+    const error = validateDeviation({ title, severity, affectedAssets, personalDataInvolved, detectedAt });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Only managers assign the deviation when reporting it
+    if (owner !== undefined && !deviations.isManager(req.user)) {
+      return res.status(403).json({ message: 'Ikke tilgang til å tildele avvik' });
+    }
+    if (owner && (!mongoose.Types.ObjectId.isValid(owner) || !(await User.exists({ _id: owner, isActive: true })))) {
+      return res.status(400).json({ message: 'Ugyldig ansvarlig' });
+    }
+
+    const deviation = new Deviation({
+      reference: await deviations.nextReference(),
+      title,
+      description,
+      severity,
+      affectedAssets: affectedAssets ? cleanList(affectedAssets) : [],
+      personalDataInvolved: personalDataInvolved === true,
+      detectedAt: detectedAt || Date.now(),
+      owner: owner || undefined,
+      reportedBy: req.user.id,
+      statusHistory: [{ to: 'reported', user: req.user.id }]
+    });
+    await deviation.save();
+
+    audit.record(req, 'deviation.create', {
+      targetType: 'deviation',
+      targetId: deviation._id,
+      details: { reference: deviation.reference, severity: deviation.severity, personalDataInvolved: deviation.personalDataInvolved }
+    });
+
+    const handlers = (await deviations.getHandlerIds(deviation))
+      .filter(userId => String(userId) !== String(req.user.id));
+    await notify(handlers, {
+      title: deviation.personalDataInvolved ? 'Nytt avvik med personopplysninger' : 'Nytt avvik meldt',
+      message: deviation.personalDataInvolved
+        ? `${deviation.reference} «${deviation.title}» berører personopplysninger. Fristen for melding til Datatilsynet er 72 timer etter at avviket ble oppdaget.`
+        : `${deviation.reference} «${deviation.title}» er meldt med alvorlighetsgrad ${deviations.SEVERITY_LABELS[deviation.severity].toLowerCase()}.`,
+      type: 'deviation',
+      relatedDeviation: deviation._id
+    });
+
+    if (deviation.owner && String(deviation.owner) !== String(req.user.id)) {
+      await notify([deviation.owner], {
+        title: 'Du er ansvarlig for et avvik',
+        message: `Du er satt som ansvarlig for ${deviation.reference} «${deviation.title}».`,
+        type: 'deviation',
+        relatedDeviation: deviation._id
+      });
+    }
+
+    res.status(201).json(deviation);
+  } catch (err) {
+    console.error('Create deviation error:', err);
+    res.status(500).json({ message: 'Serverfeil ved registrering av avvik' });
+  }
+});
+
+// @route   PUT api/deviations/:id
+// @desc    Update a deviation (title, description, severity, affectedAssets,
+//          personalDataInvolved, detectedAt, rootCause, owner)
+// @access  Private (managers and owner; only managers change the owner)
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const deviation = await findEditable(req, res);
+    if (!deviation) {
+      return;
+    }
+
+    const { title, description, severity, affectedAssets, personalDataInvolved, detectedAt, rootCause, owner } = req.body;
+
+    const error = validateDeviation({ title, severity, affectedAssets, personalDataInvolved, detectedAt }, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (owner !== undefined) {
+      if (!deviations.isManager(req.user)) {
+        return res.status(403).json({ message: 'Ikke tilgang til å tildele avvik' });
+      }
+      if (owner && (!mongoose.Types.ObjectId.isValid(owner) || !(await User.exists({ _id: owner, isActive: true })))) {
+        return res.status(400).json({ message: 'Ugyldig ansvarlig' });
+      }
+    }
+
+    // The detection time starts the 72-hour deadline for notifying the data
+    // protection authority, so only managers may move it or clear personal data.
+    // Anyone may mark personal data as involved, which notifies the handlers.
+    if (!deviations.isManager(req.user)) {
+      const movesDetection = detectedAt !== undefined &&
+        new Date(detectedAt).getTime() !== new Date(deviation.detectedAt).getTime();
+      const clearsPersonalData = personalDataInvolved === false && deviation.personalDataInvolved;
+      if (movesDetection || clearsPersonalData) {
+        return res.status(403).json({ message: 'Ikke tilgang til å endre oppdagelsestidspunktet eller fjerne markeringen av personopplysninger' });
+      }
+    }
+
+    const previousOwner = deviation.owner ? String(deviation.owner) : null;
+    const hadPersonalData = deviation.personalDataInvolved;
+
+    if (title !== undefined) deviation.title = title;
+    if (description !== undefined) deviation.description = description;
+    if (severity !== undefined) deviation.severity = severity;
+    if (affectedAssets !== undefined) deviation.affectedAssets = cleanList(affectedAssets);
+    if (personalDataInvolved !== undefined) deviation.personalDataInvolved = personalDataInvolved;
+    if (detectedAt !== undefined) deviation.detectedAt = detectedAt;
+    if (rootCause !== undefined) deviation.rootCause = rootCause;
+    if (owner !== undefined) deviation.owner = owner || undefined;
+
+    const changedFields = deviation.modifiedPaths().filter(path => !path.includes('.'));
+    await deviation.save();
+
+    audit.record(req, 'deviation.update', {
+      targetType: 'deviation',
+      targetId: deviation._id,
+      details: { reference: deviation.reference, fields: changedFields }
+    });
+
+    if (deviation.owner && String(deviation.owner) !== previousOwner && String(deviation.owner) !== String(req.user.id)) {
+      await notify([deviation.owner], {
+        title: 'Du er ansvarlig for et avvik',
+        message: `Du er satt som ansvarlig for ${deviation.reference} «${deviation.title}».`,
+        type: 'deviation',
+        relatedDeviation: deviation._id
+      });
+    }
+
+    // Involve the data protection officer as soon as personal data turns out to be involved
+    if (!hadPersonalData && deviation.personalDataInvolved) {
+      const handlers = (await deviations.getHandlerIds(deviation))
+        .filter(userId => String(userId) !== String(req.user.id));
+      await notify(handlers, {
+        title: 'Avvik berører personopplysninger',
+        message: `${deviation.reference} «${deviation.title}» berører personopplysninger. Fristen for melding til Datatilsynet er 72 timer etter at avviket ble oppdaget.`,
+        type: 'deviation',
+        relatedDeviation: deviation._id
+      });
+    }
+
+    await sendDeviation(req, res, deviation);
+  } catch (err) {
+    console.error('Update deviation error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av avvik' });
+  }
+});
+
+// @route   POST api/deviations/:id/status
+// @desc    Move a deviation through its lifecycle {status, comment}
+// @access  Private (managers and owner; only managers reopen a closed deviation)
+router.post('/:id/status', auth, async (req, res) => {
+  try {
+    const deviation = await findEditable(req, res);
+    if (!deviation) {
+      return;
+    }
+
+    const { status, comment = '' } = req.body;
+
+    if (deviation.status === 'closed' && !deviations.isManager(req.user)) {
+      return res.status(403).json({ message: 'Ikke tilgang til å gjenåpne avvik' });
+    }
+
+    const error = deviations.checkTransition(deviation, status, comment);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const from = deviation.status;
+    deviation.status = status;
+    deviation.closedAt = status === 'closed' ? new Date() : undefined;
+    deviation.statusHistory.push({ from, to: status, user: req.user.id, comment });
+    await deviation.save();
+
+    audit.record(req, 'deviation.status', {
+      targetType: 'deviation',
+      targetId: deviation._id,
+      details: { reference: deviation.reference, from, to: status, comment }
+    });
+
+    const recipients = [deviation.reportedBy, deviation.owner]
+      .filter(userId => userId && String(userId) !== String(req.user.id));
+    await notify(recipients, {
+      title: 'Status for avvik er endret',
+      message: `${deviation.reference} «${deviation.title}» har fått status ${deviations.STATUS_LABELS[status].toLowerCase()}.${comment ? ` Kommentar: ${comment}` : ''}`,
+      type: 'deviation',
+      relatedDeviation: deviation._id
+    });
+
+    await sendDeviation(req, res, deviation);
+  } catch (err) {
+    console.error('Change deviation status error:', err);
+    res.status(500).json({ message: 'Serverfeil ved endring av status' });
+  }
+});
+
+// @route   PUT api/deviations/:id/authority-notification
+// @desc    Record the assessment of and notification to Datatilsynet
+//          {required, notifiedAt, reference, justification}
+// @access  Private (admin, personvernombud)
+router.put('/:id/authority-notification', auth, async (req, res) => {
+  try {
+    const deviation = await findVisible(req, res);
+    if (!deviation) {
+      return;
+    }
+
+    if (!['admin', 'personvernombud'].includes(req.user.role)) {
+      return res.status(403).json({ message: 'Ikke tilgang' });
+    }
+
+    if (!deviation.personalDataInvolved) {
+      return res.status(400).json({ message: 'Avviket berører ikke personopplysninger' });
+    }
+
+    const { required, notifiedAt, reference, justification } = req.body;
+    const notification = deviation.authorityNotification;
+
+    if (required !== undefined && required !== null && typeof required !== 'boolean') {
+      return res.status(400).json({ message: 'Ugyldig verdi for meldeplikt' });
+    }
+    if (notifiedAt && !isValidDate(notifiedAt)) {
+      return res.status(400).json({ message: 'Ugyldig tidspunkt for melding' });
+    }
+
+    const nextRequired = required !== undefined ? required : notification.required;
+    const nextJustification = justification !== undefined ? justification : notification.justification;
+    const nextNotifiedAt = notifiedAt !== undefined ? notifiedAt && new Date(notifiedAt) : notification.notifiedAt;
+
+    // Article 33: a decision not to notify, and a late notification, must be justified
+    if (nextRequired === false && !nextJustification) {
+      return res.status(400).json({ message: 'Begrunnelse er påkrevd når avviket ikke meldes' });
+    }
+    if (nextNotifiedAt && nextNotifiedAt > notification.deadline && !nextJustification) {
+      return res.status(400).json({ message: 'Begrunnelse for forsinket melding er påkrevd' });
+    }
+
+    if (required !== undefined) notification.required = required;
+    if (notifiedAt !== undefined) notification.notifiedAt = nextNotifiedAt || undefined;
+    if (reference !== undefined) notification.reference = reference;
+    if (justification !== undefined) notification.justification = justification;
+    if (notification.notifiedAt) notification.required = true;
+
+    await deviation.save();
+
+    audit.record(req, 'deviation.authority_notification', {
+      targetType: 'deviation',
+      targetId: deviation._id,
+      details: {
+        reference: deviation.reference,
+        required: notification.required,
+        notifiedAt: notification.notifiedAt,
+        late: Boolean(notification.notifiedAt && notification.notifiedAt > notification.deadline)
+      }
+    });
+
+    await sendDeviation(req, res, deviation);
+  } catch (err) {
+    console.error('Update authority notification error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av melding til Datatilsynet' });
+  }
+});
+
+// @route   POST api/deviations/:id/actions
+// @desc    Add a corrective action {description, owner, dueDate}
+// @access  Private (managers and owner)
+router.post('/:id/actions', auth, async (req, res) => {
+  try {
+    const deviation = await findEditable(req, res);
+    if (!deviation) {
+      return;
+    }
+
+    if (deviation.status === 'closed') {
+      return res.status(400).json({ message: 'Avviket er lukket' });
+    }
+
+    const { description, owner, dueDate } = req.body;
+
+    const error = await validateAction({ description, owner, dueDate });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    deviation.correctiveActions.push({ description, owner, dueDate });
+    const action = deviation.correctiveActions[deviation.correctiveActions.length - 1];
+    await deviation.save();
+
+    audit.record(req, 'deviation.action_create', {
+      targetType: 'deviation',
+      targetId: deviation._id,
+      details: { reference: deviation.reference, action: action._id, owner, dueDate }
+    });
+
+    if (String(owner) !== String(req.user.id)) {
+      await notify([owner], {
+        title: 'Nytt korrigerende tiltak',
+        message: `Du er ansvarlig for tiltaket «${description}» for ${deviation.reference}, med frist ${action.dueDate.toISOString().slice(0, 10)}.`,
+        type: 'deviation',
+        relatedDeviation: deviation._id
+      });
+    }
+
+    await sendDeviation(req, res, deviation);
+  } catch (err) {
+    console.error('Create corrective action error:', err);
+    res.status(500).json({ message: 'Serverfeil ved registrering av tiltak' });
+  }
+});
+
+// @route   PUT api/deviations/:id/actions/:actionId
+// @desc    Update a corrective action {description, owner, dueDate, status}
+// @access  Private (managers and owner; action owners may mark their own action done)
+router.put('/:id/actions/:actionId', auth, async (req, res) => {
+  try {
+    const deviation = await findVisible(req, res);
+    if (!deviation) {
+      return;
+    }
+
+    const action = deviation.correctiveActions.id(req.params.actionId);
+    if (!action) {
+      return res.status(404).json({ message: 'Tiltak ikke funnet' });
+    }
+
+    const { description, owner, dueDate, status } = req.body;
+
+    const isActionOwner = String(action.owner) === String(req.user.id);
+    const onlyStatus = description === undefined && owner === undefined && dueDate === undefined;
+    if (!deviations.canEdit(req.user, deviation) && !(isActionOwner && onlyStatus)) {
+      return res.status(403).json({ message: 'Ikke tilgang til å endre tiltaket' });
+    }
+
+    if (deviation.status === 'closed') {
+      return res.status(400).json({ message: 'Avviket er lukket' });
+    }
+
+    const error = await validateAction({ description, owner, dueDate }, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    if (status !== undefined && !['open', 'done'].includes(status)) {
+      return res.status(400).json({ message: 'Ugyldig status' });
+    }
+
+    const previousOwner = String(action.owner);
+
+    if (description !== undefined) action.description = description;
+    if (owner !== undefined) action.owner = owner;
+    if (dueDate !== undefined) action.dueDate = dueDate;
+    if (status !== undefined && status !== action.status) {
+      action.status = status;
+      action.completedAt = status === 'done' ? new Date() : undefined;
+      action.completedBy = status === 'done' ? req.user.id : undefined;
+    }
+
+    await deviation.save();
+
+    audit.record(req, 'deviation.action_update', {
+      targetType: 'deviation',
+      targetId: deviation._id,
+      details: { reference: deviation.reference, action: action._id, fields: Object.keys(req.body), status: action.status }
+    });
+
+    if (String(action.owner) !== previousOwner && String(action.owner) !== String(req.user.id)) {
+      await notify([action.owner], {
+        title: 'Nytt korrigerende tiltak',
+        message: `Du er ansvarlig for tiltaket «${action.description}» for ${deviation.reference}, med frist ${action.dueDate.toISOString().slice(0, 10)}.`,
+        type: 'deviation',
+        relatedDeviation: deviation._id
+      });
+    }
+
+    await sendDeviation(req, res, deviation);
+  } catch (err) {
+    console.error('Update corrective action error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av tiltak' });
+  }
+});
+
+// @route   DELETE api/deviations/:id/actions/:actionId
+// @desc    Remove a corrective action
+// @access  Private (managers and owner)
+router.delete('/:id/actions/:actionId', auth, async (req, res) => {
+  try {
+    const deviation = await findEditable(req, res);
+    if (!deviation) {
+      return;
+    }
+
+    const action = deviation.correctiveActions.id(req.params.actionId);
+    if (!action) {
+      return res.status(404).json({ message: 'Tiltak ikke funnet' });
+    }
+
+    if (deviation.status === 'closed') {
+      return res.status(400).json({ message: 'Avviket er lukket' });
+    }
+
+    action.deleteOne();
+    await deviation.save();
+
+    audit.record(req, 'deviation.action_delete', {
+      targetType: 'deviation',
+      targetId: deviation._id,
+      details: { reference: deviation.reference, action: req.params.actionId, description: action.description }
+    });
+
+    await sendDeviation(req, res, deviation);
+  } catch (err) {
+    console.error('Delete corrective action error:', err);
+    res.status(500).json({ message: 'Serverfeil ved sletting av tiltak' });
+  }
+});
+
+// @route   POST api/deviations/:id/documents
+// @desc    Link a document that describes or evidences the deviation {documentId}
+// @access  Private (managers and owner)
+router.post('/:id/documents', auth, async (req, res) => {
+  try {
+    const deviation = await findEditable(req, res);
+    if (!deviation) {
+      return;
+    }
+
+    const { documentId } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({ message: 'Ugyldig dokument' });
+    }
+
+    // Only documents the user may see can be linked
+    const document = await Document.findOne({
+      $and: [{ _id: documentId, status: { $ne: 'deleted' } }, await visibleDocumentsFilter(req.user)]
+    }).select('_id');
+    if (!document) {
+      return res.status(404).json({ message: 'Dokument ikke funnet' });
+    }
+
+    deviation.documents.addToSet(document._id);
+    await deviation.save();
+
+    audit.record(req, 'deviation.link_document', {
+      targetType: 'deviation',
+      targetId: deviation._id,
+      document: document._id,
+      details: { reference: deviation.reference }
+    });
+
+    await sendDeviation(req, res, deviation);
+  } catch (err) {
+    console.error('Link deviation document error:', err);
+    res.status(500).json({ message: 'Serverfeil ved kobling av dokument' });
+  }
+});
+
+// @route   DELETE api/deviations/:id/documents/:documentId
+// @desc    Remove a linked document
+// @access  Private (managers and owner)
+router.delete('/:id/documents/:documentId', auth, async (req, res) => {
+  try {
+    const deviation = await findEditable(req, res);
+    if (!deviation) {
+      return;
+    }
+
+    deviation.documents.pull(req.params.documentId);
+    await deviation.save();
+
+    audit.record(req, 'deviation.unlink_document', {
+      targetType: 'deviation',
+      targetId: deviation._id,
+      document: req.params.documentId,
+      details: { reference: deviation.reference }
+    });
+
+    await sendDeviation(req, res, deviation);
+  } catch (err) {
+    console.error('Unlink deviation document error:', err);
+    res.status(500).json({ message: 'Serverfeil ved fjerning av dokument' });
+  }
+});
+
+module.exports = router;
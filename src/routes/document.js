@@ -1,70 +1,132 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const Document = require('../models/Document');
 const Revision = require('../models/Revision');
 const Category = require('../models/Category');
 const Notification = require('../models/Notification');
+const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { requirePermission, readableDocumentsFilter, scopes } = require('../middleware/permission');
+const { hasPermission } = require('../utils/permissions');
+const approval = require('../services/approval');
+const { notifyDocumentUpdate } = require('../services/notifications');
+const audit = require('../services/audit');
+const extractionQueue = require('../services/extractionQueue');
+const fileStorage = require('../services/storage');
+const { verifyFile, createVerifyStream } = require('../services/integrity');
+const versionDiff = require('../services/diff');
+const { queryValue } = require('../utils/text');
+const webhooks = require('../services/webhooks');
 
-// Configure multer for file uploads
-const uploadsDir = path.join(__dirname, '..', 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
+// Accept common document types
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'text/plain',
+    'text/csv',
+    'image/jpeg',
+    'image/png',
+    'image/gif'
+  ];
+  
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only documents, images, and text files are allowed.'));
+  }
+};
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
+// Configure multer for file uploads, streamed into the configured storage backend
+const upload = multer({
+  storage: fileStorage.multerStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB max file size
   },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + ext);
-  }
+  fileFilter
 });
 
-const upload = multer({
-  storage,
+// For new documents the upload permission depends on the category given in the
+// form. It is checked with the fields sent before the file, and a file the user
+// may not upload there is skipped instead of stored; requirePermission then
+// answers the request.
+const uploadToCategory = multer({
+  storage: fileStorage.multerStorage(),
   limits: {
     fileSize: 50 * 1024 * 1024, // 50MB max file size
   },
   fileFilter: (req, file, cb) => {
-    // Accept common document types
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'application/vnd.ms-powerpoint',
-      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-      'text/plain',
-      'text/csv',
-      'image/jpeg',
-      'image/png',
-      'image/gif'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only documents, images, and text files are allowed.'));
-    }
+    fileFilter(req, file, (err, accepted) => {
+      if (err || !accepted) {
+        return cb(err, accepted);
+      }
+      scopes.fromBody(req)
+        .then(scope => cb(null, !!scope && hasPermission(req.user, scope.category, scope.subcategory, 'upload')))
+        .catch(cb);
+    });
   }
 });
 
+// Send the SHA-256 digest of a download, as hex and as an RFC 3230 Digest header
+const setChecksumHeaders = (res, sha256) => {
+  res.setHeader('X-Checksum-SHA256', sha256);
+  res.setHeader('Digest', `sha-256=${Buffer.from(sha256, 'hex').toString('base64')}`);
+};
+
+// Stream the stored file of a document or revision as a download. The file is
+// checked against its recorded digest while it is sent; if it turns out to be
+// altered, the download is cut off before the end and the failure is audited.
+const sendVerifiedFile = async (req, res, item, documentId) => {
+  res.setHeader('Content-Type', item.fileType);
+  res.setHeader('Content-Disposition', `attachment; filename="${item.fileName}"`);
+  if (item.sha256) {
+    setChecksumHeaders(res, item.sha256);
+  }
+  
+  const fileStream = await fileStorage.openFile(item);
+  const verifier = createVerifyStream(item.sha256);
+  fileStream.on('error', err => {
+    console.error('File stream error:', err);
+    res.destroy(err);
+  });
+  verifier.on('error', err => {
+    if (err.code === 'INTEGRITY_MISMATCH') {
+      audit.record(req, 'file.integrity_failure', {
+        outcome: 'failure',
+        document: documentId,
+        details: { version: item.version, expected: item.sha256, actual: err.actual }
+      });
+    }
+    console.error('File stream error:', err);
+    res.destroy(err);
+  });
+  
+  fileStream.pipe(verifier).pipe(res);
+};
+
 // @route   GET api/documents
 // @desc    Get all documents with optional filtering
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const { category, subcategory, search, status, sort, page = 1, limit = 10 } = req.query;
+    const { sort, page = 1, limit = 10 } = req.query;
+    const category = queryValue(req.query.category);
+    const subcategory = queryValue(req.query.subcategory);
+    const status = queryValue(req.query.status);
+    const search = queryValue(req.query.search);
     
-    // Build query
-    const query = {};
+    if (status && !Document.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({ message: 'Ugyldig status' });
+    }
+    
+    // Build query, limited to what the user may read
+    const query = await readableDocumentsFilter(req.user);
     
     // Filter by category
     if (category) {
@@ -79,6 +141,17 @@ router.get('/', auth, async (req, res) => {
     // Filter by status
     if (status) {
       query.status = status;
+      
+      // Unpublished documents are only listed for their authors and approvers
+      if (approval.UNPUBLISHED_STATUSES.includes(status) && req.user.role !== 'admin') {
+        query.$and = [{
+          $or: [
+            { uploadedBy: req.user.id },
+            { 'review.approvers': req.user.id },
+            { 'review.approverRoles': req.user.role }
+          ]
+        }];
+      }
     } else {
       // By default, only show active documents
       query.status = 'active';
@@ -94,6 +167,9 @@ router.get('/', auth, async (req, res) => {
     if (sort) {
       const [field, order] = sort.split(':');
       sortOptions[field] = order === 'desc' ? -1 : 1;
+    } else if (search) {
+      // Best matches first when searching
+      sortOptions = { score: { $meta: 'textScore' } };
     } else {
       // Default sort by updatedAt desc
       sortOptions = { updatedAt: -1 };
@@ -106,6 +182,7 @@ router.get('/', auth, async (req, res) => {
     const documents = await Document.find(query)
       .populate('category', 'name')
       .populate('uploadedBy', 'name')
+      .populate('owner', 'name')
       .populate('lastModifiedBy', 'name')
       .sort(sortOptions)
       .skip(skip)
@@ -129,20 +206,62 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET api/documents/review-queue
+// @desc    Get documents and revisions waiting for the current user's approval
+// @access  Private
+router.get('/review-queue', auth, async (req, res) => {
+  try {
+    const assignedToUser = {
+      status: 'in_review',
+      $or: [
+        { 'review.approvers': req.user.id },
+        { 'review.approverRoles': req.user.role }
+      ]
+    };
+    
+    const documents = await Document.find(req.user.role === 'admin' ? { status: 'in_review' } : assignedToUser)
+      .populate('category', 'name')
+      .populate('uploadedBy', 'name')
+      .populate('review.submittedBy', 'name')
+      .sort({ 'review.submittedAt': 1 });
+    
+    const revisions = await Revision.find(req.user.role === 'admin' ? { status: 'in_review' } : assignedToUser)
+      .populate('document', 'title category subcategory version')
+      .populate('createdBy', 'name')
+      .populate('review.submittedBy', 'name')
+      .sort({ 'review.submittedAt': 1 });
+    
+    res.json({ documents, revisions });
+  } catch (err) {
+    console.error('Get review queue error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av godkjenningskø' });
+  }
+});
+
 // @route   GET api/documents/:id
 // @desc    Get document by ID
-// @access  Private
-router.get('/:id', auth, async (req, res) => {
+// @access  Private (read permission)
+router.get('/:id', auth, requirePermission('read'), async (req, res) => {
   try {
     const document = await Document.findById(req.params.id)
       .populate('category', 'name subcategories')
       .populate('uploadedBy', 'name')
-      .populate('lastModifiedBy', 'name');
+      .populate('owner', 'name')
+      .populate('lastModifiedBy', 'name')
+      .populate('approvalHistory.user', 'name');
     
     if (!document) {
       return res.status(404).json({ message: 'Dokument ikke funnet' });
     }
     
+    // Unpublished documents are only visible to their author, approvers and editors
+    if (approval.UNPUBLISHED_STATUSES.includes(document.status) &&
+        !approval.canViewUnpublished(req.user, document, document.uploadedBy, req.permissionScope, 'edit')) {
+      return res.status(404).json({ message: 'Dokument ikke funnet' });
+    }
+    
+    audit.record(req, 'document.view', { document: document._id });
+    
     res.json(document);
   } catch (err) {
     console.error('Get document error:', err);
@@ -151,9 +270,10 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // @route   POST api/documents
-// @desc    Create a new document
-// @access  Private
-router.post('/', auth, upload.single('file'), async (req, res) => {
+// @desc    Create a new document. The category and subcategory fields must come
+//          before the file in the form.
+// @access  Private (upload permission)
+router.post('/', auth, uploadToCategory.single('file'), requirePermission('upload', scopes.fromBody), async (req, res) => {
   try {
     const { title, description, category, subcategory, tags, reviewDate } = req.body;
     
@@ -161,7 +281,7 @@ router.post('/', auth, upload.single('file'), async (req, res) => {
     if (!title || !category || !subcategory || !req.file) {
       // Remove uploaded file if validation fails
       if (req.file) {
-        fs.unlinkSync(req.file.path);
+        fileStorage.discard(req.file.storageKey, req.file.storageDriver);
       }
       return res.status(400).json({ message: 'Vennligst fyll ut alle påkrevde felt' });
     }
@@ -170,7 +290,7 @@ router.post('/', auth, upload.single('file'), async (req, res) => {
     const categoryObj = await Category.findById(category);
     if (!categoryObj) {
       // Remove uploaded file if category doesn't exist
-      fs.unlinkSync(req.file.path);
+      fileStorage.discard(req.file.storageKey, req.file.storageDriver);
       return res.status(400).json({ message: 'Ugyldig kategori' });
     }
     
@@ -178,7 +298,7 @@ router.post('/', auth, upload.single('file'), async (req, res) => {
     const subcategoryExists = categoryObj.subcategories.some(sub => sub.name === subcategory);
     if (!subcategoryExists) {
       // Remove uploaded file if subcategory doesn't exist
-      fs.unlinkSync(req.file.path);
+      fileStorage.discard(req.file.storageKey, req.file.storageDriver);
       return res.status(400).json({ message: 'Ugyldig underkategori' });
     }
     
@@ -195,24 +315,35 @@ router.post('/', auth, upload.single('file'), async (req, res) => {
       category,
       subcategory,
       tags: parsedTags,
-      filePath: req.file.path,
+      storageKey: req.file.storageKey,
+      storageDriver: req.file.storageDriver,
       fileName: req.file.originalname,
       fileSize: req.file.size,
       fileType: req.file.mimetype,
+      sha256: req.file.sha256,
       uploadedBy: req.user.id,
+      owner: req.user.id,
       lastModifiedBy: req.user.id,
       reviewDate: reviewDate || new Date(+new Date() + 365*24*60*60*1000) // Default to 1 year from now
     });
     
     // Save document
     const savedDocument = await newDocument.save();
+    // Text for search is extracted in the background
+    extractionQueue.extractSoon();
+    
+    audit.record(req, 'document.create', {
+      document: savedDocument._id,
+      details: { title, category, subcategory, fileName: savedDocument.fileName }
+    });
+    webhooks.emit('document.created', webhooks.documentPayload(savedDocument), req.user.id);
     
     res.status(201).json(savedDocument);
   } catch (err) {
     console.error('Create document error:', err);
     // Remove uploaded file if error occurs
     if (req.file) {
-      fs.unlinkSync(req.file.path);
+      fileStorage.discard(req.file.storageKey, req.file.storageDriver);
     }
     res.status(500).json({ message: 'Serverfeil ved oppretting av dokument' });
   }
@@ -220,10 +351,10 @@ router.post('/', auth, upload.single('file'), async (req, res) => {
 
 // @route   PUT api/documents/:id
 // @desc    Update a document
-// @access  Private
-router.put('/:id', auth, async (req, res) => {
+// @access  Private (edit permission)
+router.put('/:id', auth, requirePermission('edit'), async (req, res) => {
   try {
-    const { title, description, category, subcategory, tags, reviewDate, status } = req.body;
+    const { title, description, category, subcategory, tags, reviewDate, status, owner } = req.body;
     
     // Find document
     let document = await Document.findById(req.params.id);
@@ -254,12 +385,56 @@ router.put('/:id', auth, async (req, res) => {
       }
     }
     
+    // Moving the document requires upload permission on the target
+    if ((category && String(category) !== String(document.category)) ||
+        (subcategory && subcategory !== document.subcategory)) {
+      const targetCategory = await Category.findById(category || document.category);
+      if (!hasPermission(req.user, targetCategory, subcategory || document.subcategory, 'upload')) {
+        audit.record(req, 'access.denied', {
+          outcome: 'denied',
+          document: document._id,
+          details: { permission: 'upload', method: req.method, path: req.originalUrl }
+        });
+        return res.status(403).json({ message: 'Ikke tilgang til å flytte dokumentet hit' });
+      }
+    }
+    
+    // Publishing goes through the approval workflow
+    if (status && status !== document.status &&
+        (approval.UNPUBLISHED_STATUSES.includes(status) || (status === 'active' && document.status !== 'archived'))) {
+      return res.status(400).json({ message: 'Bruk godkjenningsflyten for å endre denne statusen' });
+    }
+    
+    // Archiving or deleting requires delete permission
+    if (status && status !== document.status && ['archived', 'deleted'].includes(status)) {
+      const currentCategory = await Category.findById(document.category);
+      if (!hasPermission(req.user, currentCategory, document.subcategory, 'delete')) {
+        audit.record(req, 'access.denied', {
+          outcome: 'denied',
+          document: document._id,
+          details: { permission: 'delete', method: req.method, path: req.originalUrl }
+        });
+        return res.status(403).json({ message: 'Ikke tilgang til å arkivere eller slette dokumentet' });
+      }
+    }
+    
+    // Check if new owner exists and is active
+    if (owner) {
+      const ownerExists = await User.exists({ _id: owner, isActive: true });
+      if (!ownerExists) {
+        return res.status(400).json({ message: 'Ugyldig eier' });
+      }
+    }
+    
     // Parse tags if provided
     let parsedTags = document.tags;
     if (tags) {
       parsedTags = Array.isArray(tags) ? tags : JSON.parse(tags);
     }
     
+    const changedFields = Object.keys(req.body)
+      .filter(field => ['title', 'description', 'category', 'subcategory', 'tags', 'reviewDate', 'status', 'owner'].includes(field));
+    
     // Update document
     document.title = title || document.title;
     document.description = description !== undefined ? description : document.description;
@@ -267,6 +442,7 @@ router.put('/:id', auth, async (req, res) => {
     document.subcategory = subcategory || document.subcategory;
     document.tags = parsedTags;
     document.reviewDate = reviewDate || document.reviewDate;
+    document.owner = owner || document.owner;
     document.status = status || document.status;
     document.lastModifiedBy = req.user.id;
     document.updatedAt = Date.now();
@@ -274,6 +450,20 @@ router.put('/:id', auth, async (req, res) => {
     // Save document
     const updatedDocument = await document.save();
     
+    notifyDocumentUpdate(updatedDocument, req.user.id, {
+      title: 'Dokument oppdatert',
+      message: `«${updatedDocument.title}» ble oppdatert.`
+    }).catch(err => console.error('Document update notification error:', err));
+    
+    // Status changes are recorded as archive and delete actions
+    const auditAction = { archived: 'document.archive', deleted: 'document.delete' }[status] || 'document.update';
+    audit.record(req, auditAction, {
+      document: updatedDocument._id,
+      details: { fields: changedFields, status: updatedDocument.status }
+    });
+    const webhookEvent = { archived: 'document.archived', deleted: 'document.deleted' }[status] || 'document.updated';
+    webhooks.emit(webhookEvent, { ...webhooks.documentPayload(updatedDocument), fields: changedFields }, req.user.id);
+    
     res.json(updatedDocument);
   } catch (err) {
     console.error('Update document error:', err);
@@ -283,8 +473,8 @@ router.put('/:id', auth, async (req, res) => {
 
 // @route   DELETE api/documents/:id
 // @desc    Delete a document (soft delete)
-// @access  Private
-router.delete('/:id', auth, async (req, res) => {
+// @access  Private (delete permission)
+router.delete('/:id', auth, requirePermission('delete'), async (req, res) => {
   try {
     // Find document
     let document = await Document.findById(req.params.id);
@@ -300,6 +490,9 @@ router.delete('/:id', auth, async (req, res) => {
     // Save document
     await document.save();
     
+    audit.record(req, 'document.delete', { document: document._id });
+    webhooks.emit('document.deleted', webhooks.documentPayload(document), req.user.id);
+    
     res.json({ message: 'Dokument slettet' });
   } catch (err) {
     console.error('Delete document error:', err);
@@ -307,10 +500,133 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   POST api/documents/:id/submit
+// @desc    Submit a draft document for review by named approvers (users or roles
+//          with manage permission on the category)
+// @access  Private (edit permission)
+router.post('/:id/submit', auth, requirePermission('edit'), async (req, res) => {
+  try {
+    const { comment } = req.body;
+    
+    // Find document
+    const document = await Document.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ message: 'Dokument ikke funnet' });
+    }
+    
+    if (document.status !== 'draft' && document.status !== 'rejected') {
+      return res.status(400).json({ message: 'Bare utkast kan sendes til godkjenning' });
+    }
+    
+    // Validate approvers
+    const reviewRequest = await approval.parseReviewRequest(req.body, req.permissionScope);
+    if (reviewRequest.error) {
+      return res.status(400).json({ message: reviewRequest.error });
+    }
+    
+    approval.submitForReview(document, req.user, reviewRequest, comment);
+    document.lastModifiedBy = req.user.id;
+    
+    // Save document
+    const updatedDocument = await document.save();
+    
+    audit.record(req, 'document.submit', {
+      document: document._id,
+      details: { approvers: reviewRequest.approvers, approverRoles: reviewRequest.approverRoles, comment }
+    });
+    
+    res.json(updatedDocument);
+  } catch (err) {
+    console.error('Submit document error:', err);
+    res.status(500).json({ message: 'Serverfeil ved innsending til godkjenning' });
+  }
+});
+
+// @route   POST api/documents/:id/approve
+// @desc    Approve a document under review and publish it
+// @access  Private (named approvers)
+router.post('/:id/approve', auth, requirePermission('read'), async (req, res) => {
+  try {
+    const { comment } = req.body;
+    
+    // Find document
+    const document = await Document.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ message: 'Dokument ikke funnet' });
+    }
+    
+    if (!approval.canDecide(req.user, document)) {
+      audit.record(req, 'access.denied', {
+        outcome: 'denied',
+        document: document._id,
+        details: { permission: 'approve', method: req.method, path: req.originalUrl }
+      });
+      return res.status(403).json({ message: 'Ikke tilgang til å godkjenne dokumentet' });
+    }
+    
+    approval.recordDecision(document, req.user, 'approved', comment);
+    document.status = 'active';
+    document.updatedAt = Date.now();
+    
+    // Save document
+    const updatedDocument = await document.save();
+    
+    audit.record(req, 'document.approve', { document: document._id, details: { comment } });
+    webhooks.emit('document.published', webhooks.documentPayload(updatedDocument), req.user.id);
+    
+    res.json(updatedDocument);
+  } catch (err) {
+    console.error('Approve document error:', err);
+    res.status(500).json({ message: 'Serverfeil ved godkjenning av dokument' });
+  }
+});
+
+// @route   POST api/documents/:id/reject
+// @desc    Reject a document under review
+// @access  Private (named approvers)
+router.post('/:id/reject', auth, requirePermission('read'), async (req, res) => {
+  try {
+    const { comment } = req.body;
+    
+    // Validate input
+    if (!comment) {
+      return res.status(400).json({ message: 'Begrunnelse er påkrevd ved avvisning' });
+    }
+    
+    // Find document
+    const document = await Document.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ message: 'Dokument ikke funnet' });
+    }
+    
+    if (!approval.canDecide(req.user, document)) {
+      audit.record(req, 'access.denied', {
+        outcome: 'denied',
+        document: document._id,
+        details: { permission: 'reject', method: req.method, path: req.originalUrl }
+      });
+      return res.status(403).json({ message: 'Ikke tilgang til å avvise dokumentet' });
+    }
+    
+    approval.recordDecision(document, req.user, 'rejected', comment);
+    document.status = 'rejected';
+    
+    // Save document
+    const updatedDocument = await document.save();
+    
+    audit.record(req, 'document.reject', { document: document._id, details: { comment } });
+    
+    res.json(updatedDocument);
+  } catch (err) {
+    console.error('Reject document error:', err);
+    res.status(500).json({ message: 'Serverfeil ved avvisning av dokument' });
+  }
+});
+
 // @route   GET api/documents/:id/download
 // @desc    Download a document
-// @access  Private
-router.get('/:id/download', auth, async (req, res) => {
+// @access  Private (read permission)
+router.get('/:id/download', auth, requirePermission('read'), async (req, res) => {
   try {
     // Find document
     const document = await Document.findById(req.params.id);
@@ -318,18 +634,20 @@ router.get('/:id/download', auth, async (req, res) => {
       return res.status(404).json({ message: 'Dokument ikke funnet' });
     }
     
-    // Check if file exists
-    if (!fs.existsSync(document.filePath)) {
+    // Unpublished documents are only available to their author, approvers and editors
+    if (approval.UNPUBLISHED_STATUSES.includes(document.status) &&
+        !approval.canViewUnpublished(req.user, document, document.uploadedBy, req.permissionScope, 'edit')) {
+      return res.status(404).json({ message: 'Dokument ikke funnet' });
+    }
+    
+    if (!(await fileStorage.fileExists(document))) {
       return res.status(404).json({ message: 'Filen ble ikke funnet' });
     }
     
-    // Set headers
-    res.setHeader('Content-Type', document.fileType);
-    res.setHeader('Content-Disposition', `attachment; filename="${document.fileName}"`);
+    audit.record(req, 'document.download', { document: document._id, details: { version: document.version } });
     
-    // Stream file
-    const fileStream = fs.createReadStream(document.filePath);
-    fileStream.pipe(res);
+    // Stream file, checking that it has not been altered since upload
+    await sendVerifiedFile(req, res, document, document._id);
   } catch (err) {
     console.error('Download document error:', err);
     res.status(500).json({ message: 'Serverfeil ved nedlasting av dokument' });
@@ -337,9 +655,11 @@ router.get('/:id/download', auth, async (req, res) => {
 });
 
 // @route   POST api/documents/:id/revisions
-// @desc    Upload a new revision of a document
-// @access  Private
-router.post('/:id/revisions', auth, upload.single('file'), async (req, res) => {
+// @desc    Upload a new revision of a document. Revisions of published documents
+//          are kept as drafts until approved; unpublished documents have their
+//          file replaced directly.
+// @access  Private (revise permission)
+router.post('/:id/revisions', auth, requirePermission('revise'), upload.single('file'), async (req, res) => {
   try {
     const { changes } = req.body;
     
@@ -348,7 +668,7 @@ router.post('/:id/revisions', auth, upload.single('file'), async (req, res) => {
     if (!document) {
       // Remove uploaded file if document doesn't exist
       if (req.file) {
-        fs.unlinkSync(req.file.path);
+        fileStorage.discard(req.file.storageKey, req.file.storageDriver);
       }
       return res.status(404).json({ message: 'Dokument ikke funnet' });
     }
@@ -358,39 +678,83 @@ router.post('/:id/revisions', auth, upload.single('file'), async (req, res) => {
       return res.status(400).json({ message: 'Ingen fil lastet opp' });
     }
     
-    // Create new revision
+    // Drafts that were never published just get their file replaced
+    if (document.status === 'draft' || document.status === 'rejected') {
+      const previousFile = fileStorage.locate(document);
+      
+      document.storageKey = req.file.storageKey;
+      document.storageDriver = req.file.storageDriver;
+      document.filePath = undefined;
+      document.fileName = req.file.originalname;
+      document.fileSize = req.file.size;
+      document.fileType = req.file.mimetype;
+      document.sha256 = req.file.sha256;
+      document.lastModifiedBy = req.user.id;
+      document.updatedAt = Date.now();
+      
+      document.contentText = '';
+      document.contentExtraction = { status: 'pending' };
+      
+      const updatedDocument = await document.save();
+      extractionQueue.extractSoon();
+      
+      fileStorage.discard(previousFile.key, previousFile.storage.name);
+      
+      audit.record(req, 'document.replace_file', { document: document._id, details: { fileName: updatedDocument.fileName } });
+      webhooks.emit('document.updated', { ...webhooks.documentPayload(updatedDocument), fields: ['file'] }, req.user.id);
+      return res.json(updatedDocument);
+    }
+    
+    if (document.status !== 'active') {
+      fileStorage.discard(req.file.storageKey, req.file.storageDriver);
+      return res.status(400).json({ message: 'Kan ikke laste opp ny versjon av dette dokumentet' });
+    }
+    
+    // Only one revision can wait for approval at a time
+    const pendingRevision = await Revision.findOne({
+      document: document._id,
+      status: { $in: ['draft', 'in_review'] }
+    });
+    if (pendingRevision) {
+      fileStorage.discard(req.file.storageKey, req.file.storageDriver);
+      return res.status(400).json({ message: 'Dokumentet har allerede en ventende revisjon' });
+    }
+    
+    // Every uploaded revision gets its own version number, also if it is later rejected
+    const latestRevision = await Revision.findOne({ document: document._id }).sort({ version: -1 });
+    const nextVersion = Math.max(document.version, latestRevision ? latestRevision.version : 0) + 1;
+    
+    // Create new draft revision
     const newRevision = new Revision({
       document: document._id,
-      version: document.version,
-      filePath: document.filePath,
-      fileName: document.fileName,
-      fileSize: document.fileSize,
-      fileType: document.fileType,
+      version: nextVersion,
+      storageKey: req.file.storageKey,
+      storageDriver: req.file.storageDriver,
+      fileName: req.file.originalname,
+      fileSize: req.file.size,
+      fileType: req.file.mimetype,
+      sha256: req.file.sha256,
       changes: changes || '',
+      metadata: versionDiff.snapshotMetadata(document),
+      status: 'draft',
       createdBy: req.user.id
     });
     
     // Save revision
-    await newRevision.save();
-    
-    // Update document with new file
-    document.filePath = req.file.path;
-    document.fileName = req.file.originalname;
-    document.fileSize = req.file.size;
-    document.fileType = req.file.mimetype;
-    document.version += 1;
-    document.lastModifiedBy = req.user.id;
-    document.updatedAt = Date.now();
+    const savedRevision = await newRevision.save();
+    extractionQueue.extractSoon();
     
-    // Save document
-    const updatedDocument = await document.save();
+    audit.record(req, 'revision.upload', {
+      document: document._id,
+      details: { version: savedRevision.version, fileName: savedRevision.fileName }
+    });
     
-    res.json(updatedDocument);
+    res.status(201).json(savedRevision);
   } catch (err) {
     console.error('Upload revision error:', err);
     // Remove uploaded file if error occurs
     if (req.file) {
-      fs.unlinkSync(req.file.path);
+      fileStorage.discard(req.file.storageKey, req.file.storageDriver);
     }
     res.status(500).json({ message: 'Serverfeil ved opplasting av ny versjon' });
   }
@@ -398,8 +762,8 @@ router.post('/:id/revisions', auth, upload.single('file'), async (req, res) => {
 
 // @route   GET api/documents/:id/revisions
 // @desc    Get all revisions of a document
-// @access  Private
-router.get('/:id/revisions', auth, async (req, res) => {
+// @access  Private (read permission)
+router.get('/:id/revisions', auth, requirePermission('read'), async (req, res) => {
   try {
     // Find document
     const document = await Document.findById(req.params.id);
@@ -410,19 +774,220 @@ router.get('/:id/revisions', auth, async (req, res) => {
     // Get revisions
     const revisions = await Revision.find({ document: req.params.id })
       .populate('createdBy', 'name')
+      .populate('approvalHistory.user', 'name')
       .sort({ version: -1 });
     
-    res.json(revisions);
+    // Unpublished revisions are only listed for their author, approvers and revisers
+    const visibleRevisions = revisions.filter(revision => revision.status === 'published' ||
+      approval.canViewUnpublished(req.user, revision, revision.createdBy, req.permissionScope, 'revise'));
+    
+    res.json(visibleRevisions);
   } catch (err) {
     console.error('Get revisions error:', err);
     res.status(500).json({ message: 'Serverfeil ved henting av revisjoner' });
   }
 });
 
+// @route   POST api/documents/:id/revisions/:version/restore
+// @desc    Restore an earlier version: its file is added as a new draft revision,
+//          which is submitted and approved like any other revision
+// @access  Private (revise permission)
+router.post('/:id/revisions/:version/restore', auth, requirePermission('revise'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    // Validate input
+    if (!reason) {
+      return res.status(400).json({ message: 'Begrunnelse er påkrevd ved gjenoppretting' });
+    }
+    
+    // Find document
+    const document = await Document.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ message: 'Dokument ikke funnet' });
+    }
+    
+    if (document.status !== 'active') {
+      return res.status(400).json({ message: 'Bare publiserte dokumenter kan gjenopprettes' });
+    }
+    
+    // Find the version to restore
+    const revision = await Revision.findOne({
+      document: document._id,
+      version: req.params.version,
+      status: approval.PUBLISHED_REVISION_STATUS
+    }).select('+contentText');
+    
+    if (!revision) {
+      return res.status(404).json({ message: 'Revisjon ikke funnet' });
+    }
+    
+    if (revision.version === document.version) {
+      return res.status(400).json({ message: 'Denne versjonen er allerede gjeldende' });
+    }
+    
+    // A pending revision has already been given the next version number
+    const pendingRevision = await Revision.exists({
+      document: document._id,
+      status: { $in: ['draft', 'in_review'] }
+    });
+    if (pendingRevision) {
+      return res.status(400).json({ message: 'Dokumentet har en ventende revisjon' });
+    }
+    
+    // Refuse if the stored file is gone or altered
+    const integrity = await verifyFile(revision);
+    if (integrity.status === 'missing') {
+      return res.status(400).json({ message: 'Filen for denne versjonen finnes ikke lenger og kan ikke gjenopprettes' });
+    }
+    if (integrity.status === 'mismatch') {
+      audit.record(req, 'file.integrity_failure', {
+        outcome: 'failure',
+        document: document._id,
+        details: { version: revision.version, expected: revision.sha256, actual: integrity.actual }
+      });
+      return res.status(500).json({ message: 'Filen er endret eller skadet og samsvarer ikke med lagret sjekksum' });
+    }
+    
+    const latestRevision = await Revision.findOne({ document: document._id }).sort({ version: -1 });
+    const nextVersion = Math.max(document.version, latestRevision ? latestRevision.version : 0) + 1;
+    
+    // The restored file is added as a new version, so the history stays linear.
+    // It only becomes current once approved.
+    const restoredRevision = await new Revision({
+      document: document._id,
+      version: nextVersion,
+      storageKey: revision.storageKey,
+      storageDriver: revision.storageDriver,
+      filePath: revision.filePath,
+      fileName: revision.fileName,
+      fileSize: revision.fileSize,
+      fileType: revision.fileType,
+      sha256: revision.sha256,
+      contentText: revision.contentText,
+      contentExtraction: revision.contentExtraction,
+      metadata: versionDiff.snapshotMetadata(document),
+      changes: `Gjenopprettet fra versjon ${revision.version}: ${reason}`,
+      restoredFrom: revision.version,
+      restoreReason: reason,
+      status: 'draft',
+      createdBy: req.user.id
+    }).save();
+    
+    audit.record(req, 'revision.restore', {
+      document: document._id,
+      details: { restoredFrom: revision.version, version: restoredRevision.version, reason }
+    });
+    
+    // Extracted text is not returned, as when revisions are loaded
+    const created = restoredRevision.toObject();
+    delete created.contentText;
+    
+    res.status(201).json(created);
+  } catch (err) {
+    console.error('Restore revision error:', err);
+    res.status(500).json({ message: 'Serverfeil ved gjenoppretting av versjon' });
+  }
+});
+
+// @route   GET api/documents/:id/diff
+// @desc    Compare two versions of a document (from/to are version numbers or
+//          "current"; mode is line or word)
+// @access  Private (read permission)
+router.get('/:id/diff', auth, requirePermission('read'), async (req, res) => {
+  try {
+    const { from, to = 'current', mode = 'line' } = req.query;
+    
+    // Validate input
+    if (!from) {
+      return res.status(400).json({ message: 'Angi hvilken versjon det skal sammenlignes fra' });
+    }
+    const isVersion = value => value === 'current' || /^[1-9]\d*$/.test(value);
+    if (!isVersion(from) || !isVersion(to)) {
+      return res.status(400).json({ message: 'Versjon må være et versjonsnummer eller "current"' });
+    }
+    if (!['line', 'word'].includes(mode)) {
+      return res.status(400).json({ message: 'Ugyldig sammenligningsmodus' });
+    }
+    
+    // Find document
+    const document = await Document.findById(req.params.id).select('+contentText');
+    if (!document) {
+      return res.status(404).json({ message: 'Dokument ikke funnet' });
+    }
+    if (approval.UNPUBLISHED_STATUSES.includes(document.status) &&
+        !approval.canViewUnpublished(req.user, document, document.uploadedBy, req.permissionScope, 'edit')) {
+      return res.status(404).json({ message: 'Dokument ikke funnet' });
+    }
+    
+    // Resolve a version to the document itself or one of its revisions
+    const findVersion = async (version) => {
+      if (version === 'current' || Number(version) === document.version) {
+        return { version: document.version, item: document, metadata: versionDiff.snapshotMetadata(document) };
+      }
+      
+      const revision = await Revision.findOne({ document: document._id, version: Number(version) })
+        .select('+contentText');
+      if (!revision || (revision.status !== 'published' &&
+          !approval.canViewUnpublished(req.user, revision, revision.createdBy, req.permissionScope, 'revise'))) {
+        return null;
+      }
+      
+      return {
+        version: revision.version,
+        item: revision,
+        // Revisions from before metadata was recorded have none
+        metadata: revision.metadata && revision.metadata.title ? revision.metadata : null
+      };
+    };
+    
+    const fromVersion = await findVersion(from);
+    const toVersion = await findVersion(to);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ message: 'Revisjon ikke funnet' });
+    }
+    
+    // Compare content when both versions have extractable text
+    const fromText = versionDiff.getText(fromVersion.item);
+    const toText = versionDiff.getText(toVersion.item);
+    const content = fromText !== null && toText !== null
+      ? versionDiff.diffText(fromText, toText, mode)
+      : null;
+    if (content && content.error === 'too_large') {
+      return res.status(413).json({ message: 'Versjonene er for store til å sammenlignes' });
+    }
+    if (content && content.error === 'too_complex') {
+      return res.status(422).json({ message: 'Versjonene er for ulike til å sammenlignes' });
+    }
+    
+    // Compare metadata when both versions have it recorded
+    const metadata = fromVersion.metadata && toVersion.metadata
+      ? await versionDiff.diffMetadata(fromVersion.metadata, toVersion.metadata)
+      : null;
+    
+    audit.record(req, 'document.diff', {
+      document: document._id,
+      details: { from: fromVersion.version, to: toVersion.version, mode }
+    });
+    
+    res.json({
+      from: { version: fromVersion.version, fileName: fromVersion.item.fileName, fileType: fromVersion.item.fileType },
+      to: { version: toVersion.version, fileName: toVersion.item.fileName, fileType: toVersion.item.fileType },
+      content,
+      contentUnavailableReason: content ? undefined : 'Innholdet i minst én av versjonene kan ikke sammenlignes',
+      metadata,
+      metadataUnavailableReason: metadata ? undefined : 'Metadata er ikke registrert for minst én av versjonene'
+    });
+  } catch (err) {
+    console.error('Diff document error:', err);
+    res.status(500).json({ message: 'Serverfeil ved sammenligning av versjoner' });
+  }
+});
+
 // @route   GET api/documents/:id/revisions/:version/download
 // @desc    Download a specific revision of a document
-// @access  Private
-router.get('/:id/revisions/:version/download', auth, async (req, res) => {
+// @access  Private (read permission)
+router.get('/:id/revisions/:version/download', auth, requirePermission('read'), async (req, res) => {
   try {
     // Find revision
     const revision = await Revision.findOne({
@@ -434,22 +999,244 @@ router.get('/:id/revisions/:version/download', auth, async (req, res) => {
       return res.status(404).json({ message: 'Revisjon ikke funnet' });
     }
     
-    // Check if file exists
-    if (!fs.existsSync(revision.filePath)) {
+    // Unpublished revisions are only available to their author, approvers and revisers
+    if (revision.status !== 'published' &&
+        !approval.canViewUnpublished(req.user, revision, revision.createdBy, req.permissionScope, 'revise')) {
+      return res.status(404).json({ message: 'Revisjon ikke funnet' });
+    }
+    
+    if (!(await fileStorage.fileExists(revision))) {
       return res.status(404).json({ message: 'Filen ble ikke funnet' });
     }
     
-    // Set headers
-    res.setHeader('Content-Type', revision.fileType);
-    res.setHeader('Content-Disposition', `attachment; filename="${revision.fileName}"`);
+    audit.record(req, 'revision.download', { document: revision.document, details: { version: revision.version } });
     
-    // Stream file
-    const fileStream = fs.createReadStream(revision.filePath);
-    fileStream.pipe(res);
+    // Stream file, checking that it has not been altered since upload
+    await sendVerifiedFile(req, res, revision, revision.document);
   } catch (err) {
     console.error('Download revision error:', err);
     res.status(500).json({ message: 'Serverfeil ved nedlasting av revisjon' });
   }
 });
 
+// @route   POST api/documents/:id/revisions/:version/submit
+// @desc    Submit a draft or rejected revision for review by named approvers
+//          (users or roles with manage permission on the category)
+// @access  Private (revise permission)
+router.post('/:id/revisions/:version/submit', auth, requirePermission('revise'), async (req, res) => {
+  try {
+    const { comment } = req.body;
+    
+    // Find document and revision
+    const document = await Document.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ message: 'Dokument ikke funnet' });
+    }
+    
+    const revision = await Revision.findOne({
+      document: document._id,
+      version: req.params.version
+    });
+    
+    if (!revision) {
+      return res.status(404).json({ message: 'Revisjon ikke funnet' });
+    }
+    
+    if (revision.status !== 'draft' && revision.status !== 'rejected') {
+      return res.status(400).json({ message: 'Bare utkast kan sendes til godkjenning' });
+    }
+    
+    // A rejected revision can only be resubmitted while no other revision is pending
+    if (revision.status === 'rejected') {
+      const pendingRevision = await Revision.exists({
+        document: document._id,
+        _id: { $ne: revision._id },
+        status: { $in: ['draft', 'in_review'] }
+      });
+      if (pendingRevision) {
+        return res.status(400).json({ message: 'Dokumentet har allerede en ventende revisjon' });
+      }
+    }
+    
+    // Validate approvers
+    const reviewRequest = await approval.parseReviewRequest(req.body, req.permissionScope);
+    if (reviewRequest.error) {
+      return res.status(400).json({ message: reviewRequest.error });
+    }
+    
+    approval.submitForReview(revision, req.user, reviewRequest, comment);
+    
+    // Save revision
+    const updatedRevision = await revision.save();
+    
+    notifyDocumentUpdate(document, req.user.id, revision.restoredFrom ? {
+      title: 'Tidligere versjon gjenopprettet',
+      message: `Versjon ${revision.restoredFrom} av «${document.title}» er gjenopprettet som versjon ${revision.version} og venter på godkjenning.`
+    } : {
+      title: 'Ny versjon lastet opp',
+      message: `Versjon ${revision.version} av «${document.title}» er lastet opp og venter på godkjenning.`
+    }).catch(err => console.error('Document update notification error:', err));
+    
+    audit.record(req, 'revision.submit', {
+      document: revision.document,
+      details: { version: revision.version, approvers: reviewRequest.approvers, approverRoles: reviewRequest.approverRoles, comment }
+    });
+    
+    res.json(updatedRevision);
+  } catch (err) {
+    console.error('Submit revision error:', err);
+    res.status(500).json({ message: 'Serverfeil ved innsending til godkjenning' });
+  }
+});
+
+// @route   DELETE api/documents/:id/revisions/:version
+// @desc    Discard a revision that has not been published (draft, under review or
+//          rejected), so that a new version can be uploaded or restored
+// @access  Private (the revision's author, or manage permission)
+router.delete('/:id/revisions/:version', auth, requirePermission('revise'), async (req, res) => {
+  try {
+    // Find revision
+    const revision = await Revision.findOne({
+      document: req.params.id,
+      version: req.params.version
+    });
+    
+    if (!revision) {
+      return res.status(404).json({ message: 'Revisjon ikke funnet' });
+    }
+    
+    if (!approval.UNPUBLISHED_STATUSES.includes(revision.status)) {
+      return res.status(400).json({ message: 'Bare revisjoner som ikke er publisert kan forkastes' });
+    }
+    
+    if (!approval.canViewUnpublished(req.user, revision, revision.createdBy, req.permissionScope, 'revise')) {
+      return res.status(404).json({ message: 'Revisjon ikke funnet' });
+    }
+    
+    const { category, subcategory } = req.permissionScope;
+    if (String(revision.createdBy) !== String(req.user.id) &&
+        !hasPermission(req.user, category, subcategory, 'manage')) {
+      return res.status(403).json({ message: 'Ikke tilgang til å forkaste revisjonen' });
+    }
+    
+    await Revision.deleteOne({ _id: revision._id });
+    
+    // A restored revision shares the file of the version it was restored from
+    if (!revision.restoredFrom) {
+      const { storage, key } = fileStorage.locate(revision);
+      fileStorage.discard(key, storage.name);
+    }
+    
+    audit.record(req, 'revision.discard', {
+      document: revision.document,
+      details: { version: revision.version, status: revision.status }
+    });
+    
+    res.json({ message: 'Revisjon forkastet' });
+  } catch (err) {
+    console.error('Discard revision error:', err);
+    res.status(500).json({ message: 'Serverfeil ved forkasting av revisjon' });
+  }
+});
+
+// @route   POST api/documents/:id/revisions/:version/approve
+// @desc    Approve a revision under review and make it the current version
+// @access  Private (named approvers)
+router.post('/:id/revisions/:version/approve', auth, requirePermission('read'), async (req, res) => {
+  try {
+    const { comment } = req.body;
+    
+    // Find document and revision
+    const document = await Document.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({ message: 'Dokument ikke funnet' });
+    }
+    
+    const revision = await Revision.findOne({
+      document: document._id,
+      version: req.params.version
+    });
+    
+    if (!revision) {
+      return res.status(404).json({ message: 'Revisjon ikke funnet' });
+    }
+    
+    if (!approval.canDecide(req.user, revision)) {
+      audit.record(req, 'access.denied', {
+        outcome: 'denied',
+        document: document._id,
+        details: { permission: 'approve', method: req.method, path: req.originalUrl, version: revision.version }
+      });
+      return res.status(403).json({ message: 'Ikke tilgang til å godkjenne revisjonen' });
+    }
+    
+    approval.recordDecision(revision, req.user, 'approved', comment);
+    
+    // Publish the revision
+    const updatedDocument = await approval.publishRevision(document, revision);
+    
+    notifyDocumentUpdate(updatedDocument, req.user.id, {
+      title: 'Ny versjon publisert',
+      message: `Versjon ${updatedDocument.version} av «${updatedDocument.title}» er godkjent og publisert.`
+    }).catch(err => console.error('Document update notification error:', err));
+    
+    audit.record(req, 'revision.approve', { document: document._id, details: { version: revision.version, comment } });
+    webhooks.emit('document.revised', {
+      ...webhooks.documentPayload(updatedDocument),
+      ...(revision.restoredFrom ? { restoredFrom: revision.restoredFrom } : {})
+    }, req.user.id);
+    
+    res.json(updatedDocument);
+  } catch (err) {
+    console.error('Approve revision error:', err);
+    res.status(500).json({ message: 'Serverfeil ved godkjenning av revisjon' });
+  }
+});
+
+// @route   POST api/documents/:id/revisions/:version/reject
+// @desc    Reject a revision under review
+// @access  Private (named approvers)
+router.post('/:id/revisions/:version/reject', auth, requirePermission('read'), async (req, res) => {
+  try {
+    const { comment } = req.body;
+    
+    // Validate input
+    if (!comment) {
+      return res.status(400).json({ message: 'Begrunnelse er påkrevd ved avvisning' });
+    }
+    
+    // Find revision
+    const revision = await Revision.findOne({
+      document: req.params.id,
+      version: req.params.version
+    });
+    
+    if (!revision) {
+      return res.status(404).json({ message: 'Revisjon ikke funnet' });
+    }
+    
+    if (!approval.canDecide(req.user, revision)) {
+      audit.record(req, 'access.denied', {
+        outcome: 'denied',
+        document: revision.document,
+        details: { permission: 'reject', method: req.method, path: req.originalUrl, version: revision.version }
+      });
+      return res.status(403).json({ message: 'Ikke tilgang til å avvise revisjonen' });
+    }
+    
+    approval.recordDecision(revision, req.user, 'rejected', comment);
+    revision.status = 'rejected';
+    
+    // Save revision
+    const updatedRevision = await revision.save();
+    
+    audit.record(req, 'revision.reject', { document: revision.document, details: { version: revision.version, comment } });
+    
+    res.json(updatedRevision);
+  } catch (err) {
+    console.error('Reject revision error:', err);
+    res.status(500).json({ message: 'Serverfeil ved avvisning av revisjon' });
+  }
+});
+
 module.exports = router;
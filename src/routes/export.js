@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/permission');
+const audit = require('../services/audit');
+const exportBundle = require('../services/exportBundle');
+
+// @route   POST api/exports/documents
+// @desc    Download a ZIP archive of the selected documents for auditors, in
+//          folders mirroring the category tree, with manifest.json and manifest.csv
+//          { categories: [id], subcategories: [{ category, name }], documents: [id],
+//            includeRevisions, includeArchived }
+// @access  Private (admin, it_ansvarlig, personvernombud; readable documents only)
+router.post('/documents', auth, requireRole('admin', 'it_ansvarlig', 'personvernombud'), async (req, res) => {
+  try {
+    const { categories = [], subcategories = [], documents = [], includeRevisions = false, includeArchived = false } = req.body;
+    const selection = { categories, subcategories, documents, includeArchived: includeArchived === true };
+
+    const error = exportBundle.validateSelection(selection);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const found = await exportBundle.findDocuments(req.user, selection);
+    if (found.length === 0) {
+      return res.status(404).json({ message: 'Ingen dokumenter i utvalget' });
+    }
+
+    const fileName = `dokumentasjon-${new Date().toISOString().slice(0, 10)}.zip`;
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+
+    let manifest;
+    try {
+      manifest = await exportBundle.streamBundle(res, found, {
+        includeRevisions: includeRevisions === true,
+        user: req.user,
+        selection
+      });
+    } catch (streamErr) {
+      // The archive is partly sent, so the response can only be aborted
+      console.error('Export stream error:', streamErr);
+      audit.record(req, 'document.export', { outcome: 'failure', details: { selection, error: streamErr.message } });
+      return res.destroy(streamErr);
+    }
+
+    audit.record(req, 'document.export', {
+      details: { selection, includeRevisions: includeRevisions === true, totals: manifest.totals }
+    });
+
+    // Files that failed verification are exported as stored, and reported here too
+    manifest.documents.forEach(document => {
+      [document.file, ...document.revisions]
+        .filter(file => file.integrity === 'mismatch')
+        .forEach(file => {
+          audit.record(req, 'file.integrity_failure', {
+            outcome: 'failure',
+            document: document.id,
+            details: { version: file.version || document.version, expected: file.storedSha256, actual: file.sha256, export: true }
+          });
+        });
+    });
+  } catch (err) {
+    console.error('Export documents error:', err);
+    res.status(500).json({ message: 'Serverfeil ved eksport av dokumenter' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/permission');
+const audit = require('../services/audit');
+const { startScan, getLastScan } = require('../services/integrity');
+
+// @route   POST api/integrity/scan
+// @desc    Start verifying the checksums of all stored files in the background
+//          (set backfill=true to record checksums for files uploaded before checksums).
+//          The report is available from GET api/integrity/scan when it is done.
+// @access  Private (admin only)
+router.post('/scan', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const backfill = req.body.backfill === true || req.query.backfill === 'true';
+
+    const scan = startScan({ backfill }, report => {
+      audit.record(req, 'file.integrity_scan', {
+        outcome: report.missing.length || report.corrupted.length ? 'failure' : 'success',
+        details: {
+          checked: report.checked,
+          ok: report.ok,
+          missing: report.missing.length,
+          corrupted: report.corrupted.length,
+          unhashed: report.unhashed.length,
+          backfill
+        }
+      });
+    });
+
+    if (!scan) {
+      return res.status(409).json({ message: 'En integritetskontroll pågår allerede', scan: getLastScan() });
+    }
+
+    res.status(202).json(scan);
+  } catch (err) {
+    console.error('Integrity scan error:', err);
+    res.status(500).json({ message: 'Serverfeil ved integritetskontroll' });
+  }
+});
+
+// @route   GET api/integrity/scan
+// @desc    Get the status and report of the last integrity scan
+// @access  Private (admin only)
+router.get('/scan', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const scan = getLastScan();
+    if (!scan) {
+      return res.status(404).json({ message: 'Ingen integritetskontroll er kjørt' });
+    }
+
+    res.json(scan);
+  } catch (err) {
+    console.error('Get integrity scan error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av integritetskontroll' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,309 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { subscribe, issueStreamTicket, redeemStreamTicket } = require('../services/notifications');
+const { getActiveSession } = require('../services/sessions');
+const { queryList } = require('../utils/text');
+
+// Parse a list of notification ids from the request body
+const parseIds = (ids) => {
+  if (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return null;
+  }
+  return ids;
+};
+
+// EventSource cannot send headers, so the stream is opened with a single-use
+// ticket from POST /stream-ticket. The ticket stands in for the access token.
+const tokenFromTicket = (req, res, next) => {
+  const accessToken = req.query.ticket ? redeemStreamTicket(req.query.ticket) : null;
+  if (!accessToken) {
+    return res.status(401).json({ message: 'Ugyldig eller utløpt billett for varselstrøm' });
+  }
+  req.headers['x-auth-token'] = accessToken;
+  next();
+};
+
+// @route   GET api/notifications
+// @desc    Get the current user's notifications with optional filtering
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { type, unread, page = 1, limit = 20 } = req.query;
+
+    // Build query
+    const query = { user: req.user.id };
+
+    // Filter by type (comma-separated)
+    const types = queryList(type);
+    if (types.length > 0) {
+      query.type = { $in: types };
+    }
+
+    // Filter by read state
+    if (unread === 'true') {
+      query.isRead = false;
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const notifications = await Notification.find(query)
+      .populate('relatedDocument', 'title')
+      .populate('relatedDeviation', 'reference title')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Get total count for pagination
+    const total = await Notification.countDocuments(query);
+
+    res.json({
+      notifications,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Get notifications error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av varsler' });
+  }
+});
+
+// @route   GET api/notifications/unread-count
+// @desc    Get the number of unread notifications
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user: req.user.id, isRead: false });
+    res.json({ count });
+  } catch (err) {
+    console.error('Get unread count error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av antall uleste varsler' });
+  }
+});
+
+// @route   GET api/notifications/preferences
+// @desc    Get how the current user gets each type of notification
+// @access  Private
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ message: 'Bruker ikke funnet' });
+    }
+
+    res.json(user.notificationPreferences);
+  } catch (err) {
+    console.error('Get notification preferences error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av varslingsinnstillinger' });
+  }
+});
+
+// @route   PUT api/notifications/preferences
+// @desc    Choose per notification type: in_app, immediate, daily or weekly
+// @access  Private
+router.put('/preferences', auth, async (req, res) => {
+  try {
+    const types = Notification.schema.path('type').enumValues;
+    const modes = Notification.schema.path('delivery.mode').enumValues;
+
+    const invalid = Object.entries(req.body)
+      .find(([type, mode]) => !types.includes(type) || !modes.includes(mode));
+    if (invalid) {
+      return res.status(400).json({ message: `Ugyldig varslingsinnstilling: ${invalid[0]}` });
+    }
+
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ message: 'Bruker ikke funnet' });
+    }
+
+    Object.entries(req.body).forEach(([type, mode]) => {
+      user.notificationPreferences[type] = mode;
+    });
+    await user.save();
+
+    res.json(user.notificationPreferences);
+  } catch (err) {
+    console.error('Update notification preferences error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av varslingsinnstillinger' });
+  }
+});
+
+// @route   POST api/notifications/stream-ticket
+// @desc    Get a short-lived, single-use ticket for opening the notification stream
+// @access  Private
+router.post('/stream-ticket', auth, (req, res) => {
+  try {
+    res.json(issueStreamTicket(req.header('x-auth-token')));
+  } catch (err) {
+    console.error('Issue stream ticket error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppkobling av varselstrøm' });
+  }
+});
+
+// @route   GET api/notifications/stream?ticket=
+// @desc    Server-Sent Events stream of new notifications
+// @access  Private (stream ticket)
+router.get('/stream', tokenFromTicket, auth, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user: req.user.id, isRead: false });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // compression() buffers output, so flush after every write
+    const write = (chunk) => {
+      res.write(chunk);
+      if (res.flush) {
+        res.flush();
+      }
+    };
+    const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send('unread-count', { count });
+
+    const unsubscribe = subscribe(req.user.id, notification => send('notification', notification));
+
+    let heartbeat = null;
+    const stop = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    // Keep proxies from closing an idle connection. The stream stays open after the
+    // ticket is used, so it is also closed once the session is revoked (logout,
+    // refresh token reuse) or the user is deactivated.
+    heartbeat = setInterval(async () => {
+      try {
+        const session = await getActiveSession(req.user.sessionId);
+        const user = session && await User.findById(req.user.id).select('isActive');
+        if (!user || !user.isActive) {
+          send('session-ended', {});
+          stop();
+          return res.end();
+        }
+        write(': ping\n\n');
+      } catch (err) {
+        console.error('Notification stream check error:', err);
+      }
+    }, 30 * 1000);
+
+    req.on('close', stop);
+  } catch (err) {
+    console.error('Notification stream error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppkobling av varselstrøm' });
+  }
+});
+
+// @route   PUT api/notifications/read
+// @desc    Mark several notifications as read
+// @access  Private
+router.put('/read', auth, async (req, res) => {
+  try {
+    const ids = parseIds(req.body.ids);
+    if (!ids) {
+      return res.status(400).json({ message: 'Ugyldige varsel-IDer' });
+    }
+
+    const result = await Notification.updateMany(
+      { _id: { $in: ids }, user: req.user.id },
+      { isRead: true }
+    );
+
+    res.json({ updated: result.modifiedCount });
+  } catch (err) {
+    console.error('Mark notifications read error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av varsler' });
+  }
+});
+
+// @route   PUT api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, isRead: false },
+      { isRead: true }
+    );
+
+    res.json({ updated: result.modifiedCount });
+  } catch (err) {
+    console.error('Mark all notifications read error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av varsler' });
+  }
+});
+
+// @route   PUT api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { isRead: true },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Varsel ikke funnet' });
+    }
+
+    res.json(notification);
+  } catch (err) {
+    console.error('Mark notification read error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av varsel' });
+  }
+});
+
+// @route   DELETE api/notifications
+// @desc    Delete several notifications
+// @access  Private
+router.delete('/', auth, async (req, res) => {
+  try {
+    const ids = parseIds(req.body.ids);
+    if (!ids) {
+      return res.status(400).json({ message: 'Ugyldige varsel-IDer' });
+    }
+
+    const result = await Notification.deleteMany({ _id: { $in: ids }, user: req.user.id });
+
+    res.json({ deleted: result.deletedCount });
+  } catch (err) {
+    console.error('Delete notifications error:', err);
+    res.status(500).json({ message: 'Serverfeil ved sletting av varsler' });
+  }
+});
+
+// @route   DELETE api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Varsel ikke funnet' });
+    }
+
+    res.json({ message: 'Varsel slettet' });
+  } catch (err) {
+    console.error('Delete notification error:', err);
+    res.status(500).json({ message: 'Serverfeil ved sletting av varsel' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,413 @@
+const express = require('express');
+const router = express.Router();
+const ProcessingActivity = require('../models/ProcessingActivity');
+const ProcessingActivityVersion = require('../models/ProcessingActivityVersion');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { requireRole, visibleDocumentsFilter } = require('../middleware/permission');
+const audit = require('../services/audit');
+const processing = require('../services/processingActivities');
+const { sendCsv } = require('../utils/csv');
+const { escapeRegex, queryValue } = require('../utils/text');
+
+// The protocol is kept by the data protection officer, with read access for IT
+const canView = requireRole('admin', 'personvernombud', 'it_ansvarlig');
+const canEdit = requireRole('admin', 'personvernombud');
+
+const populateActivity = (query) => query
+  .populate('owner', 'name email')
+  .populate('documents', 'title status version category subcategory')
+  .populate('createdBy', 'name')
+  .populate('updatedBy', 'name');
+
+// Check that the referenced owner exists and that the user may see the
+// documents to be linked. Documents already linked are not checked again.
+const checkReferences = async (req, values, linked = []) => {
+  if (values.owner && !(await User.exists({ _id: values.owner, isActive: true }))) {
+    return 'Ugyldig ansvarlig';
+  }
+
+  const linkedIds = linked.map(String);
+  const added = (values.documents || []).filter(id => !linkedIds.includes(id));
+  if (added.length > 0) {
+    const found = await Document.countDocuments({
+      $and: [{ _id: { $in: added }, status: { $ne: 'deleted' } }, await visibleDocumentsFilter(req.user)]
+    });
+    if (found !== added.length) {
+      return 'Ett eller flere dokumenter finnes ikke';
+    }
+  }
+  return null;
+};
+
+// Apply changed values to an activity as a new version. Returns the changed
+// fields, which are empty when nothing was changed, or null when another
+// request saved a version since the activity was loaded.
+const saveVersion = async (req, activity, values, changes) => {
+  const before = processing.snapshot(activity);
+  activity.set(values);
+  const fields = processing.changedFields(before, processing.snapshot(activity));
+
+  if (fields.length === 0) {
+    return fields;
+  }
+
+  // Only saved if the stored version is still the one that was loaded
+  activity.$where = { version: activity.version };
+  activity.version += 1;
+  activity.updatedBy = req.user.id;
+  try {
+    await activity.save();
+  } catch (err) {
+    if (err.name === 'DocumentNotFoundError') {
+      return null;
+    }
+    throw err;
+  }
+  await processing.recordVersion(activity, req.user.id, { changedFields: fields, changes });
+
+  return fields;
+};
+
+const sendConflict = (res) => res.status(409).json({
+  message: 'Behandlingsaktiviteten er endret av noen andre i mellomtiden. Last den inn på nytt og prøv igjen'
+});
+
+const buildQuery = ({ search, status = 'active', legalBasis, department, owner }) => {
+  const query = {};
+
+  if (status !== 'all') {
+    query.status = status;
+  }
+
+  search = queryValue(search);
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    query.$or = [{ name: pattern }, { description: pattern }, { purposes: pattern }];
+  }
+
+  if (legalBasis) {
+    query.legalBasis = legalBasis;
+  }
+
+  if (department) {
+    query.department = department;
+  }
+
+  if (owner) {
+    query.owner = owner;
+  }
+
+  return query;
+};
+
+// @route   GET api/processing-activities
+// @desc    Get processing activities with optional filtering and pagination
+//          (search, status=active|archived|all, legalBasis, department, owner)
+// @access  Private (admin, personvernombud, it_ansvarlig)
+router.get('/', auth, canView, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const query = buildQuery(req.query);
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const activities = await populateActivity(ProcessingActivity.find(query))
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Get total count for pagination
+    const total = await ProcessingActivity.countDocuments(query);
+
+    res.json({
+      activities,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Get processing activities error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av behandlingsaktiviteter' });
+  }
+});
+
+// @route   GET api/processing-activities/controller
+// @desc    Get the controller and data protection officer details of the protocol
+// @access  Private (admin, personvernombud, it_ansvarlig)
+router.get('/controller', auth, canView, async (req, res) => {
+  try {
+    res.json(await processing.getController());
+  } catch (err) {
+    console.error('Get controller details error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av behandlingsansvarlig' });
+  }
+});
+
+// @route   PUT api/processing-activities/controller
+// @desc    Set the controller and data protection officer details of the protocol
+// @access  Private (admin, personvernombud)
+router.put('/controller', auth, canEdit, async (req, res) => {
+  try {
+    const controller = await processing.setController(req.body, req.user.id);
+
+    audit.record(req, 'settings.gdpr_controller', {
+      targetType: 'setting',
+      targetId: 'gdpr.controller',
+      details: controller
+    });
+
+    res.json(controller);
+  } catch (err) {
+    console.error('Update controller details error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av behandlingsansvarlig' });
+  }
+});
+
+// @route   GET api/processing-activities/export
+// @desc    Download the protocol as CSV or PDF (format=csv|pdf, same filters as the list)
+// @access  Private (admin, personvernombud, it_ansvarlig)
+router.get('/export', auth, canView, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    if (!['csv', 'pdf'].includes(format)) {
+      return res.status(400).json({ message: 'Ugyldig format' });
+    }
+
+    const activities = await populateActivity(ProcessingActivity.find(buildQuery(req.query)))
+      .sort({ name: 1 });
+    const date = new Date().toISOString().slice(0, 10);
+    const fileName = `behandlingsprotokoll-${date}.${format}`;
+
+    audit.record(req, 'processing_activity.export', { details: { format, activities: activities.length } });
+
+    if (format === 'csv') {
+      return sendCsv(res, fileName, activities, processing.EXPORT_COLUMNS);
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    processing.writePdf(res, activities, await processing.getController());
+  } catch (err) {
+    console.error('Export processing activities error:', err);
+    res.status(500).json({ message: 'Serverfeil ved eksport av behandlingsprotokoll' });
+  }
+});
+
+// @route   GET api/processing-activities/:id
+// @desc    Get a processing activity
+// @access  Private (admin, personvernombud, it_ansvarlig)
+router.get('/:id', auth, canView, async (req, res) => {
+  try {
+    const activity = await populateActivity(ProcessingActivity.findById(req.params.id));
+    if (!activity) {
+      return res.status(404).json({ message: 'Behandlingsaktivitet ikke funnet' });
+    }
+
+    res.json(activity);
+  } catch (err) {
+    console.error('Get processing activity error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av behandlingsaktivitet' });
+  }
+});
+
+// @route   POST api/processing-activities
+// @desc    Add a processing activity to the protocol
+// @access  Private (admin, personvernombud)
+router.post('/', auth, canEdit, async (req, res) => {
+  try {
+    const { values, error } = processing.validate(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const referenceError = await checkReferences(req, values);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    const activity = new ProcessingActivity({
+      ...values,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+    await activity.save();
+    await processing.recordVersion(activity, req.user.id, { changes: req.body.changes || 'Opprettet' });
+
+    audit.record(req, 'processing_activity.create', {
+      targetType: 'processing_activity',
+      targetId: activity._id,
+      details: { name: activity.name, legalBasis: activity.legalBasis }
+    });
+
+    res.status(201).json(activity);
+  } catch (err) {
+    console.error('Create processing activity error:', err);
+    res.status(500).json({ message: 'Serverfeil ved opprettelse av behandlingsaktivitet' });
+  }
+});
+
+// @route   PUT api/processing-activities/:id
+// @desc    Update a processing activity. Every change is saved as a new version;
+//          "changes" describes it in the history.
+// @access  Private (admin, personvernombud)
+router.put('/:id', auth, canEdit, async (req, res) => {
+  try {
+    const activity = await ProcessingActivity.findById(req.params.id);
+    if (!activity) {
+      return res.status(404).json({ message: 'Behandlingsaktivitet ikke funnet' });
+    }
+
+    const { values, error } = processing.validate(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const referenceError = await checkReferences(req, values, activity.documents);
+    if (referenceError) {
+      return res.status(400).json({ message: referenceError });
+    }
+
+    const fields = await saveVersion(req, activity, values, req.body.changes || '');
+    if (!fields) {
+      return sendConflict(res);
+    }
+
+    if (fields.length > 0) {
+      audit.record(req, 'processing_activity.update', {
+        targetType: 'processing_activity',
+        targetId: activity._id,
+        details: { version: activity.version, fields }
+      });
+    }
+
+    res.json(await populateActivity(ProcessingActivity.findById(activity._id)));
+  } catch (err) {
+    console.error('Update processing activity error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av behandlingsaktivitet' });
+  }
+});
+
+// @route   POST api/processing-activities/:id/documents
+// @desc    Link a supporting document, e.g. a data processor agreement
+// @access  Private (admin, personvernombud)
+router.post('/:id/documents', auth, canEdit, async (req, res) => {
+  try {
+    const { documentId } = req.body;
+
+    const activity = await ProcessingActivity.findById(req.params.id);
+    if (!activity) {
+      return res.status(404).json({ message: 'Behandlingsaktivitet ikke funnet' });
+    }
+
+    const { values, error } = processing.validate({
+      documents: [...activity.documents.map(String), documentId]
+    }, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: 'Ugyldig dokument' });
+    }
+
+    const referenceError = await checkReferences(req, values, activity.documents);
+    if (referenceError) {
+      return res.status(404).json({ message: 'Dokument ikke funnet' });
+    }
+
+    const fields = await saveVersion(req, activity, values, 'Dokument koblet til');
+    if (!fields) {
+      return sendConflict(res);
+    }
+
+    if (fields.length > 0) {
+      audit.record(req, 'processing_activity.link_document', {
+        targetType: 'processing_activity',
+        targetId: activity._id,
+        document: documentId,
+        details: { version: activity.version }
+      });
+    }
+
+    res.json(await populateActivity(ProcessingActivity.findById(activity._id)));
+  } catch (err) {
+    console.error('Link processing activity document error:', err);
+    res.status(500).json({ message: 'Serverfeil ved kobling av dokument' });
+  }
+});
+
+// @route   DELETE api/processing-activities/:id/documents/:documentId
+// @desc    Remove a supporting document
+// @access  Private (admin, personvernombud)
+router.delete('/:id/documents/:documentId', auth, canEdit, async (req, res) => {
+  try {
+    const activity = await ProcessingActivity.findById(req.params.id);
+    if (!activity) {
+      return res.status(404).json({ message: 'Behandlingsaktivitet ikke funnet' });
+    }
+
+    const documents = activity.documents.map(String).filter(id => id !== req.params.documentId);
+    const fields = await saveVersion(req, activity, { documents }, 'Dokument fjernet');
+    if (!fields) {
+      return sendConflict(res);
+    }
+
+    if (fields.length > 0) {
+      audit.record(req, 'processing_activity.unlink_document', {
+        targetType: 'processing_activity',
+        targetId: activity._id,
+        document: req.params.documentId,
+        details: { version: activity.version }
+      });
+    }
+
+    res.json(await populateActivity(ProcessingActivity.findById(activity._id)));
+  } catch (err) {
+    console.error('Unlink processing activity document error:', err);
+    res.status(500).json({ message: 'Serverfeil ved fjerning av dokument' });
+  }
+});
+
+// @route   GET api/processing-activities/:id/versions
+// @desc    Get the version history of a processing activity, newest first
+// @access  Private (admin, personvernombud, it_ansvarlig)
+router.get('/:id/versions', auth, canView, async (req, res) => {
+  try {
+    const versions = await ProcessingActivityVersion.find({ activity: req.params.id })
+      .select('-snapshot')
+      .populate('createdBy', 'name')
+      .sort({ version: -1 });
+
+    res.json(versions);
+  } catch (err) {
+    console.error('Get processing activity versions error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av versjoner' });
+  }
+});
+
+// @route   GET api/processing-activities/:id/versions/:version
+// @desc    Get a processing activity as it was in a given version
+// @access  Private (admin, personvernombud, it_ansvarlig)
+router.get('/:id/versions/:version', auth, canView, async (req, res) => {
+  try {
+    const version = await ProcessingActivityVersion.findOne({
+      activity: req.params.id,
+      version: parseInt(req.params.version)
+    }).populate('createdBy', 'name');
+
+    if (!version) {
+      return res.status(404).json({ message: 'Versjon ikke funnet' });
+    }
+
+    res.json(version);
+  } catch (err) {
+    console.error('Get processing activity version error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av versjon' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,334 @@
+const express = require('express');
+const router = express.Router();
+const Risk = require('../models/Risk');
+const Control = require('../models/Control');
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/permission');
+const audit = require('../services/audit');
+const risks = require('../services/risks');
+const { escapeRegex, queryValue } = require('../utils/text');
+
+// The risk register is kept by the ISMS roles
+const canManage = requireRole('admin', 'it_ansvarlig', 'personvernombud');
+
+const SORTS = {
+  score: { inherentScore: -1, createdAt: 1 },
+  residual: { residualScore: -1, inherentScore: -1 },
+  reviewDate: { reviewDate: 1 },
+  created: { createdAt: -1 }
+};
+
+const TEXT_FIELDS = ['title', 'description', 'asset', 'threat', 'vulnerability'];
+const SCORE_FIELDS = ['likelihood', 'consequence', 'residualLikelihood', 'residualConsequence'];
+
+const populateRisk = (query) => query
+  .populate('owner', 'name email')
+  .populate('controls', 'controlId title implementationStatus')
+  .populate('documents', 'title status version category subcategory')
+  .populate('treatment.acceptedBy', 'name')
+  .populate('createdBy', 'name')
+  .populate('updatedBy', 'name');
+
+// Copy the request fields to a risk. Returns an error message or null.
+const applyFields = async (risk, body, userId) => {
+  TEXT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      risk[field] = String(body[field]).trim();
+    }
+  });
+
+  SCORE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      risk[field] = body[field] === null ? undefined : body[field];
+    }
+  });
+
+  if (body.owner !== undefined) {
+    if (body.owner && !(await User.exists({ _id: body.owner, isActive: true }))) {
+      return 'Ugyldig ansvarlig';
+    }
+    risk.owner = body.owner || undefined;
+  }
+
+  if (body.controls !== undefined) {
+    const { ids, error } = await risks.resolveControls(body.controls);
+    if (error) {
+      return error;
+    }
+    risk.controls = ids;
+  }
+
+  if (body.documents !== undefined) {
+    if (!(await risks.documentsExist(body.documents))) {
+      return 'Ett eller flere dokumenter finnes ikke';
+    }
+    risk.documents = [...new Set(body.documents.map(String))];
+  }
+
+  if (body.reviewDate !== undefined) {
+    risk.reviewDate = body.reviewDate || undefined;
+  }
+
+  if (body.status !== undefined) {
+    risk.status = body.status;
+  }
+
+  if (body.treatment !== undefined) {
+    const { decision, plan, dueDate } = body.treatment || {};
+    if (decision !== undefined) {
+      // Record who accepted the risk, once per decision
+      if (decision === 'accept' && risk.treatment.decision !== 'accept') {
+        risk.treatment.acceptedBy = userId;
+        risk.treatment.acceptedAt = new Date();
+      } else if (decision !== 'accept') {
+        risk.treatment.acceptedBy = undefined;
+        risk.treatment.acceptedAt = undefined;
+      }
+      risk.treatment.decision = decision || undefined;
+    }
+    if (plan !== undefined) risk.treatment.plan = plan;
+    if (dueDate !== undefined) risk.treatment.dueDate = dueDate || undefined;
+  }
+
+  // Residual risk needs both scores
+  if (Boolean(risk.residualLikelihood) !== Boolean(risk.residualConsequence)) {
+    return 'Restrisiko krever både sannsynlighet og konsekvens';
+  }
+
+  // Accepting or transferring a risk must be explained
+  if (['accept', 'transfer'].includes(risk.treatment.decision) && !risk.treatment.plan) {
+    return 'Begrunnelse er påkrevd for å akseptere eller overføre en risiko';
+  }
+
+  return null;
+};
+
+// @route   GET api/risks
+// @desc    Get risks with optional filtering and pagination (status=open|closed|all,
+//          level (inherent), decision, owner, control, reviewDue=true, search, sort)
+// @access  Private (admin, it_ansvarlig, personvernombud)
+router.get('/', auth, canManage, async (req, res) => {
+  try {
+    const { status = 'open', level, decision, owner, control, reviewDue, sort = 'score', page = 1, limit = 20 } = req.query;
+    const search = queryValue(req.query.search);
+
+    // Build query
+    const query = {};
+
+    if (status !== 'all') {
+      query.status = status;
+    }
+
+    if (level) {
+      query.inherentLevel = level;
+    }
+
+    if (decision) {
+      query['treatment.decision'] = decision === 'none' ? null : decision;
+    }
+
+    if (owner) {
+      query.owner = owner;
+    }
+
+    if (control) {
+      const controlRecord = await Control.findOne({ controlId: control }).select('_id');
+      query.controls = controlRecord ? controlRecord._id : null;
+    }
+
+    if (reviewDue === 'true') {
+      query.reviewDate = { $lte: new Date() };
+    }
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ reference: pattern }, { title: pattern }, { asset: pattern }, { threat: pattern }, { vulnerability: pattern }];
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const list = await Risk.find(query)
+      .populate('owner', 'name')
+      .populate('controls', 'controlId title')
+      .sort(SORTS[sort] || SORTS.score)
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Get total count for pagination
+    const total = await Risk.countDocuments(query);
+
+    res.json({
+      risks: list,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Get risks error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av risikoer' });
+  }
+});
+
+// @route   GET api/risks/top
+// @desc    Get the open risks with the highest current (residual, else inherent) score
+// @access  Private (admin, it_ansvarlig, personvernombud)
+router.get('/top', auth, canManage, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    res.json(await risks.topRisks(limit));
+  } catch (err) {
+    console.error('Get top risks error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av risikoer' });
+  }
+});
+
+// @route   GET api/risks/matrix
+// @desc    Get the number of open risks per likelihood × consequence cell
+//          (basis=current|inherent|residual)
+// @access  Private (admin, it_ansvarlig, personvernombud)
+router.get('/matrix', auth, canManage, async (req, res) => {
+  try {
+    const basis = req.query.basis || 'current';
+    if (!['current', 'inherent', 'residual'].includes(basis)) {
+      return res.status(400).json({ message: 'Ugyldig grunnlag' });
+    }
+
+    res.json(await risks.matrix(basis));
+  } catch (err) {
+    console.error('Get risk matrix error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av risikomatrise' });
+  }
+});
+
+// @route   GET api/risks/:id
+// @desc    Get a risk
+// @access  Private (admin, it_ansvarlig, personvernombud)
+router.get('/:id', auth, canManage, async (req, res) => {
+  try {
+    const risk = await populateRisk(Risk.findById(req.params.id));
+    if (!risk) {
+      return res.status(404).json({ message: 'Risiko ikke funnet' });
+    }
+
+    res.json(risk);
+  } catch (err) {
+    console.error('Get risk error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av risiko' });
+  }
+});
+
+// @route   POST api/risks
+// @desc    Add a risk to the register
+// @access  Private (admin, it_ansvarlig, personvernombud)
+router.post('/', auth, canManage, async (req, res) => {
+  try {
+    const validationError = risks.validate(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const risk = new Risk({
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
+
+    const error = await applyFields(risk, req.body, req.user.id);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Take the next reference only once the risk is valid, so rejected risks do not use up numbers
+    await risk.validate({ pathsToSkip: ['reference'] });
+    risk.reference = `R-${String(await Counter.next('risk')).padStart(4, '0')}`;
+
+    await risk.save();
+
+    audit.record(req, 'risk.create', {
+      targetType: 'risk',
+      targetId: risk._id,
+      details: { reference: risk.reference, inherentScore: risk.inherentScore, residualScore: risk.residualScore }
+    });
+
+    res.status(201).json(await populateRisk(Risk.findById(risk._id)));
+  } catch (err) {
+    console.error('Create risk error:', err);
+    res.status(500).json({ message: 'Serverfeil ved registrering av risiko' });
+  }
+});
+
+// @route   PUT api/risks/:id
+// @desc    Update a risk; scores and levels are recomputed
+// @access  Private (admin, it_ansvarlig, personvernombud)
+router.put('/:id', auth, canManage, async (req, res) => {
+  try {
+    const risk = await Risk.findById(req.params.id);
+    if (!risk) {
+      return res.status(404).json({ message: 'Risiko ikke funnet' });
+    }
+
+    const validationError = risks.validate(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const before = { inherentScore: risk.inherentScore, residualScore: risk.residualScore, decision: risk.treatment.decision };
+
+    const error = await applyFields(risk, req.body, req.user.id);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const changedFields = risk.modifiedPaths().filter(path => !path.includes('.'));
+    risk.updatedBy = req.user.id;
+    await risk.save();
+
+    audit.record(req, 'risk.update', {
+      targetType: 'risk',
+      targetId: risk._id,
+      details: {
+        reference: risk.reference,
+        fields: changedFields,
+        from: before,
+        to: { inherentScore: risk.inherentScore, residualScore: risk.residualScore, decision: risk.treatment.decision }
+      }
+    });
+
+    res.json(await populateRisk(Risk.findById(risk._id)));
+  } catch (err) {
+    console.error('Update risk error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av risiko' });
+  }
+});
+
+// @route   DELETE api/risks/:id
+// @desc    Delete a risk registered by mistake (close risks that no longer apply)
+// @access  Private (admin only)
+router.delete('/:id', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const risk = await Risk.findById(req.params.id);
+    if (!risk) {
+      return res.status(404).json({ message: 'Risiko ikke funnet' });
+    }
+
+    await risk.deleteOne();
+
+    audit.record(req, 'risk.delete', {
+      targetType: 'risk',
+      targetId: risk._id,
+      details: { reference: risk.reference, title: risk.title }
+    });
+
+    res.json({ message: 'Risiko slettet' });
+  } catch (err) {
+    console.error('Delete risk error:', err);
+    res.status(500).json({ message: 'Serverfeil ved sletting av risiko' });
+  }
+});
+
+module.exports = router;
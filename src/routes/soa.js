@@ -0,0 +1,275 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Control = require('../models/Control');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { requireRole, visibleDocumentsFilter } = require('../middleware/permission');
+const audit = require('../services/audit');
+const soa = require('../services/soa');
+const { sendCsv, toTable } = require('../utils/csv');
+const { escapeRegex, queryValue } = require('../utils/text');
+
+// The SoA is maintained by the ISMS roles
+const canView = requireRole('admin', 'it_ansvarlig', 'personvernombud');
+const canEdit = requireRole('admin', 'it_ansvarlig');
+
+// Load controls matching the query filters, in control order
+const findControls = async ({ theme, applicable, status, search, gaps }) => {
+  const query = {};
+
+  if (theme) {
+    query.theme = theme;
+  }
+
+  if (applicable === 'true' || applicable === 'false') {
+    query.applicable = applicable === 'true';
+  } else if (applicable === 'unassessed') {
+    query.applicable = null;
+  }
+
+  if (status) {
+    query.implementationStatus = status;
+  }
+
+  search = queryValue(search);
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    query.$or = [{ controlId: pattern }, { title: pattern }, { justification: pattern }];
+  }
+
+  const controls = await Control.find(query)
+    .populate('owner', 'name email')
+    .populate('documents', 'title status version category subcategory')
+    .populate('updatedBy', 'name');
+
+  const sorted = controls.sort((a, b) => soa.compareControlIds(a.controlId, b.controlId));
+  return gaps === 'true' ? sorted.filter(control => soa.gapsFor(control).length > 0) : sorted;
+};
+
+const withGaps = (control) => ({ ...control.toJSON(), gaps: soa.gapsFor(control) });
+
+// @route   GET api/soa
+// @desc    Get the Statement of Applicability with optional filtering
+//          (theme, applicable=true|false|unassessed, status, search, gaps=true)
+// @access  Private (admin, it_ansvarlig, personvernombud)
+router.get('/', auth, canView, async (req, res) => {
+  try {
+    const controls = await findControls(req.query);
+
+    res.json({
+      controls: controls.map(withGaps),
+      summary: soa.summarize(controls)
+    });
+  } catch (err) {
+    console.error('Get SoA error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av erklæring om anvendelse' });
+  }
+});
+
+// @route   GET api/soa/summary
+// @desc    Get coverage figures for the Statement of Applicability
+// @access  Private (admin, it_ansvarlig, personvernombud)
+router.get('/summary', auth, canView, async (req, res) => {
+  try {
+    const controls = await Control.find()
+      .select('controlId theme applicable justification implementationStatus owner documents')
+      .populate('documents', 'status');
+    res.json(soa.summarize(controls));
+  } catch (err) {
+    console.error('Get SoA summary error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av oppsummering' });
+  }
+});
+
+// @route   GET api/soa/export
+// @desc    Download the Statement of Applicability as CSV or XLSX (format=csv|xlsx)
+// @access  Private (admin, it_ansvarlig, personvernombud)
+router.get('/export', auth, canView, async (req, res) => {
+  try {
+    const format = req.query.format || 'xlsx';
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ message: 'Ugyldig format' });
+    }
+
+    const controls = await findControls(req.query);
+    const date = new Date().toISOString().slice(0, 10);
+    const fileName = `erklaering-om-anvendelse-${date}.${format}`;
+
+    audit.record(req, 'soa.export', { details: { format, controls: controls.length } });
+
+    if (format === 'csv') {
+      return sendCsv(res, fileName, controls, soa.EXPORT_COLUMNS);
+    }
+
+    const summary = soa.summarize(controls);
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('SoA').addRows(toTable(controls, soa.EXPORT_COLUMNS));
+    workbook.addWorksheet('Oppsummering').addRows([
+      ['Generert', date],
+      ['Kontroller', summary.total],
+      ['Vurdert', summary.assessed],
+      ['Anvendelige', summary.applicable],
+      ['Ikke anvendelige', summary.notApplicable],
+      ...Object.entries(soa.STATUS_LABELS).map(([status, label]) => [label, summary.byStatus[status]]),
+      ['Implementert (% av anvendelige)', summary.implementedPercent],
+      ['Anvendelige med dokumentasjon', summary.withDocuments],
+      ['Kontroller med mangler', summary.withGaps]
+    ]);
+
+    res.set({
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.send(Buffer.from(await workbook.xlsx.writeBuffer()));
+  } catch (err) {
+    console.error('Export SoA error:', err);
+    res.status(500).json({ message: 'Serverfeil ved eksport av erklæring om anvendelse' });
+  }
+});
+
+// @route   GET api/soa/:controlId
+// @desc    Get one control (e.g. 5.1)
+// @access  Private (admin, it_ansvarlig, personvernombud)
+router.get('/:controlId', auth, canView, async (req, res) => {
+  try {
+    const control = await Control.findOne({ controlId: req.params.controlId })
+      .populate('owner', 'name email')
+      .populate('documents', 'title status version category subcategory')
+      .populate('updatedBy', 'name');
+
+    if (!control) {
+      return res.status(404).json({ message: 'Kontroll ikke funnet' });
+    }
+
+    res.json(withGaps(control));
+  } catch (err) {
+    console.error('Get control error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av kontroll' });
+  }
+});
+
+// @route   PUT api/soa/:controlId
+// @desc    Update the applicability, justification, status, owner or notes of a control
+// @access  Private (admin, it_ansvarlig)
+router.put('/:controlId', auth, canEdit, async (req, res) => {
+  try {
+    const { applicable, justification, implementationStatus, owner, notes } = req.body;
+
+    const control = await Control.findOne({ controlId: req.params.controlId });
+    if (!control) {
+      return res.status(404).json({ message: 'Kontroll ikke funnet' });
+    }
+
+    if (applicable !== undefined && applicable !== null && typeof applicable !== 'boolean') {
+      return res.status(400).json({ message: 'Ugyldig verdi for anvendelighet' });
+    }
+
+    if (implementationStatus && !Object.keys(soa.STATUS_LABELS).includes(implementationStatus)) {
+      return res.status(400).json({ message: 'Ugyldig implementeringsstatus' });
+    }
+
+    if (owner) {
+      if (!mongoose.Types.ObjectId.isValid(owner) || !(await User.exists({ _id: owner, isActive: true }))) {
+        return res.status(400).json({ message: 'Ugyldig ansvarlig' });
+      }
+    }
+
+    // Excluding a control must always be justified
+    const nextApplicable = applicable !== undefined ? applicable : control.applicable;
+    const nextJustification = justification !== undefined ? justification : control.justification;
+    if (nextApplicable === false && !nextJustification) {
+      return res.status(400).json({ message: 'Begrunnelse er påkrevd når kontrollen ikke er anvendelig' });
+    }
+
+    const changedFields = Object.keys(req.body)
+      .filter(field => ['applicable', 'justification', 'implementationStatus', 'owner', 'notes'].includes(field));
+
+    if (applicable !== undefined) control.applicable = applicable;
+    if (justification !== undefined) control.justification = justification;
+    if (implementationStatus) control.implementationStatus = implementationStatus;
+    if (owner !== undefined) control.owner = owner || undefined;
+    if (notes !== undefined) control.notes = notes;
+    control.updatedBy = req.user.id;
+    control.updatedAt = Date.now();
+
+    await control.save();
+
+    audit.record(req, 'soa.update', {
+      targetType: 'control',
+      targetId: control.controlId,
+      details: { fields: changedFields, applicable: control.applicable, implementationStatus: control.implementationStatus }
+    });
+
+    // Gaps are worked out from the status of the linked documents
+    await control.populate('documents', 'title status version category subcategory');
+    res.json(withGaps(control));
+  } catch (err) {
+    console.error('Update control error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av kontroll' });
+  }
+});
+
+// @route   POST api/soa/:controlId/documents
+// @desc    Link a document that implements or evidences a control
+// @access  Private (admin, it_ansvarlig)
+router.post('/:controlId/documents', auth, canEdit, async (req, res) => {
+  try {
+    const { documentId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({ message: 'Ugyldig dokument' });
+    }
+
+    // Only documents the user may see can be linked
+    const document = await Document.findOne({
+      $and: [{ _id: documentId, status: { $ne: 'deleted' } }, await visibleDocumentsFilter(req.user)]
+    }).select('title');
+    if (!document) {
+      return res.status(404).json({ message: 'Dokument ikke funnet' });
+    }
+
+    const control = await Control.findOneAndUpdate(
+      { controlId: req.params.controlId },
+      { $addToSet: { documents: document._id }, updatedBy: req.user.id, updatedAt: Date.now() },
+      { new: true }
+    ).populate('documents', 'title status version category subcategory');
+    if (!control) {
+      return res.status(404).json({ message: 'Kontroll ikke funnet' });
+    }
+
+    audit.record(req, 'soa.link_document', { targetType: 'control', targetId: control.controlId, document: document._id });
+
+    res.json(withGaps(control));
+  } catch (err) {
+    console.error('Link control document error:', err);
+    res.status(500).json({ message: 'Serverfeil ved kobling av dokument' });
+  }
+});
+
+// @route   DELETE api/soa/:controlId/documents/:documentId
+// @desc    Remove a document from a control
+// @access  Private (admin, it_ansvarlig)
+router.delete('/:controlId/documents/:documentId', auth, canEdit, async (req, res) => {
+  try {
+    const control = await Control.findOneAndUpdate(
+      { controlId: req.params.controlId },
+      { $pull: { documents: req.params.documentId }, updatedBy: req.user.id, updatedAt: Date.now() },
+      { new: true }
+    ).populate('documents', 'title status version category subcategory');
+    if (!control) {
+      return res.status(404).json({ message: 'Kontroll ikke funnet' });
+    }
+
+    audit.record(req, 'soa.unlink_document', { targetType: 'control', targetId: control.controlId, document: req.params.documentId });
+
+    res.json(withGaps(control));
+  } catch (err) {
+    console.error('Unlink control document error:', err);
+    res.status(500).json({ message: 'Serverfeil ved fjerning av dokument' });
+  }
+});
+
+module.exports = router;
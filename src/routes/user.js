@@ -0,0 +1,571 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Document = require('../models/Document');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/permission');
+const audit = require('../services/audit');
+const loginThrottle = require('../services/loginThrottle');
+const twoFactor = require('../services/twoFactor');
+const { notify } = require('../services/notifications');
+const mail = require('../services/mail');
+const { validatePassword, hashPassword } = require('../utils/passwordPolicy');
+const { normalizeEmail } = require('../utils/email');
+const { escapeRegex, queryValue } = require('../utils/text');
+
+const ROLES = User.schema.path('role').enumValues;
+const LANGUAGES = User.schema.path('language').enumValues;
+
+// Fields an admin may change with PUT /api/users/:id
+const EDITABLE_FIELDS = ['name', 'role', 'department', 'language'];
+
+// E-mail an invitation to a user. Returns whether it was sent.
+const sendInvitation = async (req, user) => {
+  try {
+    const inviter = await User.findById(req.user.id).select('name');
+    await mail.sendInvitation(user, inviter);
+    audit.record(req, 'user.invite', { targetType: 'user', targetId: user.id });
+    return true;
+  } catch (err) {
+    console.error('Send invitation error:', err);
+    audit.record(req, 'user.invite', { outcome: 'failure', targetType: 'user', targetId: user.id, details: { error: err.message } });
+    return false;
+  }
+};
+
+// Check whether changing a user would leave no active admin
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.isActive) {
+    return false;
+  }
+  const others = await User.countDocuments({ _id: { $ne: user._id }, role: 'admin', isActive: true });
+  return others === 0;
+};
+
+// @route   GET api/users
+// @desc    List users with search, filtering and pagination
+// @access  Private (admin only)
+router.get('/', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { role, department, isActive, page = 1, limit = 20 } = req.query;
+    const search = queryValue(req.query.search);
+
+    // Build query
+    const query = {};
+
+    // Match name or e-mail
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (role) {
+      query.role = role;
+    }
+
+    if (department) {
+      query.department = department;
+    }
+
+    if (isActive === 'true' || isActive === 'false') {
+      query.isActive = isActive === 'true';
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const users = await User.find(query)
+      .select('-password')
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Get total count for pagination
+    const total = await User.countDocuments(query);
+
+    res.json({
+      users,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Get users error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av brukere' });
+  }
+});
+
+// @route   POST api/users
+// @desc    Create a user. Without a password the user gets an e-mail invitation to
+//          choose one; with a password it must be changed at first login.
+// @access  Private (admin only)
+router.post('/', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role, department, language, password } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    // Validate input
+    if (!email || !name) {
+      return res.status(400).json({ message: 'Vennligst fyll ut alle påkrevde felt' });
+    }
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ message: `Ugyldig rolle: ${role}` });
+    }
+
+    if (language && !LANGUAGES.includes(language)) {
+      return res.status(400).json({ message: `Ugyldig språk: ${language}` });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: 'Bruker med denne e-postadressen finnes allerede' });
+    }
+
+    if (password) {
+      const passwordError = await validatePassword(password, { email, name });
+      if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+      }
+    }
+
+    const invite = !password;
+
+    const user = new User({
+      email,
+      name,
+      role: role || 'ansatt',
+      department: department || '',
+      language: language || 'no',
+      // Invited users get a random password nobody knows until they choose their own
+      password: await hashPassword(password || crypto.randomBytes(32).toString('base64url')),
+      passwordChangedAt: Date.now(),
+      mustChangePassword: !invite,
+      invitedAt: invite ? Date.now() : undefined,
+      authProvider: 'local',
+      isActive: true
+    });
+
+    await user.save();
+
+    audit.record(req, 'user.create', {
+      targetType: 'user',
+      targetId: user.id,
+      details: { email: user.email, role: user.role, department: user.department, invite }
+    });
+
+    // The user is kept if the e-mail fails; the invitation can be sent again
+    let invitationSent = false;
+    if (invite) {
+      invitationSent = await sendInvitation(req, user);
+    }
+
+    const created = user.toObject();
+    delete created.password;
+
+    res.status(201).json({ user: created, invitationSent });
+  } catch (err) {
+    console.error('Create user error:', err);
+    res.status(500).json({ message: 'Serverfeil ved opprettelse av bruker' });
+  }
+});
+
+// @route   GET api/users/two-factor-policy
+// @desc    Get the roles that must use two-factor authentication
+// @access  Private (admin only)
+router.get('/two-factor-policy', auth, requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ requiredRoles: await twoFactor.getRequiredRoles() });
+  } catch (err) {
+    console.error('Get two-factor policy error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av tofaktorkrav' });
+  }
+});
+
+// @route   PUT api/users/two-factor-policy
+// @desc    Set the roles that must use two-factor authentication
+// @access  Private (admin only)
+router.put('/two-factor-policy', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+
+    const validRoles = User.schema.path('role').enumValues;
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !validRoles.includes(role))) {
+      return res.status(400).json({ message: 'Ugyldige roller' });
+    }
+
+    const previous = await twoFactor.getRequiredRoles();
+    await twoFactor.setRequiredRoles([...new Set(requiredRoles)], req.user.id);
+
+    audit.record(req, 'settings.two_factor_policy', {
+      targetType: 'setting',
+      targetId: 'twoFactor.requiredRoles',
+      details: { from: previous, to: requiredRoles }
+    });
+
+    res.json({ requiredRoles: await twoFactor.getRequiredRoles() });
+  } catch (err) {
+    console.error('Update two-factor policy error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av tofaktorkrav' });
+  }
+});
+
+// @route   GET api/users/:id
+// @desc    Get a user
+// @access  Private (admin only)
+router.get('/:id', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'Bruker ikke funnet' });
+    }
+
+    res.json(user);
+  } catch (err) {
+    console.error('Get user error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av bruker' });
+  }
+});
+
+// @route   PUT api/users/:id
+// @desc    Update a user's name, role, department or language
+// @access  Private (admin only)
+router.put('/:id', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'Bruker ikke funnet' });
+    }
+
+    const { name, role, department, language } = req.body;
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ message: `Ugyldig rolle: ${role}` });
+    }
+
+    if (language && !LANGUAGES.includes(language)) {
+      return res.status(400).json({ message: `Ugyldig språk: ${language}` });
+    }
+
+    if (role && role !== 'admin' && await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Kan ikke fjerne den siste aktive administratoren' });
+    }
+
+    const before = user.toObject();
+
+    if (name) user.name = name;
+    if (role) user.role = role;
+    if (department !== undefined) user.department = department;
+    if (language) user.language = language;
+
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (before[field] !== user[field]) {
+        changes[field] = { from: before[field], to: user[field] };
+      }
+    });
+
+    await user.save();
+
+    // Access tokens carry the role, so sessions must start over after a role change
+    if (changes.role) {
+      await Session.updateMany(
+        { user: user._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'role_changed' }
+      );
+    }
+
+    audit.record(req, 'user.update', { targetType: 'user', targetId: user.id, details: { changes } });
+
+    res.json(user);
+  } catch (err) {
+    console.error('Update user error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av bruker' });
+  }
+});
+
+// @route   POST api/users/:id/deactivate
+// @desc    Deactivate a user (ends all of the user's sessions)
+// @access  Private (admin only)
+router.post('/:id/deactivate', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'Bruker ikke funnet' });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({ message: 'Du kan ikke deaktivere din egen konto' });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ message: 'Brukeren er allerede deaktivert' });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Kan ikke deaktivere den siste aktive administratoren' });
+    }
+
+    user.isActive = false;
+    await user.save();
+
+    const ownedDocuments = await Document.countDocuments({ owner: user._id, status: { $ne: 'deleted' } });
+
+    audit.record(req, 'user.deactivate', { targetType: 'user', targetId: user.id, details: { ownedDocuments } });
+
+    // Owned documents are reported so they can be transferred
+    res.json({ message: 'Bruker deaktivert', user, ownedDocuments });
+  } catch (err) {
+    console.error('Deactivate user error:', err);
+    res.status(500).json({ message: 'Serverfeil ved deaktivering av bruker' });
+  }
+});
+
+// @route   POST api/users/:id/reactivate
+// @desc    Reactivate a deactivated user
+// @access  Private (admin only)
+router.post('/:id/reactivate', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'Bruker ikke funnet' });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({ message: 'Brukeren er allerede aktiv' });
+    }
+
+    user.isActive = true;
+    await user.save();
+
+    audit.record(req, 'user.reactivate', { targetType: 'user', targetId: user.id });
+
+    res.json({ message: 'Bruker aktivert', user });
+  } catch (err) {
+    console.error('Reactivate user error:', err);
+    res.status(500).json({ message: 'Serverfeil ved aktivering av bruker' });
+  }
+});
+
+// @route   POST api/users/:id/transfer-documents
+// @desc    Transfer ownership of all of a user's documents to another user
+// @access  Private (admin only)
+router.post('/:id/transfer-documents', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { to } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(to)) {
+      return res.status(400).json({ message: 'Ugyldig mottaker' });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'Bruker ikke funnet' });
+    }
+
+    const recipient = await User.findOne({ _id: to, isActive: true }).select('-password');
+    if (!recipient) {
+      return res.status(400).json({ message: 'Ugyldig mottaker' });
+    }
+
+    if (recipient.id === user.id) {
+      return res.status(400).json({ message: 'Mottakeren må være en annen bruker' });
+    }
+
+    // Documents uploaded before ownership was recorded belong to their uploader
+    const query = {
+      $or: [
+        { owner: user._id },
+        { owner: null, uploadedBy: user._id }
+      ]
+    };
+
+    const documents = await Document.find(query).select('_id');
+    const result = await Document.updateMany(query, { owner: recipient._id });
+
+    if (result.modifiedCount > 0) {
+      await notify([recipient.id], {
+        title: 'Dokumenter overført til deg',
+        message: `Du er nå eier av ${result.modifiedCount} dokument(er) som tidligere tilhørte ${user.name}`,
+        type: 'user'
+      });
+    }
+
+    audit.record(req, 'user.transfer_documents', {
+      targetType: 'user',
+      targetId: user.id,
+      details: { to: recipient.id, count: result.modifiedCount, documents: documents.map(doc => doc._id) }
+    });
+
+    res.json({ message: 'Dokumenter overført', transferred: result.modifiedCount });
+  } catch (err) {
+    console.error('Transfer documents error:', err);
+    res.status(500).json({ message: 'Serverfeil ved overføring av dokumenter' });
+  }
+});
+
+// @route   POST api/users/:id/resend-invitation
+// @desc    Send a new invitation e-mail (earlier invitation links stop working)
+// @access  Private (admin only)
+router.post('/:id/resend-invitation', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'Bruker ikke funnet' });
+    }
+
+    if (!user.invitedAt || user.invitationAcceptedAt) {
+      return res.status(400).json({ message: 'Brukeren har ingen ubesvart invitasjon' });
+    }
+
+    if (!(await sendInvitation(req, user))) {
+      return res.status(502).json({ message: 'Kunne ikke sende invitasjonen' });
+    }
+
+    user.invitedAt = Date.now();
+    await user.save();
+
+    res.json({ message: 'Invitasjon sendt' });
+  } catch (err) {
+    console.error('Resend invitation error:', err);
+    res.status(500).json({ message: 'Serverfeil ved sending av invitasjon' });
+  }
+});
+
+// @route   POST api/users/:id/unlock
+// @desc    Unlock an account locked after failed logins
+// @access  Private (admin only)
+router.post('/:id/unlock', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'Bruker ikke funnet' });
+    }
+
+    const attempts = user.failedLoginAttempts;
+    loginThrottle.reset(user);
+    await user.save();
+
+    audit.record(req, 'user.unlock', { targetType: 'user', targetId: user.id, details: { failedLoginAttempts: attempts } });
+
+    res.json({ message: 'Brukerkonto låst opp', user });
+  } catch (err) {
+    console.error('Unlock user error:', err);
+    res.status(500).json({ message: 'Serverfeil ved opplåsing av bruker' });
+  }
+});
+
+// @route   PUT api/users/:id/local-login
+// @desc    Turn password login on or off for a single sign-on user
+// @access  Private (admin only)
+router.put('/:id/local-login', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { disabled } = req.body;
+    if (typeof disabled !== 'boolean') {
+      return res.status(400).json({ message: 'Ugyldig verdi for disabled' });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'Bruker ikke funnet' });
+    }
+
+    // Users who have never used single sign-on would be locked out
+    if (disabled && user.authProvider !== 'oidc') {
+      return res.status(400).json({ message: 'Brukeren har ikke logget inn med single sign-on' });
+    }
+
+    user.localLoginDisabled = disabled;
+    await user.save();
+
+    // End password sessions that are no longer allowed
+    if (disabled) {
+      await Session.updateMany(
+        { user: user._id, method: 'password', revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'local_login_disabled' }
+      );
+    }
+
+    audit.record(req, 'user.local_login', { targetType: 'user', targetId: user.id, details: { disabled } });
+
+    res.json({ message: disabled ? 'Passordinnlogging deaktivert' : 'Passordinnlogging aktivert', user });
+  } catch (err) {
+    console.error('Update local login error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av innloggingsmetode' });
+  }
+});
+
+// @route   PUT api/users/:id/oidc-link
+// @desc    Link a user to an identity at the single sign-on provider by its
+//          subject (sub claim), or remove the link with subject null
+// @access  Private (admin only)
+router.put('/:id/oidc-link', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { subject } = req.body;
+    if (subject !== null && (typeof subject !== 'string' || !subject.trim())) {
+      return res.status(400).json({ message: 'Ugyldig subject' });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'Bruker ikke funnet' });
+    }
+
+    if (subject && await User.exists({ oidcSubject: subject.trim(), _id: { $ne: user._id } })) {
+      return res.status(400).json({ message: 'Identiteten er allerede koblet til en annen bruker' });
+    }
+
+    const previous = user.oidcSubject || null;
+    user.oidcSubject = subject ? subject.trim() : undefined;
+    if (!subject) {
+      // Without a link the user must be able to sign in with a password
+      user.localLoginDisabled = false;
+    }
+    await user.save();
+
+    // Sessions from the old identity must not outlive the change
+    if (previous && previous !== user.oidcSubject) {
+      await Session.updateMany(
+        { user: user._id, method: 'oidc', revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'oidc_link_changed' }
+      );
+    }
+
+    audit.record(req, 'user.oidc_link', { targetType: 'user', targetId: user.id, details: { from: previous, to: user.oidcSubject || null } });
+
+    res.json({ message: subject ? 'Single sign-on-identitet koblet' : 'Single sign-on-identitet fjernet', user });
+  } catch (err) {
+    console.error('Update OIDC link error:', err);
+    res.status(500).json({ message: 'Serverfeil ved kobling av single sign-on-identitet' });
+  }
+});
+
+// @route   POST api/users/:id/reset-2fa
+// @desc    Turn off a user's two-factor authentication (e.g. a lost phone)
+// @access  Private (admin only)
+router.post('/:id/reset-2fa', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select(twoFactor.SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'Bruker ikke funnet' });
+    }
+
+    const wasEnabled = user.twoFactor.enabled;
+    twoFactor.reset(user);
+    await user.save();
+
+    audit.record(req, 'user.reset_2fa', { targetType: 'user', targetId: user.id, details: { wasEnabled } });
+
+    res.json({ message: 'Tofaktorautentisering tilbakestilt' });
+  } catch (err) {
+    console.error('Reset two-factor error:', err);
+    res.status(500).json({ message: 'Serverfeil ved tilbakestilling av tofaktorautentisering' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,266 @@
+const express = require('express');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/permission');
+const audit = require('../services/audit');
+const webhooks = require('../services/webhooks');
+
+// Validate the fields of a webhook. Returns an error message or null.
+const validateWebhook = ({ name, url, events }, partial = false) => {
+  if (!partial && (!name || !url || !events)) {
+    return 'Vennligst fyll ut alle påkrevde felt';
+  }
+
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      return 'Ugyldig URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'URL må bruke http eller https';
+    }
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'Velg minst én hendelse';
+    }
+    const invalid = events.find(event => !webhooks.EVENTS.includes(event));
+    if (invalid) {
+      return `Ugyldig hendelse: ${invalid}`;
+    }
+  }
+
+  return null;
+};
+
+// @route   GET api/webhooks
+// @desc    Get all webhooks
+// @access  Private (admin only)
+router.get('/', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const list = await Webhook.find()
+      .populate('createdBy', 'name')
+      .sort({ name: 1 });
+
+    res.json({ webhooks: list, events: webhooks.EVENTS });
+  } catch (err) {
+    console.error('Get webhooks error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av webhooks' });
+  }
+});
+
+// @route   POST api/webhooks
+// @desc    Register a webhook. The signing secret is generated unless given and
+//          is only returned here.
+// @access  Private (admin only)
+router.post('/', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, url, events, secret, isActive } = req.body;
+
+    const error = validateWebhook({ name, url, events });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const webhook = new Webhook({
+      name,
+      url,
+      events: [...new Set(events)],
+      secret: secret || webhooks.generateSecret(),
+      isActive: isActive !== false,
+      createdBy: req.user.id
+    });
+
+    await webhook.save();
+
+    audit.record(req, 'webhook.create', { targetType: 'webhook', targetId: webhook._id, details: { name, url, events } });
+
+    res.status(201).json({ ...webhook.toObject(), secret: webhook.secret });
+  } catch (err) {
+    console.error('Create webhook error:', err);
+    res.status(500).json({ message: 'Serverfeil ved opprettelse av webhook' });
+  }
+});
+
+// @route   GET api/webhooks/:id
+// @desc    Get a webhook
+// @access  Private (admin only)
+router.get('/:id', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id).populate('createdBy', 'name');
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook ikke funnet' });
+    }
+
+    res.json(webhook);
+  } catch (err) {
+    console.error('Get webhook error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av webhook' });
+  }
+});
+
+// @route   PUT api/webhooks/:id
+// @desc    Update a webhook (set rotateSecret=true for a new signing secret)
+// @access  Private (admin only)
+router.put('/:id', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, url, events, isActive, rotateSecret } = req.body;
+
+    const error = validateWebhook({ name, url, events }, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook ikke funnet' });
+    }
+
+    if (name) webhook.name = name;
+    if (url) webhook.url = url;
+    if (events) webhook.events = [...new Set(events)];
+    if (typeof isActive === 'boolean') webhook.isActive = isActive;
+
+    let secret;
+    if (rotateSecret === true) {
+      secret = webhooks.generateSecret();
+      webhook.secret = secret;
+    }
+
+    await webhook.save();
+
+    audit.record(req, 'webhook.update', {
+      targetType: 'webhook',
+      targetId: webhook._id,
+      details: { name, url, events, isActive, rotateSecret: !!secret }
+    });
+
+    res.json(secret ? { ...webhook.toObject(), secret } : webhook);
+  } catch (err) {
+    console.error('Update webhook error:', err);
+    res.status(500).json({ message: 'Serverfeil ved oppdatering av webhook' });
+  }
+});
+
+// @route   DELETE api/webhooks/:id
+// @desc    Delete a webhook and its delivery log
+// @access  Private (admin only)
+router.delete('/:id', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook ikke funnet' });
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    audit.record(req, 'webhook.delete', { targetType: 'webhook', targetId: webhook._id, details: { name: webhook.name } });
+
+    res.json({ message: 'Webhook slettet' });
+  } catch (err) {
+    console.error('Delete webhook error:', err);
+    res.status(500).json({ message: 'Serverfeil ved sletting av webhook' });
+  }
+});
+
+// @route   POST api/webhooks/:id/ping
+// @desc    Send a test event to a webhook
+// @access  Private (admin only)
+router.post('/:id/ping', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook ikke funnet' });
+    }
+
+    const delivery = await webhooks.ping(webhook, req.user.id);
+
+    audit.record(req, 'webhook.ping', { targetType: 'webhook', targetId: webhook._id });
+
+    res.status(202).json(delivery);
+  } catch (err) {
+    console.error('Ping webhook error:', err);
+    res.status(500).json({ message: 'Serverfeil ved testing av webhook' });
+  }
+});
+
+// @route   GET api/webhooks/:id/deliveries
+// @desc    Get the delivery log of a webhook with optional status filter
+// @access  Private (admin only)
+router.get('/:id/deliveries', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const { status, event, page = 1, limit = 20 } = req.query;
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook ikke funnet' });
+    }
+
+    // Build query
+    const query = { webhook: webhook._id };
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (event) {
+      query.event = event;
+    }
+
+    // Pagination
+    const skip = (page - 1) * limit;
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Get total count for pagination
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.json({
+      deliveries,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Get webhook deliveries error:', err);
+    res.status(500).json({ message: 'Serverfeil ved henting av leveranser' });
+  }
+});
+
+// @route   POST api/webhooks/:id/deliveries/:deliveryId/redeliver
+// @desc    Send an earlier delivery again with the same payload
+// @access  Private (admin only)
+router.post('/:id/deliveries/:deliveryId/redeliver', auth, requireRole('admin'), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: req.params.id });
+    if (!delivery) {
+      return res.status(404).json({ message: 'Leveranse ikke funnet' });
+    }
+
+    const copy = await webhooks.redeliver(delivery);
+
+    audit.record(req, 'webhook.redeliver', {
+      targetType: 'webhook',
+      targetId: delivery.webhook,
+      details: { delivery: delivery._id, redelivery: copy._id, event: delivery.event }
+    });
+
+    res.status(202).json(copy);
+  } catch (err) {
+    console.error('Redeliver webhook error:', err);
+    res.status(500).json({ message: 'Serverfeil ved ny levering' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+// Move stored files between storage backends and convert records from before
+// storage keys (absolute filePath) to storage keys.
+//
+// Usage: node src/scripts/migrateStorage.js --to <local|s3> [--dry-run] [--delete-source]
+//
+// Files are copied first and records updated afterwards, so the application can
+// keep running during the migration. Source files are only removed with
+// --delete-source, once every record pointing at them has been moved.
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const Revision = require('../models/Revision');
+const fileStorage = require('../services/storage');
+const { hashStream } = require('../services/integrity');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/opiniondocs';
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, deleteSource: false, to: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--to') {
+      args.to = argv[++i];
+    } else if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--delete-source') {
+      args.deleteSource = true;
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  if (!args.to) {
+    throw new Error('Missing --to <local|s3>');
+  }
+  return args;
+};
+
+const migrate = async ({ to, dryRun, deleteSource }) => {
+  const target = fileStorage.getStorage(to);
+  const stats = { records: 0, copied: 0, skipped: 0, missing: 0, failed: 0 };
+
+  // Records can share a file (e.g. a document and its published revision), so
+  // each source file is copied once and remembered
+  const copied = new Map();
+  const sourcesToDelete = [];
+
+  for (const Model of [Document, Revision]) {
+    const cursor = Model.find().select('storageKey storageDriver filePath fileType sha256').cursor();
+
+    for (let item = await cursor.next(); item; item = await cursor.next()) {
+      stats.records += 1;
+      const { storage: source, key } = fileStorage.locate(item);
+
+      if (source.name === target.name && item.storageKey) {
+        stats.skipped += 1;
+        continue;
+      }
+
+      const sourceId = `${source.name}:${key}`;
+
+      try {
+        if (source.name !== target.name && !copied.has(sourceId)) {
+          if (!(await source.exists(key))) {
+            console.warn(`Missing file for ${Model.modelName} ${item._id}: ${sourceId}`);
+            stats.missing += 1;
+            continue;
+          }
+
+          if (!dryRun) {
+            await target.put(key, await source.getStream(key), { contentType: item.fileType });
+
+            // Make sure the copy matches the recorded checksum before using it
+            if (item.sha256 && (await hashStream(await target.getStream(key))) !== item.sha256) {
+              throw new Error(`Checksum mismatch after copying ${sourceId}`);
+            }
+
+            sourcesToDelete.push({ source, key });
+          }
+          copied.set(sourceId, true);
+          stats.copied += 1;
+        }
+
+        if (!dryRun) {
+          await Model.updateOne(
+            { _id: item._id },
+            { $set: { storageKey: key, storageDriver: target.name }, $unset: { filePath: '' } }
+          );
+        }
+        console.log(`${dryRun ? '[dry-run] ' : ''}${Model.modelName} ${item._id}: ${sourceId} -> ${target.name}:${key}`);
+      } catch (err) {
+        console.error(`Failed to migrate ${Model.modelName} ${item._id}:`, err.message);
+        stats.failed += 1;
+      }
+    }
+  }
+
+  if (deleteSource && !dryRun && stats.failed === 0 && stats.missing === 0) {
+    for (const { source, key } of sourcesToDelete) {
+      await source.remove(key);
+    }
+    console.log(`Removed ${sourcesToDelete.length} source files`);
+  } else if (deleteSource) {
+    console.log('Source files kept because of dry run, failures or missing files');
+  }
+
+  return stats;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  await mongoose.connect(MONGODB_URI);
+
+  try {
+    const stats = await migrate(args);
+    console.log('Storage migration finished:', stats);
+    process.exitCode = stats.failed > 0 ? 1 : 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(err => {
+  console.error('Storage migration error:', err.message);
+  process.exit(1);
+});
@@ -1,9 +1,6 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const path = require('path');
-const multer = require('multer');
-const fs = require('fs');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const morgan = require('morgan');
@@ -22,10 +19,32 @@ const Notification = require('./models/Notification');
 const authRoutes = require('./routes/auth');
 const documentRoutes = require('./routes/document');
 const categoryRoutes = require('./routes/category');
+const notificationRoutes = require('./routes/notification');
+const auditRoutes = require('./routes/audit');
+const integrityRoutes = require('./routes/integrity');
+const userRoutes = require('./routes/user');
+const webhookRoutes = require('./routes/webhook');
+const soaRoutes = require('./routes/soa');
+const processingActivityRoutes = require('./routes/processingActivity');
+const deviationRoutes = require('./routes/deviation');
+const riskRoutes = require('./routes/risk');
+const dataProcessorRoutes = require('./routes/dataProcessor');
+const dashboardRoutes = require('./routes/dashboard');
+const exportRoutes = require('./routes/export');
 
 // Import middleware
 const auth = require('./middleware/auth');
 
+// Import services
+const reviewScheduler = require('./services/reviewScheduler');
+const deviationScheduler = require('./services/deviationScheduler');
+const dataProcessorScheduler = require('./services/dataProcessorScheduler');
+const notificationDelivery = require('./services/notificationDelivery');
+const webhooks = require('./services/webhooks');
+const extractionQueue = require('./services/extractionQueue');
+const soa = require('./services/soa');
+const { normalizeEmail } = require('./utils/email');
+
 // Initialize Express app
 const app = express();
 
@@ -64,57 +83,6 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, file.fieldname + '-' + uniqueSuffix + ext);
-  }
-});
-
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB max file size
-  },
-  fileFilter: (req, file, cb) => {
-    // Accept common document types
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'application/vnd.ms-powerpoint',
-      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-      'text/plain',
-      'text/csv',
-      'image/jpeg',
-      'image/png',
-      'image/gif'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Only documents, images, and text files are allowed.'));
-    }
-  }
-});
-
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
@@ -124,6 +92,18 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/integrity', integrityRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/soa', soaRoutes);
+app.use('/api/processing-activities', processingActivityRoutes);
+app.use('/api/deviations', deviationRoutes);
+app.use('/api/risks', riskRoutes);
+app.use('/api/data-processors', dataProcessorRoutes);
+app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/exports', exportRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -134,9 +114,31 @@ app.use((err, req, res, next) => {
 // Initialize default admin user and categories if they don't exist
 const initializeDatabase = async () => {
   try {
+    // Build indexes that changed since the last start (e.g. the text index)
+    await Document.syncIndexes();
+    
+    // E-mail addresses are matched in lower case; convert older ones
+    const mixedCaseUsers = await User.find({ email: /[A-Z]|^\s|\s$/ }).select('email');
+    for (const user of mixedCaseUsers) {
+      const email = normalizeEmail(user.email);
+      if (await User.exists({ email, _id: { $ne: user._id } })) {
+        console.warn(`Cannot normalize e-mail ${user.email}: ${email} is used by another user`);
+        continue;
+      }
+      await User.updateOne({ _id: user._id }, { email });
+    }
+
     // Check if admin user exists
     const adminExists = await User.findOne({ email: 'admin@opinion.no' });
     
+    // An admin created before password changes were enforced may still use
+    // the publicly known default password
+    if (adminExists && !adminExists.mustChangePassword && adminExists.password &&
+        await bcrypt.compare('password', adminExists.password)) {
+      await User.updateOne({ _id: adminExists._id }, { mustChangePassword: true });
+      console.warn('Default admin user still has the default password and must change it at next login');
+    }
+    
     if (!adminExists) {
       // Create admin user
       const salt = await bcrypt.genSalt(10);
@@ -148,7 +150,9 @@ const initializeDatabase = async () => {
         password: hashedPassword,
         role: 'admin',
         department: 'IT',
-        isActive: true
+        isActive: true,
+        // The default password is publicly known
+        mustChangePassword: true
       });
       
       await admin.save();
@@ -213,6 +217,9 @@ const initializeDatabase = async () => {
       await Category.insertMany(defaultCategories);
       console.log('Default categories created');
     }
+
+    // Add new Annex A controls and keep titles up to date
+    await soa.syncCatalog();
   } catch (err) {
     console.error('Database initialization error:', err);
   }
@@ -222,6 +229,12 @@ const initializeDatabase = async () => {
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT} in ${NODE_ENV} mode`);
   initializeDatabase();
+  reviewScheduler.start();
+  deviationScheduler.start();
+  dataProcessorScheduler.start();
+  notificationDelivery.start();
+  webhooks.start();
+  extractionQueue.start();
 });
 
 module.exports = app;
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Document = require('../models/Document');
+const Revision = require('../models/Revision');
+const { hasPermission } = require('../utils/permissions');
+const { snapshotMetadata } = require('./diff');
+
+// Document statuses that normal users never see
+const UNPUBLISHED_STATUSES = ['draft', 'in_review', 'rejected'];
+
+// Query condition for published revisions. Revisions stored before the
+// approval workflow existed have no status field and count as published.
+const PUBLISHED_REVISION_STATUS = { $in: ['published', null] };
+
+// Permission an approver must hold on the category of what is reviewed
+const APPROVE_PERMISSION = 'manage';
+
+// Validate the approvers given when submitting for review. Approvers and
+// approver roles must hold APPROVE_PERMISSION on the category and subcategory
+// of the document ({ category, subcategory }, as resolved by requirePermission).
+// Returns { error } or { approvers, approverRoles }.
+const parseReviewRequest = async (body, scope = {}) => {
+  const approvers = Array.isArray(body.approvers) ? body.approvers : [];
+  const approverRoles = Array.isArray(body.approverRoles) ? body.approverRoles : [];
+
+  if (approvers.length === 0 && approverRoles.length === 0) {
+    return { error: 'Velg minst én godkjenner eller rolle' };
+  }
+
+  const validRoles = User.schema.path('role').enumValues;
+  const invalidRole = approverRoles.find(role => !validRoles.includes(role));
+  if (invalidRole) {
+    return { error: `Ugyldig rolle: ${invalidRole}` };
+  }
+
+  // Only grants to the role itself count, not grants to single users or departments
+  const unqualifiedRole = approverRoles.find(role =>
+    !hasPermission({ role }, scope.category, scope.subcategory, APPROVE_PERMISSION));
+  if (unqualifiedRole) {
+    return { error: `Rollen ${unqualifiedRole} kan ikke godkjenne dokumenter i denne kategorien` };
+  }
+
+  if (approvers.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Ugyldig godkjenner' };
+  }
+
+  const activeApprovers = await User.find({ _id: { $in: approvers }, isActive: true }).select('role department');
+  if (activeApprovers.length !== approvers.length) {
+    return { error: 'Ugyldig godkjenner' };
+  }
+
+  const unqualified = activeApprovers.find(approver =>
+    !hasPermission({ id: approver._id, role: approver.role, department: approver.department },
+      scope.category, scope.subcategory, APPROVE_PERMISSION));
+  if (unqualified) {
+    return { error: 'Godkjenneren har ikke tilgang til å godkjenne dokumenter i denne kategorien' };
+  }
+
+  return { approvers, approverRoles };
+};
+
+// Check whether a user is a named approver of a document or revision under review
+const isApprover = (user, item) => {
+  const review = item.review || {};
+  return (review.approvers || []).some(id => String(id) === String(user.id)) ||
+    (review.approverRoles || []).includes(user.role);
+};
+
+// Check whether a user may approve or reject a document or revision under review.
+// Submitters cannot approve their own work unless they are admins.
+const canDecide = (user, item) => {
+  if (!user || item.status !== 'in_review') {
+    return false;
+  }
+
+  if (user.role === 'admin') {
+    return true;
+  }
+
+  const review = item.review || {};
+  if (review.submittedBy && String(review.submittedBy) === String(user.id)) {
+    return false;
+  }
+
+  return isApprover(user, item);
+};
+
+// Check whether a user may see an unpublished document or revision: its author,
+// its approvers and anyone holding the given permission on its category.
+// The author may be given as an id or a populated user.
+const canViewUnpublished = (user, item, author, scope, permission) => {
+  const authorId = author && author._id ? author._id : author;
+  return String(authorId) === String(user.id) ||
+    isApprover(user, item) ||
+    hasPermission(user, scope.category, scope.subcategory, permission);
+};
+
+// Mark a document or revision as submitted for review
+const submitForReview = (item, user, { approvers, approverRoles }, comment) => {
+  item.status = 'in_review';
+  item.review = {
+    approvers,
+    approverRoles,
+    submittedBy: user.id,
+    submittedAt: Date.now()
+  };
+  item.approvalHistory.push({
+    action: 'submitted',
+    user: user.id,
+    comment: comment || ''
+  });
+};
+
+// Record an approval or rejection on a document or revision
+const recordDecision = (item, user, action, comment) => {
+  item.approvalHistory.push({
+    action,
+    user: user.id,
+    comment: comment || ''
+  });
+};
+
+// Keep the document's current version as a published revision. The revision is
+// created if the version has none yet (e.g. version 1 or versions uploaded before
+// the approval workflow); its metadata is set to the document's final metadata.
+const archiveCurrentVersion = async (document) => {
+  const metadata = snapshotMetadata(document);
+
+  const existing = await Revision.findOne({
+    document: document._id,
+    version: document.version
+  });
+
+  if (existing) {
+    existing.metadata = metadata;
+    return existing.save();
+  }
+
+  // Extracted text is not loaded by default
+  const current = await Document.findById(document._id).select('contentText');
+
+  return new Revision({
+    document: document._id,
+    version: document.version,
+    storageKey: document.storageKey,
+    storageDriver: document.storageDriver,
+    filePath: document.filePath,
+    fileName: document.fileName,
+    fileSize: document.fileSize,
+    fileType: document.fileType,
+    sha256: document.sha256,
+    contentText: current.contentText,
+    contentExtraction: document.contentExtraction,
+    metadata,
+    status: 'published',
+    createdBy: document.lastModifiedBy,
+    createdAt: document.updatedAt
+  }).save();
+};
+
+// Make an approved revision the current version of its document. The file the
+// document pointed at until now is kept as a published revision.
+const publishRevision = async (document, revision) => {
+  await archiveCurrentVersion(document);
+
+  // Extracted text is not loaded by default
+  const published = await Revision.findById(revision._id).select('contentText');
+
+  revision.status = 'published';
+  await revision.save();
+
+  document.storageKey = revision.storageKey;
+  document.storageDriver = revision.storageDriver;
+  document.filePath = revision.filePath;
+  document.fileName = revision.fileName;
+  document.fileSize = revision.fileSize;
+  document.fileType = revision.fileType;
+  document.sha256 = revision.sha256;
+  document.contentText = published ? published.contentText : '';
+  document.contentExtraction = revision.contentExtraction;
+  document.version = revision.version;
+  document.lastModifiedBy = revision.createdBy;
+  document.updatedAt = Date.now();
+
+  return document.save();
+};
+
+module.exports = {
+  UNPUBLISHED_STATUSES,
+  PUBLISHED_REVISION_STATUS,
+  parseReviewRequest,
+  isApprover,
+  canDecide,
+  canViewUnpublished,
+  submitForReview,
+  recordDecision,
+  archiveCurrentVersion,
+  publishRevision
+};
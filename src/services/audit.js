@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const AuditEvent = require('../models/AuditEvent');
+
+// prevHash of the first event in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields covered by the hash, in a fixed order
+const HASHED_FIELDS = [
+  'seq', 'action', 'outcome', 'actor', 'actorEmail', 'targetType', 'targetId',
+  'document', 'ip', 'userAgent', 'details', 'prevHash', 'createdAt'
+];
+
+// JSON with object keys sorted, so the same content always hashes the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const computeHash = (event) => {
+  const content = {};
+  HASHED_FIELDS.forEach(field => {
+    const value = event[field];
+    if (value instanceof Date) {
+      content[field] = value.toISOString();
+    } else if (value && value._bsontype === 'ObjectId') {
+      content[field] = String(value);
+    } else {
+      content[field] = value === undefined ? null : value;
+    }
+  });
+  return crypto.createHash('sha256').update(canonicalize(content)).digest('hex');
+};
+
+// Append one event to the chain. A unique seq guards against concurrent writers
+// (e.g. other instances); on a collision the append is retried on the new tail.
+const append = async (entry, attempt = 0) => {
+  const last = await AuditEvent.findOne().sort({ seq: -1 }).select('seq hash');
+
+  const event = {
+    ...entry,
+    seq: last ? last.seq + 1 : 1,
+    prevHash: last ? last.hash : GENESIS_HASH,
+    createdAt: new Date()
+  };
+  event.hash = computeHash(event);
+
+  try {
+    return await AuditEvent.create(event);
+  } catch (err) {
+    if (err.code === 11000 && attempt < 5) {
+      return append(entry, attempt + 1);
+    }
+    throw err;
+  }
+};
+
+// Appends within this process are serialized to keep the chain linear
+let queue = Promise.resolve();
+
+// Record an audit event for a request. The actor defaults to the authenticated
+// user and can be given explicitly (e.g. during login). Never rejects: a failing
+// audit write is logged but does not fail the request that triggered it.
+const record = (req, action, { outcome = 'success', targetType, targetId, document, details = {}, actor, actorEmail } = {}) => {
+  const user = req && req.user;
+
+  const entry = {
+    action,
+    outcome,
+    actor: actor ? String(actor) : (user ? user.id : undefined),
+    actorEmail: actorEmail || (user && user.email) || '',
+    targetType: targetType || (document ? 'document' : ''),
+    targetId: targetId ? String(targetId) : (document ? String(document) : ''),
+    document: document ? String(document) : undefined,
+    ip: req ? req.ip || '' : '',
+    userAgent: req ? req.get('user-agent') || '' : '',
+    // Store plain JSON only, so what is read back hashes the same
+    details: JSON.parse(JSON.stringify(details))
+  };
+
+  queue = queue
+    .then(() => append(entry))
+    .catch(err => console.error('Audit log error:', err));
+
+  return queue;
+};
+
+// Walk the whole chain and check sequence numbers, links and hashes
+const verifyChain = async () => {
+  const cursor = AuditEvent.find().sort({ seq: 1 }).lean().cursor();
+
+  let expectedSeq = 1;
+  let prevHash = GENESIS_HASH;
+  let checked = 0;
+
+  for (let event = await cursor.next(); event; event = await cursor.next()) {
+    let problem = null;
+
+    if (event.seq !== expectedSeq) {
+      problem = `Missing events before seq ${event.seq}`;
+    } else if (event.prevHash !== prevHash) {
+      problem = 'Link to previous event does not match';
+    } else if (computeHash(event) !== event.hash) {
+      problem = 'Event content does not match its hash';
+    }
+
+    if (problem) {
+      await cursor.close();
+      return { valid: false, checked, brokenAt: { seq: event.seq, id: event._id, problem } };
+    }
+
+    checked += 1;
+    expectedSeq = event.seq + 1;
+    prevHash = event.hash;
+  }
+
+  return { valid: true, checked };
+};
+
+module.exports = {
+  record,
+  verifyChain
+};
@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Create a token for a user. Earlier unused tokens for the same purpose stop
+// working. Returns the plain token, which is only ever sent to the user.
+const create = async (user, purpose, { ttlMinutes, createdBy } = {}) => {
+  await AuthToken.updateMany(
+    { user: user._id, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await AuthToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    createdBy
+  });
+
+  return token;
+};
+
+// Find a valid token without using it, or null
+const find = (token, purpose) => AuthToken.findOne({
+  tokenHash: hashToken(token),
+  purpose,
+  usedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Use a token. Returns the token record, or null if it is invalid, expired or
+// already used (also when two requests race for it).
+const consume = (token, purpose) => AuthToken.findOneAndUpdate(
+  {
+    tokenHash: hashToken(token),
+    purpose,
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  },
+  { usedAt: new Date() },
+  { new: true }
+);
+
+// When the user last got a token for a purpose
+const lastIssuedAt = async (user, purpose) => {
+  const latest = await AuthToken.findOne({ user: user._id, purpose }).sort({ createdAt: -1 }).select('createdAt');
+  return latest ? latest.createdAt : null;
+};
+
+module.exports = {
+  create,
+  find,
+  consume,
+  lastIssuedAt
+};
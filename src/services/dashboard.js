@@ -0,0 +1,262 @@
+const AuditEvent = require('../models/AuditEvent');
+const Category = require('../models/Category');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const { hasPermission } = require('../utils/permissions');
+const { readableDocumentsFilter } = require('../middleware/permission');
+const cache = require('./dashboardCache');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const UPCOMING_REVIEW_DAYS = Number(process.env.DASHBOARD_UPCOMING_REVIEW_DAYS || 30);
+const ACTIVITY_DAYS = Number(process.env.DASHBOARD_ACTIVITY_DAYS || 30);
+const LIST_LIMIT = 10;
+
+// Roles that also see the activity of other users
+const ACTIVITY_ROLES = ['admin', 'it_ansvarlig', 'personvernombud'];
+
+// Audit actions that change documents, and that read them
+const CHANGE_ACTIONS = [
+  'document.create', 'document.update', 'document.archive', 'document.delete', 'document.replace_file',
+  'document.submit', 'document.approve', 'document.reject',
+  'revision.upload', 'revision.submit', 'revision.approve', 'revision.reject', 'revision.restore'
+];
+const READ_ACTIONS = ['document.view', 'document.download', 'revision.download'];
+
+// Document counts per category and subcategory, and readable subcategories
+// without any published document
+const categoryStats = async (user, filter) => {
+  const [categories, groups] = await Promise.all([
+    Category.find().sort({ name: 1 }),
+    Document.aggregate([
+      { $match: { $and: [filter, { status: { $ne: 'deleted' } }] } },
+      { $group: { _id: { category: '$category', subcategory: '$subcategory', status: '$status' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const countsFor = (categoryId, subcategory) => {
+    const byStatus = {};
+    groups
+      .filter(group => String(group._id.category) === String(categoryId) &&
+        (subcategory === undefined || group._id.subcategory === subcategory))
+      .forEach(group => {
+        byStatus[group._id.status] = (byStatus[group._id.status] || 0) + group.count;
+      });
+    const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+    return { total, byStatus };
+  };
+
+  const tree = [];
+  const emptySubcategories = [];
+
+  categories.forEach(category => {
+    const subcategories = category.subcategories
+      .filter(sub => hasPermission(user, category, sub.name, 'read'))
+      .map(sub => ({ name: sub.name, ...countsFor(category._id, sub.name) }));
+
+    const readable = category.subcategories.length === 0
+      ? hasPermission(user, category, null, 'read')
+      : subcategories.length > 0;
+    if (!readable) {
+      return;
+    }
+
+    subcategories
+      .filter(sub => !sub.byStatus.active)
+      .forEach(sub => emptySubcategories.push({ category: { _id: category._id, name: category.name }, subcategory: sub.name }));
+
+    tree.push({ _id: category._id, name: category.name, ...countsFor(category._id), subcategories });
+  });
+
+  const byStatus = {};
+  groups.forEach(group => {
+    byStatus[group._id.status] = (byStatus[group._id.status] || 0) + group.count;
+  });
+
+  return {
+    documents: {
+      total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+      byStatus
+    },
+    categories: tree,
+    emptySubcategories
+  };
+};
+
+// Overdue and upcoming reviews of published documents
+const reviewStats = async (filter, now) => {
+  const horizon = new Date(now.getTime() + UPCOMING_REVIEW_DAYS * DAY);
+  const listStages = (sort) => [
+    { $sort: sort },
+    { $limit: LIST_LIMIT },
+    { $lookup: { from: 'users', localField: 'owner', foreignField: '_id', as: 'owner' } },
+    { $lookup: { from: 'categories', localField: 'category', foreignField: '_id', as: 'category' } },
+    {
+      $project: {
+        title: 1,
+        subcategory: 1,
+        reviewDate: 1,
+        owner: { $arrayElemAt: [{ $map: { input: '$owner', in: { _id: '$$this._id', name: '$$this.name' } } }, 0] },
+        category: { $arrayElemAt: [{ $map: { input: '$category', in: { _id: '$$this._id', name: '$$this.name' } } }, 0] }
+      }
+    }
+  ];
+
+  const [result] = await Document.aggregate([
+    { $match: { $and: [filter, { status: 'active', reviewDate: { $lte: horizon } }] } },
+    {
+      $facet: {
+        overdue: [{ $match: { reviewDate: { $lt: now } } }, ...listStages({ reviewDate: 1 })],
+        overdueCount: [{ $match: { reviewDate: { $lt: now } } }, { $count: 'count' }],
+        upcoming: [{ $match: { reviewDate: { $gte: now } } }, ...listStages({ reviewDate: 1 })],
+        upcomingCount: [{ $match: { reviewDate: { $gte: now } } }, { $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    upcomingDays: UPCOMING_REVIEW_DAYS,
+    overdue: {
+      count: result.overdueCount.length > 0 ? result.overdueCount[0].count : 0,
+      documents: result.overdue
+    },
+    upcoming: {
+      count: result.upcomingCount.length > 0 ? result.upcomingCount[0].count : 0,
+      documents: result.upcoming
+    }
+  };
+};
+
+const recentChanges = (filter) => Document.find({ $and: [filter, { status: { $ne: 'deleted' } }] })
+  .select('title category subcategory status version updatedAt lastModifiedBy')
+  .populate('category', 'name')
+  .populate('lastModifiedBy', 'name')
+  .sort({ updatedAt: -1 })
+  .limit(LIST_LIMIT);
+
+// Storage used by current files and earlier versions, per category and file type
+const storageStats = async (filter) => {
+  const [result] = await Document.aggregate([
+    { $match: filter },
+    { $project: { category: 1, fileType: 1, fileSize: 1 } },
+    {
+      $unionWith: {
+        coll: 'revisions',
+        pipeline: [
+          { $lookup: { from: 'documents', localField: 'document', foreignField: '_id', as: 'document' } },
+          { $unwind: '$document' },
+          { $project: { category: '$document.category', subcategory: '$document.subcategory', fileType: 1, fileSize: 1 } },
+          { $match: filter }
+        ]
+      }
+    },
+    {
+      $facet: {
+        total: [{ $group: { _id: null, bytes: { $sum: '$fileSize' }, files: { $sum: 1 } } }],
+        byCategory: [
+          { $group: { _id: '$category', bytes: { $sum: '$fileSize' }, files: { $sum: 1 } } },
+          { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+          { $project: { _id: 0, category: { $ifNull: [{ $arrayElemAt: ['$category.name', 0] }, null] }, categoryId: '$_id', bytes: 1, files: 1 } },
+          { $sort: { bytes: -1 } }
+        ],
+        byFileType: [
+          { $group: { _id: '$fileType', bytes: { $sum: '$fileSize' }, files: { $sum: 1 } } },
+          { $project: { _id: 0, fileType: '$_id', bytes: 1, files: 1 } },
+          { $sort: { bytes: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    bytes: result.total.length > 0 ? result.total[0].bytes : 0,
+    files: result.total.length > 0 ? result.total[0].files : 0,
+    byCategory: result.byCategory,
+    byFileType: result.byFileType
+  };
+};
+
+// Document changes and reads per user and department, from the audit log
+const activityStats = async (now) => {
+  const since = new Date(now.getTime() - ACTIVITY_DAYS * DAY);
+
+  const byUser = await AuditEvent.aggregate([
+    { $match: { createdAt: { $gte: since }, outcome: 'success', actor: { $ne: null }, action: { $in: [...CHANGE_ACTIONS, ...READ_ACTIONS] } } },
+    {
+      $group: {
+        _id: '$actor',
+        changes: { $sum: { $cond: [{ $in: ['$action', CHANGE_ACTIONS] }, 1, 0] } },
+        reads: { $sum: { $cond: [{ $in: ['$action', READ_ACTIONS] }, 1, 0] } },
+        lastActivity: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { changes: -1, reads: -1 } }
+  ]);
+
+  const users = await User.find({ _id: { $in: byUser.map(entry => entry._id) } }).select('name department');
+  const usersById = new Map(users.map(user => [user.id, user]));
+
+  const departments = new Map();
+  const perUser = byUser.map(entry => {
+    const user = usersById.get(String(entry._id));
+    const department = (user && user.department) || '';
+    const totals = departments.get(department) || { department, users: 0, changes: 0, reads: 0 };
+    totals.users += 1;
+    totals.changes += entry.changes;
+    totals.reads += entry.reads;
+    departments.set(department, totals);
+
+    return {
+      user: { _id: entry._id, name: user ? user.name : null, department },
+      changes: entry.changes,
+      reads: entry.reads,
+      lastActivity: entry.lastActivity
+    };
+  });
+
+  return {
+    days: ACTIVITY_DAYS,
+    byUser: perUser,
+    byDepartment: [...departments.values()].sort((a, b) => b.changes - a.changes)
+  };
+};
+
+// Dashboard statistics for a user, from the cache when fresh. Statistics are
+// cached per document filter, so users with the same read access share an entry;
+// changes to documents, revisions and categories clear the cache.
+const getStats = async (user) => {
+  const filter = await readableDocumentsFilter(user);
+  const includeActivity = ACTIVITY_ROLES.includes(user.role);
+  const key = JSON.stringify({ filter, includeActivity });
+
+  const cached = cache.get(key);
+  if (cached) {
+    return cached;
+  }
+
+  const now = new Date();
+  const [categories, reviews, recent, storage, activity] = await Promise.all([
+    categoryStats(user, filter),
+    reviewStats(filter, now),
+    recentChanges(filter),
+    storageStats(filter),
+    includeActivity ? activityStats(now) : null
+  ]);
+
+  const value = {
+    generatedAt: now,
+    ...categories,
+    reviews,
+    recentChanges: recent,
+    storage,
+    ...(activity ? { activity } : {})
+  };
+
+  cache.set(key, value);
+
+  return value;
+};
+
+module.exports = {
+  getStats
+};
@@ -0,0 +1,40 @@
+// Cache of dashboard statistics. Kept apart from services/dashboard.js so the
+// models can clear it without requiring each other.
+const TTL_SECONDS = Number(process.env.DASHBOARD_CACHE_SECONDS || 300);
+const MAX_ENTRIES = 100;
+
+const entries = new Map();
+
+const get = (key) => {
+  const entry = entries.get(key);
+  return entry && entry.expires > Date.now() ? entry.value : undefined;
+};
+
+const set = (key, value) => {
+  // Drop the oldest entry rather than grow without bound
+  if (!entries.has(key) && entries.size >= MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+  entries.set(key, { value, expires: Date.now() + TTL_SECONDS * 1000 });
+};
+
+const invalidate = () => {
+  entries.clear();
+};
+
+// Schema plugin: clear the cache whenever a record of the model is written
+const QUERY_WRITES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteMany', 'findOneAndDelete'];
+
+const invalidateOnChange = (schema) => {
+  schema.post('save', invalidate);
+  schema.post('insertMany', invalidate);
+  schema.post(QUERY_WRITES, invalidate);
+  schema.post('deleteOne', { document: true, query: true }, invalidate);
+};
+
+module.exports = {
+  get,
+  set,
+  invalidate,
+  invalidateOnChange
+};
@@ -0,0 +1,122 @@
+const DataProcessor = require('../models/DataProcessor');
+const User = require('../models/User');
+const { notify } = require('./notifications');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Scheduler configuration
+const parseList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Days before the notice deadline to remind
+const LEAD_DAYS = parseList(process.env.DATA_PROCESSOR_REMINDER_DAYS || '60,30,7')
+  .map(Number)
+  .sort((a, b) => a - b);
+const REMINDER_ROLES = parseList(process.env.DATA_PROCESSOR_REMINDER_ROLES || 'personvernombud');
+const INTERVAL_MINUTES = Number(process.env.DATA_PROCESSOR_SCHEDULER_INTERVAL_MINUTES || 60);
+
+let timer = null;
+let running = false;
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const getUserIdsByRole = async (roles) => {
+  if (roles.length === 0) {
+    return [];
+  }
+  const users = await User.find({ role: { $in: roles }, isActive: true }).select('_id');
+  return users.map(user => user._id);
+};
+
+// Send the reminders due for one agreement
+const remindForProcessor = async (processor, now, roleRecipients) => {
+  const { expiresAt, noticeDeadline, document } = processor.agreement;
+  const recipients = [processor.owner, ...roleRecipients];
+  // Keys include the expiry date so renewing the agreement restarts the reminders
+  const keyPrefix = `data-processor:${processor._id}:${expiresAt.getTime()}`;
+
+  if (expiresAt <= now) {
+    await notify(recipients, {
+      title: 'Databehandleravtale er utløpt',
+      message: `Databehandleravtalen med ${processor.name} utløp ${formatDate(expiresAt)}. Behandlingen mangler nå gyldig avtale.`,
+      type: 'document_review',
+      relatedDocument: document,
+      key: `${keyPrefix}:expired`
+    });
+    return;
+  }
+
+  const daysLeft = Math.ceil((noticeDeadline - now) / DAY);
+  // Only the most urgent lead time applies, so a late first run sends one reminder
+  const leadDays = LEAD_DAYS.find(days => daysLeft <= days);
+  if (leadDays === undefined) {
+    return;
+  }
+
+  const notice = noticeDeadline < expiresAt
+    ? ` Frist for oppsigelse eller reforhandling er ${formatDate(noticeDeadline)}.`
+    : '';
+
+  await notify(recipients, {
+    title: 'Databehandleravtale utløper snart',
+    message: `Databehandleravtalen med ${processor.name} utløper ${formatDate(expiresAt)}.${notice}`,
+    type: 'document_review',
+    relatedDocument: document,
+    key: `${keyPrefix}:${leadDays}d`
+  });
+};
+
+// Find agreements of active processors approaching their notice deadline or
+// expired, and notify
+const runOnce = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  try {
+    const now = new Date();
+    const maxLeadDays = LEAD_DAYS.length > 0 ? LEAD_DAYS[LEAD_DAYS.length - 1] : 0;
+
+    const processors = await DataProcessor.find({
+      status: 'active',
+      'agreement.expiresAt': { $ne: null },
+      'agreement.noticeDeadline': { $lte: new Date(now.getTime() + maxLeadDays * DAY) }
+    }).select('name owner agreement');
+
+    if (processors.length === 0) {
+      return;
+    }
+
+    const roleRecipients = await getUserIdsByRole(REMINDER_ROLES);
+
+    for (const processor of processors) {
+      await remindForProcessor(processor, now, roleRecipients);
+    }
+  } catch (err) {
+    console.error('Data processor scheduler error:', err);
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer || process.env.DATA_PROCESSOR_SCHEDULER_ENABLED === 'false') {
+    return;
+  }
+
+  timer = setInterval(runOnce, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  runOnce();
+  console.log(`Data processor scheduler started (every ${INTERVAL_MINUTES} minutes)`);
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce
+};
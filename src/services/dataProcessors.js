@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const DataProcessor = require('../models/DataProcessor');
+const Document = require('../models/Document');
+const { SAFEGUARD_LABELS } = require('./processingActivities');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Agreements whose notice deadline is this close count as expiring
+const WARNING_DAYS = Number(process.env.DATA_PROCESSOR_WARNING_DAYS || 60);
+
+const TRANSFER_LABELS = {
+  none: 'Ingen overføring utenfor EU/EØS',
+  ...SAFEGUARD_LABELS
+};
+
+const AGREEMENT_STATUS_LABELS = {
+  missing: 'Mangler avtale',
+  expired: 'Utløpt',
+  expiring: 'Utløper snart',
+  valid: 'Gyldig'
+};
+
+// State of the data processor agreement:
+// missing (no signed agreement), expired, expiring (notice deadline within
+// WARNING_DAYS) or valid
+const agreementStatus = (processor, now = new Date()) => {
+  const { document, signedAt, expiresAt, noticeDeadline } = processor.agreement;
+
+  if (!document || !signedAt) {
+    return { status: 'missing' };
+  }
+  if (expiresAt && expiresAt < now) {
+    return { status: 'expired', expiresAt };
+  }
+  if (noticeDeadline && noticeDeadline - now <= WARNING_DAYS * DAY) {
+    return {
+      status: 'expiring',
+      expiresAt,
+      noticeDeadline,
+      daysToNoticeDeadline: Math.ceil((noticeDeadline - now) / DAY)
+    };
+  }
+  return { status: 'valid', expiresAt: expiresAt || null };
+};
+
+// Query for processors with an agreement in the given state
+const agreementStatusFilter = (status, now = new Date()) => {
+  const signed = { 'agreement.document': { $ne: null }, 'agreement.signedAt': { $ne: null } };
+  const warningDate = new Date(now.getTime() + WARNING_DAYS * DAY);
+
+  switch (status) {
+    case 'missing':
+      return { $or: [{ 'agreement.document': null }, { 'agreement.signedAt': null }] };
+    case 'expired':
+      return { ...signed, 'agreement.expiresAt': { $lt: now } };
+    case 'expiring':
+      return { ...signed, 'agreement.expiresAt': { $gte: now }, 'agreement.noticeDeadline': { $lte: warningDate } };
+    case 'valid':
+      return {
+        ...signed,
+        $or: [
+          { 'agreement.expiresAt': null },
+          { 'agreement.noticeDeadline': { $gt: warningDate } }
+        ]
+      };
+    default:
+      return null;
+  }
+};
+
+// Processor as JSON with its agreement status
+const withAgreementStatus = (processor, now = new Date()) => ({
+  ...processor.toJSON(),
+  agreementStatus: agreementStatus(processor, now)
+});
+
+const isDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+// Validate the fields of a processor. Returns an error message or null.
+const validate = (input, partial = false) => {
+  if (!partial && !input.name) {
+    return 'Navn er påkrevd';
+  }
+  if (partial && input.name !== undefined && !input.name) {
+    return 'Navn kan ikke være tomt';
+  }
+
+  for (const field of ['services', 'dataCategories', 'subprocessors']) {
+    if (input[field] !== undefined && !Array.isArray(input[field])) {
+      return `${field} må være en liste`;
+    }
+  }
+
+  if (input.transferMechanism !== undefined && !TRANSFER_LABELS[input.transferMechanism]) {
+    return 'Ugyldig overføringsgrunnlag';
+  }
+
+  if (input.subprocessors) {
+    for (const subprocessor of input.subprocessors) {
+      if (!subprocessor || !subprocessor.name) {
+        return 'Navn er påkrevd for underleverandører';
+      }
+      if (subprocessor.transferMechanism !== undefined && !TRANSFER_LABELS[subprocessor.transferMechanism]) {
+        return 'Ugyldig overføringsgrunnlag for underleverandør';
+      }
+    }
+  }
+
+  if (input.agreement !== undefined) {
+    const { document, signedAt, expiresAt, terminationNoticeDays } = input.agreement || {};
+    if (document && !mongoose.Types.ObjectId.isValid(document)) {
+      return 'Ugyldig avtaledokument';
+    }
+    if ((signedAt && !isDate(signedAt)) || (expiresAt && !isDate(expiresAt))) {
+      return 'Ugyldig dato';
+    }
+    if (signedAt && expiresAt && new Date(expiresAt) <= new Date(signedAt)) {
+      return 'Utløpsdato må være etter signeringsdato';
+    }
+    if (terminationNoticeDays !== undefined &&
+      (!Number.isInteger(terminationNoticeDays) || terminationNoticeDays < 0)) {
+      return 'Oppsigelsestid må være et antall dager';
+    }
+  }
+
+  if (input.owner && !mongoose.Types.ObjectId.isValid(input.owner)) {
+    return 'Ugyldig ansvarlig';
+  }
+
+  if (input.status !== undefined && !DataProcessor.schema.path('status').enumValues.includes(input.status)) {
+    return 'Ugyldig status';
+  }
+
+  return null;
+};
+
+// Check that the agreement document exists
+const agreementDocumentExists = (documentId) =>
+  Document.exists({ _id: documentId, status: { $ne: 'deleted' } });
+
+// Columns of the report of processors lacking a valid agreement
+const REPORT_COLUMNS = [
+  { header: 'Databehandler', value: processor => processor.name },
+  { header: 'Organisasjonsnummer', value: processor => processor.organizationNumber },
+  { header: 'Tjenester', value: processor => processor.services },
+  { header: 'Avtalestatus', value: processor => AGREEMENT_STATUS_LABELS[agreementStatus(processor).status] },
+  { header: 'Avtaledokument', value: processor => (processor.agreement.document ? processor.agreement.document.title : '') },
+  { header: 'Signert', value: processor => processor.agreement.signedAt },
+  { header: 'Utløper', value: processor => processor.agreement.expiresAt },
+  { header: 'Frist for oppsigelse', value: processor => processor.agreement.noticeDeadline },
+  { header: 'Overføringsgrunnlag', value: processor => TRANSFER_LABELS[processor.transferMechanism] },
+  { header: 'Ansvarlig', value: processor => (processor.owner ? processor.owner.name : '') }
+];
+
+module.exports = {
+  WARNING_DAYS,
+  TRANSFER_LABELS,
+  AGREEMENT_STATUS_LABELS,
+  agreementStatus,
+  agreementStatusFilter,
+  withAgreementStatus,
+  validate,
+  agreementDocumentExists,
+  REPORT_COLUMNS
+};
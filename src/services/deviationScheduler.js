@@ -0,0 +1,158 @@
+const Deviation = require('../models/Deviation');
+const User = require('../models/User');
+const { notify } = require('./notifications');
+const { authorityNotificationPending } = require('./deviations');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Scheduler configuration
+const AUTHORITY_REMINDER_HOURS = Number(process.env.DEVIATION_AUTHORITY_REMINDER_HOURS || 24);
+const ACTION_REMINDER_DAYS = Number(process.env.DEVIATION_ACTION_REMINDER_DAYS || 3);
+const INTERVAL_MINUTES = Number(process.env.DEVIATION_SCHEDULER_INTERVAL_MINUTES || 15);
+
+let timer = null;
+let running = false;
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const formatDateTime = (date) => date.toISOString().slice(0, 16).replace('T', ' ');
+
+const getUserIdsByRole = async (roles) => {
+  const users = await User.find({ role: { $in: roles }, isActive: true }).select('_id');
+  return users.map(user => user._id);
+};
+
+// Remind the data protection officer of the 72-hour deadline, and escalate to
+// administrators when it has passed
+const remindAuthorityDeadline = async (deviation, now, dpoRecipients, adminRecipients) => {
+  const deadline = deviation.authorityNotification.deadline;
+  if (!deadline || !authorityNotificationPending(deviation)) {
+    return;
+  }
+
+  const keyPrefix = `deviation:${deviation._id}:authority:${deadline.getTime()}`;
+  const hoursLeft = Math.ceil((deadline - now) / HOUR);
+
+  if (hoursLeft > AUTHORITY_REMINDER_HOURS) {
+    return;
+  }
+
+  if (hoursLeft > 0) {
+    await notify([deviation.owner, ...dpoRecipients], {
+      title: 'Frist for melding til Datatilsynet nærmer seg',
+      message: `${deviation.reference} «${deviation.title}» må meldes til Datatilsynet innen ${formatDateTime(deadline)} UTC (om ${hoursLeft} timer), eller vurderes som ikke meldepliktig.`,
+      type: 'deviation',
+      relatedDeviation: deviation._id,
+      key: `${keyPrefix}:reminder`
+    });
+    return;
+  }
+
+  await notify([deviation.owner, ...dpoRecipients, ...adminRecipients], {
+    title: 'Frist for melding til Datatilsynet er overskredet',
+    message: `72-timersfristen for ${deviation.reference} «${deviation.title}» gikk ut ${formatDateTime(deadline)} UTC. Meld avviket og begrunn forsinkelsen.`,
+    type: 'deviation',
+    relatedDeviation: deviation._id,
+    key: `${keyPrefix}:overdue`
+  });
+};
+
+// Remind action owners of corrective actions that are due soon or overdue
+const remindCorrectiveActions = async (deviation, now) => {
+  const horizon = new Date(now.getTime() + ACTION_REMINDER_DAYS * DAY);
+
+  for (const action of deviation.correctiveActions) {
+    if (action.status !== 'open' || action.dueDate > horizon) {
+      continue;
+    }
+
+    // Keys include the due date so moving it restarts the reminders
+    const keyPrefix = `deviation:${deviation._id}:action:${action._id}:${action.dueDate.getTime()}`;
+
+    if (action.dueDate > now) {
+      await notify([action.owner], {
+        title: 'Korrigerende tiltak forfaller snart',
+        message: `Tiltaket «${action.description}» for ${deviation.reference} skal være utført innen ${formatDate(action.dueDate)}.`,
+        type: 'deviation',
+        relatedDeviation: deviation._id,
+        key: `${keyPrefix}:due`
+      });
+    } else {
+      await notify([action.owner, deviation.owner], {
+        title: 'Korrigerende tiltak er forfalt',
+        message: `Tiltaket «${action.description}» for ${deviation.reference} skulle vært utført innen ${formatDate(action.dueDate)}.`,
+        type: 'deviation',
+        relatedDeviation: deviation._id,
+        key: `${keyPrefix}:overdue`
+      });
+    }
+  }
+};
+
+// Find open deviations with deadlines coming up or passed and notify
+const runOnce = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  try {
+    const now = new Date();
+
+    const deviations = await Deviation.find({
+      status: { $ne: 'closed' },
+      $or: [
+        {
+          personalDataInvolved: true,
+          'authorityNotification.required': { $ne: false },
+          'authorityNotification.notifiedAt': null,
+          'authorityNotification.deadline': { $lte: new Date(now.getTime() + AUTHORITY_REMINDER_HOURS * HOUR) }
+        },
+        {
+          correctiveActions: {
+            $elemMatch: { status: 'open', dueDate: { $lte: new Date(now.getTime() + ACTION_REMINDER_DAYS * DAY) } }
+          }
+        }
+      ]
+    }).select('reference title owner personalDataInvolved authorityNotification correctiveActions');
+
+    if (deviations.length === 0) {
+      return;
+    }
+
+    const dpoRecipients = await getUserIdsByRole(['personvernombud']);
+    const adminRecipients = await getUserIdsByRole(['admin']);
+
+    for (const deviation of deviations) {
+      await remindAuthorityDeadline(deviation, now, dpoRecipients, adminRecipients);
+      await remindCorrectiveActions(deviation, now);
+    }
+  } catch (err) {
+    console.error('Deviation scheduler error:', err);
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer || process.env.DEVIATION_SCHEDULER_ENABLED === 'false') {
+    return;
+  }
+
+  timer = setInterval(runOnce, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  runOnce();
+  console.log(`Deviation scheduler started (every ${INTERVAL_MINUTES} minutes)`);
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce
+};
@@ -0,0 +1,137 @@
+const Counter = require('../models/Counter');
+const User = require('../models/User');
+
+// Roles that see and handle all deviations
+const MANAGER_ROLES = ['admin', 'it_ansvarlig', 'personvernombud'];
+
+// Allowed status changes
+const TRANSITIONS = {
+  reported: ['under_assessment', 'closed'],
+  under_assessment: ['in_progress', 'resolved', 'closed'],
+  in_progress: ['resolved'],
+  resolved: ['closed', 'in_progress'],
+  closed: ['in_progress']
+};
+
+const STATUS_LABELS = {
+  reported: 'Meldt',
+  under_assessment: 'Under vurdering',
+  in_progress: 'Under behandling',
+  resolved: 'Løst',
+  closed: 'Lukket'
+};
+
+const SEVERITY_LABELS = {
+  low: 'Lav',
+  medium: 'Middels',
+  high: 'Høy',
+  critical: 'Kritisk'
+};
+
+const isManager = (user) => MANAGER_ROLES.includes(user.role);
+
+// Reference number for a new deviation, numbered per year
+const nextReference = async (date = new Date()) => {
+  const year = date.getFullYear();
+  const number = await Counter.next(`deviation:${year}`);
+  return `AVV-${year}-${String(number).padStart(4, '0')}`;
+};
+
+// Query for the deviations a user may see: managers see all, others those they
+// reported, handle or have a corrective action in
+const visibleFilter = (user) => {
+  if (isManager(user)) {
+    return {};
+  }
+  return {
+    $or: [
+      { reportedBy: user.id },
+      { owner: user.id },
+      { 'correctiveActions.owner': user.id }
+    ]
+  };
+};
+
+const canView = (user, deviation) => {
+  if (isManager(user)) {
+    return true;
+  }
+  const userId = String(user.id);
+  const idOf = (value) => String(value && value._id ? value._id : value);
+  return idOf(deviation.reportedBy) === userId ||
+    idOf(deviation.owner) === userId ||
+    deviation.correctiveActions.some(action => idOf(action.owner) === userId);
+};
+
+// Managers and the owner of the deviation may handle it
+const canEdit = (user, deviation) => (
+  isManager(user) || Boolean(deviation.owner && String(deviation.owner._id || deviation.owner) === String(user.id))
+);
+
+// Check a status change. Returns an error message, or null when it is allowed.
+const checkTransition = (deviation, to, comment) => {
+  if (!STATUS_LABELS[to]) {
+    return 'Ugyldig status';
+  }
+  if (!TRANSITIONS[deviation.status].includes(to)) {
+    return `Kan ikke endre status fra ${STATUS_LABELS[deviation.status].toLowerCase()} til ${STATUS_LABELS[to].toLowerCase()}`;
+  }
+
+  if (to === 'resolved' && deviation.correctiveActions.some(action => action.status !== 'done')) {
+    return 'Alle korrigerende tiltak må være fullført';
+  }
+
+  if (to === 'closed') {
+    // Closing without handling means it was not a deviation after all
+    if (['reported', 'under_assessment'].includes(deviation.status)) {
+      return comment ? null : 'Begrunnelse er påkrevd for å lukke et avvik som ikke er behandlet';
+    }
+    if (!deviation.rootCause) {
+      return 'Årsak må være registrert før avviket lukkes';
+    }
+    if (deviation.personalDataInvolved && deviation.authorityNotification.required === null) {
+      return 'Behovet for melding til Datatilsynet må være vurdert før avviket lukkes';
+    }
+  }
+
+  return null;
+};
+
+// Whether Datatilsynet still has to be notified
+const authorityNotificationPending = (deviation) => (
+  deviation.personalDataInvolved &&
+  deviation.authorityNotification.required !== false &&
+  !deviation.authorityNotification.notifiedAt
+);
+
+// Query for deviations whose notification deadline has passed without a notification
+const overdueAuthorityFilter = (now = new Date()) => ({
+  personalDataInvolved: true,
+  'authorityNotification.required': { $ne: false },
+  'authorityNotification.notifiedAt': null,
+  'authorityNotification.deadline': { $lt: now }
+});
+
+// Managers to involve in a deviation: IT, and the data protection officer when
+// personal data is involved
+const getHandlerIds = async (deviation) => {
+  const roles = deviation.personalDataInvolved ? ['it_ansvarlig', 'personvernombud'] : ['it_ansvarlig'];
+  const users = await User.find({ role: { $in: roles }, isActive: true }).select('_id');
+  return users.map(user => user._id);
+};
+
+module.exports = {
+  MANAGER_ROLES,
+  TRANSITIONS,
+  STATUS_LABELS,
+  SEVERITY_LABELS,
+  isManager,
+  nextReference,
+  visibleFilter,
+  canView,
+  canEdit,
+  checkTransition,
+  authorityNotificationPending,
+  overdueAuthorityFilter,
+  getHandlerIds
+};
@@ -0,0 +1,94 @@
+const Diff = require('diff');
+const Category = require('../models/Category');
+const { isSupported } = require('./textExtraction');
+
+// Limits on text comparison. Longer texts are not compared, and a comparison
+// is abandoned when it takes too long or the texts differ too much.
+const MAX_TEXT_LENGTH = 500000;
+const DIFF_OPTIONS = { timeout: 2000, maxEditLength: 20000 };
+
+// Metadata fields compared between versions
+const METADATA_FIELDS = ['title', 'description', 'tags', 'category', 'subcategory'];
+
+// Copy the metadata of a document, to be stored on a revision
+const snapshotMetadata = (document) => ({
+  title: document.title,
+  description: document.description,
+  tags: [...(document.tags || [])],
+  category: document.category && document.category._id ? document.category._id : document.category,
+  subcategory: document.subcategory
+});
+
+// Get the extracted text of a document or revision (loaded with +contentText).
+// Returns null when the text is not available (yet); extraction runs in the
+// background and never on request.
+const getText = (item) => {
+  if (!isSupported(item.fileType) || !item.contentExtraction || item.contentExtraction.status !== 'success') {
+    return null;
+  }
+  return item.contentText || '';
+};
+
+// Structured line or word diff between two texts. Returns { error } with
+// 'too_large' or 'too_complex' when a limit is exceeded.
+const diffText = (from, to, mode = 'line') => {
+  if (from.length > MAX_TEXT_LENGTH || to.length > MAX_TEXT_LENGTH) {
+    return { error: 'too_large' };
+  }
+
+  const parts = mode === 'word'
+    ? Diff.diffWordsWithSpace(from, to, DIFF_OPTIONS)
+    : Diff.diffLines(from, to, DIFF_OPTIONS);
+
+  // The diff library gives up without a result when a limit is hit
+  if (!parts) {
+    return { error: 'too_complex' };
+  }
+
+  const summary = { added: 0, removed: 0 };
+  const changes = parts.map(part => {
+    const type = part.added ? 'added' : part.removed ? 'removed' : 'unchanged';
+    if (type !== 'unchanged') {
+      summary[type] += part.count;
+    }
+    return { type, value: part.value, count: part.count };
+  });
+
+  return { mode, summary, changes };
+};
+
+const normalizeValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  return value === undefined || value === null ? null : String(value);
+};
+
+// Fields whose values differ between two metadata snapshots. Category changes
+// include the category names.
+const diffMetadata = async (from, to) => {
+  const changes = METADATA_FIELDS
+    .map(field => ({ field, from: normalizeValue(from[field]), to: normalizeValue(to[field]) }))
+    .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+
+  const categoryChange = changes.find(change => change.field === 'category');
+  if (categoryChange) {
+    const categories = await Category.find({ _id: { $in: [categoryChange.from, categoryChange.to].filter(Boolean) } })
+      .select('name');
+    const nameOf = id => {
+      const category = categories.find(c => String(c._id) === id);
+      return category ? category.name : null;
+    };
+    categoryChange.fromName = nameOf(categoryChange.from);
+    categoryChange.toName = nameOf(categoryChange.to);
+  }
+
+  return changes;
+};
+
+module.exports = {
+  snapshotMetadata,
+  getText,
+  diffText,
+  diffMetadata
+};
@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const { once } = require('events');
+const { PassThrough } = require('stream');
+const mongoose = require('mongoose');
+const archiver = require('archiver');
+const Category = require('../models/Category');
+const Document = require('../models/Document');
+const Revision = require('../models/Revision');
+const fileStorage = require('./storage');
+const { readableDocumentsFilter } = require('../middleware/permission');
+const { toCsv } = require('../utils/csv');
+const { PUBLISHED_REVISION_STATUS } = require('./approval');
+
+// Check the selection of an export request. Returns an error message or null.
+const validateSelection = ({ categories = [], subcategories = [], documents = [] }) => {
+  if (!Array.isArray(categories) || !Array.isArray(subcategories) || !Array.isArray(documents)) {
+    return 'Utvalget må være lister';
+  }
+  if (categories.length + subcategories.length + documents.length === 0) {
+    return 'Velg minst én kategori, underkategori eller dokument';
+  }
+  if ([...categories, ...documents].some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return 'Ugyldig kategori eller dokument';
+  }
+  if (subcategories.some(sub => !sub || !mongoose.Types.ObjectId.isValid(sub.category) || !sub.name)) {
+    return 'Underkategorier må ha kategori og navn';
+  }
+  return null;
+};
+
+// Documents in the selection that the user may read, in folder order
+const findDocuments = async (user, { categories = [], subcategories = [], documents = [], includeArchived = false }) => {
+  const toId = (id) => new mongoose.Types.ObjectId(String(id));
+  const selected = [
+    ...categories.map(id => ({ category: toId(id) })),
+    ...subcategories.map(sub => ({ category: toId(sub.category), subcategory: sub.name })),
+    ...(documents.length > 0 ? [{ _id: { $in: documents.map(toId) } }] : [])
+  ];
+
+  return Document.find({
+    $and: [
+      await readableDocumentsFilter(user),
+      { status: { $in: includeArchived ? ['active', 'archived'] : ['active'] } },
+      { $or: selected }
+    ]
+  })
+    .populate('uploadedBy', 'name email')
+    .populate('owner', 'name email')
+    .sort({ category: 1, subcategory: 1, title: 1 });
+};
+
+// Make a name safe as a file or folder name in the archive
+const safeName = (name, fallback = 'uten-navn') => {
+  const cleaned = String(name || '')
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, 100);
+  return cleaned || fallback;
+};
+
+// Add one stored file to the archive, hashing it on the way, and wait until it
+// is written so only one file is open at a time. The transfer holds the archive
+// and the state needed to stop when the archive fails or the receiver goes away.
+const appendFile = async (transfer, item, name) => {
+  if (transfer.abortedWith) {
+    throw transfer.abortedWith;
+  }
+  if (!(await fileStorage.fileExists(item))) {
+    return { integrity: 'missing', sha256: null };
+  }
+
+  const source = await fileStorage.openFile(item);
+  const hash = crypto.createHash('sha256');
+  const pass = new PassThrough();
+
+  source.on('data', chunk => hash.update(chunk));
+  source.on('error', err => pass.destroy(err));
+  source.pipe(pass);
+
+  // A file that fails while being read never becomes an entry, so stop waiting then
+  const sourceFailed = new Promise((resolve, reject) => pass.on('error', reject));
+
+  transfer.source = source;
+  try {
+    const written = once(transfer.archive, 'entry');
+    transfer.archive.append(pass, { name, date: item.createdAt });
+    await Promise.race([written, sourceFailed, transfer.aborted, transfer.failed]);
+  } finally {
+    transfer.source = null;
+  }
+
+  const sha256 = hash.digest('hex');
+  let integrity = 'ok';
+  if (!item.sha256) {
+    integrity = 'unhashed';
+  } else if (item.sha256 !== sha256) {
+    integrity = 'mismatch';
+  }
+
+  return { integrity, sha256 };
+};
+
+const personOf = (user) => (user ? { name: user.name, email: user.email } : null);
+
+// Columns of manifest.csv, one row per file
+const MANIFEST_COLUMNS = [
+  { header: 'Sti', value: row => row.path },
+  { header: 'Dokument-ID', value: row => row.documentId },
+  { header: 'Tittel', value: row => row.title },
+  { header: 'Kategori', value: row => row.category },
+  { header: 'Underkategori', value: row => row.subcategory },
+  { header: 'Status', value: row => row.status },
+  { header: 'Versjon', value: row => row.version },
+  { header: 'Gjeldende versjon', value: row => (row.current ? 'Ja' : 'Nei') },
+  { header: 'Filnavn', value: row => row.fileName },
+  { header: 'Filtype', value: row => row.fileType },
+  { header: 'Størrelse (byte)', value: row => row.fileSize },
+  { header: 'SHA-256', value: row => row.sha256 },
+  { header: 'Integritet', value: row => row.integrity },
+  { header: 'Neste gjennomgang', value: row => row.reviewDate },
+  { header: 'Lastet opp av', value: row => (row.uploadedBy ? row.uploadedBy.name : '') },
+  { header: 'Eier', value: row => (row.owner ? row.owner.name : '') },
+  { header: 'Opprettet', value: row => row.createdAt },
+  { header: 'Endringer', value: row => row.changes }
+];
+
+// Stream a ZIP archive of the documents to a writable stream, with folders
+// mirroring the category tree and manifest.json and manifest.csv at the root.
+// Resolves with the manifest once the archive is finalized.
+const streamBundle = async (output, documents, { includeRevisions = false, user = null, selection = {} } = {}) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const failed = new Promise((resolve, reject) => archive.on('error', reject));
+  // The archive can fail after the work is done, when nobody waits for it any more
+  failed.catch(() => {});
+  archive.on('warning', err => console.warn('Export archive warning:', err));
+  archive.pipe(output);
+
+  // When the receiver goes away before the archive is complete, stop the
+  // archive and close the file being read
+  const transfer = { archive, failed, source: null, abortedWith: null };
+  transfer.aborted = new Promise((resolve, reject) => {
+    output.on('close', () => {
+      if (output.writableFinished) {
+        return;
+      }
+      transfer.abortedWith = new Error('Eksporten ble avbrutt av mottakeren');
+      archive.abort();
+      if (transfer.source) {
+        transfer.source.destroy();
+      }
+      reject(transfer.abortedWith);
+    });
+  });
+  // Only awaited while a file is being added; the work checks abortedWith otherwise
+  transfer.aborted.catch(() => {});
+
+  const work = (async () => {
+    const categoryIds = [...new Set(documents.map(document => String(document.category)))];
+    const categories = await Category.find({ _id: { $in: categoryIds } }).select('name');
+    const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+
+    const usedPaths = new Set();
+    const uniquePath = (folder, name, suffix) => {
+      let candidate = `${folder}/${name}`;
+      if (usedPaths.has(candidate)) {
+        candidate = `${folder}/${name} (${suffix})`;
+      }
+      usedPaths.add(candidate);
+      return candidate;
+    };
+
+    const manifestDocuments = [];
+    const rows = [];
+
+    for (const document of documents) {
+      const categoryName = categoryNames.get(String(document.category)) || 'Uten kategori';
+      const folder = uniquePath(
+        [safeName(categoryName), document.subcategory ? safeName(document.subcategory) : null].filter(Boolean).join('/'),
+        safeName(document.title),
+        String(document._id).slice(-6)
+      );
+
+      const path = `${folder}/v${document.version} - ${safeName(document.fileName, 'fil')}`;
+      const file = await appendFile(transfer, document, path);
+
+      const entry = {
+        id: document._id,
+        title: document.title,
+        description: document.description,
+        tags: document.tags,
+        category: categoryName,
+        subcategory: document.subcategory || '',
+        status: document.status,
+        version: document.version,
+        reviewDate: document.reviewDate || null,
+        owner: personOf(document.owner),
+        uploadedBy: personOf(document.uploadedBy),
+        createdAt: document.createdAt,
+        updatedAt: document.updatedAt,
+        file: {
+          path: file.integrity === 'missing' ? null : path,
+          fileName: document.fileName,
+          fileType: document.fileType,
+          fileSize: document.fileSize,
+          sha256: file.sha256,
+          storedSha256: document.sha256 || null,
+          integrity: file.integrity
+        },
+        revisions: []
+      };
+
+      rows.push({
+        ...entry,
+        ...entry.file,
+        documentId: document._id,
+        current: true,
+        changes: ''
+      });
+
+      if (includeRevisions) {
+        const revisions = await Revision.find({ document: document._id, status: PUBLISHED_REVISION_STATUS, version: { $ne: document.version } })
+          .populate('createdBy', 'name email')
+          .sort({ version: 1 });
+
+        for (const revision of revisions) {
+          const revisionPath = `${folder}/versjoner/v${revision.version} - ${safeName(revision.fileName, 'fil')}`;
+          const revisionFile = await appendFile(transfer, revision, revisionPath);
+
+          const revisionEntry = {
+            version: revision.version,
+            path: revisionFile.integrity === 'missing' ? null : revisionPath,
+            fileName: revision.fileName,
+            fileType: revision.fileType,
+            fileSize: revision.fileSize,
+            sha256: revisionFile.sha256,
+            storedSha256: revision.sha256 || null,
+            integrity: revisionFile.integrity,
+            changes: revision.changes,
+            createdBy: personOf(revision.createdBy),
+            createdAt: revision.createdAt
+          };
+          entry.revisions.push(revisionEntry);
+
+          rows.push({
+            ...entry,
+            ...revisionEntry,
+            documentId: document._id,
+            current: false,
+            uploadedBy: revisionEntry.createdBy,
+            reviewDate: null
+          });
+        }
+      }
+
+      manifestDocuments.push(entry);
+    }
+
+    const manifest = {
+      generatedAt: new Date(),
+      generatedBy: user ? { id: user.id, email: user.email } : null,
+      selection,
+      includeRevisions,
+      totals: {
+        documents: manifestDocuments.length,
+        files: rows.filter(row => row.integrity !== 'missing').length,
+        bytes: rows.filter(row => row.integrity !== 'missing').reduce((sum, row) => sum + (row.fileSize || 0), 0),
+        missing: rows.filter(row => row.integrity === 'missing').length,
+        mismatched: rows.filter(row => row.integrity === 'mismatch').length
+      },
+      documents: manifestDocuments
+    };
+
+    if (transfer.abortedWith) {
+      throw transfer.abortedWith;
+    }
+    archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+    archive.append(toCsv(rows, MANIFEST_COLUMNS), { name: 'manifest.csv' });
+    await archive.finalize();
+
+    return manifest;
+  })();
+
+  return Promise.race([work, failed]);
+};
+
+module.exports = {
+  validateSelection,
+  findDocuments,
+  streamBundle
+};
@@ -0,0 +1,99 @@
+const Document = require('../models/Document');
+const Revision = require('../models/Revision');
+const { applyExtraction } = require('./textExtraction');
+
+// Text is extracted in the background, one file at a time, so uploads do not
+// wait for the parsers. New uploads call extractSoon; the interval picks up
+// anything left over, e.g. after a restart.
+const INTERVAL_MINUTES = Number(process.env.TEXT_EXTRACTION_INTERVAL_MINUTES || 5);
+const BATCH_SIZE = 20;
+
+// Files stored before text extraction existed have no status and are extracted too
+const PENDING = { $in: ['pending', null] };
+
+let timer = null;
+let running = false;
+let rerun = false;
+
+// Extract the text of one pending document or revision. The result is only
+// stored if the item still points at the same file.
+const extractItem = async (Model, item) => {
+  await applyExtraction(item);
+
+  const sameFile = item.storageKey ? { storageKey: item.storageKey } : { filePath: item.filePath };
+  await Model.updateOne(
+    { _id: item._id, ...sameFile, 'contentExtraction.status': PENDING },
+    { $set: { contentText: item.contentText, contentExtraction: item.contentExtraction } }
+  );
+};
+
+// Extract text for documents and revisions that are waiting for it
+const runOnce = async () => {
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+
+  try {
+    for (const Model of [Document, Revision]) {
+      // Page by id so an item that could not be updated is not picked up again
+      let lastId = null;
+      let items;
+      do {
+        items = await Model.find({
+          'contentExtraction.status': PENDING,
+          ...(lastId ? { _id: { $gt: lastId } } : {})
+        })
+          .select('storageKey storageDriver filePath fileName fileType contentExtraction')
+          .sort({ _id: 1 })
+          .limit(BATCH_SIZE);
+
+        for (const item of items) {
+          await extractItem(Model, item);
+          lastId = item._id;
+        }
+      } while (items.length === BATCH_SIZE);
+    }
+  } catch (err) {
+    console.error('Text extraction queue error:', err);
+  } finally {
+    running = false;
+  }
+
+  if (rerun) {
+    rerun = false;
+    extractSoon();
+  }
+};
+
+// Start extraction of newly uploaded files without waiting for the interval
+const extractSoon = () => {
+  if (process.env.TEXT_EXTRACTION_ENABLED === 'false') {
+    return;
+  }
+  setImmediate(runOnce);
+};
+
+const start = () => {
+  if (timer || process.env.TEXT_EXTRACTION_ENABLED === 'false') {
+    return;
+  }
+
+  timer = setInterval(runOnce, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  runOnce();
+  console.log(`Text extraction queue started (every ${INTERVAL_MINUTES} minutes)`);
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  extractSoon
+};
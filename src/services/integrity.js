@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const Document = require('../models/Document');
+const Revision = require('../models/Revision');
+const fileStorage = require('./storage');
+
+// Compute the SHA-256 digest (hex) of a readable stream
+const hashStream = async (stream) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of stream) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+// Check the stored file of a document or revision against its recorded digest.
+// Returns { status, actual } where status is one of:
+//   ok       - the file matches the recorded digest
+//   missing  - the file is not in storage
+//   mismatch - the file content has changed
+//   unhashed - no digest was recorded (uploaded before checksums)
+const verifyFile = async (item) => {
+  if (!(await fileStorage.fileExists(item))) {
+    return { status: 'missing' };
+  }
+
+  const actual = await hashStream(await fileStorage.openFile(item));
+
+  if (!item.sha256) {
+    return { status: 'unhashed', actual };
+  }
+
+  return { status: actual === item.sha256 ? 'ok' : 'mismatch', actual };
+};
+
+// Pass a file through while hashing it, e.g. on download, so it is only read
+// once. The last chunk is held back until the digest has been checked: a file
+// that does not match its recorded digest is never delivered whole, and the
+// stream fails with an error with code INTEGRITY_MISMATCH and the actual digest.
+// Without a recorded digest the file is passed through unchecked.
+const createVerifyStream = (expected) => {
+  const hash = crypto.createHash('sha256');
+  let held = null;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      const previous = held;
+      held = chunk;
+      callback(null, previous);
+    },
+    flush(callback) {
+      const actual = hash.digest('hex');
+      if (expected && actual !== expected) {
+        const err = new Error('Filen samsvarer ikke med lagret sjekksum');
+        err.code = 'INTEGRITY_MISMATCH';
+        err.actual = actual;
+        return callback(err);
+      }
+      callback(null, held);
+    }
+  });
+};
+
+// Verify every stored document and revision file. With backfill, files that have
+// no recorded digest get their current digest stored.
+const scanAll = async ({ backfill = false } = {}) => {
+  const report = {
+    startedAt: new Date(),
+    checked: 0,
+    ok: 0,
+    missing: [],
+    corrupted: [],
+    unhashed: [],
+    errors: []
+  };
+
+  for (const Model of [Document, Revision]) {
+    const cursor = Model.find()
+      .select('storageKey storageDriver filePath fileName sha256 document version')
+      .cursor();
+
+    for (let item = await cursor.next(); item; item = await cursor.next()) {
+      report.checked += 1;
+
+      const entry = {
+        type: Model.modelName.toLowerCase(),
+        id: item._id,
+        document: Model === Document ? item._id : item.document,
+        version: item.version,
+        fileName: item.fileName
+      };
+
+      try {
+        const result = await verifyFile(item);
+
+        if (result.status === 'ok') {
+          report.ok += 1;
+        } else if (result.status === 'missing') {
+          report.missing.push(entry);
+        } else if (result.status === 'mismatch') {
+          report.corrupted.push({ ...entry, expected: item.sha256, actual: result.actual });
+        } else {
+          report.unhashed.push(entry);
+          if (backfill) {
+            await Model.updateOne({ _id: item._id }, { sha256: result.actual });
+          }
+        }
+      } catch (err) {
+        report.errors.push({ ...entry, error: err.message });
+      }
+    }
+  }
+
+  report.finishedAt = new Date();
+  return report;
+};
+
+// The scan reads every stored file, so it runs in the background, one at a time.
+// The last scan (running or finished) is kept in memory.
+let lastScan = null;
+
+// Start a scan unless one is running. onFinish is called with the report.
+// Returns the new scan, or null when one is already running.
+const startScan = ({ backfill = false } = {}, onFinish) => {
+  if (lastScan && lastScan.status === 'running') {
+    return null;
+  }
+
+  const scan = { status: 'running', backfill, startedAt: new Date() };
+  lastScan = scan;
+
+  scanAll({ backfill })
+    .then(report => {
+      scan.status = 'finished';
+      scan.finishedAt = report.finishedAt;
+      scan.report = report;
+      if (onFinish) {
+        onFinish(report);
+      }
+    })
+    .catch(err => {
+      console.error('Integrity scan error:', err);
+      scan.status = 'failed';
+      scan.finishedAt = new Date();
+      scan.error = err.message;
+    });
+
+  return scan;
+};
+
+const getLastScan = () => lastScan;
+
+module.exports = {
+  hashStream,
+  verifyFile,
+  createVerifyStream,
+  scanAll,
+  startScan,
+  getLastScan
+};
@@ -0,0 +1,98 @@
+const User = require('../models/User');
+
+// Failed logins allowed before the account is locked
+const MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS || 5);
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+// Wait after the first failed login; doubles with every further failure
+const DELAY_BASE_SECONDS = Number(process.env.LOGIN_DELAY_BASE_SECONDS || 1);
+const DELAY_MAX_SECONDS = 60;
+
+// Check whether a user may attempt to log in now.
+// Returns null, or { locked, retryAfter } with retryAfter in seconds.
+const checkLogin = (user) => {
+  if (!user.lockUntil || user.lockUntil <= new Date()) {
+    return null;
+  }
+
+  return {
+    locked: user.failedLoginAttempts >= MAX_ATTEMPTS,
+    retryAfter: Math.ceil((user.lockUntil - Date.now()) / 1000)
+  };
+};
+
+// When the next attempt is allowed after the given number of failures
+const lockUntilFor = (attempts) => {
+  const delaySeconds = attempts >= MAX_ATTEMPTS
+    ? LOCKOUT_MINUTES * 60
+    : Math.min(DELAY_BASE_SECONDS * 2 ** (attempts - 1), DELAY_MAX_SECONDS);
+  return new Date(Date.now() + delaySeconds * 1000);
+};
+
+// Count a failed login. Every failure delays the next attempt a little longer,
+// and MAX_ATTEMPTS failures lock the account for LOCKOUT_MINUTES.
+// Returns the updated user.
+const registerFailure = async (user) => {
+  // A lockout that has run out starts a new round of attempts
+  const expiredLock = user.failedLoginAttempts >= MAX_ATTEMPTS;
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    expiredLock
+      ? { failedLoginAttempts: 1, lastFailedLoginAt: Date.now() }
+      : { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: Date.now() },
+    { new: true }
+  );
+
+  updated.lockUntil = lockUntilFor(updated.failedLoginAttempts);
+  await User.updateOne({ _id: updated._id }, { lockUntil: updated.lockUntil });
+
+  return updated;
+};
+
+// Failed logins for e-mail addresses without an account. They are throttled
+// and locked the same way as accounts, so the responses do not reveal which
+// addresses exist. Kept in memory and forgotten a day after the last attempt.
+const UNKNOWN_EMAIL_TTL = 24 * 60 * 60 * 1000;
+const UNKNOWN_EMAIL_LIMIT = 10000;
+const unknownEmails = new Map();
+
+const checkUnknownEmail = (email) => {
+  const entry = unknownEmails.get(email);
+  return entry ? checkLogin(entry) : null;
+};
+
+const registerUnknownEmailFailure = (email) => {
+  const now = Date.now();
+  for (const [key, entry] of unknownEmails) {
+    // Entries are in order of their last failure
+    if (entry.lastFailedLoginAt > now - UNKNOWN_EMAIL_TTL && unknownEmails.size < UNKNOWN_EMAIL_LIMIT) {
+      break;
+    }
+    unknownEmails.delete(key);
+  }
+
+  const previous = unknownEmails.get(email);
+  const attempts = previous && previous.failedLoginAttempts < MAX_ATTEMPTS ? previous.failedLoginAttempts + 1 : 1;
+  const entry = { failedLoginAttempts: attempts, lastFailedLoginAt: now, lockUntil: lockUntilFor(attempts) };
+
+  unknownEmails.delete(email);
+  unknownEmails.set(email, entry);
+  return entry;
+};
+
+// Clear failed login tracking on a user (after a successful login or an admin
+// unlock). The caller saves the user.
+const reset = (user) => {
+  user.failedLoginAttempts = 0;
+  user.lockUntil = null;
+  return user;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  checkLogin,
+  registerFailure,
+  checkUnknownEmail,
+  registerUnknownEmailFailure,
+  reset
+};
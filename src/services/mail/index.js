@@ -0,0 +1,72 @@
+const { createTransport } = require('./transports');
+const { render } = require('./templates');
+const authTokens = require('../authTokens');
+
+// smtp, file or console. The console transport prints password reset and
+// invitation links to the log, so production must choose a transport.
+const TRANSPORT = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console');
+if (!TRANSPORT) {
+  throw new Error('MAIL_TRANSPORT must be set when NODE_ENV is production');
+}
+const FROM = process.env.MAIL_FROM || 'Opinion Docs <noreply@opinion.no>';
+// Links in e-mails point to the frontend
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS || 7);
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport(TRANSPORT);
+  }
+  return transport;
+};
+
+// Send a templated e-mail to a user, in the user's language
+const sendTemplate = (user, template, data = {}) => {
+  const message = render(template, user.language, { name: user.name, ...data });
+
+  return getTransport().sendMail({
+    from: FROM,
+    to: user.email,
+    ...message
+  });
+};
+
+// E-mail a password reset link
+const sendPasswordReset = async (user) => {
+  const token = await authTokens.create(user, 'password_reset', { ttlMinutes: PASSWORD_RESET_TTL_MINUTES });
+
+  return sendTemplate(user, 'passwordReset', {
+    link: `${FRONTEND_URL}/reset-password?token=${token}`,
+    expiresMinutes: PASSWORD_RESET_TTL_MINUTES
+  });
+};
+
+// E-mail an invitation link to a new user
+const sendInvitation = async (user, invitedBy) => {
+  const token = await authTokens.create(user, 'invitation', {
+    ttlMinutes: INVITATION_TTL_DAYS * 24 * 60,
+    createdBy: invitedBy._id
+  });
+
+  return sendTemplate(user, 'invitation', {
+    invitedBy: invitedBy.name,
+    link: `${FRONTEND_URL}/accept-invitation?token=${token}`,
+    expiresDays: INVITATION_TTL_DAYS
+  });
+};
+
+// Link to a document in the frontend
+const documentLink = (documentId) => `${FRONTEND_URL}/documents/${documentId}`;
+
+const deviationLink = (deviationId) => `${FRONTEND_URL}/deviations/${deviationId}`;
+
+module.exports = {
+  sendTemplate,
+  documentLink,
+  deviationLink,
+  sendPasswordReset,
+  sendInvitation
+};
@@ -0,0 +1,120 @@
+// E-mail templates by name and language. Each template gets the data passed to
+// sendMail and returns { subject, text }; the HTML version is built from the text.
+const templates = {
+  passwordReset: {
+    no: ({ name, link, expiresMinutes }) => ({
+      subject: 'Tilbakestill passordet ditt',
+      text: `Hei ${name},
+
+Vi har mottatt en forespørsel om å tilbakestille passordet ditt i Opinion Docs.
+Bruk lenken under for å velge et nytt passord. Lenken er gyldig i ${expiresMinutes} minutter og kan bare brukes én gang.
+
+${link}
+
+Hvis du ikke ba om dette, kan du se bort fra denne e-posten. Passordet ditt er ikke endret.`
+    }),
+    en: ({ name, link, expiresMinutes }) => ({
+      subject: 'Reset your password',
+      text: `Hi ${name},
+
+We received a request to reset your Opinion Docs password.
+Use the link below to choose a new password. The link is valid for ${expiresMinutes} minutes and can only be used once.
+
+${link}
+
+If you did not request this, you can ignore this e-mail. Your password has not been changed.`
+    })
+  },
+
+  notification: {
+    no: ({ name, title, message, link }) => ({
+      subject: title,
+      text: `Hei ${name},
+
+${message}
+${link ? `\n${link}\n` : ''}
+Du kan endre hvilke varsler du får på e-post under varslingsinnstillinger i Opinion Docs.`
+    }),
+    en: ({ name, title, message, link }) => ({
+      subject: title,
+      text: `Hi ${name},
+
+${message}
+${link ? `\n${link}\n` : ''}
+You can choose which notifications you receive by e-mail in the Opinion Docs notification settings.`
+    })
+  },
+
+  notificationDigest: {
+    no: ({ name, period, items }) => ({
+      subject: `${period === 'weekly' ? 'Ukentlig' : 'Daglig'} oppsummering: ${items.length} nye varsler`,
+      text: `Hei ${name},
+
+Dette er varslene dine fra Opinion Docs ${period === 'weekly' ? 'den siste uken' : 'det siste døgnet'}:
+
+${items.map(item => `- ${item.title}: ${item.message}${item.link ? ` (${item.link})` : ''}`).join('\n')}
+
+Du kan endre hvilke varsler du får på e-post under varslingsinnstillinger i Opinion Docs.`
+    }),
+    en: ({ name, period, items }) => ({
+      subject: `${period === 'weekly' ? 'Weekly' : 'Daily'} summary: ${items.length} new notifications`,
+      text: `Hi ${name},
+
+These are your Opinion Docs notifications from the last ${period === 'weekly' ? 'week' : 'day'}:
+
+${items.map(item => `- ${item.title}: ${item.message}${item.link ? ` (${item.link})` : ''}`).join('\n')}
+
+You can choose which notifications you receive by e-mail in the Opinion Docs notification settings.`
+    })
+  },
+
+  invitation: {
+    no: ({ name, invitedBy, link, expiresDays }) => ({
+      subject: 'Du er invitert til Opinion Docs',
+      text: `Hei ${name},
+
+${invitedBy} har opprettet en konto til deg i Opinion Docs.
+Bruk lenken under for å velge passord og aktivere kontoen. Lenken er gyldig i ${expiresDays} dager.
+
+${link}`
+    }),
+    en: ({ name, invitedBy, link, expiresDays }) => ({
+      subject: 'You are invited to Opinion Docs',
+      text: `Hi ${name},
+
+${invitedBy} has created an Opinion Docs account for you.
+Use the link below to choose a password and activate your account. The link is valid for ${expiresDays} days.
+
+${link}`
+    })
+  }
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Paragraphs of the text, with URLs as links
+const toHtml = (text) => escapeHtml(text)
+  .split(/\n{2,}/)
+  .map(paragraph => `<p>${paragraph
+    .replace(/(https?:\/\/[^\s)]+)/g, '<a href="$1">$1</a>')
+    .replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+// Render a template in the given language, falling back to Norwegian
+const render = (name, language, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+
+  const { subject, text } = (template[language] || template.no)(data);
+  return { subject, text, html: toHtml(text) };
+};
+
+module.exports = {
+  render
+};
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// SMTP server, e.g. the company relay or a local stand-in such as MailHog
+const createSmtpTransport = () => nodemailer.createTransport({
+  host: process.env.SMTP_HOST || 'localhost',
+  port: Number(process.env.SMTP_PORT || 587),
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    : undefined
+});
+
+// Write every message as an .eml file, for development and tests
+const createFileTransport = () => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'opinion-docs-mail');
+  fs.mkdirSync(dir, { recursive: true });
+
+  const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    sendMail: async (message) => {
+      const info = await stream.sendMail(message);
+      const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      return { ...info, file };
+    }
+  };
+};
+
+// Print every message to the console
+const createConsoleTransport = () => ({
+  sendMail: async (message) => {
+    console.log(`--- Mail to ${message.to}: ${message.subject}\n${message.text}\n---`);
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+const createTransport = (name) => {
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transports[name]();
+};
+
+module.exports = {
+  createTransport
+};
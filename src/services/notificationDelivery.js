@@ -0,0 +1,196 @@
+const Notification = require('../models/Notification');
+const mail = require('./mail');
+
+const MINUTE = 60 * 1000;
+
+// Delivery configuration
+const INTERVAL_SECONDS = Number(process.env.NOTIFICATION_DELIVERY_INTERVAL_SECONDS || 60);
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_DELIVERY_MAX_ATTEMPTS || 5);
+// Digests are sent at this hour (server time); weekly digests on Mondays
+const DIGEST_HOUR = Number(process.env.NOTIFICATION_DIGEST_HOUR || 7);
+const BATCH_SIZE = 100;
+
+let timer = null;
+let running = false;
+let pendingRun = null;
+
+// When a notification with the given delivery mode is due for e-mail
+const dueAt = (mode, now = new Date()) => {
+  if (mode === 'immediate') {
+    return now;
+  }
+
+  const next = new Date(now);
+  next.setHours(DIGEST_HOUR, 0, 0, 0);
+  if (next <= now) {
+    next.setDate(next.getDate() + 1);
+  }
+  if (mode === 'weekly') {
+    // Days until Monday
+    next.setDate(next.getDate() + (8 - next.getDay()) % 7);
+  }
+  return next;
+};
+
+// Delivery fields for a new notification to a user
+const deliveryFor = (user, type) => {
+  const mode = (user && user.isActive && user.notificationPreferences && user.notificationPreferences[type]) || 'in_app';
+
+  if (mode === 'in_app') {
+    return { mode, status: 'not_required' };
+  }
+
+  return { mode, status: 'pending', attempts: 0, nextAttemptAt: dueAt(mode) };
+};
+
+const notificationLink = (notification) => {
+  if (notification.relatedDocument) {
+    return mail.documentLink(notification.relatedDocument);
+  }
+  return notification.relatedDeviation ? mail.deviationLink(notification.relatedDeviation) : undefined;
+};
+
+// Record the outcome of one attempt for a set of notifications. Failures are
+// retried with exponential backoff (2, 4, 8... minutes) until MAX_ATTEMPTS.
+const recordAttempt = async (notifications, error) => {
+  for (const notification of notifications) {
+    const attempts = notification.delivery.attempts + 1;
+    const update = error
+      ? {
+        'delivery.attempts': attempts,
+        'delivery.lastError': error.message,
+        'delivery.status': attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+        'delivery.nextAttemptAt': new Date(Date.now() + 2 ** attempts * MINUTE)
+      }
+      : {
+        'delivery.attempts': attempts,
+        'delivery.status': 'sent',
+        'delivery.sentAt': new Date()
+      };
+
+    await Notification.updateOne({ _id: notification._id }, { $set: update });
+  }
+};
+
+// Send one e-mail for a group of due notifications to the same user and mode
+const deliverGroup = async (user, mode, notifications) => {
+  if (!user || !user.isActive) {
+    await Notification.updateMany(
+      { _id: { $in: notifications.map(notification => notification._id) } },
+      { 'delivery.status': 'skipped' }
+    );
+    return;
+  }
+
+  try {
+    if (mode === 'immediate') {
+      const [notification] = notifications;
+      await mail.sendTemplate(user, 'notification', {
+        title: notification.title,
+        message: notification.message,
+        link: notificationLink(notification)
+      });
+    } else {
+      await mail.sendTemplate(user, 'notificationDigest', {
+        period: mode,
+        items: notifications.map(notification => ({
+          title: notification.title,
+          message: notification.message,
+          link: notificationLink(notification)
+        }))
+      });
+    }
+    await recordAttempt(notifications);
+  } catch (err) {
+    console.error(`Notification delivery to ${user.email} failed:`, err.message);
+    await recordAttempt(notifications, err);
+  }
+};
+
+// Send all due e-mails: one per immediate notification, one digest per user
+// and period
+const runOnce = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  try {
+    for (;;) {
+      const due = await Notification.find({
+        'delivery.status': 'pending',
+        'delivery.nextAttemptAt': { $lte: new Date() }
+      })
+        .populate('user', 'name email language isActive')
+        .sort({ 'delivery.nextAttemptAt': 1 })
+        .limit(BATCH_SIZE);
+
+      if (due.length === 0) {
+        break;
+      }
+
+      const groups = new Map();
+      due.forEach(notification => {
+        const userId = notification.user ? String(notification.user._id) : 'missing';
+        const key = notification.delivery.mode === 'immediate'
+          ? String(notification._id)
+          : `${userId}:${notification.delivery.mode}`;
+        if (!groups.has(key)) {
+          groups.set(key, { user: notification.user, mode: notification.delivery.mode, notifications: [] });
+        }
+        groups.get(key).notifications.push(notification);
+      });
+
+      for (const { user, mode, notifications } of groups.values()) {
+        await deliverGroup(user, mode, notifications);
+      }
+
+      if (due.length < BATCH_SIZE) {
+        break;
+      }
+    }
+  } catch (err) {
+    console.error('Notification delivery error:', err);
+  } finally {
+    running = false;
+  }
+};
+
+// Deliver immediate e-mails shortly after they are created instead of waiting
+// for the next interval
+const deliverSoon = () => {
+  if (!timer || pendingRun) {
+    return;
+  }
+  pendingRun = setTimeout(() => {
+    pendingRun = null;
+    runOnce();
+  }, 1000);
+  pendingRun.unref();
+};
+
+const start = () => {
+  if (timer || process.env.NOTIFICATION_DELIVERY_ENABLED === 'false') {
+    return;
+  }
+
+  timer = setInterval(runOnce, INTERVAL_SECONDS * 1000);
+  timer.unref();
+  runOnce();
+  console.log(`Notification delivery started (every ${INTERVAL_SECONDS} seconds)`);
+};
+
+const stop = () => {
+  clearInterval(timer);
+  clearTimeout(pendingRun);
+  timer = null;
+  pendingRun = null;
+};
+
+module.exports = {
+  deliveryFor,
+  deliverSoon,
+  start,
+  stop,
+  runOnce
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Notification = require('../models/Notification');
+const Revision = require('../models/Revision');
+const User = require('../models/User');
+const { deliveryFor, deliverSoon } = require('./notificationDelivery');
+
+// New notifications are published here for live push (in-process only)
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Create the same notification for a set of users. When a key is given it is made
+// unique per user, and notifications that already exist for that key are skipped.
+const notify = async (userIds, { title, message, type, relatedDocument, relatedDeviation, key }) => {
+  const recipients = [...new Set(userIds.filter(Boolean).map(String))];
+  const created = [];
+
+  // E-mail delivery follows each recipient's preference for the type
+  const users = await User.find({ _id: { $in: recipients } }).select('isActive notificationPreferences');
+  const usersById = new Map(users.map(user => [user.id, user]));
+
+  for (const userId of recipients) {
+    try {
+      const notification = await Notification.create({
+        user: userId,
+        title,
+        message,
+        type,
+        relatedDocument,
+        relatedDeviation,
+        key: key ? `${key}:${userId}` : undefined,
+        delivery: deliveryFor(usersById.get(userId), type || 'system')
+      });
+      created.push(notification);
+      events.emit('notification', notification);
+    } catch (err) {
+      // Duplicate key: this user has already been notified
+      if (err.code !== 11000) {
+        throw err;
+      }
+    }
+  }
+
+  if (created.some(notification => notification.delivery.mode === 'immediate')) {
+    deliverSoon();
+  }
+
+  return created;
+};
+
+// Listen for new notifications to one user. Returns a function that stops listening.
+const subscribe = (userId, listener) => {
+  const handler = (notification) => {
+    if (String(notification.user) === String(userId)) {
+      listener(notification);
+    }
+  };
+
+  events.on('notification', handler);
+  return () => events.off('notification', handler);
+};
+
+// EventSource cannot send headers. Instead of putting the access token in the
+// URL, where it ends up in logs, the client gets a short-lived ticket that can
+// open one stream. Tickets are kept in memory and hold the access token, which
+// is checked again when the stream is opened.
+const STREAM_TICKET_SECONDS = 30;
+const streamTickets = new Map();
+
+const issueStreamTicket = (accessToken) => {
+  const now = Date.now();
+  for (const [ticket, entry] of streamTickets) {
+    if (entry.expiresAt <= now) {
+      streamTickets.delete(ticket);
+    }
+  }
+
+  const ticket = crypto.randomBytes(32).toString('base64url');
+  streamTickets.set(ticket, { accessToken, expiresAt: now + STREAM_TICKET_SECONDS * 1000 });
+  return { ticket, expiresIn: STREAM_TICKET_SECONDS };
+};
+
+// Use up a ticket. Returns its access token, or null when it is unknown or expired.
+const redeemStreamTicket = (ticket) => {
+  const entry = streamTickets.get(String(ticket));
+  if (!entry) {
+    return null;
+  }
+  streamTickets.delete(String(ticket));
+  return entry.expiresAt > Date.now() ? entry.accessToken : null;
+};
+
+// Notify the users involved with a document (owner, uploader, last editor and
+// revision authors) about a change, except the user who made it
+const notifyDocumentUpdate = async (document, actorId, { title, message }) => {
+  const revisionAuthors = await Revision.distinct('createdBy', { document: document._id });
+  const recipients = [document.owner, document.uploadedBy, document.lastModifiedBy, ...revisionAuthors]
+    .filter(userId => userId && String(userId) !== String(actorId));
+
+  return notify(recipients, {
+    title,
+    message,
+    type: 'document_update',
+    relatedDocument: document._id
+  });
+};
+
+module.exports = {
+  notify,
+  subscribe,
+  issueStreamTicket,
+  redeemStreamTicket,
+  notifyDocumentUpdate
+};
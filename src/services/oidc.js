@@ -0,0 +1,213 @@
+const { Issuer, generators } = require('openid-client');
+const User = require('../models/User');
+const OidcState = require('../models/OidcState');
+const { normalizeEmail } = require('../utils/email');
+
+// Identity provider settings. Any OpenID Connect provider with discovery works,
+// including a local mock provider for development.
+const ISSUER_URL = process.env.OIDC_ISSUER_URL;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID;
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET;
+const REDIRECT_URI = process.env.OIDC_REDIRECT_URI || 'http://localhost:5000/api/auth/oidc/callback';
+const SCOPES = process.env.OIDC_SCOPES || 'openid profile email';
+const GROUPS_CLAIM = process.env.OIDC_GROUPS_CLAIM || 'groups';
+const DEPARTMENT_CLAIM = process.env.OIDC_DEPARTMENT_CLAIM || 'department';
+// Create users on their first login; otherwise only existing users may sign in
+const AUTO_CREATE = process.env.OIDC_AUTO_CREATE !== 'false';
+// Turn off password login for users who sign in with the identity provider
+const DISABLE_LOCAL_LOGIN = process.env.OIDC_DISABLE_LOCAL_LOGIN === 'true';
+const DEFAULT_ROLE = 'ansatt';
+
+// IdP group (name or object id) -> role, e.g. {"<group id>": "admin"}
+const parseRoleMap = () => {
+  if (!process.env.OIDC_ROLE_MAP) {
+    return null;
+  }
+
+  const map = JSON.parse(process.env.OIDC_ROLE_MAP);
+  const validRoles = User.schema.path('role').enumValues;
+  Object.entries(map).forEach(([group, role]) => {
+    if (!validRoles.includes(role)) {
+      throw new Error(`OIDC_ROLE_MAP: invalid role ${role} for group ${group}`);
+    }
+  });
+  return map;
+};
+
+const ROLE_MAP = parseRoleMap();
+
+// When a user is in several mapped groups, the most privileged role wins
+const ROLE_PRIORITY = ['admin', 'it_ansvarlig', 'personvernombud', 'ansatt'];
+
+const isEnabled = () => !!(ISSUER_URL && CLIENT_ID);
+
+let clientPromise = null;
+
+const getClient = () => {
+  if (!clientPromise) {
+    clientPromise = Issuer.discover(ISSUER_URL)
+      .then(issuer => new issuer.Client({
+        client_id: CLIENT_ID,
+        client_secret: CLIENT_SECRET,
+        redirect_uris: [REDIRECT_URI],
+        response_types: ['code'],
+        token_endpoint_auth_method: CLIENT_SECRET ? 'client_secret_basic' : 'none'
+      }))
+      .catch(err => {
+        // Retry discovery on the next login
+        clientPromise = null;
+        throw err;
+      });
+  }
+  return clientPromise;
+};
+
+// Only allow returning to a path on the frontend
+const safeReturnTo = (returnTo) => (
+  typeof returnTo === 'string' && returnTo.startsWith('/') && !returnTo.startsWith('//') ? returnTo : '/'
+);
+
+// Start a login: remember the state and PKCE verifier and return the URL of the
+// identity provider's login page
+const beginLogin = async (returnTo) => {
+  const client = await getClient();
+
+  const state = generators.state();
+  const nonce = generators.nonce();
+  const codeVerifier = generators.codeVerifier();
+
+  await OidcState.create({ state, nonce, codeVerifier, returnTo: safeReturnTo(returnTo) });
+
+  return client.authorizationUrl({
+    scope: SCOPES,
+    state,
+    nonce,
+    code_challenge: generators.codeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+};
+
+// Role and department from the identity provider's claims. The role is only
+// returned when a role map is configured.
+const mapClaims = (claims) => {
+  const result = {};
+
+  if (ROLE_MAP) {
+    const groups = [].concat(claims[GROUPS_CLAIM] || []);
+    const roles = groups.map(group => ROLE_MAP[group]).filter(Boolean);
+    result.role = ROLE_PRIORITY.find(role => roles.includes(role)) || DEFAULT_ROLE;
+  }
+
+  if (typeof claims[DEPARTMENT_CLAIM] === 'string') {
+    result.department = claims[DEPARTMENT_CLAIM];
+  }
+
+  return result;
+};
+
+// Find the user for a set of claims: by subject (set at an earlier login or
+// linked by an administrator), else by an e-mail address the identity provider
+// has verified, else a new user.
+// Returns { user, created, linked } or { error }.
+const findOrCreateUser = async (claims) => {
+  // preferred_username is not verified and can often be changed by the user,
+  // so only the e-mail claim is used, and only when verified
+  const email = normalizeEmail(claims.email);
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  const mapped = mapClaims(claims);
+
+  let user = await User.findOne({ oidcSubject: claims.sub });
+  let created = false;
+  let linked = false;
+
+  if (user && user.authProvider !== 'oidc') {
+    // First login after an administrator linked the account
+    user.authProvider = 'oidc';
+    linked = true;
+  }
+
+  if (!user && email) {
+    user = await User.findOne({ email });
+    if (user) {
+      if (!emailVerified) {
+        return { error: 'email_unverified' };
+      }
+      // The account is already linked to another identity
+      if (user.oidcSubject) {
+        return { error: 'already_linked' };
+      }
+      user.authProvider = 'oidc';
+      user.oidcSubject = claims.sub;
+      linked = true;
+    }
+  }
+
+  if (!user) {
+    if (!AUTO_CREATE) {
+      return { error: 'unknown_user' };
+    }
+    if (!email) {
+      return { error: 'missing_email' };
+    }
+    if (!emailVerified) {
+      return { error: 'email_unverified' };
+    }
+
+    user = new User({
+      email,
+      name: claims.name || email,
+      role: DEFAULT_ROLE,
+      authProvider: 'oidc',
+      oidcSubject: claims.sub
+    });
+    created = true;
+  }
+
+  if (created || linked) {
+    user.localLoginDisabled = user.localLoginDisabled || DISABLE_LOCAL_LOGIN;
+  }
+
+  Object.assign(user, mapped);
+  if (claims.name) {
+    user.name = claims.name;
+  }
+
+  return { user, created, linked };
+};
+
+// Finish a login from the identity provider's callback.
+// Returns { user, created, linked, returnTo } or { error }.
+const completeLogin = async (req) => {
+  const client = await getClient();
+  const params = client.callbackParams(req);
+
+  const pending = await OidcState.findOneAndDelete({ state: params.state });
+  if (!pending) {
+    return { error: 'invalid_state' };
+  }
+
+  if (params.error) {
+    return { error: params.error, returnTo: pending.returnTo };
+  }
+
+  const tokenSet = await client.callback(REDIRECT_URI, params, {
+    state: pending.state,
+    nonce: pending.nonce,
+    code_verifier: pending.codeVerifier
+  });
+
+  let claims = tokenSet.claims();
+  if (!claims.email && !claims.preferred_username && client.issuer.userinfo_endpoint) {
+    claims = { ...(await client.userinfo(tokenSet)), ...claims };
+  }
+
+  const result = await findOrCreateUser(claims);
+  return { ...result, returnTo: pending.returnTo };
+};
+
+module.exports = {
+  isEnabled,
+  beginLogin,
+  completeLogin,
+  mapClaims
+};
@@ -0,0 +1,264 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const ProcessingActivity = require('../models/ProcessingActivity');
+const ProcessingActivityVersion = require('../models/ProcessingActivityVersion');
+const settings = require('./settings');
+const { cleanList } = require('../utils/text');
+
+const LEGAL_BASIS_LABELS = {
+  consent: 'Samtykke (art. 6 nr. 1 a)',
+  contract: 'Avtale (art. 6 nr. 1 b)',
+  legal_obligation: 'Rettslig forpliktelse (art. 6 nr. 1 c)',
+  vital_interests: 'Vitale interesser (art. 6 nr. 1 d)',
+  public_task: 'Allmennhetens interesse eller offentlig myndighet (art. 6 nr. 1 e)',
+  legitimate_interests: 'Berettiget interesse (art. 6 nr. 1 f)'
+};
+
+const SAFEGUARD_LABELS = {
+  adequacy_decision: 'Beslutning om tilstrekkelig beskyttelsesnivå',
+  standard_contractual_clauses: 'Standard personvernbestemmelser (SCC)',
+  binding_corporate_rules: 'Bindende virksomhetsregler (BCR)',
+  derogation: 'Unntak for særlige situasjoner (art. 49)',
+  other: 'Annet'
+};
+
+// Fields that are versioned and may be set through the API
+const TEXT_FIELDS = ['name', 'description', 'legalBasisDetails', 'retention', 'department'];
+const LIST_FIELDS = ['purposes', 'dataCategories', 'dataSubjects', 'recipients', 'securityMeasures'];
+const FIELDS = [
+  ...TEXT_FIELDS, ...LIST_FIELDS,
+  'legalBasis', 'specialCategories', 'thirdCountryTransfers', 'owner', 'documents', 'status'
+];
+
+// Controller details shown at the top of the protocol (Article 30(1)(a))
+const CONTROLLER_KEY = 'gdpr.controller';
+const CONTROLLER_FIELDS = ['name', 'organizationNumber', 'address', 'contact', 'dpoName', 'dpoContact'];
+
+const getController = async () => settings.get(CONTROLLER_KEY, {});
+
+const setController = async (values, userId) => {
+  const controller = {};
+  CONTROLLER_FIELDS.forEach(field => {
+    controller[field] = typeof values[field] === 'string' ? values[field].trim() : '';
+  });
+  await settings.set(CONTROLLER_KEY, controller, userId);
+  return controller;
+};
+
+// Check and normalize the fields of a create or update request. Returns
+// { values } with the fields that were given, or { error }.
+const validate = (input, { partial = false } = {}) => {
+  const values = {};
+
+  for (const field of TEXT_FIELDS) {
+    if (input[field] !== undefined) {
+      if (typeof input[field] !== 'string') {
+        return { error: `Ugyldig verdi for ${field}` };
+      }
+      values[field] = input[field].trim();
+    }
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (input[field] !== undefined) {
+      if (!Array.isArray(input[field])) {
+        return { error: `${field} må være en liste` };
+      }
+      values[field] = cleanList(input[field]);
+    }
+  }
+
+  if (input.legalBasis !== undefined) {
+    if (!LEGAL_BASIS_LABELS[input.legalBasis]) {
+      return { error: 'Ugyldig behandlingsgrunnlag' };
+    }
+    values.legalBasis = input.legalBasis;
+  }
+
+  if (input.specialCategories !== undefined) {
+    if (typeof input.specialCategories !== 'boolean') {
+      return { error: 'Ugyldig verdi for særlige kategorier' };
+    }
+    values.specialCategories = input.specialCategories;
+  }
+
+  if (input.thirdCountryTransfers !== undefined) {
+    if (!Array.isArray(input.thirdCountryTransfers)) {
+      return { error: 'Overføringer må være en liste' };
+    }
+    for (const transfer of input.thirdCountryTransfers) {
+      if (!transfer || typeof transfer.country !== 'string' || !transfer.country.trim()) {
+        return { error: 'Land er påkrevd for overføringer til tredjeland' };
+      }
+      if (!SAFEGUARD_LABELS[transfer.safeguard]) {
+        return { error: 'Ugyldig overføringsgrunnlag' };
+      }
+    }
+    values.thirdCountryTransfers = input.thirdCountryTransfers.map(transfer => ({
+      country: transfer.country.trim(),
+      recipient: typeof transfer.recipient === 'string' ? transfer.recipient.trim() : '',
+      safeguard: transfer.safeguard,
+      details: typeof transfer.details === 'string' ? transfer.details.trim() : ''
+    }));
+  }
+
+  if (input.owner !== undefined) {
+    if (input.owner && !mongoose.Types.ObjectId.isValid(input.owner)) {
+      return { error: 'Ugyldig ansvarlig' };
+    }
+    values.owner = input.owner || null;
+  }
+
+  if (input.documents !== undefined) {
+    if (!Array.isArray(input.documents) || input.documents.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Ugyldige dokumenter' };
+    }
+    values.documents = [...new Set(input.documents.map(String))];
+  }
+
+  if (input.status !== undefined) {
+    if (!ProcessingActivity.schema.path('status').enumValues.includes(input.status)) {
+      return { error: 'Ugyldig status' };
+    }
+    values.status = input.status;
+  }
+
+  if (!partial || values.name !== undefined) {
+    if (!values.name) {
+      return { error: 'Navn er påkrevd' };
+    }
+  }
+  if (!partial && !values.legalBasis) {
+    return { error: 'Behandlingsgrunnlag er påkrevd' };
+  }
+  if (!partial || values.purposes !== undefined) {
+    if (!values.purposes || values.purposes.length === 0) {
+      return { error: 'Minst ett formål er påkrevd' };
+    }
+  }
+
+  return { values };
+};
+
+// Plain copy of the versioned fields
+const snapshot = (activity) => {
+  const plain = activity.toObject({ depopulate: true });
+  const copy = {};
+  FIELDS.forEach(field => {
+    copy[field] = plain[field] === undefined ? null : plain[field];
+  });
+  return JSON.parse(JSON.stringify(copy));
+};
+
+// Fields that differ between two snapshots
+const changedFields = (before, after) => FIELDS.filter(field =>
+  JSON.stringify(before[field]) !== JSON.stringify(after[field])
+);
+
+// Store the current state of an activity as a version
+const recordVersion = (activity, userId, { changedFields: fields = [], changes = '' } = {}) =>
+  ProcessingActivityVersion.create({
+    activity: activity._id,
+    version: activity.version,
+    snapshot: snapshot(activity),
+    changedFields: fields,
+    changes,
+    createdBy: userId
+  });
+
+const transferText = (transfer) => [
+  transfer.country,
+  transfer.recipient,
+  SAFEGUARD_LABELS[transfer.safeguard],
+  transfer.details
+].filter(Boolean).join(' – ');
+
+// Columns of the protocol export (activities with populated owner and documents).
+// Only published documents are listed.
+const EXPORT_COLUMNS = [
+  { header: 'Behandling', value: activity => activity.name },
+  { header: 'Beskrivelse', value: activity => activity.description },
+  { header: 'Formål', value: activity => activity.purposes },
+  { header: 'Behandlingsgrunnlag', value: activity => LEGAL_BASIS_LABELS[activity.legalBasis] },
+  { header: 'Utdyping av grunnlag', value: activity => activity.legalBasisDetails },
+  { header: 'Kategorier av personopplysninger', value: activity => activity.dataCategories },
+  { header: 'Særlige kategorier', value: activity => (activity.specialCategories ? 'Ja' : 'Nei') },
+  { header: 'Kategorier av registrerte', value: activity => activity.dataSubjects },
+  { header: 'Mottakere', value: activity => activity.recipients },
+  { header: 'Overføring til tredjeland', value: activity => activity.thirdCountryTransfers.map(transferText) },
+  { header: 'Lagringstid og sletting', value: activity => activity.retention },
+  { header: 'Sikkerhetstiltak', value: activity => activity.securityMeasures },
+  { header: 'Ansvarlig', value: activity => (activity.owner ? activity.owner.name : '') },
+  { header: 'Avdeling', value: activity => activity.department },
+  { header: 'Dokumenter', value: activity => activity.documents.filter(document => document && document.status === 'active').map(document => document.title) },
+  { header: 'Status', value: activity => (activity.status === 'active' ? 'Aktiv' : 'Arkivert') },
+  { header: 'Versjon', value: activity => activity.version },
+  { header: 'Sist oppdatert', value: activity => activity.updatedAt }
+];
+
+// Write the full protocol as a PDF to a stream
+const writePdf = (stream, activities, controller = {}) => {
+  const pdf = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true });
+  pdf.pipe(stream);
+
+  pdf.fontSize(18).text('Protokoll over behandlingsaktiviteter', { align: 'left' });
+  pdf.fontSize(9).fillColor('#555555')
+    .text(`Etter personvernforordningen artikkel 30. Generert ${new Date().toISOString().slice(0, 10)}.`);
+  pdf.moveDown();
+
+  const controllerLines = [
+    ['Behandlingsansvarlig', controller.name],
+    ['Organisasjonsnummer', controller.organizationNumber],
+    ['Adresse', controller.address],
+    ['Kontakt', controller.contact],
+    ['Personvernombud', [controller.dpoName, controller.dpoContact].filter(Boolean).join(', ')]
+  ].filter(([, value]) => value);
+
+  pdf.fillColor('#000000').fontSize(10);
+  controllerLines.forEach(([label, value]) => {
+    pdf.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value);
+  });
+
+  activities.forEach((activity, index) => {
+    pdf.addPage();
+    pdf.font('Helvetica-Bold').fontSize(14).text(`${index + 1}. ${activity.name}`);
+    pdf.font('Helvetica').fontSize(9).fillColor('#555555')
+      .text(`Versjon ${activity.version}, sist oppdatert ${activity.updatedAt.toISOString().slice(0, 10)}`);
+    pdf.fillColor('#000000').moveDown(0.5);
+
+    // Name, status, version and date are in the heading
+    EXPORT_COLUMNS.slice(1, -3).forEach(column => {
+      const value = column.value(activity);
+      const text = Array.isArray(value) ? value.map(item => `• ${item}`).join('\n') : value;
+      pdf.font('Helvetica-Bold').fontSize(10).text(column.header);
+      pdf.font('Helvetica').fontSize(10).text(text || '–').moveDown(0.5);
+    });
+  });
+
+  // Page numbers
+  const range = pdf.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i += 1) {
+    pdf.switchToPage(i);
+    // Writing inside the bottom margin would otherwise start a new page
+    pdf.page.margins.bottom = 0;
+    pdf.fontSize(8).fillColor('#555555')
+      .text(`Side ${i + 1} av ${range.count}`, 50, pdf.page.height - 40, { align: 'center', lineBreak: false });
+  }
+
+  pdf.end();
+};
+
+module.exports = {
+  LEGAL_BASIS_LABELS,
+  SAFEGUARD_LABELS,
+  FIELDS,
+  CONTROLLER_FIELDS,
+  getController,
+  setController,
+  validate,
+  snapshot,
+  changedFields,
+  recordVersion,
+  EXPORT_COLUMNS,
+  writePdf
+};
@@ -0,0 +1,128 @@
+const Document = require('../models/Document');
+const User = require('../models/User');
+const { notify } = require('./notifications');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Scheduler configuration
+const parseList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const LEAD_DAYS = parseList(process.env.REVIEW_REMINDER_DAYS || '30,7')
+  .map(Number)
+  .sort((a, b) => a - b);
+const REMINDER_ROLES = parseList(process.env.REVIEW_REMINDER_ROLES || 'it_ansvarlig');
+const ESCALATION_DAYS = Number(process.env.REVIEW_ESCALATION_DAYS || 14);
+const INTERVAL_MINUTES = Number(process.env.REVIEW_SCHEDULER_INTERVAL_MINUTES || 60);
+
+let timer = null;
+let running = false;
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const getUserIdsByRole = async (roles) => {
+  if (roles.length === 0) {
+    return [];
+  }
+  const users = await User.find({ role: { $in: roles }, isActive: true }).select('_id');
+  return users.map(user => user._id);
+};
+
+// Send the reminders due for one document
+const remindForDocument = async (document, now, roleRecipients, adminRecipients) => {
+  const reviewDate = document.reviewDate;
+  const daysLeft = Math.ceil((reviewDate - now) / DAY);
+  const recipients = [document.owner || document.uploadedBy, ...roleRecipients];
+  // Keys include the review date so moving it restarts the reminders
+  const keyPrefix = `review:${document._id}:${reviewDate.getTime()}`;
+
+  if (daysLeft > 0) {
+    // Only the most urgent lead time applies, so a late first run sends one reminder
+    const leadDays = LEAD_DAYS.find(days => daysLeft <= days);
+    if (leadDays === undefined) {
+      return;
+    }
+
+    await notify(recipients, {
+      title: 'Dokument skal gjennomgås',
+      message: `«${document.title}» skal gjennomgås innen ${formatDate(reviewDate)} (om ${daysLeft} dager).`,
+      type: 'document_review',
+      relatedDocument: document._id,
+      key: `${keyPrefix}:${leadDays}d`
+    });
+    return;
+  }
+
+  await notify(recipients, {
+    title: 'Gjennomgang av dokument er forfalt',
+    message: `Gjennomgangsdatoen for «${document.title}» var ${formatDate(reviewDate)}.`,
+    type: 'document_review',
+    relatedDocument: document._id,
+    key: `${keyPrefix}:overdue`
+  });
+
+  const daysOverdue = -daysLeft;
+  if (daysOverdue >= ESCALATION_DAYS) {
+    await notify(adminRecipients, {
+      title: 'Forfalt gjennomgang krever oppfølging',
+      message: `«${document.title}» har ikke blitt gjennomgått på ${daysOverdue} dager etter fristen ${formatDate(reviewDate)}.`,
+      type: 'document_review',
+      relatedDocument: document._id,
+      key: `${keyPrefix}:escalated`
+    });
+  }
+};
+
+// Find published documents approaching or past their review date and notify
+const runOnce = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  try {
+    const now = new Date();
+    const maxLeadDays = LEAD_DAYS.length > 0 ? LEAD_DAYS[LEAD_DAYS.length - 1] : 0;
+
+    const documents = await Document.find({
+      status: 'active',
+      reviewDate: { $lte: new Date(now.getTime() + maxLeadDays * DAY) }
+    }).select('title reviewDate owner uploadedBy');
+
+    if (documents.length === 0) {
+      return;
+    }
+
+    const roleRecipients = await getUserIdsByRole(REMINDER_ROLES);
+    const adminRecipients = await getUserIdsByRole(['admin']);
+
+    for (const document of documents) {
+      await remindForDocument(document, now, roleRecipients, adminRecipients);
+    }
+  } catch (err) {
+    console.error('Review scheduler error:', err);
+  } finally {
+    running = false;
+  }
+};
+
+const start = () => {
+  if (timer || process.env.REVIEW_SCHEDULER_ENABLED === 'false') {
+    return;
+  }
+
+  timer = setInterval(runOnce, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  runOnce();
+  console.log(`Review scheduler started (every ${INTERVAL_MINUTES} minutes)`);
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce
+};
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const Risk = require('../models/Risk');
+const Control = require('../models/Control');
+const Document = require('../models/Document');
+
+const SCALE = [1, 2, 3, 4, 5];
+
+const TREATMENT_LABELS = {
+  reduce: 'Redusere',
+  accept: 'Akseptere',
+  transfer: 'Overføre',
+  avoid: 'Unngå'
+};
+
+const isScore = (value) => SCALE.includes(value);
+
+// Check the fields of a create or update request. Returns an error message or null.
+const validate = (input, partial = false) => {
+  if (!partial) {
+    const missing = ['title', 'asset', 'threat', 'likelihood', 'consequence']
+      .find(field => input[field] === undefined || input[field] === '');
+    if (missing) {
+      return 'Vennligst fyll ut alle påkrevde felt';
+    }
+  }
+
+  for (const field of ['title', 'asset', 'threat']) {
+    if (input[field] !== undefined && (typeof input[field] !== 'string' || !input[field].trim())) {
+      return `Ugyldig verdi for ${field}`;
+    }
+  }
+
+  for (const field of ['likelihood', 'consequence']) {
+    if (input[field] !== undefined && !isScore(input[field])) {
+      return 'Sannsynlighet og konsekvens må være et heltall fra 1 til 5';
+    }
+  }
+
+  for (const field of ['residualLikelihood', 'residualConsequence']) {
+    if (input[field] !== undefined && input[field] !== null && !isScore(input[field])) {
+      return 'Sannsynlighet og konsekvens må være et heltall fra 1 til 5';
+    }
+  }
+
+  if (input.treatment !== undefined) {
+    const { decision, dueDate } = input.treatment || {};
+    if (decision !== undefined && decision !== null && !TREATMENT_LABELS[decision]) {
+      return 'Ugyldig behandling av risiko';
+    }
+    if (dueDate && Number.isNaN(new Date(dueDate).getTime())) {
+      return 'Ugyldig frist';
+    }
+  }
+
+  if (input.reviewDate && Number.isNaN(new Date(input.reviewDate).getTime())) {
+    return 'Ugyldig dato for gjennomgang';
+  }
+
+  if (input.status !== undefined && !Risk.schema.path('status').enumValues.includes(input.status)) {
+    return 'Ugyldig status';
+  }
+
+  if (input.owner && !mongoose.Types.ObjectId.isValid(input.owner)) {
+    return 'Ugyldig ansvarlig';
+  }
+
+  if (input.controls !== undefined && !Array.isArray(input.controls)) {
+    return 'Kontroller må være en liste';
+  }
+
+  if (input.documents !== undefined &&
+    (!Array.isArray(input.documents) || input.documents.some(id => !mongoose.Types.ObjectId.isValid(id)))) {
+    return 'Ugyldige dokumenter';
+  }
+
+  return null;
+};
+
+// Resolve Annex A control IDs (e.g. "5.15") to control records. Returns the
+// record IDs, or { error } naming an unknown control.
+const resolveControls = async (controlIds) => {
+  const unique = [...new Set(controlIds.map(String))];
+  const controls = await Control.find({ controlId: { $in: unique } }).select('controlId');
+  const unknown = unique.find(controlId => !controls.some(control => control.controlId === controlId));
+  if (unknown) {
+    return { error: `Ukjent kontroll: ${unknown}` };
+  }
+  return { ids: controls.map(control => control._id) };
+};
+
+// Check that all linked documents exist
+const documentsExist = async (documentIds) => {
+  const unique = [...new Set(documentIds.map(String))];
+  const found = await Document.countDocuments({ _id: { $in: unique }, status: { $ne: 'deleted' } });
+  return found === unique.length;
+};
+
+// Current score: the residual score once assessed, else the inherent score
+const CURRENT_SCORE = { $ifNull: ['$residualScore', '$inherentScore'] };
+
+// Open risks with the highest current score
+const topRisks = async (limit = 10) => {
+  const risks = await Risk.aggregate([
+    { $match: { status: 'open' } },
+    { $addFields: { currentScore: CURRENT_SCORE } },
+    { $sort: { currentScore: -1, inherentScore: -1, createdAt: 1 } },
+    { $limit: limit },
+    { $project: { _id: 1 } }
+  ]);
+
+  const populated = await Risk.find({ _id: { $in: risks.map(risk => risk._id) } })
+    .populate('owner', 'name')
+    .populate('controls', 'controlId title');
+  const byId = new Map(populated.map(risk => [risk.id, risk]));
+
+  return risks.map(risk => byId.get(String(risk._id))).filter(Boolean);
+};
+
+// Number of open risks in each cell of the likelihood × consequence matrix.
+// basis is 'inherent', 'residual' (assessed risks only) or 'current'.
+const matrix = async (basis = 'current') => {
+  const fields = {
+    inherent: { likelihood: '$likelihood', consequence: '$consequence' },
+    residual: { likelihood: '$residualLikelihood', consequence: '$residualConsequence' },
+    current: {
+      likelihood: { $ifNull: ['$residualLikelihood', '$likelihood'] },
+      consequence: { $ifNull: ['$residualConsequence', '$consequence'] }
+    }
+  }[basis];
+
+  const match = { status: 'open' };
+  if (basis === 'residual') {
+    match.residualScore = { $ne: null };
+  }
+
+  const groups = await Risk.aggregate([
+    { $match: match },
+    { $group: { _id: fields, count: { $sum: 1 } } }
+  ]);
+
+  const counts = new Map(groups.map(group => [`${group._id.likelihood}:${group._id.consequence}`, group.count]));
+  const byLevel = { low: 0, medium: 0, high: 0, critical: 0 };
+
+  // Rows from the highest likelihood down, as the matrix is usually drawn
+  const cells = [...SCALE].reverse().map(likelihood => SCALE.map(consequence => {
+    const count = counts.get(`${likelihood}:${consequence}`) || 0;
+    const level = Risk.levelFor(likelihood * consequence);
+    byLevel[level] += count;
+    return { likelihood, consequence, score: likelihood * consequence, level, count };
+  }));
+
+  return {
+    basis,
+    cells,
+    byLevel,
+    total: Object.values(byLevel).reduce((sum, count) => sum + count, 0)
+  };
+};
+
+module.exports = {
+  SCALE,
+  TREATMENT_LABELS,
+  validate,
+  resolveControls,
+  documentsExist,
+  topRisks,
+  matrix
+};
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<session id>.<random secret>"; only the secret's hash is stored
+const newRefreshSecret = () => crypto.randomBytes(32).toString('hex');
+
+const signAccessToken = (user, sessionId) => {
+  const payload = {
+    user: {
+      id: user.id,
+      role: user.role
+    },
+    sid: sessionId
+  };
+
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Start a session for a user and return a token pair
+const issueTokens = async (user, req, method = 'password') => {
+  const secret = newRefreshSecret();
+
+  const session = await Session.create({
+    user: user.id,
+    tokenHash: hashToken(secret),
+    expiresAt: refreshExpiry(),
+    method,
+    ip: req.ip || '',
+    userAgent: req.get('user-agent') || ''
+  });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`
+  };
+};
+
+const isActive = (session) => !!session && !session.revokedAt && session.expiresAt > new Date();
+
+const revokeSession = (sessionId, reason) => {
+  return Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one (the caller's)
+const revokeAllForUser = (userId, reason, exceptSessionId) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Exchange a refresh token for a new token pair. The old refresh token stops
+// working; presenting it again means it was copied, so the session is revoked.
+// Returns { session, user, token, refreshToken } or { error, session }.
+const rotate = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !/^[0-9a-f]{24}$/.test(sessionId)) {
+    return { error: 'invalid' };
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!isActive(session)) {
+    return { error: 'invalid', session };
+  }
+
+  if (hashToken(secret) !== session.tokenHash) {
+    await revokeSession(session.id, 'reuse_detected');
+    return { error: 'reuse_detected', session };
+  }
+
+  const user = await User.findById(session.user).select('-password');
+  if (!user || !user.isActive) {
+    await revokeSession(session.id, 'user_inactive');
+    return { error: 'invalid', session };
+  }
+
+  // Replace the secret only if nobody else rotated it in the meantime
+  const nextSecret = newRefreshSecret();
+  const result = await Session.updateOne(
+    { _id: session.id, tokenHash: session.tokenHash, revokedAt: null },
+    { tokenHash: hashToken(nextSecret), expiresAt: refreshExpiry(), lastUsedAt: new Date() }
+  );
+  if (result.modifiedCount !== 1) {
+    await revokeSession(session.id, 'reuse_detected');
+    return { error: 'reuse_detected', session };
+  }
+
+  return {
+    session,
+    user,
+    token: signAccessToken(user, session.id),
+    refreshToken: `${session.id}.${nextSecret}`
+  };
+};
+
+// Get the session behind an access token if it is still valid, otherwise null
+const getActiveSession = async (sessionId) => {
+  if (!sessionId) {
+    return null;
+  }
+  const session = await Session.findById(sessionId).select('method revokedAt expiresAt');
+  return isActive(session) ? session : null;
+};
+
+const listActiveSessions = (userId) => {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('-tokenHash')
+    .sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  issueTokens,
+  rotate,
+  revokeSession,
+  revokeAllForUser,
+  getActiveSession,
+  listActiveSessions
+};
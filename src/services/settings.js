@@ -0,0 +1,36 @@
+const Setting = require('../models/Setting');
+
+// Settings are read on every authenticated request, so they are cached briefly.
+// Changes made by this process take effect at once; other instances pick them up
+// when their cache expires.
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+// Get a setting, or the default value when it has not been set
+const get = async (key, defaultValue) => {
+  const cached = cache.get(key);
+  if (cached && cached.expires > Date.now()) {
+    return cached.value === undefined ? defaultValue : cached.value;
+  }
+
+  const setting = await Setting.findOne({ key }).lean();
+  const value = setting ? setting.value : undefined;
+  cache.set(key, { value, expires: Date.now() + CACHE_TTL_MS });
+
+  return value === undefined ? defaultValue : value;
+};
+
+const set = async (key, value, userId) => {
+  const setting = await Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId, updatedAt: Date.now() },
+    { new: true, upsert: true }
+  );
+  cache.delete(key);
+  return setting;
+};
+
+module.exports = {
+  get,
+  set
+};
@@ -0,0 +1,143 @@
+const Control = require('../models/Control');
+const catalog = require('../data/iso27001-annex-a-2022.json');
+
+const THEME_LABELS = {
+  organizational: 'Organisatoriske tiltak',
+  people: 'Menneskelige tiltak',
+  physical: 'Fysiske tiltak',
+  technological: 'Teknologiske tiltak'
+};
+
+const STATUS_LABELS = {
+  not_implemented: 'Ikke implementert',
+  planned: 'Planlagt',
+  partially_implemented: 'Delvis implementert',
+  implemented: 'Implementert'
+};
+
+// Sort controls by number (5.2 before 5.10)
+const compareControlIds = (a, b) => {
+  const [aTheme, aNumber] = a.split('.').map(Number);
+  const [bTheme, bNumber] = b.split('.').map(Number);
+  return aTheme - bTheme || aNumber - bNumber;
+};
+
+// Create controls missing from the database and keep catalog titles up to date.
+// Assessments are never touched.
+const syncCatalog = async () => {
+  await Control.bulkWrite(catalog.map(control => ({
+    updateOne: {
+      filter: { controlId: control.controlId },
+      update: { $set: { title: control.title, theme: control.theme } },
+      upsert: true
+    }
+  })));
+};
+
+// Linked documents that count as documentation: only published ones, not drafts,
+// documents under review or archived documents. Needs populated documents.
+const activeDocuments = (control) => (control.documents || [])
+  .filter(document => document && document.status === 'active');
+
+// What is missing for a control to be fully covered in the SoA
+const gapsFor = (control) => {
+  if (control.applicable === null || control.applicable === undefined) {
+    return ['Ikke vurdert'];
+  }
+
+  const gaps = [];
+  if (!control.justification) {
+    gaps.push('Mangler begrunnelse');
+  }
+  if (control.applicable) {
+    if (control.implementationStatus !== 'implemented') {
+      gaps.push(STATUS_LABELS[control.implementationStatus]);
+    }
+    if (activeDocuments(control).length === 0) {
+      gaps.push('Mangler dokumentasjon');
+    }
+    if (!control.owner) {
+      gaps.push('Mangler ansvarlig');
+    }
+  }
+  return gaps;
+};
+
+// Coverage figures for a set of controls
+const summarize = (controls) => {
+  const summary = {
+    total: controls.length,
+    assessed: 0,
+    applicable: 0,
+    notApplicable: 0,
+    byStatus: Object.fromEntries(Object.keys(STATUS_LABELS).map(status => [status, 0])),
+    withDocuments: 0,
+    withGaps: 0,
+    byTheme: {}
+  };
+
+  controls.forEach(control => {
+    const theme = summary.byTheme[control.theme] || (summary.byTheme[control.theme] = { total: 0, applicable: 0, implemented: 0 });
+    theme.total += 1;
+
+    if (control.applicable !== null && control.applicable !== undefined) {
+      summary.assessed += 1;
+    }
+    if (control.applicable === true) {
+      summary.applicable += 1;
+      theme.applicable += 1;
+      summary.byStatus[control.implementationStatus] += 1;
+      if (control.implementationStatus === 'implemented') {
+        theme.implemented += 1;
+      }
+      if (activeDocuments(control).length > 0) {
+        summary.withDocuments += 1;
+      }
+    }
+    if (control.applicable === false) {
+      summary.notApplicable += 1;
+    }
+    if (gapsFor(control).length > 0) {
+      summary.withGaps += 1;
+    }
+  });
+
+  // Share of applicable controls that are implemented
+  summary.implementedPercent = summary.applicable > 0
+    ? Math.round((summary.byStatus.implemented / summary.applicable) * 100)
+    : 0;
+
+  return summary;
+};
+
+const applicabilityLabel = (control) => {
+  if (control.applicable === true) return 'Ja';
+  if (control.applicable === false) return 'Nei';
+  return 'Ikke vurdert';
+};
+
+// Columns of the SoA export (controls with populated owner and documents)
+const EXPORT_COLUMNS = [
+  { header: 'Kontroll', value: control => control.controlId },
+  { header: 'Tittel', value: control => control.title },
+  { header: 'Tema', value: control => THEME_LABELS[control.theme] },
+  { header: 'Anvendelig', value: applicabilityLabel },
+  { header: 'Begrunnelse', value: control => control.justification },
+  { header: 'Implementeringsstatus', value: control => (control.applicable ? STATUS_LABELS[control.implementationStatus] : '') },
+  { header: 'Ansvarlig', value: control => (control.owner ? control.owner.name : '') },
+  { header: 'Dokumenter', value: control => activeDocuments(control).map(document => `${document.title} (v${document.version})`) },
+  { header: 'Antall dokumenter', value: control => activeDocuments(control).length },
+  { header: 'Mangler', value: control => gapsFor(control) },
+  { header: 'Sist oppdatert', value: control => control.updatedAt }
+];
+
+module.exports = {
+  THEME_LABELS,
+  STATUS_LABELS,
+  EXPORT_COLUMNS,
+  compareControlIds,
+  syncCatalog,
+  activeDocuments,
+  gapsFor,
+  summarize
+};
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const path = require('path');
+const { pipeline, Transform } = require('stream');
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+
+// Driver used for new uploads
+const DEFAULT_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+// Driver configuration
+const driverOptions = {
+  local: () => ({
+    root: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '..', 'uploads')
+  }),
+  s3: () => ({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : !!process.env.S3_ENDPOINT,
+    prefix: process.env.S3_PREFIX || ''
+  })
+};
+
+const factories = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+const instances = {};
+
+// Get a storage driver by name (created on first use)
+const getStorage = (name = DEFAULT_DRIVER) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  if (!instances[name]) {
+    instances[name] = factories[name](driverOptions[name]());
+  }
+  return instances[name];
+};
+
+// Generate a unique key for a new file, keeping the original extension
+const generateKey = (originalName) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `file-${uniqueSuffix}${path.extname(originalName)}`;
+};
+
+// Find the driver and key of a stored file on a document or revision. Records
+// from before storage keys only have an absolute filePath into the local uploads.
+const locate = (item) => {
+  if (item.storageKey) {
+    return { storage: getStorage(item.storageDriver || 'local'), key: item.storageKey };
+  }
+  return { storage: getStorage('local'), key: path.basename(item.filePath) };
+};
+
+// Open a read stream for the file of a document or revision
+const openFile = (item) => {
+  const { storage, key } = locate(item);
+  return storage.getStream(key);
+};
+
+const fileExists = (item) => {
+  const { storage, key } = locate(item);
+  return storage.exists(key);
+};
+
+// Read a whole stored file into memory
+const readFile = async (item) => {
+  const stream = await openFile(item);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Remove a file without failing the caller; used to clean up after rejected uploads
+const discard = (key, driverName = DEFAULT_DRIVER) => {
+  if (!key) {
+    return Promise.resolve();
+  }
+  return getStorage(driverName).remove(key)
+    .catch(err => console.error(`Could not remove stored file ${key}:`, err));
+};
+
+// Multer storage engine that streams uploads straight into the default driver.
+// The uploaded file gets storageKey, storageDriver and the SHA-256 digest of its
+// content (computed while streaming) instead of a path.
+const multerStorage = () => ({
+  _handleFile(req, file, cb) {
+    const storage = getStorage();
+    const key = generateKey(file.originalname);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    const meter = new Transform({
+      transform(chunk, encoding, next) {
+        size += chunk.length;
+        hash.update(chunk);
+        next(null, chunk);
+      }
+    });
+
+    pipeline(file.stream, meter, () => {});
+
+    storage.put(key, meter, { contentType: file.mimetype })
+      .then(() => cb(null, {
+        storageKey: key,
+        storageDriver: storage.name,
+        size,
+        sha256: hash.digest('hex')
+      }))
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    getStorage(file.storageDriver).remove(file.storageKey)
+      .then(() => cb(null), cb);
+  }
+});
+
+module.exports = {
+  DEFAULT_DRIVER,
+  getStorage,
+  generateKey,
+  locate,
+  openFile,
+  fileExists,
+  readFile,
+  discard,
+  multerStorage
+};
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const pipeline = util.promisify(require('stream').pipeline);
+
+// Stores files in a directory on the local filesystem
+const createLocalStorage = ({ root }) => {
+  fs.mkdirSync(root, { recursive: true });
+
+  // Resolve a key to a path, refusing keys that point outside the root
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    // Write to a temporary file first so readers never see a partial file
+    async put(key, stream) {
+      const filePath = resolve(key);
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      try {
+        await pipeline(stream, fs.createWriteStream(tempPath));
+        await fs.promises.rename(tempPath, filePath);
+      } catch (err) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw err;
+      }
+    },
+
+    async getStream(key) {
+      return fs.createReadStream(resolve(key));
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolve(key));
+        return true;
+      } catch (err) {
+        return false;
+      }
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,68 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, ...)
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) => {
+  if (!bucket) {
+    throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    // MinIO and most self-hosted services only support path-style URLs
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  const isNotFound = (err) => err.name === 'NotFound' || err.name === 'NoSuchKey' ||
+    (err.$metadata && err.$metadata.httpStatusCode === 404);
+
+  return {
+    name: 's3',
+
+    // Multipart upload, so streams of unknown length are not buffered in memory
+    async put(key, stream, { contentType } = {}) {
+      const upload = new Upload({
+        client,
+        params: {
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: stream,
+          ContentType: contentType
+        }
+      });
+      await upload.done();
+    },
+
+    async getStream(key) {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+      return result.Body;
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return true;
+      } catch (err) {
+        if (isNotFound(err)) {
+          return false;
+        }
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    }
+  };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,110 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { readFile } = require('./storage');
+
+// Keep extracted text well below MongoDB's 16MB document limit
+const MAX_TEXT_LENGTH = 1000000;
+
+// Limits for one extraction. The parsers run in a worker thread that is
+// stopped when it takes too long or uses too much memory.
+const TIMEOUT_SECONDS = Number(process.env.TEXT_EXTRACTION_TIMEOUT_SECONDS || 60);
+const MEMORY_LIMIT_MB = Number(process.env.TEXT_EXTRACTION_MEMORY_MB || 512);
+
+const SUPPORTED_TYPES = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'text/plain',
+  'text/csv'
+];
+
+const isSupported = (mimeType) => SUPPORTED_TYPES.includes(mimeType);
+
+// Run the parser for a file in a worker thread. Resolves with the text or
+// rejects when parsing fails or a limit is exceeded.
+const runWorker = (buffer, mimeType) => new Promise((resolve, reject) => {
+  const worker = new Worker(path.join(__dirname, 'textExtractionWorker.js'), {
+    workerData: { buffer, mimeType },
+    resourceLimits: { maxOldGenerationSizeMb: MEMORY_LIMIT_MB }
+  });
+
+  let settled = false;
+  const settle = (fn, value) => {
+    if (!settled) {
+      settled = true;
+      clearTimeout(timer);
+      fn(value);
+    }
+  };
+
+  const timer = setTimeout(() => {
+    settle(reject, new Error(`Tekstuttrekk tok mer enn ${TIMEOUT_SECONDS} sekunder`));
+    worker.terminate();
+  }, TIMEOUT_SECONDS * 1000);
+
+  worker.once('message', message => {
+    if (message.error) {
+      settle(reject, new Error(message.error));
+    } else {
+      settle(resolve, message.text);
+    }
+  });
+  worker.once('error', err => settle(reject, err));
+  worker.once('exit', code => settle(reject, new Error(`Tekstuttrekk avsluttet uventet (kode ${code})`)));
+});
+
+// Extract the text of a file. Never throws: failures are reported in the result
+// as { status: 'failed', error }.
+const extractText = async (buffer, mimeType) => {
+  if (!isSupported(mimeType)) {
+    return { status: 'unsupported', text: '' };
+  }
+
+  try {
+    const text = (await runWorker(buffer, mimeType)) || '';
+    return {
+      status: 'success',
+      // Keep line breaks but collapse other whitespace
+      text: text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t\f\v]+/g, ' ')
+        .replace(/\n\s*\n\s*\n+/g, '\n\n')
+        .trim()
+        .slice(0, MAX_TEXT_LENGTH)
+    };
+  } catch (err) {
+    return { status: 'failed', text: '', error: err.message };
+  }
+};
+
+// Extract the text of the stored file of a document or revision and store it on it
+const applyExtraction = async (target) => {
+  let result;
+  try {
+    result = isSupported(target.fileType)
+      ? await extractText(await readFile(target), target.fileType)
+      : { status: 'unsupported', text: '' };
+  } catch (err) {
+    result = { status: 'failed', text: '', error: err.message };
+  }
+
+  if (result.status === 'failed') {
+    console.error(`Text extraction failed for ${target.fileName}:`, result.error);
+  }
+
+  target.contentText = result.text;
+  target.contentExtraction = {
+    status: result.status,
+    error: result.error || '',
+    extractedAt: Date.now()
+  };
+
+  return target;
+};
+
+module.exports = {
+  isSupported,
+  extractText,
+  applyExtraction
+};
@@ -0,0 +1,73 @@
+// Worker thread that runs the file parsers, so a slow or hostile file cannot
+// block the server. Started by extractText in textExtraction.js.
+const { parentPort, workerData } = require('worker_threads');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const mammoth = require('mammoth');
+// The package entry point runs a self-test when loaded directly, so use the library file
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+const decodeXmlEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+  .replace(/&amp;/g, '&');
+
+// Text runs of every slide, in slide order
+const extractPptx = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const slideNumber = name => parseInt(name.match(/slide(\d+)\.xml$/)[1], 10);
+  const slides = Object.keys(zip.files)
+    .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+    .sort((a, b) => slideNumber(a) - slideNumber(b));
+
+  const texts = [];
+  for (const name of slides) {
+    const xml = await zip.file(name).async('string');
+    const runs = xml.match(/<a:t>[^<]*<\/a:t>/g) || [];
+    texts.push(runs.map(run => decodeXmlEntities(run.slice(5, -6))).join(' '));
+  }
+
+  return texts.join('\n');
+};
+
+// Every sheet with one line per row and the cells separated by commas
+const extractXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const lines = [];
+  workbook.eachSheet(sheet => {
+    sheet.eachRow(row => {
+      const cells = [];
+      row.eachCell({ includeEmpty: true }, cell => cells.push(cell.text));
+      lines.push(cells.join(','));
+    });
+  });
+
+  return lines.join('\n');
+};
+
+// Extractors by MIME type
+const extractors = {
+  'application/pdf': async buffer => (await pdfParse(buffer)).text,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': async buffer => (await mammoth.extractRawText({ buffer })).value,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': extractXlsx,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': extractPptx,
+  'text/plain': buffer => buffer.toString('utf8'),
+  'text/csv': buffer => buffer.toString('utf8')
+};
+
+const run = async () => {
+  try {
+    const buffer = Buffer.from(workerData.buffer);
+    const text = (await extractors[workerData.mimeType](buffer)) || '';
+    parentPort.postMessage({ text });
+  } catch (err) {
+    parentPort.postMessage({ error: err.message });
+  }
+};
+
+run();
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const settings = require('./settings');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret_key';
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Opinion Docs';
+// TOTP secrets are stored encrypted with this key
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET)
+  .digest();
+const CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+const STEP_SECONDS = 30;
+
+// Accept codes from the previous and next time step to allow for clock drift
+authenticator.options = { window: 1 };
+
+const REQUIRED_ROLES_KEY = 'twoFactor.requiredRoles';
+
+// User fields that are not loaded by default
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const encrypt = (text) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decrypt = (value) => {
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Roles whose users must use two-factor authentication
+const getRequiredRoles = () => settings.get(REQUIRED_ROLES_KEY, []);
+
+const setRequiredRoles = (roles, userId) => settings.set(REQUIRED_ROLES_KEY, roles, userId);
+
+const isRequiredFor = async (user) => (await getRequiredRoles()).includes(user.role);
+
+// Start enrollment: store a new pending secret on the user (the caller saves it)
+// and return what the authenticator app needs
+const beginSetup = async (user) => {
+  const secret = authenticator.generateSecret(20);
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+
+  user.twoFactor.pendingSecret = encrypt(secret);
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+// Check a code against an encrypted secret. Each time step can only be used
+// once, so a code seen by someone else cannot be replayed.
+// Returns the matched time step, or null.
+const checkCode = (code, encryptedSecret, lastUsedStep) => {
+  if (!encryptedSecret || !/^\d{6}$/.test(String(code || '').trim())) {
+    return null;
+  }
+
+  const delta = authenticator.checkDelta(String(code).trim(), decrypt(encryptedSecret));
+  if (delta === null) {
+    return null;
+  }
+
+  const step = Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+  if (lastUsedStep && step <= lastUsedStep) {
+    return null;
+  }
+
+  return step;
+};
+
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const code = crypto.randomBytes(5).toString('hex');
+    codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+  }
+  return codes;
+};
+
+// Finish enrollment with a code from the authenticator app. On success the
+// user (loaded with the two-factor secrets) is updated and the plain recovery
+// codes are returned; they are only stored hashed. The caller saves the user.
+const confirmSetup = (user, code) => {
+  const step = checkCode(code, user.twoFactor.pendingSecret);
+  if (step === null) {
+    return null;
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  user.twoFactor.enabledAt = Date.now();
+
+  return recoveryCodes;
+};
+
+// Verify a TOTP code or a recovery code for a user with two-factor enabled.
+// A used recovery code is removed. Returns 'totp', 'recovery' or null; the
+// caller saves the user.
+const verify = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = checkCode(code, user.twoFactor.secret, user.twoFactor.lastUsedStep);
+    if (step === null) {
+      return null;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = (user.twoFactor.recoveryCodes || []).indexOf(hash);
+    if (index === -1) {
+      return null;
+    }
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+// Turn two-factor off and forget all secrets. The caller saves the user.
+const reset = (user) => {
+  user.twoFactor = { enabled: false };
+  return user;
+};
+
+// Short-lived token proving that the password step of a login succeeded
+const createChallenge = (user) => jwt.sign(
+  { twoFactor: { id: user.id } },
+  JWT_SECRET,
+  { expiresIn: CHALLENGE_TTL }
+);
+
+// Returns the user id of a valid challenge token, or null
+const readChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.twoFactor ? decoded.twoFactor.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  SECRET_FIELDS,
+  getRequiredRoles,
+  setRequiredRoles,
+  isRequiredFor,
+  beginSetup,
+  confirmSetup,
+  verify,
+  reset,
+  createChallenge,
+  readChallenge
+};
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+const MINUTE = 60 * 1000;
+
+// Worker configuration
+const INTERVAL_SECONDS = Number(process.env.WEBHOOK_INTERVAL_SECONDS || 30);
+// With the backoff below, the last attempt is made about two hours after the first
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const BATCH_SIZE = 50;
+// Webhooks delivered to at the same time; each webhook gets its deliveries in order
+const CONCURRENCY = Number(process.env.WEBHOOK_CONCURRENCY || 5);
+// Keep only the start of response bodies in the delivery log
+const MAX_RESPONSE_LENGTH = 2000;
+
+const EVENTS = Webhook.schema.path('events').caster.enumValues;
+
+let timer = null;
+let running = false;
+let pendingRun = null;
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Signature sent in X-Webhook-Signature. Receivers recompute it over
+// "<X-Webhook-Timestamp>.<raw body>" with the shared secret.
+const sign = (secret, timestamp, body) => (
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+);
+
+// Fields of a document included in event payloads
+const documentPayload = (document) => ({
+  id: String(document._id),
+  title: document.title,
+  category: document.category && document.category._id ? String(document.category._id) : String(document.category),
+  subcategory: document.subcategory,
+  status: document.status,
+  version: document.version,
+  fileName: document.fileName,
+  sha256: document.sha256,
+  updatedAt: document.updatedAt
+});
+
+// Queue an event for every active webhook subscribed to it. Never rejects:
+// webhooks must not fail the request that triggered them.
+const emit = async (event, data, actor) => {
+  try {
+    const webhooks = await Webhook.find({ isActive: true, events: event }).select('_id');
+    if (webhooks.length === 0) {
+      return;
+    }
+
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      actor: actor ? String(actor) : null,
+      data
+    };
+
+    await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      webhook: webhook._id,
+      event,
+      payload
+    })));
+
+    deliverSoon();
+  } catch (err) {
+    console.error(`Webhook emit error (${event}):`, err);
+  }
+};
+
+// Make one attempt at a delivery and record the result. Failures are retried
+// after 1, 2, 4, 8... minutes until MAX_ATTEMPTS.
+const attempt = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  if (!webhook) {
+    delivery.status = 'failed';
+    delivery.error = 'Webhook was deleted';
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'OpinionDocs-Webhook/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = (await response.text()).slice(0, MAX_RESPONSE_LENGTH);
+    delivery.error = response.ok ? undefined : `HTTP ${response.status}`;
+  } catch (err) {
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+    delivery.error = err.message;
+  }
+
+  delivery.durationMs = Date.now() - started;
+
+  if (!delivery.error) {
+    delivery.status = 'success';
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + 2 ** (delivery.attempts - 1) * MINUTE);
+  }
+
+  return delivery.save();
+};
+
+// Send the due deliveries of one webhook in order. After a failed attempt the
+// rest wait for the retry, instead of each timing out against a receiver that
+// is down.
+const deliverInOrder = async (deliveries) => {
+  for (let i = 0; i < deliveries.length; i += 1) {
+    const delivery = await attempt(deliveries[i]);
+    if (delivery.status === 'pending') {
+      const rest = deliveries.slice(i + 1).map(item => item._id);
+      if (rest.length > 0) {
+        await WebhookDelivery.updateMany({ _id: { $in: rest } }, { nextAttemptAt: delivery.nextAttemptAt });
+      }
+      return;
+    }
+  }
+};
+
+// Send every delivery that is due
+const runOnce = async () => {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  try {
+    for (;;) {
+      const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(BATCH_SIZE);
+
+      // Group by webhook, so a slow or failing receiver does not hold up the others
+      const byWebhook = new Map();
+      due.forEach(delivery => {
+        const key = String(delivery.webhook);
+        byWebhook.set(key, [...(byWebhook.get(key) || []), delivery]);
+      });
+
+      const queue = [...byWebhook.values()];
+      const workers = Array.from({ length: Math.min(CONCURRENCY, queue.length) }, async () => {
+        for (let deliveries = queue.shift(); deliveries; deliveries = queue.shift()) {
+          try {
+            await deliverInOrder(deliveries);
+          } catch (err) {
+            console.error(`Webhook delivery error (${deliveries[0].webhook}):`, err);
+          }
+        }
+      });
+      await Promise.all(workers);
+
+      if (due.length < BATCH_SIZE) {
+        break;
+      }
+    }
+  } catch (err) {
+    console.error('Webhook worker error:', err);
+  } finally {
+    running = false;
+  }
+};
+
+// Send new deliveries right away instead of waiting for the next interval
+const deliverSoon = () => {
+  if (!timer || pendingRun) {
+    return;
+  }
+  pendingRun = setTimeout(() => {
+    pendingRun = null;
+    runOnce();
+  }, 500);
+  pendingRun.unref();
+};
+
+// Queue a copy of an earlier delivery with the same payload
+const redeliver = async (delivery) => {
+  const copy = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id
+  });
+  deliverSoon();
+  return copy;
+};
+
+// Queue a test event for one webhook
+const ping = async (webhook, actor) => {
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event: 'ping',
+    payload: {
+      id: crypto.randomUUID(),
+      event: 'ping',
+      createdAt: new Date().toISOString(),
+      actor: actor ? String(actor) : null,
+      data: { webhook: String(webhook._id), name: webhook.name }
+    }
+  });
+  deliverSoon();
+  return delivery;
+};
+
+const start = () => {
+  if (timer || process.env.WEBHOOKS_ENABLED === 'false') {
+    return;
+  }
+
+  timer = setInterval(runOnce, INTERVAL_SECONDS * 1000);
+  timer.unref();
+  runOnce();
+  console.log(`Webhook worker started (every ${INTERVAL_SECONDS} seconds)`);
+};
+
+const stop = () => {
+  clearInterval(timer);
+  clearTimeout(pendingRun);
+  timer = null;
+  pendingRun = null;
+};
+
+module.exports = {
+  EVENTS,
+  generateSecret,
+  sign,
+  documentPayload,
+  emit,
+  redeliver,
+  ping,
+  start,
+  stop,
+  runOnce
+};
@@ -0,0 +1,55 @@
+// CSV export helpers. Semicolons and a byte order mark make the files open
+// correctly in Excel with Norwegian regional settings.
+const DELIMITER = ';';
+const BOM = '﻿';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  return String(value);
+};
+
+const escapeValue = (value) => {
+  const text = formatValue(value);
+  // Keep spreadsheet programs from running cell content as a formula
+  const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+  return /["\n\r;,]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// Build a CSV file from rows and column definitions:
+// [{ header: 'Tittel', value: row => row.title }]
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(column => escapeValue(column.header)).join(DELIMITER)];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeValue(column.value(row))).join(DELIMITER));
+  });
+  return BOM + lines.join('\r\n') + '\r\n';
+};
+
+// Rows as arrays (header first), for spreadsheet exports of the same columns
+const toTable = (rows, columns) => [
+  columns.map(column => column.header),
+  ...rows.map(row => columns.map(column => formatValue(column.value(row))))
+];
+
+// Send a CSV file as a download
+const sendCsv = (res, fileName, rows, columns) => {
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${fileName}"`
+  });
+  res.send(toCsv(rows, columns));
+};
+
+module.exports = {
+  toCsv,
+  toTable,
+  sendCsv
+};
@@ -0,0 +1,6 @@
+// E-mail addresses are stored and looked up in lower case
+const normalizeEmail = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : '');
+
+module.exports = {
+  normalizeEmail
+};
@@ -0,0 +1,110 @@
+const User = require('../models/User');
+
+// Named permissions that can be granted on a category
+const PERMISSIONS = ['read', 'upload', 'edit', 'revise', 'delete', 'manage'];
+
+// Who a grant applies to: a User.role value, a user id or a User.department value
+const PRINCIPAL_TYPES = ['role', 'user', 'department'];
+
+// Grants used when neither the category nor the subcategory has any entries of its own
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  it_ansvarlig: PERMISSIONS,
+  personvernombud: ['read', 'upload', 'edit', 'revise'],
+  ansatt: ['read', 'upload']
+};
+
+// Check whether an access entry applies to the given user
+const entryMatchesUser = (entry, user) => {
+  switch (entry.principalType) {
+    case 'role':
+      return entry.principal === user.role;
+    case 'user':
+      return entry.principal === String(user.id);
+    case 'department':
+      return !!user.department && entry.principal === user.department;
+    default:
+      return false;
+  }
+};
+
+// Collect the entries of a category together with those of one of its subcategories
+const getAccessEntries = (category, subcategoryName) => {
+  const entries = [...(category.permissions || [])];
+
+  if (subcategoryName) {
+    const subcategory = category.subcategories.find(sub => sub.name === subcategoryName);
+    if (subcategory) {
+      entries.push(...(subcategory.permissions || []));
+    }
+  }
+
+  return entries;
+};
+
+// Resolve the permissions a user holds on a category (and optionally a subcategory).
+// Without a category only the role defaults apply.
+const getEffectivePermissions = (user, category, subcategoryName) => {
+  if (!user) {
+    return [];
+  }
+
+  // Admins always hold every permission so nobody can lock them out
+  if (user.role === 'admin') {
+    return [...PERMISSIONS];
+  }
+
+  const entries = category ? getAccessEntries(category, subcategoryName) : [];
+  if (entries.length === 0) {
+    return [...(DEFAULT_ROLE_PERMISSIONS[user.role] || [])];
+  }
+
+  const granted = new Set();
+  entries
+    .filter(entry => entryMatchesUser(entry, user))
+    .forEach(entry => entry.permissions.forEach(permission => granted.add(permission)));
+
+  // manage implies every other permission
+  if (granted.has('manage')) {
+    return [...PERMISSIONS];
+  }
+
+  return [...granted];
+};
+
+const hasPermission = (user, category, subcategoryName, permission) => {
+  return getEffectivePermissions(user, category, subcategoryName).includes(permission);
+};
+
+// Validate access entries from a request body, returning an error message or null
+const validateAccessEntries = (entries) => {
+  if (!Array.isArray(entries)) {
+    return 'Tilganger må være en liste';
+  }
+
+  for (const entry of entries) {
+    if (!entry || !PRINCIPAL_TYPES.includes(entry.principalType)) {
+      return `Ugyldig type: ${entry && entry.principalType}`;
+    }
+    if (!entry.principal || typeof entry.principal !== 'string') {
+      return 'Hver tilgang må ha en mottaker';
+    }
+    if (entry.principalType === 'role' && !User.schema.path('role').enumValues.includes(entry.principal)) {
+      return `Ugyldig rolle: ${entry.principal}`;
+    }
+    if (!Array.isArray(entry.permissions) || entry.permissions.some(p => !PERMISSIONS.includes(p))) {
+      return `Ugyldige tillatelser for ${entry.principal}`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  PERMISSIONS,
+  PRINCIPAL_TYPES,
+  DEFAULT_ROLE_PERMISSIONS,
+  getEffectivePermissions,
+  hasPermission,
+  validateAccessEntries
+};
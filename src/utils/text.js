@@ -0,0 +1,26 @@
+// Escape text for use as a literal in a regular expression
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Trimmed, non-empty and unique strings of a list
+const cleanList = (value) => [...new Set(value.map(item => String(item).trim()).filter(Boolean))];
+
+// A single query string value. A repeated parameter (?search=a&search=b) is
+// parsed as an array and bracket syntax as an object: the first value is used
+// and anything that is not text is ignored.
+const queryValue = (value) => {
+  const first = Array.isArray(value) ? value[0] : value;
+  return typeof first === 'string' ? first : undefined;
+};
+
+// The values of a query string list, given comma-separated (?type=a,b),
+// repeated (?type=a&type=b) or both. Values that are not text are ignored.
+const queryList = (value) => cleanList((Array.isArray(value) ? value : [value])
+  .filter(item => typeof item === 'string')
+  .flatMap(item => item.split(',')));
+
+module.exports = {
+  escapeRegex,
+  cleanList,
+  queryValue,
+  queryList
+};
@@ -0,0 +1,94 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../src/models/User');
+const { canDecide, submitForReview, parseReviewRequest } = require('../src/services/approval');
+
+const APPROVER_ID = '507f1f77bcf86cd799439011';
+
+const inReview = (review) => ({ status: 'in_review', review, approvalHistory: [] });
+
+describe('canDecide', () => {
+  it('only allows decisions on items under review', () => {
+    const item = { status: 'draft', review: { approverRoles: ['it_ansvarlig'] } };
+    assert.equal(canDecide({ id: 'u1', role: 'it_ansvarlig' }, item), false);
+  });
+
+  it('allows named approvers and approver roles', () => {
+    const item = inReview({ approvers: ['u1'], approverRoles: ['personvernombud'], submittedBy: 'u9' });
+    assert.equal(canDecide({ id: 'u1', role: 'ansatt' }, item), true);
+    assert.equal(canDecide({ id: 'u2', role: 'personvernombud' }, item), true);
+    assert.equal(canDecide({ id: 'u3', role: 'ansatt' }, item), false);
+  });
+
+  it('does not let submitters approve their own work unless they are admins', () => {
+    const item = inReview({ approvers: ['u1'], approverRoles: ['admin'], submittedBy: 'u1' });
+    assert.equal(canDecide({ id: 'u1', role: 'ansatt' }, item), false);
+    assert.equal(canDecide({ id: 'u1', role: 'admin' }, item), true);
+  });
+});
+
+describe('submitForReview', () => {
+  it('puts the item under review and records the submission', () => {
+    const item = { status: 'draft', approvalHistory: [] };
+    submitForReview(item, { id: 'u1' }, { approvers: [APPROVER_ID], approverRoles: [] }, 'Klar');
+
+    assert.equal(item.status, 'in_review');
+    assert.deepEqual(item.review.approvers, [APPROVER_ID]);
+    assert.equal(item.review.submittedBy, 'u1');
+    assert.deepEqual(item.approvalHistory, [{ action: 'submitted', user: 'u1', comment: 'Klar' }]);
+  });
+});
+
+describe('parseReviewRequest', () => {
+  const originalFind = User.find;
+
+  // User.find(...).select(...) resolving to the given users
+  const stubUsers = (users) => {
+    User.find = () => ({ select: async () => users });
+  };
+
+  afterEach(() => {
+    User.find = originalFind;
+  });
+
+  const scope = {
+    category: {
+      permissions: [
+        { principalType: 'role', principal: 'it_ansvarlig', permissions: ['manage'] },
+        { principalType: 'role', principal: 'ansatt', permissions: ['read', 'edit'] }
+      ],
+      subcategories: []
+    }
+  };
+
+  it('requires an approver or a role', async () => {
+    assert.ok((await parseReviewRequest({}, scope)).error);
+  });
+
+  it('rejects unknown roles and roles without manage on the category', async () => {
+    assert.match((await parseReviewRequest({ approverRoles: ['sjef'] }, scope)).error, /Ugyldig rolle/);
+    assert.match((await parseReviewRequest({ approverRoles: ['ansatt'] }, scope)).error, /kan ikke godkjenne/);
+  });
+
+  it('accepts roles with manage on the category', async () => {
+    stubUsers([]);
+    const result = await parseReviewRequest({ approverRoles: ['it_ansvarlig'] }, scope);
+    assert.deepEqual(result, { approvers: [], approverRoles: ['it_ansvarlig'] });
+  });
+
+  it('rejects approvers that are unknown, inactive or without manage', async () => {
+    assert.ok((await parseReviewRequest({ approvers: ['not-an-id'] }, scope)).error);
+
+    stubUsers([]);
+    assert.ok((await parseReviewRequest({ approvers: [APPROVER_ID] }, scope)).error);
+
+    stubUsers([{ _id: APPROVER_ID, role: 'ansatt' }]);
+    assert.match((await parseReviewRequest({ approvers: [APPROVER_ID] }, scope)).error, /ikke tilgang/);
+  });
+
+  it('accepts approvers with manage on the category', async () => {
+    stubUsers([{ _id: APPROVER_ID, role: 'it_ansvarlig' }]);
+    const result = await parseReviewRequest({ approvers: [APPROVER_ID] }, scope);
+    assert.deepEqual(result, { approvers: [APPROVER_ID], approverRoles: [] });
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AuditEvent = require('../src/models/AuditEvent');
+const audit = require('../src/services/audit');
+
+// An in-memory audit log behind the AuditEvent statics used by the service
+let events;
+const original = { findOne: AuditEvent.findOne, create: AuditEvent.create, find: AuditEvent.find };
+
+beforeEach(() => {
+  events = [];
+  AuditEvent.findOne = () => ({
+    sort: () => ({ select: async () => events[events.length - 1] || null })
+  });
+  AuditEvent.create = async (event) => {
+    if (events.some(existing => existing.seq === event.seq)) {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    }
+    const stored = JSON.parse(JSON.stringify(event));
+    stored.createdAt = new Date(stored.createdAt);
+    events.push(stored);
+    return stored;
+  };
+  AuditEvent.find = () => ({
+    sort: () => ({
+      lean: () => ({
+        cursor: () => {
+          let index = 0;
+          return { next: async () => events[index++] || null, close: async () => {} };
+        }
+      })
+    })
+  });
+});
+
+afterEach(() => {
+  Object.assign(AuditEvent, original);
+});
+
+const req = { user: { id: 'u1', email: 'ola@example.com' }, ip: '127.0.0.1', get: () => 'test' };
+
+describe('audit chain', () => {
+  it('links each event to the hash of the previous one', async () => {
+    await audit.record(req, 'document.create', { targetType: 'document', targetId: 'd1' });
+    await audit.record(req, 'document.update', { targetType: 'document', targetId: 'd1', details: { b: 2, a: 1 } });
+
+    assert.deepEqual(events.map(event => event.seq), [1, 2]);
+    assert.equal(events[0].prevHash, '0'.repeat(64));
+    assert.equal(events[1].prevHash, events[0].hash);
+    assert.match(events[1].hash, /^[0-9a-f]{64}$/);
+    assert.deepEqual(await audit.verifyChain(), { valid: true, checked: 2 });
+  });
+
+  it('hashes details the same regardless of key order', async () => {
+    await audit.record(req, 'setting.update', { details: { b: 2, a: 1 } });
+    events[0].details = { a: 1, b: 2 };
+
+    assert.equal((await audit.verifyChain()).valid, true);
+  });
+
+  it('detects changed content', async () => {
+    await audit.record(req, 'user.create', { targetType: 'user', targetId: 'u2' });
+    await audit.record(req, 'user.delete', { targetType: 'user', targetId: 'u2' });
+    events[0].actorEmail = 'kari@example.com';
+
+    const result = await audit.verifyChain();
+    assert.equal(result.valid, false);
+    assert.equal(result.checked, 0);
+    assert.equal(result.brokenAt.seq, 1);
+  });
+
+  it('detects removed events', async () => {
+    await audit.record(req, 'a');
+    await audit.record(req, 'b');
+    await audit.record(req, 'c');
+    events.splice(1, 1);
+
+    const result = await audit.verifyChain();
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenAt.seq, 3);
+  });
+});
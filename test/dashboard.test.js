@@ -0,0 +1,150 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AuditEvent = require('../src/models/AuditEvent');
+const Category = require('../src/models/Category');
+const Document = require('../src/models/Document');
+const User = require('../src/models/User');
+const cache = require('../src/services/dashboardCache');
+const dashboard = require('../src/services/dashboard');
+
+const original = {
+  categoryFind: Category.find,
+  documentAggregate: Document.aggregate,
+  documentFind: Document.find,
+  auditAggregate: AuditEvent.aggregate,
+  userFind: User.find
+};
+
+const HR_ONLY = [{ principalType: 'role', principal: 'personvernombud', permissions: ['read'] }];
+
+// One open category with two subcategories, one of them restricted, and one
+// restricted category
+const categories = [
+  {
+    _id: 'c1',
+    name: 'Rutiner',
+    permissions: [],
+    subcategories: [{ name: 'IT', permissions: [] }, { name: 'HR', permissions: HR_ONLY }]
+  },
+  { _id: 'c2', name: 'Personal', permissions: HR_ONLY, subcategories: [] }
+];
+
+let queries;
+
+beforeEach(() => {
+  cache.invalidate();
+  queries = 0;
+
+  Category.find = () => {
+    const result = Promise.resolve(categories);
+    result.sort = () => result;
+    return result;
+  };
+  Document.aggregate = async (pipeline) => {
+    queries += 1;
+    const [first, second] = pipeline;
+    if (second && second.$facet) {
+      return [{
+        overdue: [{ title: 'Gammel rutine' }],
+        overdueCount: [{ count: 1 }],
+        upcoming: [],
+        upcomingCount: []
+      }];
+    }
+    if (second && second.$project) {
+      return [{ total: [{ bytes: 2048, files: 3 }], byCategory: [], byFileType: [] }];
+    }
+    assert.ok(first.$match);
+    return [
+      { _id: { category: 'c1', subcategory: 'IT', status: 'active' }, count: 2 },
+      { _id: { category: 'c1', subcategory: 'IT', status: 'draft' }, count: 1 }
+    ];
+  };
+  Document.find = () => {
+    const query = {
+      select: () => query,
+      populate: () => query,
+      sort: () => query,
+      limit: async () => []
+    };
+    return query;
+  };
+  AuditEvent.aggregate = async () => [{ _id: 'u1', changes: 4, reads: 10, lastActivity: new Date() }];
+  User.find = () => ({ select: async () => [{ id: 'u1', name: 'Kari', department: 'IT' }] });
+});
+
+afterEach(() => {
+  Category.find = original.categoryFind;
+  Document.aggregate = original.documentAggregate;
+  Document.find = original.documentFind;
+  AuditEvent.aggregate = original.auditAggregate;
+  User.find = original.userFind;
+  cache.invalidate();
+});
+
+describe('getStats', () => {
+  it('counts the documents of the categories the user can read', async () => {
+    const stats = await dashboard.getStats({ id: 'u2', role: 'ansatt' });
+
+    assert.deepEqual(stats.documents, { total: 3, byStatus: { active: 2, draft: 1 } });
+    assert.deepEqual(stats.categories.map(category => category.name), ['Rutiner']);
+    assert.deepEqual(stats.categories[0].subcategories.map(sub => sub.name), ['IT']);
+    assert.equal(stats.categories[0].subcategories[0].total, 3);
+    assert.deepEqual(stats.emptySubcategories, []);
+    assert.equal(stats.reviews.overdue.count, 1);
+    assert.equal(stats.reviews.upcoming.count, 0);
+    assert.equal(stats.storage.bytes, 2048);
+    assert.equal(stats.activity, undefined);
+  });
+
+  it('lists readable subcategories without published documents', async () => {
+    const stats = await dashboard.getStats({ id: 'u3', role: 'personvernombud' });
+
+    assert.deepEqual(stats.categories.map(category => category.name), ['Rutiner', 'Personal']);
+    assert.deepEqual(stats.emptySubcategories.map(entry => entry.subcategory), ['HR']);
+  });
+
+  it('adds activity per user and department for the ISMS roles', async () => {
+    const stats = await dashboard.getStats({ id: 'u3', role: 'personvernombud' });
+
+    assert.equal(stats.activity.byUser[0].user.name, 'Kari');
+    assert.deepEqual(stats.activity.byDepartment, [{ department: 'IT', users: 1, changes: 4, reads: 10 }]);
+  });
+
+  it('shares cached statistics between users with the same access until a change', async () => {
+    const first = await dashboard.getStats({ id: 'u2', role: 'ansatt' });
+    const second = await dashboard.getStats({ id: 'u4', role: 'ansatt' });
+    assert.equal(second, first);
+    assert.equal(queries, 3);
+
+    cache.invalidate();
+    await dashboard.getStats({ id: 'u2', role: 'ansatt' });
+    assert.equal(queries, 6);
+  });
+});
+
+describe('dashboardCache', () => {
+  it('drops the oldest entry once full', () => {
+    for (let i = 0; i <= 100; i++) {
+      cache.set(`key${i}`, i);
+    }
+
+    assert.equal(cache.get('key0'), undefined);
+    assert.equal(cache.get('key1'), 1);
+    assert.equal(cache.get('key100'), 100);
+  });
+
+  it('is cleared by every write to a model using the plugin', () => {
+    const hooks = new Map();
+    const schema = {
+      post: (events, ...args) => [].concat(events).forEach(event => hooks.set(event, args[args.length - 1]))
+    };
+    cache.invalidateOnChange(schema);
+
+    for (const event of ['save', 'insertMany', 'updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany']) {
+      cache.set('key', 1);
+      hooks.get(event)();
+      assert.equal(cache.get('key'), undefined, event);
+    }
+  });
+});
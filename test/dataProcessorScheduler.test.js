@@ -0,0 +1,84 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const DataProcessor = require('../src/models/DataProcessor');
+const User = require('../src/models/User');
+const notifications = require('../src/services/notifications');
+
+// The scheduler takes notify when it is loaded, so record calls before requiring it
+let sent;
+notifications.notify = async (recipients, notification) => {
+  sent.push({ recipients, ...notification });
+};
+const dataProcessorScheduler = require('../src/services/dataProcessorScheduler');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const original = { processorFind: DataProcessor.find, userFind: User.find };
+
+// Model.find(...).select(...) resolving to the given items
+const stubFind = (Model, items) => {
+  Model.find = () => ({ select: async () => items });
+};
+
+beforeEach(() => {
+  sent = [];
+  stubFind(User, [{ _id: 'dpo1' }]);
+});
+
+afterEach(() => {
+  DataProcessor.find = original.processorFind;
+  User.find = original.userFind;
+});
+
+const processor = (noticeInDays, expiresInDays) => ({
+  _id: 'p1',
+  name: 'Skyleverandør AS',
+  owner: 'owner1',
+  agreement: {
+    document: 'd1',
+    expiresAt: new Date(Date.now() + expiresInDays * DAY),
+    noticeDeadline: new Date(Date.now() + noticeInDays * DAY)
+  }
+});
+
+describe('dataProcessorScheduler', () => {
+  it('reminds the owner and the data protection officer at the most urgent lead time', async () => {
+    stubFind(DataProcessor, [processor(5, 95)]);
+
+    await dataProcessorScheduler.runOnce();
+
+    assert.equal(sent.length, 1);
+    assert.deepEqual(sent[0].recipients, ['owner1', 'dpo1']);
+    assert.equal(sent[0].title, 'Databehandleravtale utløper snart');
+    assert.match(sent[0].message, /Frist for oppsigelse/);
+    assert.match(sent[0].key, /:7d$/);
+  });
+
+  it('reports expired agreements', async () => {
+    stubFind(DataProcessor, [processor(-40, -10)]);
+
+    await dataProcessorScheduler.runOnce();
+
+    assert.equal(sent[0].title, 'Databehandleravtale er utløpt');
+    assert.match(sent[0].key, /:expired$/);
+  });
+
+  it('keys reminders by expiry date, so a renewed agreement is reminded again', async () => {
+    stubFind(DataProcessor, [processor(50, 50)]);
+    await dataProcessorScheduler.runOnce();
+    stubFind(DataProcessor, [processor(50, 400)]);
+    await dataProcessorScheduler.runOnce();
+
+    assert.equal(sent.length, 2);
+    assert.notEqual(sent[0].key, sent[1].key);
+    assert.doesNotMatch(sent[0].message, /Frist for oppsigelse/);
+  });
+
+  it('does nothing when no agreement is due', async () => {
+    stubFind(DataProcessor, []);
+
+    await dataProcessorScheduler.runOnce();
+
+    assert.equal(sent.length, 0);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const dataProcessors = require('../src/services/dataProcessors');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = new Date('2026-06-01T12:00:00Z');
+const inDays = (days) => new Date(now.getTime() + days * DAY);
+
+const processor = (agreement) => ({
+  agreement: { document: 'd1', signedAt: inDays(-365), ...agreement }
+});
+
+describe('agreementStatus', () => {
+  it('is missing without a signed agreement document', () => {
+    assert.equal(dataProcessors.agreementStatus(processor({ document: null }), now).status, 'missing');
+    assert.equal(dataProcessors.agreementStatus(processor({ signedAt: null }), now).status, 'missing');
+  });
+
+  it('is expired after the expiry date', () => {
+    assert.equal(dataProcessors.agreementStatus(processor({ expiresAt: inDays(-1), noticeDeadline: inDays(-31) }), now).status, 'expired');
+  });
+
+  it('is expiring once the notice deadline is within the warning period', () => {
+    const result = dataProcessors.agreementStatus(processor({ expiresAt: inDays(120), noticeDeadline: inDays(30) }), now);
+
+    assert.equal(result.status, 'expiring');
+    assert.equal(result.daysToNoticeDeadline, 30);
+  });
+
+  it('is valid when the notice deadline is further away or there is no expiry', () => {
+    assert.equal(dataProcessors.agreementStatus(processor({ expiresAt: inDays(200), noticeDeadline: inDays(170) }), now).status, 'valid');
+    assert.deepEqual(dataProcessors.agreementStatus(processor({}), now), { status: 'valid', expiresAt: null });
+  });
+});
+
+describe('agreementStatusFilter', () => {
+  it('matches the states of agreementStatus', () => {
+    assert.deepEqual(dataProcessors.agreementStatusFilter('expired', now)['agreement.expiresAt'], { $lt: now });
+    assert.deepEqual(dataProcessors.agreementStatusFilter('expiring', now)['agreement.noticeDeadline'], {
+      $lte: inDays(dataProcessors.WARNING_DAYS)
+    });
+    assert.equal(dataProcessors.agreementStatusFilter('missing', now).$or.length, 2);
+    assert.equal(dataProcessors.agreementStatusFilter('unknown', now), null);
+  });
+});
+
+describe('validate', () => {
+  it('requires a name', () => {
+    assert.equal(dataProcessors.validate({ name: 'Skyleverandør AS' }), null);
+    assert.match(dataProcessors.validate({}), /Navn/);
+    assert.match(dataProcessors.validate({ name: '' }, true), /tomt/);
+    assert.equal(dataProcessors.validate({}, true), null);
+  });
+
+  it('checks the agreement', () => {
+    assert.match(dataProcessors.validate({ name: 'A', agreement: { document: 'x' } }), /avtaledokument/);
+    assert.match(dataProcessors.validate({ name: 'A', agreement: { signedAt: 'i går' } }), /dato/);
+    assert.match(dataProcessors.validate({ name: 'A', agreement: { signedAt: '2026-01-01', expiresAt: '2025-01-01' } }), /etter/);
+    assert.match(dataProcessors.validate({ name: 'A', agreement: { terminationNoticeDays: -1 } }), /Oppsigelsestid/);
+  });
+
+  it('checks transfers of the processor and its subprocessors', () => {
+    assert.match(dataProcessors.validate({ name: 'A', transferMechanism: 'trust' }), /overføringsgrunnlag/);
+    assert.match(dataProcessors.validate({ name: 'A', subprocessors: [{}] }), /underleverandører/);
+    assert.match(dataProcessors.validate({ name: 'A', subprocessors: [{ name: 'B', transferMechanism: 'trust' }] }), /underleverandør/);
+    assert.equal(dataProcessors.validate({ name: 'A', subprocessors: [{ name: 'B', transferMechanism: 'none' }] }), null);
+  });
+});
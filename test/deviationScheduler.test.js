@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Deviation = require('../src/models/Deviation');
+const User = require('../src/models/User');
+const notifications = require('../src/services/notifications');
+
+// The scheduler takes notify when it is loaded, so record calls before requiring it
+let sent;
+notifications.notify = async (recipients, notification) => {
+  sent.push({ recipients, ...notification });
+};
+const deviationScheduler = require('../src/services/deviationScheduler');
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+const original = { deviationFind: Deviation.find, userFind: User.find };
+
+// Model.find(...).select(...) resolving to the given items
+const stubFind = (Model, items) => {
+  Model.find = () => ({ select: async () => items });
+};
+
+beforeEach(() => {
+  sent = [];
+  stubFind(User, [{ _id: 'admin1' }]);
+});
+
+afterEach(() => {
+  Deviation.find = original.deviationFind;
+  User.find = original.userFind;
+});
+
+const keys = () => sent.map(notification => notification.key);
+
+describe('deviation scheduler', () => {
+  const deviation = ({ deadlineHours, notifiedAt = null, correctiveActions = [] }) => ({
+    _id: 'v1',
+    reference: 'A-0001',
+    title: 'Feilsendt e-post',
+    owner: 'owner1',
+    personalDataInvolved: true,
+    authorityNotification: {
+      required: null,
+      notifiedAt,
+      deadline: new Date(Date.now() + deadlineHours * HOUR - 60 * 1000)
+    },
+    correctiveActions
+  });
+
+  it('reminds of and escalates the authority deadline with keys per deadline', async () => {
+    const soon = deviation({ deadlineHours: 10 });
+    const late = { ...deviation({ deadlineHours: -2 }), _id: 'v2' };
+    stubFind(Deviation, [soon, late]);
+    await deviationScheduler.runOnce();
+
+    assert.deepEqual(keys(), [
+      `deviation:v1:authority:${soon.authorityNotification.deadline.getTime()}:reminder`,
+      `deviation:v2:authority:${late.authorityNotification.deadline.getTime()}:overdue`
+    ]);
+  });
+
+  it('does not remind of deviations already reported', async () => {
+    stubFind(Deviation, [deviation({ deadlineHours: 10, notifiedAt: new Date() })]);
+    await deviationScheduler.runOnce();
+
+    assert.deepEqual(keys(), []);
+  });
+
+  it('reminds of open corrective actions keyed by due date', async () => {
+    const dueDate = new Date(Date.now() + DAY);
+    const pastDate = new Date(Date.now() - DAY);
+    stubFind(Deviation, [deviation({
+      deadlineHours: 100,
+      correctiveActions: [
+        { _id: 'c1', status: 'open', description: 'Oppdater rutine', owner: 'u1', dueDate },
+        { _id: 'c2', status: 'open', description: 'Kurs', owner: 'u2', dueDate: pastDate },
+        { _id: 'c3', status: 'done', description: 'Varsle', owner: 'u3', dueDate: pastDate }
+      ]
+    })]);
+    await deviationScheduler.runOnce();
+
+    assert.deepEqual(keys(), [
+      `deviation:v1:action:c1:${dueDate.getTime()}:due`,
+      `deviation:v1:action:c2:${pastDate.getTime()}:overdue`
+    ]);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Counter = require('../src/models/Counter');
+const deviations = require('../src/services/deviations');
+
+const originalNext = Counter.next;
+
+afterEach(() => {
+  Counter.next = originalNext;
+});
+
+const manager = { id: 'm1', role: 'it_ansvarlig' };
+const employee = { id: 'u1', role: 'ansatt' };
+
+// A deviation in the given state, with populated and unpopulated references mixed
+const deviation = (changes = {}) => ({
+  status: 'in_progress',
+  reportedBy: { _id: 'u2', name: 'Ola' },
+  owner: 'u3',
+  correctiveActions: [],
+  rootCause: '',
+  personalDataInvolved: false,
+  authorityNotification: { required: null },
+  ...changes
+});
+
+describe('nextReference', () => {
+  it('numbers deviations per year', async () => {
+    let sequence;
+    Counter.next = async (name) => {
+      sequence = name;
+      return 7;
+    };
+
+    assert.equal(await deviations.nextReference(new Date('2026-03-01')), 'AVV-2026-0007');
+    assert.equal(sequence, 'deviation:2026');
+  });
+});
+
+describe('access', () => {
+  it('lets managers see and handle everything', () => {
+    assert.deepEqual(deviations.visibleFilter(manager), {});
+    assert.equal(deviations.canView(manager, deviation()), true);
+    assert.equal(deviations.canEdit(manager, deviation()), true);
+  });
+
+  it('lets others see deviations they reported, own or have an action in', () => {
+    assert.equal(deviations.canView(employee, deviation()), false);
+    assert.equal(deviations.canView(employee, deviation({ reportedBy: { _id: 'u1' } })), true);
+    assert.equal(deviations.canView(employee, deviation({ owner: 'u1' })), true);
+    assert.equal(deviations.canView(employee, deviation({ correctiveActions: [{ owner: { _id: 'u1' } }] })), true);
+  });
+
+  it('lets only the owner of the deviation handle it', () => {
+    assert.equal(deviations.canEdit(employee, deviation({ reportedBy: 'u1' })), false);
+    assert.equal(deviations.canEdit(employee, deviation({ owner: { _id: 'u1' } })), true);
+  });
+});
+
+describe('checkTransition', () => {
+  it('follows the lifecycle', () => {
+    assert.equal(deviations.checkTransition(deviation({ status: 'reported' }), 'under_assessment'), null);
+    assert.match(deviations.checkTransition(deviation({ status: 'reported' }), 'resolved'), /Kan ikke endre status fra meldt til løst/);
+    assert.equal(deviations.checkTransition(deviation(), 'ukjent'), 'Ugyldig status');
+  });
+
+  it('needs all corrective actions done before resolving', () => {
+    const open = deviation({ correctiveActions: [{ status: 'done' }, { status: 'open' }] });
+    assert.match(deviations.checkTransition(open, 'resolved'), /korrigerende tiltak/);
+  });
+
+  it('needs a comment to close an unhandled deviation', () => {
+    const reported = deviation({ status: 'reported' });
+    assert.match(deviations.checkTransition(reported, 'closed'), /Begrunnelse/);
+    assert.equal(deviations.checkTransition(reported, 'closed', 'Ikke et avvik'), null);
+  });
+
+  it('needs a root cause and an authority assessment to close a handled deviation', () => {
+    assert.match(deviations.checkTransition(deviation({ status: 'resolved' }), 'closed'), /Årsak/);
+
+    const personalData = deviation({ status: 'resolved', rootCause: 'Feil tilgang', personalDataInvolved: true });
+    assert.match(deviations.checkTransition(personalData, 'closed'), /Datatilsynet/);
+
+    personalData.authorityNotification.required = false;
+    assert.equal(deviations.checkTransition(personalData, 'closed'), null);
+  });
+});
+
+describe('authorityNotificationPending', () => {
+  it('is pending for personal data until notified or assessed as not required', () => {
+    assert.equal(deviations.authorityNotificationPending(deviation()), false);
+    assert.equal(deviations.authorityNotificationPending(deviation({ personalDataInvolved: true })), true);
+    assert.equal(deviations.authorityNotificationPending(deviation({
+      personalDataInvolved: true,
+      authorityNotification: { required: true, notifiedAt: new Date() }
+    })), false);
+    assert.equal(deviations.authorityNotificationPending(deviation({
+      personalDataInvolved: true,
+      authorityNotification: { required: false }
+    })), false);
+  });
+});
@@ -0,0 +1,56 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Category = require('../src/models/Category');
+const { getText, diffText, diffMetadata, snapshotMetadata } = require('../src/services/diff');
+
+describe('diffText', () => {
+  it('compares texts line by line', () => {
+    const result = diffText('en\nto\ntre\n', 'en\nTO\ntre\nfire\n');
+
+    assert.equal(result.mode, 'line');
+    assert.deepEqual(result.summary, { added: 2, removed: 1 });
+    assert.deepEqual(result.changes.map(change => change.type), ['unchanged', 'removed', 'added', 'unchanged', 'added']);
+  });
+
+  it('compares texts word by word', () => {
+    const result = diffText('rutine for tilgang', 'rutine for adgang', 'word');
+
+    assert.deepEqual(result.changes.filter(change => change.type !== 'unchanged').map(change => change.value),
+      ['tilgang', 'adgang']);
+  });
+
+  it('refuses texts over the size limit', () => {
+    assert.deepEqual(diffText('a'.repeat(500001), 'b'), { error: 'too_large' });
+  });
+});
+
+describe('getText', () => {
+  it('only gives text that was extracted', () => {
+    const item = { fileType: 'text/plain', contentText: 'tekst', contentExtraction: { status: 'success' } };
+
+    assert.equal(getText(item), 'tekst');
+    assert.equal(getText({ ...item, contentExtraction: { status: 'pending' } }), null);
+    assert.equal(getText({ ...item, fileType: 'image/png' }), null);
+  });
+});
+
+describe('diffMetadata', () => {
+  const originalFind = Category.find;
+
+  afterEach(() => {
+    Category.find = originalFind;
+  });
+
+  it('lists changed fields with category names', async () => {
+    Category.find = () => ({
+      select: async () => [{ _id: 'c1', name: 'Rutiner' }, { _id: 'c2', name: 'Planer' }]
+    });
+    const from = snapshotMetadata({ title: 'Rutine', tags: ['a'], category: 'c1', subcategory: 'IT' });
+    const to = snapshotMetadata({ title: 'Rutine', tags: ['a', 'b'], category: 'c2', subcategory: 'IT' });
+
+    const changes = await diffMetadata(from, to);
+
+    assert.deepEqual(changes.map(change => change.field), ['tags', 'category']);
+    assert.deepEqual(changes[1], { field: 'category', from: 'c1', to: 'c2', fromName: 'Rutiner', toName: 'Planer' });
+  });
+});
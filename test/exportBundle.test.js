@@ -0,0 +1,165 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { PassThrough, Readable } = require('stream');
+const JSZip = require('jszip');
+const Category = require('../src/models/Category');
+const Revision = require('../src/models/Revision');
+const fileStorage = require('../src/services/storage');
+const exportBundle = require('../src/services/exportBundle');
+
+const CATEGORY_ID = '507f1f77bcf86cd799439001';
+
+const original = {
+  categoryFind: Category.find,
+  revisionFind: Revision.find,
+  fileExists: fileStorage.fileExists,
+  openFile: fileStorage.openFile
+};
+
+// Stored files by storage key; openFile streams them
+let files;
+
+beforeEach(() => {
+  files = {};
+  Category.find = () => ({ select: async () => [{ id: CATEGORY_ID, name: 'Rutiner' }] });
+  Revision.find = () => {
+    const query = {
+      populate: () => query,
+      sort: async () => [revision(1, 'rutine-v1')]
+    };
+    return query;
+  };
+  fileStorage.fileExists = async (item) => item.storageKey in files;
+  fileStorage.openFile = async (item) => Readable.from([Buffer.from(files[item.storageKey])]);
+});
+
+afterEach(() => {
+  Category.find = original.categoryFind;
+  Revision.find = original.revisionFind;
+  fileStorage.fileExists = original.fileExists;
+  fileStorage.openFile = original.openFile;
+});
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const document = (id, title, storageKey, changes = {}) => ({
+  _id: `507f1f77bcf86cd7994390${id}`,
+  title,
+  category: CATEGORY_ID,
+  subcategory: 'IT/drift',
+  status: 'active',
+  version: 2,
+  fileName: 'rutine.txt',
+  fileType: 'text/plain',
+  fileSize: 7,
+  storageKey,
+  sha256: sha256(storageKey),
+  createdAt: new Date('2026-01-01'),
+  ...changes
+});
+
+const revision = (version, storageKey) => ({
+  version,
+  fileName: 'rutine.txt',
+  fileSize: 9,
+  storageKey,
+  sha256: sha256(storageKey),
+  changes: 'Første versjon',
+  createdBy: { name: 'Kari', email: 'kari@example.com' },
+  createdAt: new Date('2025-01-01')
+});
+
+// Stream the bundle to memory and open it
+const bundle = async (documents, options) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const ended = new Promise(resolve => output.on('end', resolve));
+
+  const manifest = await exportBundle.streamBundle(output, documents, options);
+  await ended;
+
+  return { manifest, zip: await JSZip.loadAsync(Buffer.concat(chunks)) };
+};
+
+describe('validateSelection', () => {
+  it('needs something selected', () => {
+    assert.match(exportBundle.validateSelection({}), /minst én/);
+    assert.equal(exportBundle.validateSelection({ categories: [CATEGORY_ID] }), null);
+  });
+
+  it('refuses invalid ids and incomplete subcategories', () => {
+    assert.match(exportBundle.validateSelection({ categories: 'alle' }), /lister/);
+    assert.match(exportBundle.validateSelection({ documents: ['x'] }), /Ugyldig/);
+    assert.match(exportBundle.validateSelection({ subcategories: [{ category: CATEGORY_ID }] }), /navn/);
+  });
+});
+
+describe('streamBundle', () => {
+  it('mirrors the category tree and lists every file in the manifests', async () => {
+    files = { 'rutine-a': 'rutine-a', 'rutine-b': 'endret!' };
+    const { manifest, zip } = await bundle([
+      document('11', 'Tilgang', 'rutine-a'),
+      document('12', 'Tilgang', 'rutine-b'),
+      document('13', 'Borte', 'rutine-c')
+    ], { selection: { categories: [CATEGORY_ID] } });
+
+    assert.deepEqual(Object.keys(zip.files).filter(name => !zip.files[name].dir).sort(), [
+      'Rutiner/IT_drift/Tilgang (439012)/v2 - rutine.txt',
+      'Rutiner/IT_drift/Tilgang/v2 - rutine.txt',
+      'manifest.csv',
+      'manifest.json'
+    ]);
+    assert.equal(await zip.file('Rutiner/IT_drift/Tilgang/v2 - rutine.txt').async('string'), 'rutine-a');
+
+    assert.deepEqual(manifest.documents.map(entry => entry.file.integrity), ['ok', 'mismatch', 'missing']);
+    assert.equal(manifest.documents[2].file.path, null);
+    assert.deepEqual(manifest.totals, { documents: 3, files: 2, bytes: 14, missing: 1, mismatched: 1 });
+    assert.deepEqual(JSON.parse(await zip.file('manifest.json').async('string')).totals, manifest.totals);
+
+    const csv = await zip.file('manifest.csv').async('string');
+    assert.equal(csv.trim().split('\n').length, 4);
+  });
+
+  it('adds the published earlier versions when asked', async () => {
+    files = { 'rutine-a': 'rutine-a', 'rutine-v1': 'rutine-v1' };
+    const { manifest, zip } = await bundle([document('11', 'Tilgang', 'rutine-a')], { includeRevisions: true });
+
+    assert.ok(zip.file('Rutiner/IT_drift/Tilgang/versjoner/v1 - rutine.txt'));
+    assert.equal(manifest.documents[0].revisions[0].integrity, 'ok');
+    assert.equal(manifest.totals.files, 2);
+  });
+
+  it('stops when a file fails while being read', async () => {
+    files = { 'rutine-a': 'rutine-a' };
+    fileStorage.openFile = async () => {
+      const source = new PassThrough();
+      source.write('start');
+      setImmediate(() => source.destroy(new Error('disk borte')));
+      return source;
+    };
+
+    const output = new PassThrough();
+    output.resume();
+    await assert.rejects(exportBundle.streamBundle(output, [document('11', 'Tilgang', 'rutine-a')]), /disk borte/);
+  });
+
+  it('stops when the receiver goes away', async () => {
+    files = { 'rutine-a': 'rutine-a' };
+    let source;
+    fileStorage.openFile = async () => {
+      source = new PassThrough();
+      source.write('start');
+      return source;
+    };
+
+    const output = new PassThrough();
+    output.resume();
+    const result = exportBundle.streamBundle(output, [document('11', 'Tilgang', 'rutine-a')]);
+    setTimeout(() => output.destroy(), 20);
+
+    await assert.rejects(result, /avbrutt/);
+    assert.equal(source.destroyed, true);
+  });
+});
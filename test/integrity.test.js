@@ -0,0 +1,81 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const fileStorage = require('../src/services/storage');
+const { hashStream, verifyFile, createVerifyStream } = require('../src/services/integrity');
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Send chunks through a verify stream and collect what comes out
+const passThrough = async (chunks, expected) => {
+  const received = [];
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      received.push(chunk.toString());
+      callback();
+    }
+  });
+  try {
+    await pipeline(Readable.from(chunks.map(chunk => Buffer.from(chunk))), createVerifyStream(expected), sink);
+    return { received };
+  } catch (error) {
+    return { received, error };
+  }
+};
+
+describe('createVerifyStream', () => {
+  it('passes a matching file through whole', async () => {
+    const { received, error } = await passThrough(['en', 'to', 'tre'], sha256('entotre'));
+
+    assert.equal(error, undefined);
+    assert.equal(received.join(''), 'entotre');
+  });
+
+  it('holds back the end of a file that does not match and fails', async () => {
+    const { received, error } = await passThrough(['en', 'to', 'tre'], sha256('noe annet'));
+
+    assert.equal(error.code, 'INTEGRITY_MISMATCH');
+    assert.equal(error.actual, sha256('entotre'));
+    assert.equal(received.join(''), 'ento');
+  });
+
+  it('passes files without a recorded digest through unchecked', async () => {
+    const { received, error } = await passThrough(['en', 'to'], undefined);
+
+    assert.equal(error, undefined);
+    assert.equal(received.join(''), 'ento');
+  });
+});
+
+describe('verifyFile', () => {
+  const original = { fileExists: fileStorage.fileExists, openFile: fileStorage.openFile };
+
+  afterEach(() => {
+    Object.assign(fileStorage, original);
+  });
+
+  const stubStorage = (content) => {
+    fileStorage.fileExists = async () => content !== null;
+    fileStorage.openFile = async () => Readable.from([Buffer.from(content)]);
+  };
+
+  it('compares the stored file with its recorded digest', async () => {
+    stubStorage('innhold');
+
+    assert.deepEqual(await verifyFile({ sha256: sha256('innhold') }), { status: 'ok', actual: sha256('innhold') });
+    assert.equal((await verifyFile({ sha256: sha256('annet') })).status, 'mismatch');
+    assert.equal((await verifyFile({})).status, 'unhashed');
+  });
+
+  it('reports missing files', async () => {
+    stubStorage(null);
+
+    assert.deepEqual(await verifyFile({ sha256: sha256('innhold') }), { status: 'missing' });
+  });
+
+  it('hashes streams', async () => {
+    assert.equal(await hashStream(Readable.from([Buffer.from('a'), Buffer.from('b')])), sha256('ab'));
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../src/models/User');
+const loginThrottle = require('../src/services/loginThrottle');
+
+const original = {
+  findByIdAndUpdate: User.findByIdAndUpdate,
+  updateOne: User.updateOne
+};
+
+afterEach(() => {
+  User.findByIdAndUpdate = original.findByIdAndUpdate;
+  User.updateOne = original.updateOne;
+});
+
+// Keep the failure count in a plain object, the way the database would
+const stubUser = (user) => {
+  User.findByIdAndUpdate = async (id, update) => {
+    if (update.$inc) {
+      user.failedLoginAttempts += update.$inc.failedLoginAttempts;
+    } else {
+      user.failedLoginAttempts = update.failedLoginAttempts;
+    }
+    return { ...user };
+  };
+  User.updateOne = async (filter, update) => {
+    user.lockUntil = update.lockUntil;
+  };
+  return user;
+};
+
+const secondsUntil = (date) => Math.round((date - Date.now()) / 1000);
+
+describe('checkLogin', () => {
+  it('allows users without a pending wait', () => {
+    assert.equal(loginThrottle.checkLogin({ failedLoginAttempts: 0 }), null);
+    assert.equal(loginThrottle.checkLogin({ failedLoginAttempts: 2, lockUntil: new Date(Date.now() - 1000) }), null);
+  });
+
+  it('reports a short wait before the limit and a lock after it', () => {
+    const waiting = loginThrottle.checkLogin({ failedLoginAttempts: 2, lockUntil: new Date(Date.now() + 2000) });
+    assert.equal(waiting.locked, false);
+    assert.equal(waiting.retryAfter, 2);
+
+    const locked = loginThrottle.checkLogin({
+      failedLoginAttempts: loginThrottle.MAX_ATTEMPTS,
+      lockUntil: new Date(Date.now() + 60000)
+    });
+    assert.equal(locked.locked, true);
+  });
+});
+
+describe('registerFailure', () => {
+  it('doubles the wait with every failure and locks at the limit', async () => {
+    const user = stubUser({ _id: 'u1', failedLoginAttempts: 0 });
+
+    const waits = [];
+    for (let i = 0; i < loginThrottle.MAX_ATTEMPTS; i++) {
+      const updated = await loginThrottle.registerFailure(user);
+      waits.push(secondsUntil(updated.lockUntil));
+    }
+
+    assert.deepEqual(waits.slice(0, 4), [1, 2, 4, 8]);
+    assert.equal(waits[4], 15 * 60);
+    assert.equal(loginThrottle.checkLogin(user).locked, true);
+  });
+
+  it('starts a new round once a lockout has run out', async () => {
+    const user = stubUser({ _id: 'u1', failedLoginAttempts: loginThrottle.MAX_ATTEMPTS, lockUntil: new Date(Date.now() - 1000) });
+
+    const updated = await loginThrottle.registerFailure(user);
+
+    assert.equal(updated.failedLoginAttempts, 1);
+    assert.equal(secondsUntil(updated.lockUntil), 1);
+  });
+});
+
+describe('unknown e-mail addresses', () => {
+  it('are throttled and locked like accounts', () => {
+    const email = 'finnes.ikke@example.com';
+    assert.equal(loginThrottle.checkUnknownEmail(email), null);
+
+    let entry;
+    for (let i = 0; i < loginThrottle.MAX_ATTEMPTS; i++) {
+      entry = loginThrottle.registerUnknownEmailFailure(email);
+    }
+
+    assert.equal(entry.failedLoginAttempts, loginThrottle.MAX_ATTEMPTS);
+    assert.equal(loginThrottle.checkUnknownEmail(email).locked, true);
+    assert.equal(loginThrottle.checkUnknownEmail('annen@example.com'), null);
+  });
+});
+
+describe('reset', () => {
+  it('clears the failure count and any lock', () => {
+    const user = loginThrottle.reset({ failedLoginAttempts: 3, lockUntil: new Date() });
+    assert.equal(user.failedLoginAttempts, 0);
+    assert.equal(user.lockUntil, null);
+  });
+});
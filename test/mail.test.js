@@ -0,0 +1,110 @@
+const { describe, it, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-test-'));
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_DIR = mailDir;
+process.env.FRONTEND_URL = 'https://docs.example.com';
+
+const AuthToken = require('../src/models/AuthToken');
+const mail = require('../src/services/mail');
+const { render } = require('../src/services/mail/templates');
+
+const original = {
+  updateMany: AuthToken.updateMany,
+  create: AuthToken.create
+};
+
+let tokens;
+
+beforeEach(() => {
+  tokens = [];
+  AuthToken.updateMany = async () => ({ modifiedCount: 0 });
+  AuthToken.create = async (token) => {
+    tokens.push(token);
+    return token;
+  };
+});
+
+afterEach(() => {
+  AuthToken.updateMany = original.updateMany;
+  AuthToken.create = original.create;
+  fs.readdirSync(mailDir).forEach(file => fs.unlinkSync(path.join(mailDir, file)));
+});
+
+after(() => {
+  fs.rmSync(mailDir, { recursive: true, force: true });
+});
+
+const user = (language = 'no') => ({ _id: 'u1', name: 'Kari', email: 'kari@example.com', language });
+
+describe('render', () => {
+  it('uses the language of the user and falls back to Norwegian', () => {
+    const data = { name: 'Kari', link: 'https://x', expiresMinutes: 60 };
+
+    assert.equal(render('passwordReset', 'en', data).subject, 'Reset your password');
+    assert.equal(render('passwordReset', 'de', data).subject, 'Tilbakestill passordet ditt');
+  });
+
+  it('escapes the text in the HTML version and links URLs', () => {
+    const { html } = render('invitation', 'no', { name: '<Kari>', invitedBy: 'Ola', link: 'https://x/y?token=1', expiresDays: 7 });
+
+    assert.match(html, /Hei &lt;Kari&gt;/);
+    assert.match(html, /<a href="https:\/\/x\/y\?token=1">/);
+  });
+
+  it('refuses unknown templates', () => {
+    assert.throws(() => render('ukjent', 'no', {}), /Unknown mail template/);
+  });
+});
+
+describe('sendPasswordReset', () => {
+  it('mails a link with a token that is only stored hashed', async () => {
+    const info = await mail.sendPasswordReset(user());
+    const message = fs.readFileSync(info.file, 'utf8');
+    const token = message.match(/reset-password\?token=([\w-]+)/)[1];
+
+    assert.match(message, /^To: kari@example.com$/m);
+    assert.equal(tokens.length, 1);
+    assert.equal(tokens[0].purpose, 'password_reset');
+    assert.notEqual(tokens[0].tokenHash, token);
+    assert.ok(tokens[0].expiresAt > new Date());
+  });
+});
+
+describe('sendInvitation', () => {
+  it('names the inviter and records who created the token', async () => {
+    const info = await mail.sendInvitation(user('en'), { _id: 'a1', name: 'Ola Admin' });
+    const message = fs.readFileSync(info.file, 'utf8');
+
+    assert.match(message, /Subject: You are invited to Opinion Docs/);
+    assert.match(message, /Ola Admin has created/);
+    assert.match(message, /https:\/\/docs.example.com\/accept-invitation\?token=/);
+    assert.equal(tokens[0].purpose, 'invitation');
+    assert.equal(tokens[0].createdBy, 'a1');
+  });
+});
+
+describe('transport', () => {
+  const load = (env) => spawnSync(process.execPath, ['-e', "require('./src/services/mail')"], {
+    cwd: path.join(__dirname, '..'),
+    env: { PATH: process.env.PATH, ...env },
+    encoding: 'utf8'
+  });
+
+  it('must be chosen in production', () => {
+    const result = load({ NODE_ENV: 'production' });
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /MAIL_TRANSPORT must be set/);
+
+    assert.equal(load({ NODE_ENV: 'production', MAIL_TRANSPORT: 'smtp' }).status, 0);
+  });
+
+  it('defaults to the console outside production', () => {
+    assert.equal(load({}).status, 0);
+  });
+});
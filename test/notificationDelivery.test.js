@@ -0,0 +1,140 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Notification = require('../src/models/Notification');
+const mail = require('../src/services/mail');
+const notificationDelivery = require('../src/services/notificationDelivery');
+
+const original = {
+  find: Notification.find,
+  updateOne: Notification.updateOne,
+  updateMany: Notification.updateMany,
+  sendTemplate: mail.sendTemplate
+};
+
+let due;
+let updates;
+let sent;
+let failWith;
+
+beforeEach(() => {
+  updates = [];
+  sent = [];
+  failWith = null;
+
+  // Hand out the due notifications once, as the database would after they are updated
+  Notification.find = () => {
+    const batch = due;
+    due = [];
+    const query = {
+      populate: () => query,
+      sort: () => query,
+      limit: async () => batch
+    };
+    return query;
+  };
+  Notification.updateOne = async (filter, update) => {
+    updates.push({ id: filter._id, ...update.$set });
+  };
+  Notification.updateMany = async (filter, update) => {
+    filter._id.$in.forEach(id => updates.push({ id, ...update }));
+  };
+  mail.sendTemplate = async (user, template, data) => {
+    if (failWith) {
+      throw failWith;
+    }
+    sent.push({ to: user.email, template, data });
+  };
+});
+
+afterEach(() => {
+  Notification.find = original.find;
+  Notification.updateOne = original.updateOne;
+  Notification.updateMany = original.updateMany;
+  mail.sendTemplate = original.sendTemplate;
+});
+
+const kari = { _id: 'u1', name: 'Kari', email: 'kari@example.com', language: 'no', isActive: true };
+const ola = { _id: 'u2', name: 'Ola', email: 'ola@example.com', language: 'no', isActive: true };
+
+const notification = (id, user, mode, attempts = 0) => ({
+  _id: id,
+  user,
+  title: `Varsel ${id}`,
+  message: 'Melding',
+  relatedDocument: 'd1',
+  delivery: { mode, status: 'pending', attempts }
+});
+
+describe('deliveryFor', () => {
+  it('keeps notifications in the app unless the user wants e-mail', () => {
+    const user = { isActive: true, notificationPreferences: { review: 'in_app' } };
+
+    assert.deepEqual(notificationDelivery.deliveryFor(user, 'review'), { mode: 'in_app', status: 'not_required' });
+    assert.equal(notificationDelivery.deliveryFor(user, 'system').mode, 'in_app');
+    assert.equal(notificationDelivery.deliveryFor({ isActive: false, notificationPreferences: { review: 'immediate' } }, 'review').mode, 'in_app');
+  });
+
+  it('sends immediate e-mails now', () => {
+    const delivery = notificationDelivery.deliveryFor({ isActive: true, notificationPreferences: { review: 'immediate' } }, 'review');
+
+    assert.equal(delivery.status, 'pending');
+    assert.ok(Math.abs(delivery.nextAttemptAt - Date.now()) < 1000);
+  });
+
+  it('holds digests until the digest hour, weekly ones until Monday', () => {
+    const daily = notificationDelivery.deliveryFor({ isActive: true, notificationPreferences: { review: 'daily' } }, 'review');
+    const weekly = notificationDelivery.deliveryFor({ isActive: true, notificationPreferences: { review: 'weekly' } }, 'review');
+
+    assert.ok(daily.nextAttemptAt > new Date());
+    assert.ok(daily.nextAttemptAt - Date.now() <= 24 * 60 * 60 * 1000);
+    assert.equal(daily.nextAttemptAt.getHours(), 7);
+    assert.equal(weekly.nextAttemptAt.getDay(), 1);
+    assert.equal(weekly.nextAttemptAt.getHours(), 7);
+  });
+});
+
+describe('runOnce', () => {
+  it('sends one e-mail per immediate notification and one digest per user', async () => {
+    due = [
+      notification('n1', kari, 'immediate'),
+      notification('n2', kari, 'immediate'),
+      notification('n3', kari, 'daily'),
+      notification('n4', kari, 'daily'),
+      notification('n5', ola, 'daily')
+    ];
+
+    await notificationDelivery.runOnce();
+
+    assert.deepEqual(sent.map(mail => `${mail.to}:${mail.template}`), [
+      'kari@example.com:notification',
+      'kari@example.com:notification',
+      'kari@example.com:notificationDigest',
+      'ola@example.com:notificationDigest'
+    ]);
+    assert.equal(sent[2].data.items.length, 2);
+    assert.match(sent[0].data.link, /\/documents\/d1$/);
+    assert.ok(updates.every(update => update['delivery.status'] === 'sent'));
+    assert.equal(updates.length, 5);
+  });
+
+  it('retries failures with backoff and gives up after the last attempt', async () => {
+    failWith = new Error('SMTP nede');
+    due = [notification('n1', kari, 'immediate'), notification('n2', ola, 'immediate', 4)];
+
+    await notificationDelivery.runOnce();
+
+    assert.equal(updates[0]['delivery.status'], 'pending');
+    assert.equal(updates[0]['delivery.lastError'], 'SMTP nede');
+    assert.ok(updates[0]['delivery.nextAttemptAt'] - Date.now() > 60 * 1000);
+    assert.equal(updates[1]['delivery.status'], 'failed');
+  });
+
+  it('skips notifications for deactivated users', async () => {
+    due = [notification('n1', { ...kari, isActive: false }, 'daily')];
+
+    await notificationDelivery.runOnce();
+
+    assert.equal(sent.length, 0);
+    assert.deepEqual(updates, [{ id: 'n1', 'delivery.status': 'skipped' }]);
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Notification = require('../src/models/Notification');
+const User = require('../src/models/User');
+const notifications = require('../src/services/notifications');
+
+const original = { create: Notification.create, userFind: User.find };
+
+// Notifications created through the stubbed Notification.create, unique by key
+let created;
+
+beforeEach(() => {
+  created = [];
+  Notification.create = async (fields) => {
+    if (fields.key && created.some(notification => notification.key === fields.key)) {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    }
+    const notification = { ...fields, delivery: fields.delivery || { mode: 'in_app' } };
+    created.push(notification);
+    return notification;
+  };
+  User.find = () => ({ select: async () => [] });
+});
+
+afterEach(() => {
+  Notification.create = original.create;
+  User.find = original.userFind;
+});
+
+describe('notify', () => {
+  it('creates one notification per recipient', async () => {
+    const result = await notifications.notify(['u1', 'u2', 'u1', null], { title: 'Hei', message: 'Test', type: 'system' });
+
+    assert.equal(result.length, 2);
+    assert.deepEqual(created.map(notification => notification.user), ['u1', 'u2']);
+  });
+
+  it('skips recipients already notified for a key', async () => {
+    await notifications.notify(['u1'], { title: 'Hei', message: 'Test', type: 'system', key: 'k' });
+    const result = await notifications.notify(['u1', 'u2'], { title: 'Hei', message: 'Test', type: 'system', key: 'k' });
+
+    assert.equal(result.length, 1);
+    assert.deepEqual(created.map(notification => notification.key), ['k:u1', 'k:u2']);
+  });
+
+  it('pushes new notifications to subscribers of the recipient only', async () => {
+    const received = [];
+    const unsubscribe = notifications.subscribe('u1', notification => received.push(notification.user));
+
+    await notifications.notify(['u1', 'u2'], { title: 'Hei', message: 'Test', type: 'system' });
+    unsubscribe();
+    await notifications.notify(['u1'], { title: 'Hei', message: 'Igjen', type: 'system' });
+
+    assert.deepEqual(received, ['u1']);
+  });
+});
+
+describe('stream tickets', () => {
+  it('can be redeemed once for the access token', () => {
+    const { ticket } = notifications.issueStreamTicket('access-token');
+
+    assert.equal(notifications.redeemStreamTicket(ticket), 'access-token');
+    assert.equal(notifications.redeemStreamTicket(ticket), null);
+  });
+
+  it('are refused when unknown', () => {
+    assert.equal(notifications.redeemStreamTicket('unknown'), null);
+    assert.equal(notifications.redeemStreamTicket(undefined), null);
+  });
+});
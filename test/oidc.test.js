@@ -0,0 +1,109 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.OIDC_ISSUER_URL = 'https://idp.example.com';
+process.env.OIDC_CLIENT_ID = 'dokumenter';
+process.env.OIDC_ROLE_MAP = JSON.stringify({ 'isms-admins': 'admin', 'personvern': 'personvernombud' });
+
+// A provider that returns the claims set by each test
+let claims;
+const { Issuer } = require('openid-client');
+Issuer.discover = async () => ({
+  Client: class {
+    constructor() {
+      this.issuer = {};
+    }
+    callbackParams(req) {
+      return req.query;
+    }
+    async callback() {
+      return { claims: () => claims };
+    }
+  }
+});
+
+const User = require('../src/models/User');
+const OidcState = require('../src/models/OidcState');
+const oidc = require('../src/services/oidc');
+
+const original = {
+  findOne: User.findOne,
+  findOneAndDelete: OidcState.findOneAndDelete
+};
+
+afterEach(() => {
+  User.findOne = original.findOne;
+  OidcState.findOneAndDelete = original.findOneAndDelete;
+});
+
+// Log in through the callback with the given claims and existing users
+const login = (loginClaims, users = []) => {
+  claims = loginClaims;
+  OidcState.findOneAndDelete = async ({ state }) => (
+    state === 'kjent' ? { state, nonce: 'n', codeVerifier: 'v', returnTo: '/dokumenter' } : null
+  );
+  User.findOne = async (filter) => users.find(user => (
+    filter.oidcSubject ? user.oidcSubject === filter.oidcSubject : user.email === filter.email
+  )) || null;
+  return oidc.completeLogin({ query: { state: 'kjent', code: 'c' } });
+};
+
+const localUser = () => new User({ email: 'kari@example.com', name: 'Kari', role: 'ansatt', password: 'x' });
+
+describe('mapClaims', () => {
+  it('gives the most privileged mapped role', () => {
+    assert.equal(oidc.mapClaims({ groups: ['personvern', 'isms-admins'] }).role, 'admin');
+    assert.equal(oidc.mapClaims({ groups: 'personvern' }).role, 'personvernombud');
+  });
+
+  it('falls back to the default role and copies the department', () => {
+    assert.deepEqual(oidc.mapClaims({ groups: ['andre'], department: 'IT' }), { role: 'ansatt', department: 'IT' });
+  });
+});
+
+describe('completeLogin', () => {
+  it('refuses unknown state', async () => {
+    claims = {};
+    OidcState.findOneAndDelete = async () => null;
+    assert.deepEqual(await oidc.completeLogin({ query: { state: 'ukjent' } }), { error: 'invalid_state' });
+  });
+
+  it('creates a user for a verified e-mail address', async () => {
+    const result = await login({ sub: 's1', email: 'Ny@Example.com', email_verified: true, name: 'Ny Bruker', groups: ['personvern'] });
+
+    assert.equal(result.created, true);
+    assert.equal(result.returnTo, '/dokumenter');
+    assert.equal(result.user.email, 'ny@example.com');
+    assert.equal(result.user.role, 'personvernombud');
+    assert.equal(result.user.oidcSubject, 's1');
+  });
+
+  it('links an existing account by verified e-mail only', async () => {
+    const unverified = await login({ sub: 's1', email: 'kari@example.com', email_verified: false }, [localUser()]);
+    assert.equal(unverified.error, 'email_unverified');
+
+    const verified = await login({ sub: 's1', email: 'KARI@example.com', email_verified: 'true' }, [localUser()]);
+    assert.equal(verified.linked, true);
+    assert.equal(verified.user.authProvider, 'oidc');
+    assert.equal(verified.user.oidcSubject, 's1');
+  });
+
+  it('does not link an account already linked to another identity', async () => {
+    const user = localUser();
+    user.oidcSubject = 'annen';
+
+    const result = await login({ sub: 's1', email: 'kari@example.com', email_verified: true }, [user]);
+    assert.equal(result.error, 'already_linked');
+  });
+
+  it('finds a returning user by subject', async () => {
+    const user = localUser();
+    user.authProvider = 'oidc';
+    user.oidcSubject = 's1';
+
+    const result = await login({ sub: 's1', email: 'endret@example.com', groups: ['isms-admins'] }, [user]);
+    assert.equal(result.user, user);
+    assert.equal(result.linked, false);
+    assert.equal(user.role, 'admin');
+  });
+});
@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MIN_LENGTH, validatePassword } = require('../src/utils/passwordPolicy');
+
+describe('validatePassword', () => {
+  it('requires the minimum length', async () => {
+    assert.match(await validatePassword('Kort1!'), /minst/);
+    assert.match(await validatePassword(undefined), /minst/);
+    assert.equal(MIN_LENGTH, 12);
+  });
+
+  it('rejects overly long passwords', async () => {
+    assert.match(await validatePassword('Lang-setning-'.repeat(20)), /lengre/);
+  });
+
+  it('rejects listed passwords dressed up to pass the length requirement', async () => {
+    for (const password of ['Sommer2024!!!!', 'P@ssw0rd12345', '2024passord!!', 'qwertyqwerty', 'abcabcabcabc']) {
+      assert.match(await validatePassword(password), /for vanlig/, password);
+    }
+  });
+
+  it('rejects passwords containing the name or e-mail address of the user', async () => {
+    const user = { name: 'Kari Nordmann', email: 'kari.nordmann@example.com', passwordHistory: [] };
+    assert.match(await validatePassword('xkari.nordmann-blå-hest', user), /navnet eller e-postadressen/);
+  });
+
+  it('accepts a long passphrase', async () => {
+    assert.equal(await validatePassword('korrekt-hest-batteri-stift'), null);
+  });
+});
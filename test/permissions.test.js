@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PERMISSIONS, getEffectivePermissions, hasPermission } = require('../src/utils/permissions');
+
+const category = (permissions, subcategories = []) => ({ permissions, subcategories });
+
+describe('getEffectivePermissions', () => {
+  it('gives nothing without a user', () => {
+    assert.deepEqual(getEffectivePermissions(null, category([])), []);
+  });
+
+  it('uses the role defaults when the category has no entries', () => {
+    assert.deepEqual(getEffectivePermissions({ role: 'ansatt' }, category([])), ['read', 'upload']);
+    assert.deepEqual(getEffectivePermissions({ role: 'ansatt' }), ['read', 'upload']);
+  });
+
+  it('gives admins every permission regardless of the entries', () => {
+    const restricted = category([{ principalType: 'role', principal: 'ansatt', permissions: ['read'] }]);
+    assert.deepEqual(getEffectivePermissions({ role: 'admin' }, restricted), PERMISSIONS);
+  });
+
+  it('replaces the role defaults once the category has entries', () => {
+    const restricted = category([{ principalType: 'role', principal: 'it_ansvarlig', permissions: ['read'] }]);
+    assert.deepEqual(getEffectivePermissions({ role: 'it_ansvarlig' }, restricted), ['read']);
+    assert.deepEqual(getEffectivePermissions({ role: 'ansatt' }, restricted), []);
+  });
+
+  it('combines role, user and department entries', () => {
+    const user = { id: 'u1', role: 'ansatt', department: 'IT' };
+    const shared = category([
+      { principalType: 'role', principal: 'ansatt', permissions: ['read'] },
+      { principalType: 'user', principal: 'u1', permissions: ['edit'] },
+      { principalType: 'department', principal: 'IT', permissions: ['upload'] },
+      { principalType: 'department', principal: 'HR', permissions: ['delete'] }
+    ]);
+    assert.deepEqual(getEffectivePermissions(user, shared).sort(), ['edit', 'read', 'upload']);
+  });
+
+  it('adds the entries of the subcategory to those of the category', () => {
+    const withSub = category(
+      [{ principalType: 'role', principal: 'ansatt', permissions: ['read'] }],
+      [{ name: 'Rutiner', permissions: [{ principalType: 'role', principal: 'ansatt', permissions: ['revise'] }] }]
+    );
+    assert.deepEqual(getEffectivePermissions({ role: 'ansatt' }, withSub, 'Rutiner').sort(), ['read', 'revise']);
+    assert.deepEqual(getEffectivePermissions({ role: 'ansatt' }, withSub, 'Annet'), ['read']);
+  });
+
+  it('treats manage as every permission', () => {
+    const managed = category([{ principalType: 'role', principal: 'ansatt', permissions: ['manage'] }]);
+    assert.deepEqual(getEffectivePermissions({ role: 'ansatt' }, managed), PERMISSIONS);
+  });
+});
+
+describe('hasPermission', () => {
+  it('checks a single permission', () => {
+    const restricted = category([{ principalType: 'role', principal: 'personvernombud', permissions: ['read'] }]);
+    assert.equal(hasPermission({ role: 'personvernombud' }, restricted, null, 'read'), true);
+    assert.equal(hasPermission({ role: 'personvernombud' }, restricted, null, 'upload'), false);
+  });
+});
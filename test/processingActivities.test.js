@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const ProcessingActivity = require('../src/models/ProcessingActivity');
+const processingActivities = require('../src/services/processingActivities');
+
+const DOCUMENT_ID = '507f1f77bcf86cd799439011';
+
+const valid = (changes = {}) => ({
+  name: '  Lønn  ',
+  legalBasis: 'legal_obligation',
+  purposes: ['Utbetale lønn', ' ', 'Utbetale lønn'],
+  ...changes
+});
+
+describe('validate', () => {
+  it('normalizes the given fields', () => {
+    const { values, error } = processingActivities.validate(valid({ documents: [DOCUMENT_ID, DOCUMENT_ID] }));
+
+    assert.equal(error, undefined);
+    assert.equal(values.name, 'Lønn');
+    assert.deepEqual(values.purposes, ['Utbetale lønn']);
+    assert.deepEqual(values.documents, [DOCUMENT_ID]);
+    assert.equal(values.description, undefined);
+  });
+
+  it('requires name, legal basis and a purpose on create', () => {
+    assert.match(processingActivities.validate(valid({ name: '' })).error, /Navn/);
+    assert.match(processingActivities.validate(valid({ legalBasis: undefined })).error, /Behandlingsgrunnlag/);
+    assert.match(processingActivities.validate(valid({ purposes: [' '] })).error, /formål/);
+  });
+
+  it('only checks given fields on update', () => {
+    assert.deepEqual(processingActivities.validate({ retention: '5 år' }, { partial: true }), { values: { retention: '5 år' } });
+    assert.match(processingActivities.validate({ purposes: [] }, { partial: true }).error, /formål/);
+  });
+
+  it('refuses invalid values', () => {
+    assert.match(processingActivities.validate(valid({ legalBasis: 'maybe' })).error, /behandlingsgrunnlag/);
+    assert.match(processingActivities.validate(valid({ specialCategories: 'ja' })).error, /særlige/);
+    assert.match(processingActivities.validate(valid({ documents: ['x'] })).error, /dokumenter/);
+    assert.match(processingActivities.validate(valid({ owner: 'x' })).error, /ansvarlig/);
+    assert.match(processingActivities.validate(valid({ name: { $ne: '' } })).error, /name/);
+  });
+
+  it('requires a country and a safeguard for third-country transfers', () => {
+    assert.match(processingActivities.validate(valid({ thirdCountryTransfers: [{ safeguard: 'other' }] })).error, /Land/);
+    assert.match(processingActivities.validate(valid({ thirdCountryTransfers: [{ country: 'USA' }] })).error, /overføringsgrunnlag/);
+
+    const { values } = processingActivities.validate(valid({
+      thirdCountryTransfers: [{ country: ' USA ', safeguard: 'standard_contractual_clauses' }]
+    }));
+    assert.deepEqual(values.thirdCountryTransfers, [{ country: 'USA', recipient: '', safeguard: 'standard_contractual_clauses', details: '' }]);
+  });
+});
+
+describe('snapshot and changedFields', () => {
+  it('lists the versioned fields that changed', () => {
+    const activity = new ProcessingActivity({ ...processingActivities.validate(valid()).values, documents: [DOCUMENT_ID] });
+    const before = processingActivities.snapshot(activity);
+
+    assert.equal(before.owner, null);
+    assert.deepEqual(before.documents, [DOCUMENT_ID]);
+
+    activity.retention = '5 år';
+    activity.purposes.push('Rapportering');
+    const after = processingActivities.snapshot(activity);
+
+    assert.deepEqual(processingActivities.changedFields(before, after), ['retention', 'purposes']);
+    assert.deepEqual(processingActivities.changedFields(after, after), []);
+  });
+});
+
+describe('writePdf', () => {
+  it('writes the protocol as a PDF', async () => {
+    const activity = {
+      ...processingActivities.validate(valid()).values,
+      thirdCountryTransfers: [],
+      documents: [{ title: 'Rutine', status: 'active' }, { title: 'Utkast', status: 'draft' }],
+      status: 'active',
+      version: 2,
+      updatedAt: new Date()
+    };
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    const done = new Promise(resolve => stream.on('end', resolve));
+
+    processingActivities.writePdf(stream, [activity], { name: 'Opinion AS' });
+    await done;
+
+    const pdf = Buffer.concat(chunks);
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.equal(processingActivities.EXPORT_COLUMNS.find(column => column.header === 'Dokumenter').value(activity).join(), 'Rutine');
+  });
+});
@@ -0,0 +1,165 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const express = require('express');
+
+// Sign every request in as a user allowed to revise documents
+const authPath = require.resolve('../src/middleware/auth');
+require.cache[authPath] = {
+  id: authPath,
+  filename: authPath,
+  loaded: true,
+  exports: (req, res, next) => {
+    req.user = { id: '507f1f77bcf86cd799439099', role: 'it_ansvarlig' };
+    next();
+  }
+};
+
+const Category = require('../src/models/Category');
+const Document = require('../src/models/Document');
+const Revision = require('../src/models/Revision');
+const audit = require('../src/services/audit');
+const notifications = require('../src/services/notifications');
+const fileStorage = require('../src/services/storage');
+const documentRoutes = require('../src/routes/document');
+
+const DOCUMENT_ID = '507f1f77bcf86cd799439011';
+const content = Buffer.from('versjon 1');
+const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+
+// A query stub: awaitable, with the chained methods the route uses
+const query = (result) => {
+  const promise = Promise.resolve(result);
+  promise.select = () => promise;
+  promise.sort = () => promise;
+  promise.populate = () => promise;
+  return promise;
+};
+
+const original = {
+  categoryFindById: Category.findById,
+  documentFindById: Document.findById,
+  revisionFindOne: Revision.findOne,
+  revisionExists: Revision.exists,
+  revisionSave: Revision.prototype.save,
+  record: audit.record,
+  notifyDocumentUpdate: notifications.notifyDocumentUpdate,
+  fileExists: fileStorage.fileExists,
+  openFile: fileStorage.openFile
+};
+
+let server;
+let baseUrl;
+let pending;
+let saved;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/documents', documentRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/documents`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  pending = null;
+  saved = [];
+
+  const document = {
+    _id: DOCUMENT_ID,
+    title: 'Tilgangsrutine',
+    category: 'c1',
+    subcategory: 'IT',
+    tags: [],
+    status: 'active',
+    version: 3
+  };
+  const oldRevision = {
+    document: DOCUMENT_ID,
+    version: 1,
+    storageKey: 'file-1.txt',
+    storageDriver: 'local',
+    fileName: 'rutine.txt',
+    fileSize: content.length,
+    fileType: 'text/plain',
+    sha256,
+    contentText: 'versjon 1',
+    contentExtraction: { status: 'success' }
+  };
+
+  Category.findById = async () => ({ _id: 'c1', permissions: [], subcategories: [] });
+  Document.findById = () => query(document);
+  Revision.findOne = (filter) => query(filter.version ? (Number(filter.version) === 1 ? oldRevision : null) : { version: 3 });
+  Revision.exists = async () => pending;
+  Revision.prototype.save = async function() {
+    saved.push(this);
+    return this;
+  };
+  audit.record = () => Promise.resolve();
+  notifications.notifyDocumentUpdate = () => Promise.resolve();
+  fileStorage.fileExists = async () => true;
+  fileStorage.openFile = async () => Readable.from([content]);
+});
+
+afterEach(() => {
+  Category.findById = original.categoryFindById;
+  Document.findById = original.documentFindById;
+  Revision.findOne = original.revisionFindOne;
+  Revision.exists = original.revisionExists;
+  Revision.prototype.save = original.revisionSave;
+  audit.record = original.record;
+  notifications.notifyDocumentUpdate = original.notifyDocumentUpdate;
+  fileStorage.fileExists = original.fileExists;
+  fileStorage.openFile = original.openFile;
+});
+
+const restore = (version, body) => fetch(`${baseUrl}/${DOCUMENT_ID}/revisions/${version}/restore`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+describe('restore revision', () => {
+  it('adds the old file as a new draft revision', async () => {
+    const res = await restore(1, { reason: 'Feil i versjon 3' });
+    const body = await res.json();
+
+    assert.equal(res.status, 201);
+    assert.equal(saved.length, 1);
+    assert.equal(body.version, 4);
+    assert.equal(body.status, 'draft');
+    assert.equal(body.restoredFrom, 1);
+    assert.equal(body.storageKey, 'file-1.txt');
+    assert.equal(body.sha256, sha256);
+    assert.equal(body.contentText, undefined);
+  });
+
+  it('requires a reason', async () => {
+    const res = await restore(1, {});
+
+    assert.equal(res.status, 400);
+    assert.equal(saved.length, 0);
+  });
+
+  it('refuses while another revision is pending', async () => {
+    pending = { _id: 'r9' };
+    const res = await restore(1, { reason: 'Feil i versjon 3' });
+
+    assert.equal(res.status, 400);
+    assert.equal(saved.length, 0);
+  });
+
+  it('refuses unknown versions and files that have been altered', async () => {
+    assert.equal((await restore(2, { reason: 'Feil' })).status, 404);
+
+    fileStorage.openFile = async () => Readable.from([Buffer.from('endret')]);
+    assert.equal((await restore(1, { reason: 'Feil' })).status, 500);
+    assert.equal(saved.length, 0);
+  });
+});
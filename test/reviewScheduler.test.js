@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Document = require('../src/models/Document');
+const User = require('../src/models/User');
+const notifications = require('../src/services/notifications');
+
+// The scheduler takes notify when it is loaded, so record calls before requiring it
+let sent;
+notifications.notify = async (recipients, notification) => {
+  sent.push({ recipients, ...notification });
+};
+const reviewScheduler = require('../src/services/reviewScheduler');
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+const original = { documentFind: Document.find, userFind: User.find };
+
+// Model.find(...).select(...) resolving to the given items
+const stubFind = (Model, items) => {
+  Model.find = () => ({ select: async () => items });
+};
+
+beforeEach(() => {
+  sent = [];
+  stubFind(User, [{ _id: 'admin1' }]);
+});
+
+afterEach(() => {
+  Document.find = original.documentFind;
+  User.find = original.userFind;
+});
+
+const keys = () => sent.map(notification => notification.key);
+
+describe('review scheduler', () => {
+  const document = (daysLeft) => ({
+    _id: 'd1',
+    title: 'Rutine',
+    owner: 'owner1',
+    reviewDate: new Date(Date.now() + daysLeft * DAY - HOUR)
+  });
+
+  it('sends only the most urgent reminder, keyed by review date and lead time', async () => {
+    const upcoming = document(5);
+    stubFind(Document, [upcoming]);
+    await reviewScheduler.runOnce();
+
+    assert.deepEqual(keys(), [`review:d1:${upcoming.reviewDate.getTime()}:7d`]);
+  });
+
+  it('sends nothing before the first lead time', async () => {
+    stubFind(Document, [document(40)]);
+    await reviewScheduler.runOnce();
+
+    assert.deepEqual(keys(), []);
+  });
+
+  it('escalates reviews overdue for the escalation period', async () => {
+    const overdue = document(-20);
+    stubFind(Document, [overdue]);
+    await reviewScheduler.runOnce();
+
+    const prefix = `review:d1:${overdue.reviewDate.getTime()}`;
+    assert.deepEqual(keys(), [`${prefix}:overdue`, `${prefix}:escalated`]);
+  });
+
+  it('uses new keys when the review date is moved', async () => {
+    const first = document(5);
+    const moved = { ...first, reviewDate: new Date(first.reviewDate.getTime() + DAY) };
+    stubFind(Document, [first]);
+    await reviewScheduler.runOnce();
+    stubFind(Document, [moved]);
+    await reviewScheduler.runOnce();
+
+    assert.notEqual(keys()[0], keys()[1]);
+  });
+});
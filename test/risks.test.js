@@ -0,0 +1,170 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+// Sign every request in as an ISMS manager
+const authPath = require.resolve('../src/middleware/auth');
+require.cache[authPath] = {
+  id: authPath,
+  filename: authPath,
+  loaded: true,
+  exports: (req, res, next) => {
+    req.user = { id: '507f1f77bcf86cd799439001', role: 'it_ansvarlig' };
+    next();
+  }
+};
+
+const Risk = require('../src/models/Risk');
+const Control = require('../src/models/Control');
+const Counter = require('../src/models/Counter');
+const audit = require('../src/services/audit');
+const risks = require('../src/services/risks');
+const riskRoutes = require('../src/routes/risk');
+
+const original = {
+  aggregate: Risk.aggregate,
+  findById: Risk.findById,
+  save: Risk.prototype.save,
+  controlFind: Control.find,
+  next: Counter.next,
+  record: audit.record
+};
+
+afterEach(() => {
+  Risk.aggregate = original.aggregate;
+  Risk.findById = original.findById;
+  Risk.prototype.save = original.save;
+  Control.find = original.controlFind;
+  Counter.next = original.next;
+  audit.record = original.record;
+});
+
+const valid = (changes = {}) => ({
+  title: 'Tap av bærbar PC',
+  asset: 'Bærbare PC-er',
+  threat: 'Tyveri',
+  likelihood: 3,
+  consequence: 4,
+  ...changes
+});
+
+describe('validate', () => {
+  it('requires the core fields on create only', () => {
+    assert.equal(risks.validate(valid()), null);
+    assert.match(risks.validate(valid({ threat: '' })), /påkrevde/);
+    assert.equal(risks.validate({ likelihood: 2 }, true), null);
+  });
+
+  it('accepts scores from 1 to 5 only', () => {
+    for (const score of [0, 6, 2.5, '3']) {
+      assert.match(risks.validate(valid({ likelihood: score })), /1 til 5/, String(score));
+    }
+    assert.equal(risks.validate(valid({ residualLikelihood: null })), null);
+  });
+
+  it('refuses unknown decisions, statuses and invalid references', () => {
+    assert.match(risks.validate(valid({ treatment: { decision: 'ignore' } })), /behandling/);
+    assert.match(risks.validate(valid({ status: 'gone' })), /status/);
+    assert.match(risks.validate(valid({ owner: 'x' })), /ansvarlig/);
+    assert.match(risks.validate(valid({ documents: ['x'] })), /dokumenter/);
+    assert.match(risks.validate(valid({ title: { $ne: '' } })), /title/);
+  });
+});
+
+describe('levelFor', () => {
+  it('maps scores to levels', () => {
+    assert.deepEqual([1, 4, 5, 9, 10, 16, 17, 25].map(Risk.levelFor),
+      ['low', 'low', 'medium', 'medium', 'high', 'high', 'critical', 'critical']);
+    assert.equal(Risk.levelFor(undefined), undefined);
+  });
+});
+
+describe('resolveControls', () => {
+  it('returns the records of known controls and names unknown ones', async () => {
+    Control.find = (filter) => ({
+      select: async () => filter.controlId.$in.filter(id => id !== '9.9').map(controlId => ({ _id: `c${controlId}`, controlId }))
+    });
+
+    assert.deepEqual(await risks.resolveControls(['5.15', '5.15', '8.1']), { ids: ['c5.15', 'c8.1'] });
+    assert.deepEqual(await risks.resolveControls(['5.15', '9.9']), { error: 'Ukjent kontroll: 9.9' });
+  });
+});
+
+describe('matrix', () => {
+  it('places the counts in a 5 × 5 grid with the highest likelihood first', async () => {
+    Risk.aggregate = async () => [
+      { _id: { likelihood: 5, consequence: 5 }, count: 2 },
+      { _id: { likelihood: 1, consequence: 2 }, count: 3 }
+    ];
+
+    const result = await risks.matrix('current');
+
+    assert.equal(result.cells.length, 5);
+    assert.deepEqual(result.cells[0][4], { likelihood: 5, consequence: 5, score: 25, level: 'critical', count: 2 });
+    assert.equal(result.cells[4][1].count, 3);
+    assert.deepEqual(result.byLevel, { low: 3, medium: 0, high: 0, critical: 2 });
+    assert.equal(result.total, 5);
+  });
+});
+
+describe('POST /api/risks', () => {
+  let server;
+  let baseUrl;
+  let saved;
+  let numbers;
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/risks', riskRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/risks`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    saved = [];
+    numbers = 0;
+    Counter.next = async () => {
+      numbers += 1;
+      return 42;
+    };
+    Risk.prototype.save = async function() {
+      saved.push(this);
+      return this;
+    };
+    Risk.findById = (id) => {
+      const query = Promise.resolve(saved.find(risk => risk._id === id));
+      query.populate = () => query;
+      return query;
+    };
+    audit.record = () => Promise.resolve();
+  });
+
+  const create = (body) => fetch(baseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  it('gives a valid risk the next reference', async () => {
+    const res = await create(valid());
+    const body = await res.json();
+
+    assert.equal(res.status, 201);
+    assert.equal(body.reference, 'R-0042');
+    assert.equal(numbers, 1);
+  });
+
+  it('does not use up a reference for a rejected risk', async () => {
+    const res = await create(valid({ residualLikelihood: 2 }));
+
+    assert.equal(res.status, 400);
+    assert.equal(numbers, 0);
+    assert.equal(saved.length, 0);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Session = require('../src/models/Session');
+const User = require('../src/models/User');
+const sessions = require('../src/services/sessions');
+
+const SESSION_ID = '507f1f77bcf86cd799439011';
+const USER_ID = '507f1f77bcf86cd799439012';
+
+// One session document, updated in place by the stubbed Session statics
+let session;
+let user;
+const original = {
+  create: Session.create,
+  findById: Session.findById,
+  updateOne: Session.updateOne,
+  userFindById: User.findById
+};
+
+const matches = (query) =>
+  (!query.tokenHash || query.tokenHash === session.tokenHash) &&
+  (query.revokedAt !== null || !session.revokedAt);
+
+beforeEach(() => {
+  session = null;
+  user = { id: USER_ID, role: 'ansatt', isActive: true };
+
+  Session.create = async (fields) => {
+    session = { ...fields, id: SESSION_ID, _id: SESSION_ID };
+    return session;
+  };
+  Session.findById = async (id) => (session && id === SESSION_ID ? { ...session } : null);
+  Session.updateOne = async (query, update) => {
+    if (!session || !matches(query)) {
+      return { modifiedCount: 0 };
+    }
+    Object.assign(session, update);
+    return { modifiedCount: 1 };
+  };
+  User.findById = () => ({ select: async () => user });
+});
+
+afterEach(() => {
+  Session.create = original.create;
+  Session.findById = original.findById;
+  Session.updateOne = original.updateOne;
+  User.findById = original.userFindById;
+});
+
+const req = { ip: '127.0.0.1', get: () => 'test' };
+
+describe('session rotation', () => {
+  it('exchanges a refresh token for a new pair', async () => {
+    const issued = await sessions.issueTokens(user, req);
+    const rotated = await sessions.rotate(issued.refreshToken);
+
+    assert.equal(rotated.error, undefined);
+    assert.ok(rotated.token);
+    assert.notEqual(rotated.refreshToken, issued.refreshToken);
+    assert.ok(rotated.refreshToken.startsWith(`${SESSION_ID}.`));
+  });
+
+  it('revokes the session when an old refresh token is presented again', async () => {
+    const issued = await sessions.issueTokens(user, req);
+    const rotated = await sessions.rotate(issued.refreshToken);
+
+    assert.equal((await sessions.rotate(issued.refreshToken)).error, 'reuse_detected');
+    assert.equal(session.revokedReason, 'reuse_detected');
+    assert.equal((await sessions.rotate(rotated.refreshToken)).error, 'invalid');
+  });
+
+  it('rejects malformed, expired and revoked tokens', async () => {
+    assert.equal((await sessions.rotate('garbage')).error, 'invalid');
+
+    const issued = await sessions.issueTokens(user, req);
+    session.expiresAt = new Date(Date.now() - 1000);
+    assert.equal((await sessions.rotate(issued.refreshToken)).error, 'invalid');
+
+    session.expiresAt = new Date(Date.now() + 60 * 1000);
+    session.revokedAt = new Date();
+    assert.equal((await sessions.rotate(issued.refreshToken)).error, 'invalid');
+  });
+
+  it('revokes the session of a deactivated user', async () => {
+    const issued = await sessions.issueTokens(user, req);
+    user.isActive = false;
+
+    assert.equal((await sessions.rotate(issued.refreshToken)).error, 'invalid');
+    assert.equal(session.revokedReason, 'user_inactive');
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Control = require('../src/models/Control');
+const catalog = require('../src/data/iso27001-annex-a-2022.json');
+const soa = require('../src/services/soa');
+
+const originalBulkWrite = Control.bulkWrite;
+
+afterEach(() => {
+  Control.bulkWrite = originalBulkWrite;
+});
+
+// A fully covered control, changed by each test
+const covered = (changes = {}) => ({
+  controlId: '5.1',
+  theme: 'organizational',
+  applicable: true,
+  justification: 'Påkrevd av ledelsen',
+  implementationStatus: 'implemented',
+  owner: { name: 'Kari' },
+  documents: [{ title: 'Policy', status: 'active', version: 2 }],
+  ...changes
+});
+
+describe('compareControlIds', () => {
+  it('sorts by number, not text', () => {
+    assert.deepEqual(['5.10', '8.1', '5.2', '6.3'].sort(soa.compareControlIds), ['5.2', '5.10', '6.3', '8.1']);
+  });
+});
+
+describe('gapsFor', () => {
+  it('finds nothing missing for a covered control', () => {
+    assert.deepEqual(soa.gapsFor(covered()), []);
+  });
+
+  it('reports unassessed controls', () => {
+    assert.deepEqual(soa.gapsFor(covered({ applicable: null })), ['Ikke vurdert']);
+  });
+
+  it('only needs a justification for controls that do not apply', () => {
+    assert.deepEqual(soa.gapsFor(covered({ applicable: false, owner: null, documents: [] })), []);
+    assert.deepEqual(soa.gapsFor(covered({ applicable: false, justification: '' })), ['Mangler begrunnelse']);
+  });
+
+  it('lists every gap of an applicable control', () => {
+    const gaps = soa.gapsFor(covered({ implementationStatus: 'planned', owner: null, documents: [] }));
+    assert.deepEqual(gaps, ['Planlagt', 'Mangler dokumentasjon', 'Mangler ansvarlig']);
+  });
+
+  it('does not count unpublished documents as documentation', () => {
+    const control = covered({ documents: [{ status: 'draft' }, { status: 'in_review' }, null] });
+
+    assert.deepEqual(soa.activeDocuments(control), []);
+    assert.deepEqual(soa.gapsFor(control), ['Mangler dokumentasjon']);
+  });
+});
+
+describe('summarize', () => {
+  it('counts coverage overall and per theme', () => {
+    const summary = soa.summarize([
+      covered(),
+      covered({ controlId: '5.2', implementationStatus: 'partially_implemented' }),
+      covered({ controlId: '8.1', theme: 'technological', applicable: false }),
+      covered({ controlId: '8.2', theme: 'technological', applicable: null })
+    ]);
+
+    assert.equal(summary.total, 4);
+    assert.equal(summary.assessed, 3);
+    assert.equal(summary.applicable, 2);
+    assert.equal(summary.notApplicable, 1);
+    assert.equal(summary.byStatus.implemented, 1);
+    assert.equal(summary.byStatus.partially_implemented, 1);
+    assert.equal(summary.withDocuments, 2);
+    assert.equal(summary.withGaps, 2);
+    assert.equal(summary.implementedPercent, 50);
+    assert.deepEqual(summary.byTheme.organizational, { total: 2, applicable: 2, implemented: 1 });
+    assert.deepEqual(summary.byTheme.technological, { total: 2, applicable: 0, implemented: 0 });
+  });
+});
+
+describe('syncCatalog', () => {
+  it('upserts all 93 Annex A controls without touching assessments', async () => {
+    let operations;
+    Control.bulkWrite = async (ops) => {
+      operations = ops;
+    };
+
+    await soa.syncCatalog();
+
+    assert.equal(catalog.length, 93);
+    assert.equal(operations.length, 93);
+    assert.equal(operations[0].updateOne.upsert, true);
+    assert.deepEqual(Object.keys(operations[0].updateOne.update.$set), ['title', 'theme']);
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Files are written to a temporary directory
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'opinion-docs-storage-'));
+process.env.STORAGE_LOCAL_DIR = root;
+const fileStorage = require('../src/services/storage');
+
+after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('local storage', () => {
+  const storage = fileStorage.getStorage('local');
+
+  it('stores, reads and removes files by key', async () => {
+    await storage.put('a/dokument.txt', Readable.from([Buffer.from('innhold')]));
+
+    assert.equal(await storage.exists('a/dokument.txt'), true);
+    assert.equal(await fileStorage.readFile({ storageKey: 'a/dokument.txt', storageDriver: 'local' }).then(String), 'innhold');
+
+    await storage.remove('a/dokument.txt');
+    assert.equal(await storage.exists('a/dokument.txt'), false);
+  });
+
+  it('leaves no file behind when writing fails', async () => {
+    const failing = new Readable({
+      read() {
+        this.destroy(new Error('avbrutt'));
+      }
+    });
+
+    await assert.rejects(storage.put('feil.txt', failing), /avbrutt/);
+    assert.deepEqual(fs.readdirSync(root).filter(name => name.startsWith('feil.txt')), []);
+  });
+
+  it('refuses keys outside the storage directory', async () => {
+    await assert.rejects(storage.put('../utenfor.txt', Readable.from([])), /Invalid storage key/);
+  });
+});
+
+describe('locate', () => {
+  it('finds files by driver and key', () => {
+    const { storage, key } = fileStorage.locate({ storageKey: 'file-1.pdf', storageDriver: 'local' });
+
+    assert.equal(storage.name, 'local');
+    assert.equal(key, 'file-1.pdf');
+  });
+
+  it('finds files stored before storage keys in the local directory', () => {
+    const { storage, key } = fileStorage.locate({ filePath: '/srv/uploads/file-2.pdf' });
+
+    assert.equal(storage.name, 'local');
+    assert.equal(key, 'file-2.pdf');
+  });
+
+  it('rejects unknown drivers', () => {
+    assert.throws(() => fileStorage.getStorage('ftp'), /Unknown storage driver/);
+  });
+});
+
+describe('generateKey', () => {
+  it('keeps the extension of the original name', () => {
+    assert.match(fileStorage.generateKey('Rutine.docx'), /^file-\d+-\d+\.docx$/);
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const JSZip = require('jszip');
+const { isSupported, extractText } = require('../src/services/textExtraction');
+
+const XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const PPTX = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+describe('extractText', () => {
+  it('reports unsupported types without parsing them', async () => {
+    assert.equal(isSupported('image/png'), false);
+    assert.deepEqual(await extractText(Buffer.from('x'), 'image/png'), { status: 'unsupported', text: '' });
+  });
+
+  it('keeps line breaks of plain text and collapses other whitespace', async () => {
+    const result = await extractText(Buffer.from('Rutine  for\t\ttilgang\r\n\r\n\r\n\r\nSlutt  '), 'text/plain');
+
+    assert.deepEqual(result, { status: 'success', text: 'Rutine for tilgang\n\nSlutt' });
+  });
+
+  it('extracts the cells of every sheet of a workbook', async () => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Risiko').addRows([['ID', 'Tittel'], ['R-1', 'Tap av data']]);
+    workbook.addWorksheet('Tiltak').addRows([['Kryptering']]);
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    const result = await extractText(buffer, XLSX);
+
+    assert.equal(result.status, 'success');
+    assert.equal(result.text, 'ID,Tittel\nR-1,Tap av data\nKryptering');
+  });
+
+  it('extracts the text of slides in slide order', async () => {
+    const zip = new JSZip();
+    const slide = text => `<p:sld><a:t>${text}</a:t></p:sld>`;
+    zip.file('ppt/slides/slide10.xml', slide('Ti'));
+    zip.file('ppt/slides/slide2.xml', slide('To &amp; tre'));
+    zip.file('ppt/slides/slide1.xml', slide('En'));
+    const buffer = await zip.generateAsync({ type: 'nodebuffer' });
+
+    const result = await extractText(buffer, PPTX);
+
+    assert.deepEqual(result, { status: 'success', text: 'En\nTo & tre\nTi' });
+  });
+
+  it('reports files that cannot be parsed as failed', async () => {
+    const result = await extractText(Buffer.from('not a zip'), XLSX);
+
+    assert.equal(result.status, 'failed');
+    assert.equal(result.text, '');
+    assert.ok(result.error);
+  });
+});
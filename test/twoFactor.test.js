@@ -0,0 +1,103 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { authenticator } = require('otplib');
+const settings = require('../src/services/settings');
+const twoFactor = require('../src/services/twoFactor');
+
+const originalGet = settings.get;
+
+afterEach(() => {
+  settings.get = originalGet;
+});
+
+// A user as loaded with the two-factor secrets
+const newUser = () => ({ id: 'u1', email: 'kari@example.com', role: 'bruker', twoFactor: { enabled: false } });
+
+// Enroll a user and return the plain secret and recovery codes
+const enroll = async (user) => {
+  const { secret } = await twoFactor.beginSetup(user);
+  const recoveryCodes = twoFactor.confirmSetup(user, authenticator.generate(secret));
+  return { secret, recoveryCodes };
+};
+
+describe('setup', () => {
+  it('stores the pending secret encrypted and returns what the app needs', async () => {
+    const user = newUser();
+    const setup = await twoFactor.beginSetup(user);
+
+    assert.match(setup.otpauthUrl, /^otpauth:\/\/totp\//);
+    assert.match(setup.qrCode, /^data:image\/png;base64,/);
+    assert.ok(user.twoFactor.pendingSecret);
+    assert.ok(!user.twoFactor.pendingSecret.includes(setup.secret));
+  });
+
+  it('enables two-factor with a valid code and returns hashed recovery codes', async () => {
+    const user = newUser();
+    const { recoveryCodes } = await enroll(user);
+
+    assert.equal(user.twoFactor.enabled, true);
+    assert.equal(user.twoFactor.pendingSecret, undefined);
+    assert.equal(recoveryCodes.length, 10);
+    assert.equal(user.twoFactor.recoveryCodes.length, 10);
+    assert.ok(!user.twoFactor.recoveryCodes.includes(recoveryCodes[0]));
+  });
+
+  it('refuses a wrong code', async () => {
+    const user = newUser();
+    await twoFactor.beginSetup(user);
+
+    assert.equal(twoFactor.confirmSetup(user, '000000'), null);
+    assert.equal(user.twoFactor.enabled, false);
+  });
+});
+
+describe('verify', () => {
+  it('accepts a code only once', async () => {
+    const user = newUser();
+    const { secret } = await enroll(user);
+    // The setup code used the current time step
+    user.twoFactor.lastUsedStep -= 1;
+    const code = authenticator.generate(secret);
+
+    assert.equal(twoFactor.verify(user, { code }), 'totp');
+    assert.equal(twoFactor.verify(user, { code }), null);
+  });
+
+  it('accepts each recovery code once, ignoring case and separators', async () => {
+    const user = newUser();
+    const { recoveryCodes } = await enroll(user);
+    const typed = recoveryCodes[0].replace('-', ' ').toUpperCase();
+
+    assert.equal(twoFactor.verify(user, { recoveryCode: typed }), 'recovery');
+    assert.equal(twoFactor.verify(user, { recoveryCode: typed }), null);
+    assert.equal(user.twoFactor.recoveryCodes.length, 9);
+  });
+
+  it('refuses malformed codes and empty requests', async () => {
+    const user = newUser();
+    await enroll(user);
+
+    assert.equal(twoFactor.verify(user, { code: 'abcdef' }), null);
+    assert.equal(twoFactor.verify(user, {}), null);
+  });
+});
+
+describe('challenge tokens', () => {
+  it('carry the user id', () => {
+    const token = twoFactor.createChallenge({ id: 'u1' });
+    assert.equal(twoFactor.readChallenge(token), 'u1');
+  });
+
+  it('reject anything else', () => {
+    assert.equal(twoFactor.readChallenge('not-a-token'), null);
+  });
+});
+
+describe('isRequiredFor', () => {
+  it('follows the configured roles', async () => {
+    settings.get = async () => ['admin'];
+
+    assert.equal(await twoFactor.isRequiredFor({ role: 'admin' }), true);
+    assert.equal(await twoFactor.isRequiredFor({ role: 'bruker' }), false);
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const ADMIN_ID = '507f1f77bcf86cd799439001';
+const USER_ID = '507f1f77bcf86cd799439002';
+
+// Sign every request in as the role set by the test
+let role;
+const authPath = require.resolve('../src/middleware/auth');
+require.cache[authPath] = {
+  id: authPath,
+  filename: authPath,
+  loaded: true,
+  exports: (req, res, next) => {
+    req.user = { id: ADMIN_ID, role };
+    next();
+  }
+};
+
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const Document = require('../src/models/Document');
+const audit = require('../src/services/audit');
+const userRoutes = require('../src/routes/user');
+
+const original = {
+  findById: User.findById,
+  countDocuments: User.countDocuments,
+  save: User.prototype.save,
+  updateMany: Session.updateMany,
+  countOwned: Document.countDocuments,
+  record: audit.record
+};
+
+let server;
+let baseUrl;
+let users;
+let otherAdmins;
+let revoked;
+let saved;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/users', userRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/users`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  role = 'admin';
+  otherAdmins = 0;
+  revoked = [];
+  saved = [];
+  users = {
+    [ADMIN_ID]: new User({ _id: ADMIN_ID, email: 'admin@example.com', name: 'Admin', role: 'admin', password: 'x' }),
+    [USER_ID]: new User({ _id: USER_ID, email: 'kari@example.com', name: 'Kari', role: 'ansatt', password: 'x' })
+  };
+
+  User.findById = (id) => {
+    const promise = Promise.resolve(users[id] || null);
+    promise.select = () => promise;
+    return promise;
+  };
+  User.countDocuments = async () => otherAdmins;
+  User.prototype.save = async function() {
+    saved.push(this);
+    return this;
+  };
+  Session.updateMany = async (filter, update) => {
+    revoked.push({ filter, update });
+    return { modifiedCount: 1 };
+  };
+  Document.countDocuments = async () => 3;
+  audit.record = () => Promise.resolve();
+});
+
+afterEach(() => {
+  User.findById = original.findById;
+  User.countDocuments = original.countDocuments;
+  User.prototype.save = original.save;
+  Session.updateMany = original.updateMany;
+  Document.countDocuments = original.countOwned;
+  audit.record = original.record;
+});
+
+const request = (method, path, body) => fetch(`${baseUrl}${path}`, {
+  method,
+  headers: { 'Content-Type': 'application/json' },
+  body: body && JSON.stringify(body)
+});
+
+describe('user administration', () => {
+  it('is for admins only', async () => {
+    role = 'it_ansvarlig';
+    assert.equal((await request('GET', `/${USER_ID}`)).status, 403);
+  });
+
+  it('ends the sessions of a user whose role changes', async () => {
+    const res = await request('PUT', `/${USER_ID}`, { role: 'it_ansvarlig', department: 'IT' });
+
+    assert.equal(res.status, 200);
+    assert.equal(users[USER_ID].role, 'it_ansvarlig');
+    assert.equal(revoked.length, 1);
+    assert.equal(revoked[0].update.revokedReason, 'role_changed');
+  });
+
+  it('keeps sessions when the role is unchanged', async () => {
+    const res = await request('PUT', `/${USER_ID}`, { department: 'IT' });
+
+    assert.equal(res.status, 200);
+    assert.equal(revoked.length, 0);
+  });
+
+  it('refuses invalid roles', async () => {
+    assert.equal((await request('PUT', `/${USER_ID}`, { role: 'superbruker' })).status, 400);
+    assert.equal(saved.length, 0);
+  });
+
+  it('keeps at least one active admin', async () => {
+    const demote = await request('PUT', `/${ADMIN_ID}`, { role: 'ansatt' });
+    assert.equal(demote.status, 400);
+
+    otherAdmins = 1;
+    const allowed = await request('PUT', `/${ADMIN_ID}`, { role: 'ansatt' });
+    assert.equal(allowed.status, 200);
+  });
+
+  it('deactivates other users and reports their documents', async () => {
+    const res = await request('POST', `/${USER_ID}/deactivate`);
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(users[USER_ID].isActive, false);
+    assert.equal(body.ownedDocuments, 3);
+  });
+
+  it('does not let admins deactivate themselves', async () => {
+    assert.equal((await request('POST', `/${ADMIN_ID}/deactivate`)).status, 400);
+    assert.equal(users[ADMIN_ID].isActive, true);
+  });
+
+  it('unlocks a locked account', async () => {
+    users[USER_ID].failedLoginAttempts = 5;
+    users[USER_ID].lockUntil = new Date(Date.now() + 60000);
+
+    assert.equal((await request('POST', `/${USER_ID}/unlock`)).status, 200);
+    assert.equal(users[USER_ID].failedLoginAttempts, 0);
+    assert.equal(users[USER_ID].lockUntil, null);
+  });
+});
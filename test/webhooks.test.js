@@ -0,0 +1,153 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const Webhook = require('../src/models/Webhook');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const webhooks = require('../src/services/webhooks');
+
+const SECRET = 'hemmelig';
+
+const original = {
+  webhookFind: Webhook.find,
+  webhookFindById: Webhook.findById,
+  deliveryFind: WebhookDelivery.find,
+  insertMany: WebhookDelivery.insertMany,
+  updateMany: WebhookDelivery.updateMany
+};
+
+// A receiver that answers with the status set by the test and keeps what it got
+let receiver;
+let receiverUrl;
+let received;
+let responseStatus;
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = responseStatus;
+      res.end('ok');
+    });
+  });
+  receiver.listen(0);
+  await new Promise(resolve => receiver.once('listening', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(() => {
+  receiver.close();
+});
+
+let due;
+let deferred;
+
+beforeEach(() => {
+  received = [];
+  responseStatus = 200;
+  deferred = [];
+
+  Webhook.findById = () => ({ select: async () => ({ _id: 'w1', url: receiverUrl, secret: SECRET }) });
+  WebhookDelivery.find = () => {
+    const batch = due;
+    due = [];
+    return { sort: () => ({ limit: async () => batch }) };
+  };
+  WebhookDelivery.updateMany = async (filter, update) => {
+    deferred.push({ ids: filter._id.$in, nextAttemptAt: update.nextAttemptAt });
+  };
+});
+
+afterEach(() => {
+  Webhook.find = original.webhookFind;
+  Webhook.findById = original.webhookFindById;
+  WebhookDelivery.find = original.deliveryFind;
+  WebhookDelivery.insertMany = original.insertMany;
+  WebhookDelivery.updateMany = original.updateMany;
+});
+
+const delivery = (id, attempts = 0) => ({
+  _id: id,
+  webhook: 'w1',
+  event: 'document.published',
+  payload: { id: `p-${id}`, event: 'document.published', data: { id: 'd1' } },
+  status: 'pending',
+  attempts,
+  async save() {
+    return this;
+  }
+});
+
+describe('sign', () => {
+  it('is an HMAC over the timestamp and body', () => {
+    const expected = crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+    assert.equal(webhooks.sign(SECRET, 1700000000, '{"a":1}'), `sha256=${expected}`);
+  });
+});
+
+describe('emit', () => {
+  it('queues the event for every subscribed webhook', async () => {
+    let queued = [];
+    Webhook.find = (filter) => ({ select: async () => (filter.events === 'document.published' ? [{ _id: 'w1' }, { _id: 'w2' }] : []) });
+    WebhookDelivery.insertMany = async (docs) => {
+      queued = docs;
+    };
+
+    await webhooks.emit('document.published', { id: 'd1' }, 'u1');
+
+    assert.deepEqual(queued.map(item => item.webhook), ['w1', 'w2']);
+    assert.equal(queued[0].payload, queued[1].payload);
+    assert.equal(queued[0].payload.actor, 'u1');
+  });
+
+  it('never rejects', async () => {
+    Webhook.find = () => ({ select: async () => { throw new Error('database nede'); } });
+    await webhooks.emit('document.published', {});
+  });
+});
+
+describe('runOnce', () => {
+  it('sends signed deliveries in order', async () => {
+    const first = delivery('a');
+    const second = delivery('b');
+    due = [first, second];
+
+    await webhooks.runOnce();
+
+    assert.equal(received.length, 2);
+    assert.deepEqual(received.map(item => JSON.parse(item.body).id), ['p-a', 'p-b']);
+
+    const { headers, body } = received[0];
+    assert.equal(headers['x-webhook-event'], 'document.published');
+    assert.equal(headers['x-webhook-signature'], webhooks.sign(SECRET, headers['x-webhook-timestamp'], body));
+    assert.equal(first.status, 'success');
+    assert.equal(second.status, 'success');
+  });
+
+  it('holds back later deliveries until a failed one is retried', async () => {
+    responseStatus = 503;
+    const first = delivery('a');
+    const second = delivery('b');
+    due = [first, second];
+
+    await webhooks.runOnce();
+
+    assert.equal(received.length, 1);
+    assert.equal(first.status, 'pending');
+    assert.equal(first.error, 'HTTP 503');
+    assert.ok(first.nextAttemptAt > new Date());
+    assert.deepEqual(deferred, [{ ids: ['b'], nextAttemptAt: first.nextAttemptAt }]);
+  });
+
+  it('gives up after the last attempt', async () => {
+    responseStatus = 500;
+    const last = delivery('a', 7);
+    due = [last];
+
+    await webhooks.runOnce();
+
+    assert.equal(last.status, 'failed');
+  });
+});